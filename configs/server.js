@@ -10,6 +10,13 @@ import userRoutes from "../src/user/user.routes.js" // Rutas de gestión de usua
 import apiLimiter from "../src/middlewares/rate-limit-validator.js" // Middleware para limitar las solicitudes por usuario
 import { createDefaultAdmin } from "../src/middlewares/user-validators.js"
 import companyRoutes from "../src/company/company.routes.js"
+import categoryRoutes from "../src/category/category.routes.js" // Rutas del catálogo de categorías
+import reportRoutes from "../src/report/report.routes.js" // Rutas de reportes encolados de empresas
+import evaluationRoutes from "../src/evaluation/evaluation.routes.js" // Rutas de criterios y evaluaciones de empresas
+import { createDefaultCriteria } from "../src/helpers/company-scoring.js"
+import roleRoutes from "../src/role/role.routes.js" // Rutas de roles y permisos
+import { createDefaultRoles } from "../src/helpers/permissions.js"
+import { startReportJobs } from "../src/report/report-job.worker.js"
 import { swaggerDocs, swaggerUi } from "./swagger.js";
 
 /**
@@ -18,7 +25,7 @@ import { swaggerDocs, swaggerUi } from "./swagger.js";
  */
 const middlewares = (app) => {
     app.use(express.urlencoded({extended: false})) // Permite el análisis de datos codificados en URL
-    app.use(express.json()) // Permite el análisis de datos en formato JSON
+    app.use(express.json({ type: ["application/json", "application/*+json"] })) // Permite el análisis de datos en formato JSON (incluye JSON Patch y JSON Merge Patch)
     app.use(cors()) // Habilita CORS para permitir solicitudes de diferentes dominios
     app.use(helmet()) // Agrega cabeceras de seguridad HTTP
     app.use(morgan("dev")) // Registra las solicitudes HTTP en la consola en formato "dev"
@@ -32,6 +39,10 @@ const middlewares = (app) => {
 const routes = (app) => {
     app.use("/coperex/v1/auth", authRoutes) // Rutas de autenticación
     app.use("/coperex/v1/user", userRoutes) // Rutas de gestión de usuarios
+    app.use("/coperex/v1/role", roleRoutes) // Rutas de roles y permisos
+    app.use("/coperex/v1/category", categoryRoutes) // Rutas del catálogo de categorías
+    app.use("/coperex/v1/evaluation", evaluationRoutes) // Rutas de criterios y evaluaciones de empresas
+    app.use("/coperex/v1/company/reports", reportRoutes) // Rutas de reportes encolados (antes de las rutas de companias)
     app.use("/coperex/v1/company", companyRoutes) // Rutas de gestión de companias}
     app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerDocs))
 }
@@ -57,7 +68,10 @@ export const initServer = async() => {
     try{
         middlewares(app) // Configura los middlewares
         await conectarDB() // Conecta con la base de datos
+        await createDefaultRoles() // Registra los roles por defecto antes que el administrador que usa el rol ADMIN
         await createDefaultAdmin()
+        await createDefaultCriteria() // Registra los criterios de evaluación por defecto si aún no hay ninguno
+        await startReportJobs() // Reanuda los reportes pendientes y programa la limpieza de los vencidos
         routes(app) // Configura las rutas de la API   
         app.listen(process.env.PORT) // Inicia el servidor en el puerto definido en las variables de entorno
         console.log(`Server running on port ${process.env.PORT}`) // Muestra un mensaje en consola confirmando que el servidor está corriendo
@@ -22,7 +22,11 @@ const options ={
     apis:[
         "./src/auth/auth.routes.js",
         "./src/user/user.routes.js",
-        "./src/company/company.routes.js"
+        "./src/role/role.routes.js",
+        "./src/company/company.routes.js",
+        "./src/category/category.routes.js",
+        "./src/report/report.routes.js",
+        "./src/evaluation/evaluation.routes.js"
     ]
 }
 
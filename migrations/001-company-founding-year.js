@@ -0,0 +1,33 @@
+/**
+ * Reemplaza el campo almacenado "yearsTrajectory" por "foundingYear" en las empresas existentes.
+ *
+ * createCompany guardaba "año actual - año de fundación" calculado al momento del registro,
+ * por lo que el año de fundación se recupera restando la trayectoria al año de "createdAt".
+ * updateCompany, en cambio, guardaba el valor recibido sin convertir; los valores mayores a 1000
+ * se interpretan como un año de fundación ya escrito en ese campo.
+ *
+ * @param {import("mongoose").Connection} connection - Conexión activa de Mongoose.
+ */
+export const up = async (connection) => {
+  const companies = connection.collection("companies");
+
+  const result = await companies.updateMany(
+    { foundingYear: { $exists: false }, yearsTrajectory: { $type: "number" } },
+    [
+      {
+        $set: {
+          foundingYear: {
+            $cond: [
+              { $gt: ["$yearsTrajectory", 1000] },
+              "$yearsTrajectory",
+              { $subtract: [{ $year: { $ifNull: ["$createdAt", "$$NOW"] } }, "$yearsTrajectory"] },
+            ],
+          },
+        },
+      },
+      { $unset: "yearsTrajectory" },
+    ]
+  );
+
+  console.log(`Migrations | ${result.modifiedCount} empresas con "foundingYear" calculado`);
+};
@@ -0,0 +1,59 @@
+import { slugify } from "../src/helpers/slugify.js";
+
+/**
+ * Convierte las categorías de texto libre de las empresas en categorías del catálogo.
+ *
+ * Los valores que solo se diferencian en mayúsculas, acentos o espacios ("Tecnología", "tecnologia ")
+ * generan el mismo slug y se agrupan en una sola categoría, cuyo nombre es la variante más usada.
+ * Cada empresa pasa a guardar el ID de la categoría en "category" y su nombre en "categoryName".
+ * Los sinónimos con distinta escritura ("Tech" / "Tecnología") quedan como categorías separadas
+ * y pueden reasignarse después desde la API.
+ *
+ * @param {import("mongoose").Connection} connection - Conexión activa de Mongoose.
+ */
+export const up = async (connection) => {
+  const companies = connection.collection("companies");
+  const categories = connection.collection("categories");
+
+  const values = await companies.aggregate([
+    { $match: { category: { $type: "string" } } },
+    { $group: { _id: "$category", count: { $sum: 1 } } },
+    { $sort: { count: -1 } },
+  ]).toArray();
+
+  // slug → variantes de texto, de la más usada a la menos usada
+  const groups = new Map();
+  values.forEach(({ _id: value }) => {
+    const slug = slugify(value) || "sin-categoria";
+    if (!groups.has(slug)) groups.set(slug, []);
+    groups.get(slug).push(value);
+  });
+
+  let created = 0;
+  let migrated = 0;
+  for (const [slug, variants] of groups) {
+    let category = await categories.findOne({ slug });
+    if (!category) {
+      const now = new Date();
+      const name = variants[0].trim() || "Sin categoría";
+      const { insertedId } = await categories.insertOne({
+        name,
+        slug,
+        parent: null,
+        status: true,
+        createdAt: now,
+        updatedAt: now,
+      });
+      category = { _id: insertedId, name };
+      created += 1;
+    }
+
+    const result = await companies.updateMany(
+      { category: { $in: variants } },
+      { $set: { category: category._id, categoryName: category.name } }
+    );
+    migrated += result.modifiedCount;
+  }
+
+  console.log(`Migrations | ${created} categorías creadas, ${migrated} empresas asignadas al catálogo`);
+};
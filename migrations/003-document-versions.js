@@ -0,0 +1,14 @@
+/**
+ * Asigna la versión inicial ("__v": 0) a las empresas y usuarios registrados antes del control de concurrencia.
+ *
+ * Los esquemas se definían con "versionKey: false", así que esos documentos no tienen "__v"
+ * y no coincidirían con el ETag "0" enviado en If-Match.
+ *
+ * @param {import("mongoose").Connection} connection - Conexión activa de Mongoose.
+ */
+export const up = async (connection) => {
+  for (const name of ["companies", "users"]) {
+    const result = await connection.collection(name).updateMany({ __v: { $exists: false } }, { $set: { __v: 0 } });
+    console.log(`Migrations | ${result.modifiedCount} documentos de "${name}" con versión inicial`);
+  }
+};
@@ -0,0 +1,27 @@
+/**
+ * Asigna el estado del registro a las empresas registradas antes del ciclo de vida.
+ *
+ * Esas empresas ya participaban en la feria, así que se consideran aprobadas. La línea de tiempo
+ * empieza con esa aprobación, atribuida a quien registró la empresa y con su fecha de registro.
+ *
+ * @param {import("mongoose").Connection} connection - Conexión activa de Mongoose.
+ */
+export const up = async (connection) => {
+  const result = await connection.collection("companies").updateMany({ registrationState: { $exists: false } }, [
+    {
+      $set: {
+        registrationState: "approved",
+        stateTransitions: [
+          {
+            from: null,
+            to: "approved",
+            reason: "Empresa registrada antes del ciclo de vida del registro",
+            changedBy: "$createdBy",
+            changedAt: { $ifNull: ["$createdAt", "$$NOW"] },
+          },
+        ],
+      },
+    },
+  ]);
+  console.log(`Migrations | ${result.modifiedCount} empresas con estado del registro "approved"`);
+};
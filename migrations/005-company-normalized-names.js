@@ -0,0 +1,22 @@
+import { normalizeCompanyName } from "../src/helpers/company-name.js";
+
+/**
+ * Calcula el nombre normalizado de las empresas registradas antes de la detección de duplicados.
+ *
+ * "normalizedName" es el nombre sin mayúsculas, acentos, signos ni forma societaria ("ACME, S.A" → "acme");
+ * el modelo lo mantiene al guardar, pero las empresas existentes lo necesitan para que las búsquedas de
+ * duplicados por nombre normalizado las encuentren. Las empresas que ya lo tienen no se modifican.
+ *
+ * @param {import("mongoose").Connection} connection - Conexión activa de Mongoose.
+ */
+export const up = async (connection) => {
+  const companies = connection.collection("companies");
+  const operations = [];
+
+  for await (const { _id, name } of companies.find({ normalizedName: { $exists: false } }).project({ name: 1 })) {
+    operations.push({ updateOne: { filter: { _id }, update: { $set: { normalizedName: normalizeCompanyName(name) } } } });
+  }
+
+  if (operations.length) await companies.bulkWrite(operations, { ordered: false });
+  console.log(`Migrations | ${operations.length} empresas con nombre normalizado`);
+};
@@ -0,0 +1,16 @@
+/**
+ * Convierte el rol único de los usuarios ("role") en la lista de roles del control de acceso por permisos.
+ *
+ * Cada usuario pasa a tener "roles: [role]" (ADMIN o EVALUATOR, que existen como roles por defecto) y se
+ * elimina el campo anterior. Los usuarios que ya tienen "roles" no se modifican. Los roles por defecto se
+ * registran al iniciar el servidor.
+ *
+ * @param {import("mongoose").Connection} connection - Conexión activa de Mongoose.
+ */
+export const up = async (connection) => {
+  const { modifiedCount } = await connection.collection("users").updateMany(
+    { roles: { $exists: false }, role: { $exists: true } },
+    [{ $set: { roles: ["$role"] } }, { $unset: "role" }]
+  );
+  console.log(`Migrations | ${modifiedCount} usuarios con lista de roles`);
+};
@@ -0,0 +1,47 @@
+'use strict';
+
+import { config } from "dotenv";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import mongoose from "mongoose";
+import { dbConnection } from "../configs/mongo.js";
+
+/**
+ * Ejecuta en orden las migraciones pendientes de este directorio.
+ * Cada archivo "NNN-nombre.js" exporta una función "up" que recibe la conexión de Mongoose.
+ * Las migraciones aplicadas se registran en la colección "migrations" para no repetirlas.
+ *
+ * Uso: npm run migrate
+ */
+const runMigrations = async () => {
+    const migrationsDir = path.dirname(fileURLToPath(import.meta.url));
+    const files = fs.readdirSync(migrationsDir)
+        .filter((file) => /^\d+-.+\.js$/.test(file))
+        .sort();
+
+    const applied = mongoose.connection.collection("migrations");
+
+    for (const file of files) {
+        const alreadyApplied = await applied.findOne({ name: file });
+        if (alreadyApplied) continue;
+
+        const { up } = await import(pathToFileURL(path.join(migrationsDir, file)).href);
+        console.log(`Migrations | running ${file}`);
+        await up(mongoose.connection);
+        await applied.insertOne({ name: file, appliedAt: new Date() });
+    }
+};
+
+config();
+
+try {
+    await dbConnection();
+    await runMigrations();
+    console.log("Migrations | done");
+} catch (err) {
+    console.log(`Migrations | failed: ${err}`);
+    process.exitCode = 1;
+} finally {
+    await mongoose.disconnect();
+}
@@ -1,12 +1,28 @@
 // Importa las funciones hash y verify del módulo "argon2".
 // "hash" se usa para cifrar contraseñas antes de almacenarlas en la base de datos.
-// "verify" se usa para comparar una contraseña ingresada con su versión cifrada.
+// "verify" se usa para comprobar la contraseña actual al cambiarla (las del inicio de sesión se comprueban en helpers/login-protection.js).
 import { hash, verify } from "argon2";
 
 // Importa el modelo de usuario desde el archivo "user.model.js".
 // Este modelo permite interactuar con la colección de usuarios en la base de datos MongoDB.
 import User from "../user/user.model.js";
-import { generateJWT } from "../helpers/generate-jwt.js";
+// Sesiones con tokens de refresco rotativos (ver helpers/refresh-tokens.js).
+import { createSession, rotateRefreshToken, findRefreshToken, revokeSession, revokeUserSessions } from "../helpers/refresh-tokens.js";
+// Protección del inicio de sesión contra fuerza bruta (ver helpers/login-protection.js).
+import { reserveLoginAttempt, releaseLoginAttempt, accountThrottleKey, recordFailedLogin, clearAccountFailures, verifyLoginPassword, unlockAccount } from "../helpers/login-protection.js";
+// Restablecimiento de contraseñas olvidadas con tokens de un solo uso enviados por correo.
+import { assertPasswordResetConfigured, sendPasswordResetEmail, consumePasswordResetToken } from "../helpers/password-reset.js";
+// Verificación en dos pasos con TOTP.
+import {
+    TWO_FACTOR_CHALLENGES,
+    createTwoFactorChallenge,
+    isTwoFactorRequired,
+    startTwoFactorSetup,
+    confirmTwoFactorSetup,
+    verifySecondFactor,
+    regenerateRecoveryCodes,
+    resetTwoFactor
+} from "../helpers/two-factor.js";
 
 /**
  * Controlador para el registro de un nuevo usuario en el sistema.
@@ -42,12 +58,59 @@ export const register = async (req, res) => {
     }
 };
 
+/**
+ * Responde 429 cuando la cuenta o la IP están en espera por intentos fallidos, con los segundos en Retry-After.
+ * @param {object} res - Objeto de respuesta Express.
+ * @param {number} retryAfter - Segundos de espera.
+ */
+const sendTooManyAttempts = (res, retryAfter) => {
+    res.set("Retry-After", String(retryAfter));
+    return res.status(429).json({
+        message: "Demasiados intentos fallidos", // Mensaje de error para el usuario.
+        error: `Intente de nuevo en ${retryAfter} segundos`, // Detalle del error.
+        retryAfter: retryAfter // Segundos de espera.
+    });
+};
+
+/**
+ * Completa un inicio de sesión: reinicia el contador de intentos fallidos de la cuenta, crea la sesión
+ * (token de acceso de corta duración y token de refresco para renovarlo) y responde con los datos del usuario.
+ * @param {object} req - Objeto de solicitud Express.
+ * @param {object} res - Objeto de respuesta Express.
+ * @param {object} user - Usuario autenticado.
+ * @param {object} [extra] - Campos adicionales de la respuesta.
+ */
+const sendSession = async (req, res, user, extra = {}) => {
+    await clearAccountFailures(user);
+    const { token, refreshToken, expiresIn } = await createSession(user, req);
+
+    return res.status(200).json({
+        message: "Login successful", // Mensaje de éxito.
+        userDetails: {
+            token: token, // Token de autenticación generado.
+            refreshToken: refreshToken, // Token para obtener un nuevo token de acceso con POST /auth/refresh.
+            expiresIn: expiresIn, // Vigencia del token de acceso.
+            name: user.name, // Nombre del usuario autenticado.
+            email: user.email // Correo electrónico del usuario autenticado.
+        },
+        ...extra
+    });
+};
+
 /**
  * Controlador para el inicio de sesión de un usuario.
+ * Ante cualquier fallo (usuario inexistente o desactivado, contraseña incorrecta) se responde lo mismo, para no
+ * revelar qué comprobación falló; el motivo queda en la auditoría de intentos fallidos. Tras varios fallos de
+ * la misma cuenta o IP los intentos deben esperar un tiempo creciente y luego se bloquean temporalmente
+ * (429 con la cabecera Retry-After). Ver helpers/login-protection.js.
+ * Si el usuario tiene activa la verificación en dos pasos, o su rol la exige, en lugar de la sesión se
+ * devuelve un token de desafío para continuar (ver helpers/two-factor.js).
  */
 export const login = async (req, res) => {
     // Extrae el correo electrónico, el nombre de usuario y la contraseña enviados en la solicitud.
     const { email, username, password } = req.body;
+    // Email o username con el que se cuentan y se auditan los intentos.
+    const identifier = String(email ?? username ?? "").trim().toLowerCase();
 
     try {
         // Busca en la base de datos un usuario que coincida con el correo electrónico o el nombre de usuario.
@@ -56,42 +119,447 @@ export const login = async (req, res) => {
             $or: [{ email: email }, { username: username }]
         });
 
-        // Si no se encuentra un usuario con el email o username proporcionado, devuelve un error 400 (Bad Request).
+        // El intento se reserva (cuenta como fallido) antes de comprobar la contraseña, así las peticiones simultáneas
+        // no pueden superar el límite. Si la cuenta o la IP están en espera, se rechaza sin comprobar la contraseña.
+        const throttleKey = accountThrottleKey(user, identifier);
+        const retryAfter = await reserveLoginAttempt(throttleKey, req.ip);
+        if (retryAfter) {
+            await recordFailedLogin({ identifier, user, reason: "throttled", req });
+            return sendTooManyAttempts(res, retryAfter);
+        }
+
+        // Verifica si la contraseña ingresada coincide con la contraseña cifrada en la base de datos.
+        // Si el usuario no existe, la verificación se hace igualmente para que el tiempo de respuesta no lo delate.
+        const validPassword = await verifyLoginPassword(user, password);
+
+        // Si algo falla, responde siempre con el mismo error 400 (Bad Request) y registra el motivo.
+        if (!user || !validPassword || !user.status) {
+            const reason = !user ? "unknown_user" : !validPassword ? "wrong_password" : "user_disabled";
+            await recordFailedLogin({ identifier, user, reason, req });
+            return res.status(400).json({
+                message: "Credenciales inválidas", // Mensaje de error para el usuario.
+                error: "El usuario o la contraseña no son correctos" // Detalle del error.
+            });
+        }
+
+        // Las credenciales son correctas: el intento reservado deja de contar.
+        await releaseLoginAttempt(throttleKey, req.ip);
+
+        // Con la verificación en dos pasos activa, la sesión se entrega al canjear el desafío con un código
+        // (POST /auth/login/2fa). El contador de intentos fallidos se conserva hasta completar el inicio de sesión.
+        if (user.twoFactor?.enabled) {
+            return res.status(200).json({
+                message: "Ingrese el código de verificación en dos pasos",
+                twoFactorRequired: true,
+                ...createTwoFactorChallenge(user, TWO_FACTOR_CHALLENGES.verify)
+            });
+        }
+
+        // Si su rol exige la verificación en dos pasos, el usuario debe activarla antes de obtener la sesión
+        // (POST /auth/login/2fa/setup y POST /auth/login/2fa/enable).
+        if (await isTwoFactorRequired(user)) {
+            return res.status(200).json({
+                message: "Su rol exige la verificación en dos pasos: actívela para continuar",
+                twoFactorSetupRequired: true,
+                ...createTwoFactorChallenge(user, TWO_FACTOR_CHALLENGES.enroll)
+            });
+        }
+
+        return sendSession(req, res, user);
+    } catch (err) {
+        // En caso de error, devuelve un código HTTP 500 (Internal Server Error).
+        return res.status(500).json({
+            message: "Login failed, server error", // Mensaje de error.
+            error: err.message // Detalles del error para depuración.
+        });
+    }
+};
+
+/**
+ * Controlador para renovar el token de acceso con un token de refresco.
+ * El token de refresco se rota: el recibido queda revocado y se devuelve uno nuevo junto con el token de acceso.
+ * Si el token recibido ya se había usado, se revoca toda la sesión (posible robo del token).
+ */
+export const refresh = async (req, res) => {
+    try {
+        const { token, refreshToken, expiresIn } = await rotateRefreshToken(req.body.refreshToken, req);
+
+        return res.status(200).json({
+            message: "Token renovado",
+            token,
+            refreshToken,
+            expiresIn
+        });
+    } catch (err) {
+        // Token inexistente, vencido, revocado o reutilizado: el cliente debe iniciar sesión de nuevo.
+        if (err.status) {
+            return res.status(err.status).json({
+                message: "No se pudo renovar la sesión",
+                error: err.message
+            });
+        }
+        return res.status(500).json({
+            message: "Token refresh failed, server error",
+            error: err.message
+        });
+    }
+};
+
+/**
+ * Controlador para cerrar la sesión a la que pertenece un token de refresco.
+ * Se revocan todos los tokens de la sesión, incluidos los tokens de acceso ya emitidos (validateJWT los rechaza).
+ * Con "all": true se cierran todas las sesiones del usuario, en todos los dispositivos.
+ * Un token desconocido o ya revocado no es un error: la sesión ya no está vigente.
+ */
+export const logout = async (req, res) => {
+    try {
+        const { refreshToken, all } = req.body;
+        const stored = await findRefreshToken(refreshToken);
+
+        let sessions = 0;
+        if (stored && !stored.revokedAt && all) {
+            sessions = await revokeUserSessions(stored.user, "logout_all");
+        } else if (stored && !stored.revokedAt) {
+            await revokeSession(stored.family, "logout");
+            sessions = 1;
+        }
+
+        return res.status(200).json({
+            message: all ? "Se cerraron todas las sesiones" : "Sesión cerrada",
+            sessions
+        });
+    } catch (err) {
+        return res.status(500).json({
+            message: "Logout failed, server error",
+            error: err.message
+        });
+    }
+};
+
+/**
+ * Controlador para cerrar todas las sesiones del usuario autenticado (cerrar sesión en todos los dispositivos).
+ * Requiere el token de acceso; el token usado en esta solicitud también deja de ser válido.
+ */
+export const logoutAll = async (req, res) => {
+    try {
+        const sessions = await revokeUserSessions(req.usuario._id, "logout_all");
+
+        return res.status(200).json({
+            message: "Se cerraron todas las sesiones",
+            sessions
+        });
+    } catch (err) {
+        return res.status(500).json({
+            message: "Logout failed, server error",
+            error: err.message
+        });
+    }
+};
+
+/**
+ * Controlador para cambiar la contraseña del usuario autenticado.
+ * Exige la contraseña actual; los fallos cuentan como intentos de inicio de sesión fallidos (mismo bloqueo y auditoría).
+ * Las demás sesiones del usuario se cierran; la sesión desde la que se cambia se conserva.
+ */
+export const changePassword = async (req, res) => {
+    try {
+        const { usuario: user } = req;
+        const { currentPassword, newPassword } = req.body;
+
+        // Si la cuenta está bloqueada por intentos fallidos, no se comprueba la contraseña actual.
+        const throttleKey = accountThrottleKey(user);
+        const retryAfter = await reserveLoginAttempt(throttleKey, req.ip);
+        if (retryAfter) {
+            return sendTooManyAttempts(res, retryAfter);
+        }
+
+        if (!(await verify(user.password, currentPassword))) {
+            await recordFailedLogin({ identifier: user.email.toLowerCase(), user, reason: "wrong_password", req });
+            return res.status(400).json({
+                message: "No se pudo cambiar la contraseña",
+                error: "La contraseña actual no es correcta"
+            });
+        }
+
+        await releaseLoginAttempt(throttleKey, req.ip);
+
+        await User.findByIdAndUpdate(user._id, { password: await hash(newPassword) });
+        const sessions = await revokeUserSessions(user._id, "password_changed", { except: req.sessionId });
+
+        return res.status(200).json({
+            message: "Contraseña actualizada",
+            sessionsClosed: sessions // Sesiones de otros dispositivos que se cerraron.
+        });
+    } catch (err) {
+        return res.status(500).json({
+            message: "Password change failed, server error",
+            error: err.message
+        });
+    }
+};
+
+/**
+ * Controlador para solicitar el restablecimiento de una contraseña olvidada.
+ * Si el email pertenece a un usuario activo se le envía un enlace con un token de un solo uso. La respuesta es
+ * la misma, y tarda lo mismo, exista o no la cuenta, para no revelar qué emails están registrados.
+ */
+export const forgotPassword = async (req, res) => {
+    try {
+        assertPasswordResetConfigured();
+
+        // El token y el correo se generan sin esperarlos, para que el tiempo de respuesta no delate si la cuenta
+        // existe. Por lo mismo, un fallo del envío no se informa al cliente.
+        const user = await User.findOne({ email: req.body.email, status: true });
+        if (user) {
+            sendPasswordResetEmail(user, req).catch(() => {});
+        }
+
+        return res.status(200).json({
+            message: "Si el email está registrado, recibirá un enlace para restablecer la contraseña"
+        });
+    } catch (err) {
+        return res.status(500).json({
+            message: "Password reset request failed, server error",
+            error: err.message
+        });
+    }
+};
+
+/**
+ * Controlador para restablecer la contraseña con el token recibido por correo.
+ * El token se usa una sola vez. Se cierran todas las sesiones del usuario y se desbloquea su cuenta,
+ * por si quedó bloqueada por los intentos fallidos que llevaron a restablecerla.
+ */
+export const resetPassword = async (req, res) => {
+    try {
+        const { token, newPassword } = req.body;
+        const userId = await consumePasswordResetToken(token);
+
+        const user = await User.findOneAndUpdate({ _id: userId, status: true }, { password: await hash(newPassword) });
         if (!user) {
             return res.status(400).json({
-                message: "Crendenciales inválidas", // Mensaje de error para el usuario.
-                error: "No existe el usuario o correo ingresado" // Detalle del error.
+                message: "No se pudo restablecer la contraseña",
+                error: "El usuario no existe o fue desactivado"
             });
         }
+        await revokeUserSessions(user._id, "password_changed");
+        await unlockAccount(user._id);
 
-        // Verifica si la contraseña ingresada coincide con la contraseña cifrada en la base de datos.
-        // La función "verify" de Argon2 compara ambas contraseñas y devuelve "true" si coinciden o "false" si no coinciden.
-        const validPassword = await verify(user.password, password);
+        return res.status(200).json({
+            message: "Contraseña restablecida; inicie sesión con la nueva contraseña"
+        });
+    } catch (err) {
+        // Token inexistente, vencido o ya usado.
+        if (err.status) {
+            return res.status(err.status).json({
+                message: "No se pudo restablecer la contraseña",
+                error: err.message
+            });
+        }
+        return res.status(500).json({
+            message: "Password reset failed, server error",
+            error: err.message
+        });
+    }
+};
+
+/**
+ * Controlador para completar el inicio de sesión con el segundo factor: canjea el token de desafío
+ * (validado por validateTwoFactorChallenge) y un código TOTP o de recuperación por la sesión.
+ * Los códigos incorrectos cuentan como intentos fallidos de la cuenta (mismo bloqueo y auditoría).
+ */
+export const loginTwoFactor = async (req, res) => {
+    try {
+        const { usuario: user } = req;
+        const { code, recoveryCode } = req.body;
 
-        // Si la contraseña es incorrecta, responde con un error 400 (Bad Request).
-        if (!validPassword) {
+        const throttleKey = accountThrottleKey(user);
+        const retryAfter = await reserveLoginAttempt(throttleKey, req.ip);
+        if (retryAfter) {
+            await recordFailedLogin({ identifier: user.email.toLowerCase(), user, reason: "throttled", req });
+            return sendTooManyAttempts(res, retryAfter);
+        }
+
+        const method = await verifySecondFactor(user, { code, recoveryCode });
+        if (!method) {
+            await recordFailedLogin({ identifier: user.email.toLowerCase(), user, reason: "wrong_second_factor", req });
             return res.status(400).json({
-                message: "Crendenciales inválidas", // Mensaje de error para el usuario.
-                error: "Contraseña incorrecta" // Detalle del error.
+                message: "Código de verificación inválido",
+                error: "El código no es correcto o ya se usó"
+            });
+        }
+
+        await releaseLoginAttempt(throttleKey, req.ip);
+
+        // Al usar un código de recuperación se informa cuántos quedan, para generar otros antes de agotarlos.
+        return sendSession(req, res, user, method === "recovery" ? { recoveryCodesLeft: user.twoFactor.recoveryCodes.length - 1 } : {});
+    } catch (err) {
+        return res.status(500).json({
+            message: "Login failed, server error",
+            error: err.message
+        });
+    }
+};
+
+/**
+ * Controlador para iniciar la activación de la verificación en dos pasos.
+ * Devuelve el secreto y el URI otpauth:// con el que el cliente muestra el código QR; la activación se confirma
+ * con POST /auth/2fa/enable. Se usa con el token de acceso o, si el rol exige la verificación en dos pasos y el
+ * usuario aún no la activó, con el token de desafío del inicio de sesión (POST /auth/login/2fa/setup).
+ */
+export const setupTwoFactor = async (req, res) => {
+    try {
+        const { secret, otpauthUri } = await startTwoFactorSetup(req.usuario);
+
+        return res.status(200).json({
+            message: "Registre el secreto en su aplicación de autenticación y confirme con un código",
+            secret,
+            otpauthUri
+        });
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({
+                message: "No se pudo iniciar la verificación en dos pasos",
+                error: err.message
             });
         }
+        return res.status(500).json({
+            message: "Two-factor setup failed, server error",
+            error: err.message
+        });
+    }
+};
 
-        const token = await generateJWT(user.id)
+/**
+ * Controlador para confirmar la activación de la verificación en dos pasos con un código de la aplicación.
+ * Devuelve los códigos de recuperación, que no vuelven a mostrarse. Si se usa con el token de desafío del
+ * inicio de sesión (sin sesión en req.sessionId), además completa el inicio de sesión.
+ */
+export const enableTwoFactor = async (req, res) => {
+    try {
+        const recoveryCodes = await confirmTwoFactorSetup(req.usuario._id, req.body.code);
 
-        // Si la autenticación es exitosa, responde con un código 200 (OK) y devuelve datos del usuario.
+        if (!req.sessionId) {
+            return sendSession(req, res, req.usuario, { recoveryCodes });
+        }
         return res.status(200).json({
-            message: "Login successful", // Mensaje de éxito.
-            userDetails: {
-                token: token, // Token de autenticación generado.
-                name: user.name, // Nombre del usuario autenticado.
-                email: user.email // Correo electrónico del usuario autenticado.
-            }
+            message: "Verificación en dos pasos activada; guarde los códigos de recuperación",
+            recoveryCodes
         });
     } catch (err) {
-        // En caso de error, devuelve un código HTTP 500 (Internal Server Error).
+        if (err.status) {
+            return res.status(err.status).json({
+                message: "No se pudo activar la verificación en dos pasos",
+                error: err.message
+            });
+        }
         return res.status(500).json({
-            message: "Login failed, server error", // Mensaje de error.
-            error: err.message // Detalles del error para depuración.
+            message: "Two-factor activation failed, server error",
+            error: err.message
         });
     }
-};
\ No newline at end of file
+};
+
+/**
+ * Controlador para desactivar la verificación en dos pasos del usuario autenticado.
+ * Exige la contraseña y un código (TOTP o de recuperación); no se permite si su rol la exige.
+ */
+export const disableTwoFactor = async (req, res) => {
+    try {
+        const { usuario: user } = req;
+        const { password, code, recoveryCode } = req.body;
+        const identifier = user.email.toLowerCase();
+
+        if (!user.twoFactor?.enabled) {
+            return res.status(409).json({
+                message: "No se pudo desactivar la verificación en dos pasos",
+                error: "La verificación en dos pasos no está activa"
+            });
+        }
+        if (await isTwoFactorRequired(user)) {
+            return res.status(409).json({
+                message: "No se pudo desactivar la verificación en dos pasos",
+                error: "Su rol exige la verificación en dos pasos"
+            });
+        }
+
+        const throttleKey = accountThrottleKey(user);
+        const retryAfter = await reserveLoginAttempt(throttleKey, req.ip);
+        if (retryAfter) {
+            return sendTooManyAttempts(res, retryAfter);
+        }
+
+        if (!(await verify(user.password, password))) {
+            await recordFailedLogin({ identifier, user, reason: "wrong_password", req });
+            return res.status(400).json({
+                message: "No se pudo desactivar la verificación en dos pasos",
+                error: "La contraseña no es correcta"
+            });
+        }
+        if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+            await recordFailedLogin({ identifier, user, reason: "wrong_second_factor", req });
+            return res.status(400).json({
+                message: "No se pudo desactivar la verificación en dos pasos",
+                error: "El código no es correcto o ya se usó"
+            });
+        }
+
+        await releaseLoginAttempt(throttleKey, req.ip);
+
+        await resetTwoFactor(user._id);
+
+        return res.status(200).json({
+            message: "Verificación en dos pasos desactivada"
+        });
+    } catch (err) {
+        return res.status(500).json({
+            message: "Two-factor deactivation failed, server error",
+            error: err.message
+        });
+    }
+};
+
+/**
+ * Controlador para generar nuevos códigos de recuperación (los anteriores dejan de servir).
+ * Exige un código TOTP de la aplicación de autenticación.
+ */
+export const regenerateTwoFactorRecoveryCodes = async (req, res) => {
+    try {
+        const { usuario: user } = req;
+
+        if (!user.twoFactor?.enabled) {
+            return res.status(409).json({
+                message: "No se pudieron generar los códigos de recuperación",
+                error: "La verificación en dos pasos no está activa"
+            });
+        }
+
+        const throttleKey = accountThrottleKey(user);
+        const retryAfter = await reserveLoginAttempt(throttleKey, req.ip);
+        if (retryAfter) {
+            return sendTooManyAttempts(res, retryAfter);
+        }
+
+        if (!(await verifySecondFactor(user, { code: req.body.code }))) {
+            await recordFailedLogin({ identifier: user.email.toLowerCase(), user, reason: "wrong_second_factor", req });
+            return res.status(400).json({
+                message: "No se pudieron generar los códigos de recuperación",
+                error: "El código no es correcto o ya se usó"
+            });
+        }
+
+        await releaseLoginAttempt(throttleKey, req.ip);
+
+        const recoveryCodes = await regenerateRecoveryCodes(user._id);
+
+        return res.status(200).json({
+            message: "Códigos de recuperación generados; los anteriores ya no son válidos",
+            recoveryCodes
+        });
+    } catch (err) {
+        return res.status(500).json({
+            message: "Recovery codes generation failed, server error",
+            error: err.message
+        });
+    }
+};
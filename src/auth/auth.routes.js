@@ -1,6 +1,35 @@
 import { Router } from "express";
-import { register, login } from "./auth.controller.js";
-import { registerValidator, loginValidator } from "../middlewares/user-validators.js";
+import {
+    register,
+    login,
+    refresh,
+    logout,
+    logoutAll,
+    changePassword,
+    forgotPassword,
+    resetPassword,
+    loginTwoFactor,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateTwoFactorRecoveryCodes
+} from "./auth.controller.js";
+import {
+    registerValidator,
+    loginValidator,
+    refreshTokenValidator,
+    logoutValidator,
+    changePasswordValidator,
+    forgotPasswordValidator,
+    resetPasswordValidator,
+    loginTwoFactorValidator,
+    loginTwoFactorSetupValidator,
+    loginTwoFactorEnableValidator,
+    enableTwoFactorValidator,
+    disableTwoFactorValidator,
+    recoveryCodesValidator
+} from "../middlewares/user-validators.js";
+import { validateJWT } from "../middlewares/validate-jwt.js";
 
 /**
  * Crea un nuevo enrutador de Express.
@@ -14,8 +43,11 @@ const router = Router();
  * @swagger
  * /register:
  *   post:
- *     summary: Registra un nuevo usuario
+ *     summary: Registra un nuevo usuario (Permisos user:manage y role:manage)
+ *     description: Registra un usuario con uno o varios roles (ver GET /role). Se acepta "role" con un solo rol por compatibilidad.
  *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -29,6 +61,9 @@ const router = Router();
  *                 type: string
  *               password:
  *                 type: string
+ *               roles:
+ *                 type: string
+ *                 description: Nombres de los roles separados por comas, por ejemplo "EVALUATOR" o "COMPANY_MANAGER,VIEWER"
  *               profilePicture:
  *                 type: string
  *                 format: binary
@@ -45,6 +80,7 @@ router.post("/register", registerValidator, register);
  * /login:
  *   post:
  *     summary: Inicia sesión de un usuario
+ *     description: Tras varios intentos fallidos cada nuevo intento debe esperar un tiempo creciente y luego la cuenta se bloquea temporalmente.
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -59,10 +95,367 @@ router.post("/register", registerValidator, register);
  *                 type: string
  *     responses:
  *       200:
- *         description: Inicio de sesión exitoso
+ *         description: Inicio de sesión exitoso; incluye el token de acceso y el token de refresco. Si el usuario tiene activa la verificación en dos pasos (twoFactorRequired) o su rol la exige (twoFactorSetupRequired), incluye en su lugar un token de desafío (challengeToken)
  *       400:
- *         description: Error en la solicitud
+ *         description: Credenciales inválidas (la respuesta no indica si falló el usuario o la contraseña)
+ *       429:
+ *         description: Demasiados intentos fallidos de la cuenta o de la IP; la cabecera Retry-After indica los segundos de espera
  */
 router.post("/login", loginValidator, login);
 
+/**
+ * @swagger
+ * /login/2fa:
+ *   post:
+ *     summary: Completa el inicio de sesión con el código de verificación en dos pasos
+ *     description: Canjea el token de desafío de POST /login por la sesión, con un código de la aplicación de autenticación o un código de recuperación (cada uno sirve una sola vez).
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [challengeToken]
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               recoveryCode:
+ *                 type: string
+ *                 example: "a1b2c-3d4e5"
+ *     responses:
+ *       200:
+ *         description: Inicio de sesión exitoso; con un código de recuperación incluye cuántos quedan (recoveryCodesLeft)
+ *       400:
+ *         description: Código incorrecto o ya usado
+ *       401:
+ *         description: Token de desafío inválido o vencido
+ *       429:
+ *         description: Demasiados intentos fallidos; la cabecera Retry-After indica los segundos de espera
+ */
+router.post("/login/2fa", loginTwoFactorValidator, loginTwoFactor);
+
+/**
+ * @swagger
+ * /login/2fa/setup:
+ *   post:
+ *     summary: Inicia la activación de la verificación en dos pasos que exige el rol del usuario
+ *     description: Usa el token de desafío de POST /login cuando la respuesta incluye twoFactorSetupRequired. Devuelve el secreto y el URI otpauth:// para mostrarlo como código QR.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [challengeToken]
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Secreto y URI de aprovisionamiento
+ *       401:
+ *         description: Token de desafío inválido o vencido
+ *       409:
+ *         description: La verificación en dos pasos ya está activa
+ */
+router.post("/login/2fa/setup", loginTwoFactorSetupValidator, setupTwoFactor);
+
+/**
+ * @swagger
+ * /login/2fa/enable:
+ *   post:
+ *     summary: Confirma la activación de la verificación en dos pasos y completa el inicio de sesión
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [challengeToken, code]
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Inicio de sesión exitoso; incluye los códigos de recuperación (recoveryCodes), que no vuelven a mostrarse
+ *       400:
+ *         description: Código incorrecto
+ *       401:
+ *         description: Token de desafío inválido o vencido
+ *       409:
+ *         description: No hay una activación en curso
+ */
+router.post("/login/2fa/enable", loginTwoFactorEnableValidator, enableTwoFactor);
+
+/**
+ * @swagger
+ * /refresh:
+ *   post:
+ *     summary: Renueva el token de acceso con un token de refresco
+ *     description: El token de refresco se usa una sola vez y se devuelve uno nuevo. Si se presenta un token ya usado, se cierra toda la sesión.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refreshToken]
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Nuevo token de acceso y nuevo token de refresco
+ *       401:
+ *         description: Token de refresco inválido, vencido, revocado o reutilizado
+ */
+router.post("/refresh", refreshTokenValidator, refresh);
+
+/**
+ * @swagger
+ * /logout:
+ *   post:
+ *     summary: Cierra la sesión de un token de refresco
+ *     description: Con "all" en true se cierran todas las sesiones del usuario. Los tokens de acceso de las sesiones cerradas dejan de ser válidos.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refreshToken]
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *               all:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Sesión cerrada
+ *       400:
+ *         description: Error en la solicitud
+ */
+router.post("/logout", logoutValidator, logout);
+
+/**
+ * @swagger
+ * /logout-all:
+ *   post:
+ *     summary: Cierra todas las sesiones del usuario autenticado, en todos los dispositivos
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sesiones cerradas
+ *       401:
+ *         description: Token inválido, vencido o de una sesión cerrada
+ */
+router.post("/logout-all", validateJWT, logoutAll);
+
+/**
+ * @swagger
+ * /password:
+ *   put:
+ *     summary: Cambia la contraseña del usuario autenticado
+ *     description: Exige la contraseña actual. Se cierran las demás sesiones del usuario; la sesión actual se conserva.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [currentPassword, newPassword]
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 description: Mínimo 8 caracteres, una mayúscula, una minúscula, un número y un símbolo
+ *     responses:
+ *       200:
+ *         description: Contraseña actualizada
+ *       400:
+ *         description: La contraseña actual no es correcta o la nueva no cumple los requisitos
+ *       429:
+ *         description: Cuenta bloqueada por intentos fallidos; la cabecera Retry-After indica los segundos de espera
+ */
+router.put("/password", changePasswordValidator, changePassword);
+
+/**
+ * @swagger
+ * /forgot-password:
+ *   post:
+ *     summary: Solicita un enlace para restablecer la contraseña
+ *     description: Si el email pertenece a un usuario activo, se le envía un enlace de un solo uso que vence en 30 minutos. La respuesta no indica si el email está registrado.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Solicitud recibida
+ *       400:
+ *         description: Error en la solicitud
+ */
+router.post("/forgot-password", forgotPasswordValidator, forgotPassword);
+
+/**
+ * @swagger
+ * /reset-password:
+ *   post:
+ *     summary: Restablece la contraseña con el token recibido por correo
+ *     description: El token se usa una sola vez. Se cierran todas las sesiones del usuario y se desbloquea su cuenta.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token, newPassword]
+ *             properties:
+ *               token:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Contraseña restablecida
+ *       400:
+ *         description: Token inválido, vencido o ya usado, o contraseña que no cumple los requisitos
+ */
+router.post("/reset-password", resetPasswordValidator, resetPassword);
+
+/**
+ * @swagger
+ * /2fa/setup:
+ *   post:
+ *     summary: Inicia la activación de la verificación en dos pasos del usuario autenticado
+ *     description: Devuelve el secreto y el URI otpauth:// para mostrarlo como código QR; se confirma con POST /2fa/enable.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secreto y URI de aprovisionamiento
+ *       409:
+ *         description: La verificación en dos pasos ya está activa
+ */
+router.post("/2fa/setup", validateJWT, setupTwoFactor);
+
+/**
+ * @swagger
+ * /2fa/enable:
+ *   post:
+ *     summary: Confirma la activación de la verificación en dos pasos con un código de la aplicación
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Verificación activada; incluye los códigos de recuperación (recoveryCodes), que no vuelven a mostrarse
+ *       400:
+ *         description: Código incorrecto
+ *       409:
+ *         description: No hay una activación en curso
+ */
+router.post("/2fa/enable", enableTwoFactorValidator, enableTwoFactor);
+
+/**
+ * @swagger
+ * /2fa/disable:
+ *   post:
+ *     summary: Desactiva la verificación en dos pasos del usuario autenticado
+ *     description: Exige la contraseña y un código de la aplicación o de recuperación. No se permite si el rol del usuario la exige.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [password]
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Verificación en dos pasos desactivada
+ *       400:
+ *         description: Contraseña o código incorrectos
+ *       409:
+ *         description: No está activa o el rol del usuario la exige
+ *       429:
+ *         description: Demasiados intentos fallidos
+ */
+router.post("/2fa/disable", disableTwoFactorValidator, disableTwoFactor);
+
+/**
+ * @swagger
+ * /2fa/recovery-codes:
+ *   post:
+ *     summary: Genera nuevos códigos de recuperación
+ *     description: Exige un código de la aplicación de autenticación. Los códigos anteriores dejan de servir.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Códigos de recuperación nuevos, que no vuelven a mostrarse
+ *       400:
+ *         description: Código incorrecto
+ *       409:
+ *         description: La verificación en dos pasos no está activa
+ *       429:
+ *         description: Demasiados intentos fallidos
+ */
+router.post("/2fa/recovery-codes", recoveryCodesValidator, regenerateTwoFactorRecoveryCodes);
+
 export default router;
\ No newline at end of file
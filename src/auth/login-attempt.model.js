@@ -0,0 +1,45 @@
+import { Schema, model } from "mongoose";
+
+/**
+ * Motivos de un inicio de sesión fallido. Solo quedan en la auditoría: al cliente siempre se le responde lo mismo.
+ * "throttled": se rechazó sin comprobar la contraseña porque la cuenta o la IP estaban en espera o bloqueadas.
+ * "wrong_second_factor": la contraseña era correcta pero el código de verificación en dos pasos no.
+ */
+export const LOGIN_FAILURE_REASONS = ["unknown_user", "wrong_password", "user_disabled", "throttled", "wrong_second_factor"];
+
+const LoginAttemptSchema = new Schema(
+  {
+    identifier: {
+      type: String,
+      required: true, // Email o username enviado, en minúsculas
+    },
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null, // null si no existe una cuenta con ese email o username
+    },
+    reason: {
+      type: String,
+      enum: LOGIN_FAILURE_REASONS,
+      required: true,
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+  }
+);
+
+// Consulta de los intentos fallidos de un usuario o de una IP
+LoginAttemptSchema.index({ user: 1, createdAt: -1 });
+LoginAttemptSchema.index({ ip: 1, createdAt: -1 });
+// MongoDB elimina los registros después de 90 días
+LoginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+export default model("LoginAttempt", LoginAttemptSchema);
@@ -0,0 +1,37 @@
+import { Schema, model } from "mongoose";
+
+/**
+ * Contador de inicios de sesión fallidos de una cuenta o de una IP (ver helpers/login-protection.js).
+ */
+const LoginThrottleSchema = new Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true, // "user:<id>", "login:<email o username>" (cuentas que no existen) o "ip:<dirección>"
+    },
+    failures: {
+      type: Number,
+      default: 0, // Intentos fallidos consecutivos dentro de la ventana de tiempo
+    },
+    lastFailureAt: {
+      type: Date,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null, // Hasta cuándo se rechazan los intentos (espera progresiva o bloqueo temporal)
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    versionKey: false,
+  }
+);
+
+// MongoDB elimina los contadores cuando ya no bloquean ni cuentan para la ventana de intentos
+LoginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default model("LoginThrottle", LoginThrottleSchema);
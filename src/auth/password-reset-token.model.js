@@ -0,0 +1,38 @@
+import { Schema, model } from "mongoose";
+
+const PasswordResetTokenSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true, // SHA-256 del token; el token en claro solo viaja en el correo
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null, // Cada token se usa una sola vez
+    },
+    ip: {
+      type: String, // IP desde la que se solicitó
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// Tokens pendientes de un usuario (se invalidan al solicitar uno nuevo)
+PasswordResetTokenSchema.index({ user: 1, usedAt: 1 });
+// MongoDB elimina los tokens vencidos
+PasswordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default model("PasswordResetToken", PasswordResetTokenSchema);
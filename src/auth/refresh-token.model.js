@@ -0,0 +1,62 @@
+import { Schema, model } from "mongoose";
+
+/**
+ * Motivos por los que se revoca un token de refresco.
+ * "rotated": se usó para obtener uno nuevo; volver a presentarlo se considera una reutilización.
+ */
+export const REVOCATION_REASONS = ["rotated", "logout", "logout_all", "reuse", "user_disabled", "password_changed", "two_factor_reset"];
+
+const RefreshTokenSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    family: {
+      type: String,
+      required: true, // Sesión a la que pertenece: todos los tokens obtenidos por rotación desde un mismo inicio de sesión
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true, // SHA-256 del token; el token en claro solo lo conoce el cliente
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: [...REVOCATION_REASONS, null],
+      default: null,
+    },
+    replacedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "RefreshToken", // Token emitido al rotar este
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true, // Añade automáticamente "createdAt" y "updatedAt"
+    versionKey: false,
+  }
+);
+
+// Comprobación de la sesión en cada solicitud autenticada (validateJWT)
+RefreshTokenSchema.index({ family: 1, revokedAt: 1 });
+// Cierre de todas las sesiones de un usuario
+RefreshTokenSchema.index({ user: 1, revokedAt: 1 });
+// MongoDB elimina los tokens vencidos; mientras tanto se conservan los revocados para detectar su reutilización
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default model("RefreshToken", RefreshTokenSchema);
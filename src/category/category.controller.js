@@ -0,0 +1,258 @@
+import Category from "./category.model.js";
+import Company from "../company/company.model.js";
+import { slugify } from "../helpers/slugify.js";
+
+/**
+ * Arma el árbol de categorías a partir de la lista plana.
+ * @param {Array<object>} categories - Categorías (objetos planos) con "_id" y "parent".
+ * @returns {Array<object>} Categorías de primer nivel, cada una con sus subcategorías en "children".
+ */
+const buildCategoryTree = (categories) => {
+  const nodes = new Map(categories.map((category) => [String(category._id), { ...category, children: [] }]));
+  const roots = [];
+  nodes.forEach((node) => {
+    const parent = node.parent && nodes.get(String(node.parent));
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  });
+  return roots;
+};
+
+/**
+ * Registra una nueva categoría en el catálogo.
+ *
+ * @function createCategory
+ * @async
+ * @description Crea una categoría con su nombre, descripción y, opcionalmente, una categoría padre para formar
+ *              subcategorías. Si no se envía "slug", se genera a partir del nombre (sin acentos ni mayúsculas).
+ *
+ * @param {object} req - Objeto de solicitud Express.
+ * @param {string} req.body.name - Nombre de la categoría.
+ * @param {string} [req.body.slug] - Identificador para URLs y filtros.
+ * @param {string} [req.body.description] - Descripción de la categoría.
+ * @param {string} [req.body.parent] - ID de la categoría padre.
+ * @param {object} req.usuario - Usuario autenticado que registra la categoría.
+ * @param {object} res - Objeto de respuesta Express.
+ *
+ * @returns {Promise<object>} Respuesta HTTP en formato JSON con la categoría creada.
+ *
+ * @example
+ * // Solicitud POST a /coperex/v1/category con body { "name": "Energía Solar", "parent": "66f1..." }
+ * {
+ *   success: true,
+ *   category: { _id: "66f2...", name: "Energía Solar", slug: "energia-solar", parent: "66f1...", ... }
+ * }
+ */
+export const createCategory = async (req, res) => {
+  try {
+    const { name, slug, description, parent } = req.body;
+
+    const category = await Category.create({
+      name,
+      slug: slug ? slugify(slug) : undefined,
+      description,
+      parent: parent || null,
+      createdBy: req.usuario._id,
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: "Categoría registrada exitosamente",
+      category,
+    });
+  } catch (err) {
+    return res.status(500).json({
+      success: false,
+      message: "Error al registrar la categoría",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Lista las categorías activas del catálogo.
+ *
+ * @function getCategories
+ * @async
+ * @description Devuelve las categorías ordenadas por nombre junto con el número de empresas activas de cada una.
+ *              Con tree=true se devuelven anidadas (cada categoría con sus subcategorías en "children");
+ *              con "parent" (ID o slug) solo se devuelven las subcategorías directas de esa categoría.
+ *
+ * @param {object} req - Objeto de solicitud Express.
+ * @param {string} [req.query.tree="false"] - Si es "true", devuelve el árbol de categorías.
+ * @param {string} [req.query.parent] - ID o slug de la categoría padre.
+ * @param {object} res - Objeto de respuesta Express.
+ *
+ * @returns {Promise<object>} Respuesta HTTP en formato JSON con el total y las categorías.
+ */
+export const getCategories = async (req, res) => {
+  try {
+    const { tree, parent } = req.query;
+
+    const query = { status: true };
+    if (parent) {
+      query.parent = (await Category.findByReference(parent))._id;
+    }
+
+    const [categories, counts] = await Promise.all([
+      Category.find(query).sort({ name: 1 }).lean(),
+      Company.aggregate([{ $match: { status: true } }, { $group: { _id: "$category", count: { $sum: 1 } } }]),
+    ]);
+    const companiesByCategory = new Map(counts.map(({ _id, count }) => [String(_id), count]));
+    const withCounts = categories.map((category) => ({
+      ...category,
+      companies: companiesByCategory.get(String(category._id)) ?? 0,
+    }));
+
+    return res.status(200).json({
+      success: true,
+      total: categories.length,
+      categories: tree === "true" && !parent ? buildCategoryTree(withCounts) : withCounts,
+    });
+  } catch (err) {
+    return res.status(500).json({
+      success: false,
+      message: "Error al obtener las categorías",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Obtiene una categoría por su ID o su slug, con su categoría padre y sus subcategorías directas.
+ *
+ * @function getCategory
+ * @async
+ * @param {object} req - Objeto de solicitud Express.
+ * @param {string} req.params.ref - ID o slug de la categoría.
+ * @param {object} res - Objeto de respuesta Express.
+ *
+ * @returns {Promise<object>} Respuesta HTTP en formato JSON con la categoría.
+ */
+export const getCategory = async (req, res) => {
+  try {
+    const category = await Category.findByReference(req.params.ref).populate("parent", "name slug");
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: "Categoría no encontrada",
+      });
+    }
+
+    const [children, companies] = await Promise.all([
+      Category.find({ parent: category._id, status: true }).select("name slug").sort({ name: 1 }),
+      Company.countDocuments({ category: category._id, status: true }),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      category: { ...category.toObject(), children, companies },
+    });
+  } catch (err) {
+    return res.status(500).json({
+      success: false,
+      message: "Error al obtener la categoría",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Actualiza una categoría del catálogo.
+ *
+ * @function updateCategory
+ * @async
+ * @description Permite cambiar el nombre, el slug, la descripción y la categoría padre ("parent": null la convierte
+ *              en categoría de primer nivel). El slug no cambia al renombrar, para no romper enlaces ni filtros guardados,
+ *              salvo que se envíe uno nuevo. Al renombrar se actualiza el nombre copiado en las empresas de la categoría.
+ *
+ * @param {object} req - Objeto de solicitud Express.
+ * @param {string} req.params.id - ID de la categoría.
+ * @param {object} req.body - Campos a actualizar.
+ * @param {object} res - Objeto de respuesta Express.
+ *
+ * @returns {Promise<object>} Respuesta HTTP en formato JSON con la categoría actualizada.
+ */
+export const updateCategory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, slug, description, parent } = req.body;
+
+    const data = {};
+    if (name !== undefined) data.name = name;
+    if (slug !== undefined) data.slug = slugify(slug);
+    if (description !== undefined) data.description = description;
+    if (parent !== undefined) data.parent = parent || null;
+
+    const category = await Category.findByIdAndUpdate(id, data, { new: true, runValidators: true });
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: "Categoría no encontrada para actualizar",
+      });
+    }
+
+    if (name !== undefined) {
+      await Company.updateMany({ category: category._id }, { categoryName: category.name });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Categoría actualizada exitosamente",
+      category,
+    });
+  } catch (err) {
+    return res.status(500).json({
+      success: false,
+      message: "Error al actualizar la categoría",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Elimina (lógicamente) una categoría del catálogo.
+ *
+ * @function deleteCategory
+ * @async
+ * @description Cambia el "status" de la categoría a false. No se permite eliminar una categoría que tenga
+ *              subcategorías activas o empresas activas asignadas: primero deben reasignarse (409).
+ *
+ * @param {object} req - Objeto de solicitud Express.
+ * @param {string} req.params.id - ID de la categoría.
+ * @param {object} res - Objeto de respuesta Express.
+ *
+ * @returns {Promise<object>} Respuesta HTTP en formato JSON con la categoría eliminada.
+ */
+export const deleteCategory = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const [children, companies] = await Promise.all([
+      Category.countDocuments({ parent: id, status: true }),
+      Company.countDocuments({ category: id, status: true }),
+    ]);
+    if (children || companies) {
+      return res.status(409).json({
+        success: false,
+        message: "La categoría tiene subcategorías o empresas activas; reasígnelas antes de eliminarla",
+        children,
+        companies,
+      });
+    }
+
+    const category = await Category.findByIdAndUpdate(id, { status: false }, { new: true });
+
+    return res.status(200).json({
+      success: true,
+      message: "Categoría eliminada exitosamente",
+      category,
+    });
+  } catch (err) {
+    return res.status(500).json({
+      success: false,
+      message: "Error al eliminar la categoría",
+      error: err.message,
+    });
+  }
+};
@@ -0,0 +1,83 @@
+import { Schema, Types, model } from "mongoose";
+import { slugify } from "../helpers/slugify.js";
+
+const CategorySchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "El nombre de la categoría es obligatorio"],
+      trim: true,
+      unique: true,
+    },
+    slug: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+      unique: true, // Identificador legible usado en los filtros, por ejemplo "tecnologia"
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    parent: {
+      type: Schema.Types.ObjectId,
+      ref: "Category", // Categoría padre; null en las categorías de primer nivel
+      default: null,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    status: {
+      type: Boolean,
+      default: true, // Las categorías eliminadas se conservan para no romper las empresas que las usaron
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// Si no se envía un slug, se genera a partir del nombre
+CategorySchema.pre("validate", function (next) {
+  if (!this.slug && this.name) {
+    this.slug = slugify(this.name);
+  }
+  next();
+});
+
+CategorySchema.index({ parent: 1, status: 1 });
+
+/**
+ * Obtiene los IDs de una categoría y de todas sus subcategorías activas, a cualquier profundidad.
+ * @param {import("mongoose").Types.ObjectId|string} id - ID de la categoría raíz.
+ * @returns {Promise<Array<import("mongoose").Types.ObjectId>>} IDs de la categoría y sus descendientes.
+ */
+CategorySchema.statics.descendantIds = async function (id) {
+  const rootId = new Types.ObjectId(String(id));
+  const ids = [rootId];
+  let level = [rootId];
+  while (level.length) {
+    const children = await this.find({ parent: { $in: level }, status: true }).select("_id");
+    level = children.map(({ _id }) => _id).filter((childId) => !ids.some((known) => known.equals(childId)));
+    ids.push(...level);
+  }
+  return ids;
+};
+
+/**
+ * Busca una categoría activa por su ID, su slug o su nombre (sin distinguir mayúsculas ni acentos).
+ * @param {string} value - ID, slug o nombre de la categoría.
+ * @returns {Promise<object|null>} Documento de la categoría o null si no existe.
+ */
+CategorySchema.statics.findByReference = function (value) {
+  const reference = String(value ?? "").trim();
+  if (!reference) return Promise.resolve(null);
+  const conditions = [{ slug: slugify(reference) }];
+  if (/^[0-9a-f]{24}$/i.test(reference)) conditions.unshift({ _id: reference });
+  return this.findOne({ $or: conditions, status: true });
+};
+
+export default model("Category", CategorySchema);
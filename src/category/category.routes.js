@@ -0,0 +1,156 @@
+import { Router } from "express";
+import { createCategory, getCategories, getCategory, updateCategory, deleteCategory } from "./category.controller.js";
+import {
+  createCategoryValidator,
+  getCategoriesValidator,
+  getCategoryValidator,
+  updateCategoryValidator,
+  deleteCategoryValidator,
+} from "../middlewares/category-validators.js";
+import { validateJWT } from "../middlewares/validate-jwt.js";
+import { requirePermission } from "../middlewares/validate-roles.js";
+
+const router = Router();
+
+/**
+ * @swagger
+ * /category:
+ *   post:
+ *     summary: Registrar una categoría en el catálogo (Permiso category:manage)
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               slug:
+ *                 type: string
+ *                 description: Se genera a partir del nombre si no se envía
+ *               description:
+ *                 type: string
+ *               parent:
+ *                 type: string
+ *                 description: ID de la categoría padre
+ *     responses:
+ *       201:
+ *         description: Categoría creada exitosamente
+ *       400:
+ *         description: Error en la solicitud
+ */
+router.post("/", validateJWT, requirePermission("category:manage"), createCategoryValidator, createCategory);
+
+/**
+ * @swagger
+ * /category:
+ *   get:
+ *     summary: Listar las categorías activas con su número de empresas
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: tree
+ *         schema:
+ *           type: boolean
+ *         description: Devuelve las categorías anidadas con sus subcategorías
+ *       - in: query
+ *         name: parent
+ *         schema:
+ *           type: string
+ *         description: ID o slug de la categoría padre; solo devuelve sus subcategorías directas
+ *     responses:
+ *       200:
+ *         description: Lista de categorías
+ */
+router.get("/", validateJWT, getCategoriesValidator, getCategories);
+
+/**
+ * @swagger
+ * /category/{ref}:
+ *   get:
+ *     summary: Obtener una categoría por su ID o slug
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ref
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Categoría con sus subcategorías y su número de empresas
+ *       400:
+ *         description: La categoría no existe
+ */
+router.get("/:ref", validateJWT, getCategoryValidator, getCategory);
+
+/**
+ * @swagger
+ * /category/{id}:
+ *   put:
+ *     summary: Actualizar una categoría (Permiso category:manage)
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               slug:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               parent:
+ *                 type: string
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Categoría actualizada
+ *       400:
+ *         description: Error en la solicitud
+ */
+router.put("/:id", validateJWT, requirePermission("category:manage"), updateCategoryValidator, updateCategory);
+
+/**
+ * @swagger
+ * /category/{id}:
+ *   delete:
+ *     summary: Eliminar una categoría sin empresas ni subcategorías activas (Permiso category:manage)
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Categoría eliminada
+ *       409:
+ *         description: La categoría tiene subcategorías o empresas activas
+ */
+router.delete("/:id", validateJWT, requirePermission("category:manage"), deleteCategoryValidator, deleteCategory);
+
+export default router;
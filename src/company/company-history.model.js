@@ -0,0 +1,67 @@
+import { Schema, model } from "mongoose";
+
+const ChangeSchema = new Schema(
+  {
+    field: {
+      type: String,
+      required: true,
+    },
+    from: {
+      type: Schema.Types.Mixed, // Valor anterior; null si el campo no existía
+    },
+    to: {
+      type: Schema.Types.Mixed, // Valor nuevo; null si el campo se eliminó
+    },
+  },
+  { _id: false }
+);
+
+const CompanyHistorySchema = new Schema(
+  {
+    company: {
+      type: Schema.Types.ObjectId,
+      ref: "Company",
+      required: true,
+    },
+    version: {
+      type: Number,
+      required: true, // Número consecutivo de la versión de la empresa, empezando en 1 al registrarla
+    },
+    action: {
+      type: String,
+      // "baseline" guarda el estado de una empresa registrada antes de existir el historial;
+      // "evaluate" registra el cambio de puntaje y de nivel de impacto por una evaluación
+      // y "transition" el cambio de estado del registro; "merge" se registra en las dos empresas de una fusión
+      enum: ["baseline", "create", "import", "update", "deactivate", "restore", "revert", "evaluate", "transition", "merge"],
+      required: true,
+    },
+    changes: {
+      type: [ChangeSchema],
+      default: [], // Diferencias campo por campo respecto a la versión anterior
+    },
+    snapshot: {
+      type: Object,
+      required: true, // Estado completo de los campos auditados después del cambio, usado para revertir
+    },
+    performedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true, // Usuario (req.usuario) que realizó el cambio
+    },
+    revertedTo: {
+      type: Number, // Versión restaurada, solo en la acción "revert"
+    },
+    reason: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }, // Los registros del historial no se modifican
+    versionKey: false,
+  }
+);
+
+CompanyHistorySchema.index({ company: 1, version: -1 }, { unique: true });
+
+export default model("CompanyHistory", CompanyHistorySchema);
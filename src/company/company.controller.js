@@ -1,12 +1,34 @@
 // Importaciones necesarias:
 // - Company: modelo de Mongoose que representa a las empresas en la base de datos.
-// - ExcelJS: librería para la generación y manipulación de archivos Excel.
-// - path: módulo de Node.js para trabajar con rutas de archivos.
-// - fs: módulo de Node.js para interactuar con el sistema de archivos.
-import Company from "./company.model.js";
-import ExcelJS from "exceljs";
-import path from "path";
-import fs from "fs";
+// - resolveCompanyQuery / buildCompanySort: filtros, búsqueda y ordenación compartidos por el listado y el reporte.
+// - describeCompanyFilters: descripción legible de los filtros aplicados, para el encabezado del reporte.
+// - company-import: lee y valida las hojas de cálculo de importación masiva.
+// - company-report: escribe en streaming el reporte en Excel (detalle y hojas de resumen), CSV, NDJSON o PDF con las mismas columnas.
+// - company-stats: agrega las estadísticas del tablero (impacto, categoría, trayectoria, registros por mes y creadores).
+// - company-lifecycle: estados del registro (enviada, en revisión, aprobada, rechazada, retirada) y sus transiciones.
+// - file-storage: adaptador de almacenamiento de los archivos adjuntos (por defecto, el disco local).
+// - company-duplicates: detecta empresas que probablemente son la misma (NIT, nombre normalizado o similar) y las fusiona.
+// - company-history: registra cada cambio de una empresa (diferencias, usuario y fecha) para consultarlo o revertirlo.
+import Company, { COMPANY_MUTABLE_FIELDS } from "./company.model.js";
+import CompanyHistory from "./company-history.model.js";
+import { resolveCompanyQuery, buildCompanySort, describeCompanyFilters } from "../helpers/company-filters.js";
+import { parseCompaniesFile, validateImportRow } from "../helpers/company-import.js";
+import {
+  prepareReportQuery,
+  negotiateReportFormat,
+  REPORT_FORMATS,
+  REPORT_WRITERS,
+} from "../helpers/company-report.js";
+import { getCompanyStats as aggregateCompanyStats } from "../helpers/company-stats.js";
+import { canTransition, transitionErrorMessage, REGISTRATION_TRANSITIONS, INITIAL_REGISTRATION_STATE } from "../helpers/company-lifecycle.js";
+import { recordCompanyChange, recordImportedCompanies, REVERTIBLE_COMPANY_FIELDS } from "../helpers/company-history.js";
+import { etagFor, versionedFilter, matchesIfMatch, currentVersionFilter } from "../helpers/versioning.js";
+import { resolvePatch, validatePatchedFields } from "../helpers/json-patch.js";
+import { prepareCursorPage, buildCursorPage, setPaginationLinks } from "../helpers/cursor-pagination.js";
+import { getStorage, buildStorageKey } from "../helpers/file-storage.js";
+import { findLikelyDuplicates, isDuplicateKeyError, mergeCompanyFields, mergeEvaluations } from "../helpers/company-duplicates.js";
+import { refreshCompanyScore } from "../helpers/company-scoring.js";
+import { companyUpdateRules } from "../middlewares/company-validators.js";
 
 /**
  * Obtiene una empresa específica según su ID.
@@ -16,6 +38,7 @@ import fs from "fs";
  * @description Este controlador busca en la base de datos una empresa utilizando el ID proporcionado en la URL (req.params.id). 
  *              Además, realiza un "populate" en el campo "createdBy" para obtener datos básicos (nombre y email) del usuario que creó la empresa.
  *              Si la empresa no es encontrada, responde con un error 404. Si ocurre algún error en el proceso, responde con un error 500.
+ *              La versión del documento se envía en la cabecera ETag, para usarla en If-Match al actualizar.
  *
  * @param {object} req - Objeto de solicitud Express.
  * @param {object} req.params - Parámetros de la ruta.
@@ -33,8 +56,10 @@ import fs from "fs";
  *     name: "Nombre de la Empresa",
  *     description: "Descripción de la empresa",
  *     levelImpact: "Medio",
+ *     foundingYear: 2015,
  *     yearsTrajectory: 10,
- *     category: "Tecnología",
+ *     category: { _id: "66f1...", name: "Tecnología", slug: "tecnologia", parent: null },
+ *     categoryName: "Tecnología",
  *     createdBy: {
  *       name: "Admin",
  *       email: "admin@example.com"
@@ -49,7 +74,7 @@ export const getCompanyById = async (req, res) => {
 
     // Realiza la búsqueda de la empresa por su ID y "popula" el campo "createdBy"
     // para obtener únicamente los campos "name" y "email" del usuario que la creó.
-    const company = await Company.findById(id).populate("createdBy", "name email");
+    const company = await Company.findById(id).populate("createdBy", "name email").populate("category", "name slug parent");
 
     // Si la empresa no existe, se retorna un error 404 con un mensaje informativo.
     if (!company) {
@@ -59,7 +84,8 @@ export const getCompanyById = async (req, res) => {
       });
     }
 
-    // Si la empresa fue encontrada, se retorna con estado 200 y la información de la empresa.
+    // Si la empresa fue encontrada, se retorna con estado 200, su versión en ETag y la información de la empresa.
+    res.set("ETag", etagFor(company));
     return res.status(200).json({
       success: true,
       company,
@@ -81,148 +107,1194 @@ export const getCompanyById = async (req, res) => {
  * @async
  * @description Este controlador obtiene de la base de datos un listado de empresas que se encuentren activas (status: true). 
  *              Permite filtrar los resultados por:
- *                - Años de trayectoria mínimo y máximo (minYears y maxYears)
- *                - Categoría
- *              También permite la paginación y la ordenación alfabética (ascendente o descendente) según el nombre de la empresa.
+ *                - Años de trayectoria mínimo y máximo (minYears y maxYears), traducidos a un rango sobre "foundingYear"
+ *                - Categoría, por slug o ID, incluyendo sus subcategorías
+ *                - Nivel de impacto
+ *                - Texto en el nombre o la descripción (q), sin distinguir acentos y ordenado por relevancia
+ *              También permite la paginación y la ordenación por nombre (A-Z / Z-A), años de trayectoria, categoría,
+ *              año de fundación o fecha de registro, incluyendo ordenaciones compuestas por varios campos.
+ *              La paginación puede hacerse por cursor: la respuesta incluye "nextCursor" y "prevCursor" (y la cabecera
+ *              Link con los enlaces "first", "next" y "prev"), que se envían en "cursor" para pedir la página
+ *              siguiente o anterior con el mismo orden. "desde" se sigue aceptando para la paginación por posición.
  *              Se ejecutan dos consultas en paralelo para obtener el total de documentos que coinciden y los documentos filtrados.
  *
  * @param {object} req - Objeto de solicitud Express.
  * @param {object} req.query - Parámetros de consulta.
  * @param {number} [req.query.limite=10] - Límite de empresas a mostrar por página.
  * @param {number} [req.query.desde=0] - Índice desde el cual comenzar la paginación.
- * @param {string} [req.query.order="asc"] - Orden de la lista ("asc" para ascendente, "desc" para descendente).
+ * @param {string} [req.query.cursor] - Cursor de una respuesta anterior ("nextCursor" o "prevCursor"); tiene prioridad sobre "desde".
+ * @param {string} [req.query.order="asc"] - Orden por nombre cuando no se indica "sort" ("asc"/"A-Z" o "desc"/"Z-A").
+ * @param {string} [req.query.sort] - Campos de ordenación separados por comas; el prefijo "-" indica orden descendente
+ *                                    (por ejemplo "category,-yearsTrajectory,name").
  * @param {number} [req.query.minYears] - Valor mínimo de años de trayectoria para filtrar.
  * @param {number} [req.query.maxYears] - Valor máximo de años de trayectoria para filtrar.
- * @param {string} [req.query.category] - Categoría por la cual filtrar las empresas.
+ * @param {string} [req.query.category] - Slug o ID de la categoría por la cual filtrar las empresas (incluye sus subcategorías).
+ * @param {string} [req.query.levelImpact] - Nivel de impacto por el cual filtrar las empresas.
+ * @param {string} [req.query.q] - Texto a buscar en el nombre y la descripción ("tecnologia" encuentra "Tecnología").
  * @param {object} res - Objeto de respuesta Express.
  *
  * @returns {Promise<object>} Respuesta HTTP en formato JSON con el total de empresas y el listado de empresas.
  *
  * @example
- * // Solicitud GET a /api/v1/companies?limite=5&desde=0&order=asc&minYears=5 devolverá:
+ * // Solicitud GET a /api/v1/companies?limite=5&desde=0&sort=-yearsTrajectory,name&minYears=5 devolverá:
  * {
  *   success: true,
  *   total: 12,
- *   companies: [ { ... }, { ... }, ... ]
+ *   companies: [ { ... }, { ... }, ... ],
+ *   nextCursor: "eyJzIjoiZm91bmRpbmdZZWFyOjEsbmFtZTox...",
+ *   prevCursor: null
  * }
  */
 export const getCompanies = async (req, res) => {
   try {
     // Extrae los parámetros de consulta con valores por defecto
-    const { limite = 10, desde = 0, order = "asc", minYears, maxYears, category } = req.query;
+    const { limite = 10, desde = 0, cursor, order, sort } = req.query;
 
-    // Inicializa el objeto de consulta para MongoDB.
-    // Se filtran únicamente las empresas activas (status: true).
-    const query = { status: true };
+    // Construye el objeto de consulta para MongoDB con las empresas activas (status: true),
+    // los filtros de trayectoria, categoría y nivel de impacto, y la búsqueda por texto "q".
+    const { query, relevance } = await resolveCompanyQuery(req.query);
 
-    // Si se especifica un filtro para años de trayectoria, se agrega al query.
-    // Se verifica si existen los parámetros minYears o maxYears.
-    if (minYears || maxYears) {
-      query.yearsTrajectory = {};
-      if (minYears) query.yearsTrajectory.$gte = Number(minYears);
-      if (maxYears) query.yearsTrajectory.$lte = Number(maxYears);
+    // Determina el orden de la consulta a partir de "sort", de "order" sobre el nombre o, en una búsqueda, de la relevancia.
+    const sortStage = buildCompanySort(sort, order, relevance);
+
+    // Con "cursor", la página se obtiene a partir de los valores de ordenación del cursor; sin él, desde "desde".
+    let pageQuery;
+    try {
+      pageQuery = prepareCursorPage({ query, sort: sortStage, limit: Number(limite), cursor, desde });
+    } catch (err) {
+      if (!err.status) throw err;
+      return res.status(err.status).json({
+        success: false,
+        message: err.message,
+      });
+    }
+
+    // Se ejecutan dos consultas en paralelo:
+    // 1. Conteo total de empresas que cumplen el filtro.
+    // 2. Consulta que obtiene la lista de empresas filtradas, ordenadas y paginadas.
+    const [total, docs] = await Promise.all([
+      Company.countDocuments(query),
+      Company.find(pageQuery.filter)
+        // En una búsqueda por texto se incluye la puntuación de relevancia de cada empresa ("relevance").
+        // La línea de tiempo de estados se omite del listado; se consulta en /:id/transitions.
+        .select(relevance ? { stateTransitions: 0, relevance: { $meta: "textScore" } } : { stateTransitions: 0 })
+        .sort(pageQuery.sort)
+        .skip(pageQuery.skip)
+        .limit(pageQuery.limit)
+        // Se realiza el "populate" para obtener los campos "name" y "email" del usuario creador y los datos de la categoría.
+        .populate("createdBy", "name email")
+        .populate("category", "name slug parent"),
+    ]);
+
+    const { items: companies, nextCursor, prevCursor } = buildCursorPage(docs, pageQuery.page);
+    setPaginationLinks(req, res, { nextCursor, prevCursor });
+
+    // Se retorna la respuesta exitosa con el total, el listado de empresas y los cursores de las páginas vecinas.
+    return res.status(200).json({
+      success: true,
+      total,
+      companies,
+      nextCursor,
+      prevCursor,
+    });
+  } catch (err) {
+    // Si ocurre un error, se captura y se retorna con un código 500 y un mensaje informativo.
+    return res.status(500).json({
+      success: false,
+      message: "Error al obtener las empresas",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Obtiene las estadísticas de las empresas para el tablero de administración.
+ *
+ * @function getCompanyStats
+ * @async
+ * @description Este controlador calcula en MongoDB, con una sola agregación, los datos que el tablero obtenía
+ *              recorriendo el listado completo:
+ *                - conteo por nivel de impacto y por categoría;
+ *                - promedio, mínimo, máximo y distribución por rangos de los años de trayectoria;
+ *                - registros por mes según "createdAt" (en UTC, con los meses sin registros en 0);
+ *                - administradores que más empresas registraron ("createdBy").
+ *              Acepta los mismos filtros que el listado (categoría, nivel de impacto, trayectoria y búsqueda "q").
+ *
+ * @param {object} req - Objeto de solicitud Express.
+ * @param {object} req.query - Los mismos filtros que getCompanies.
+ * @param {number} [req.query.top=5] - Cantidad de administradores a incluir en "topCreators".
+ * @param {object} res - Objeto de respuesta Express.
+ *
+ * @returns {Promise<object>} Respuesta HTTP en formato JSON con las estadísticas o un mensaje de error.
+ *
+ * @example
+ * // Solicitud GET a /coperex/v1/company/stats?levelImpact=Alto devolverá:
+ * {
+ *   success: true,
+ *   stats: {
+ *     total: 12,
+ *     byLevelImpact: [{ levelImpact: "Bajo", count: 0 }, { levelImpact: "Medio", count: 0 }, { levelImpact: "Alto", count: 12 }],
+ *     byCategory: [{ category: { _id: "66f1...", name: "Tecnología" }, count: 7 }, ...],
+ *     trajectory: { average: 8.4, min: 1, max: 25, distribution: [{ label: "0-5 años", min: 0, max: 5, count: 4 }, ...] },
+ *     registrationsPerMonth: [{ month: "2025-01", count: 3 }, { month: "2025-02", count: 0 }, ...],
+ *     topCreators: [{ user: { _id: "608d...", name: "Admin", email: "admin@example.com" }, userId: "608d...", count: 9 }]
+ *   }
+ * }
+ */
+export const getCompanyStats = async (req, res) => {
+  try {
+    const { query } = await resolveCompanyQuery(req.query);
+    const stats = await aggregateCompanyStats(query, { top: Number(req.query.top ?? 5) });
+
+    return res.status(200).json({
+      success: true,
+      stats,
+    });
+  } catch (err) {
+    return res.status(500).json({
+      success: false,
+      message: "Error al obtener las estadísticas de las empresas",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Responde 412 cuando la empresa cambió desde la versión que conocía el cliente, con su estado y su ETag actuales.
+ * @param {object} res - Objeto de respuesta Express.
+ * @param {object} current - Documento actual de la empresa.
+ * @returns {Promise<object>} Respuesta HTTP 412.
+ */
+const sendCompanyConflict = async (res, current) => {
+  await current.populate("category", "name slug parent");
+  res.set("ETag", etagFor(current));
+  return res.status(412).json({
+    success: false,
+    message: "La empresa fue modificada por otro usuario. Revise la versión actual y vuelva a aplicar los cambios",
+    company: current,
+  });
+};
+
+/**
+ * Busca empresas que probablemente son la misma que los datos que se van a guardar. Si las hay y el cliente no
+ * lo confirmó con "allowDuplicates=true", responde 409 con las coincidencias para que las revise.
+ * @param {object} req - Objeto de solicitud Express.
+ * @param {object} res - Objeto de respuesta Express.
+ * @param {object} params - Nombre y NIT que se van a guardar (solo los que cambian) y el ID de la propia empresa.
+ * @returns {Promise<object|null>} Respuesta HTTP 409, o null si se puede continuar.
+ */
+const sendLikelyDuplicates = async (req, res, { name, taxId, excludeId }) => {
+  if (req.query.allowDuplicates === "true" || (!name && !taxId)) return null;
+  const duplicates = await findLikelyDuplicates({ name, taxId, excludeId });
+  if (!duplicates.length) return null;
+  return res.status(409).json({
+    success: false,
+    message: "Hay empresas registradas que podrían ser la misma. Si se trata de otra empresa, repita la solicitud con allowDuplicates=true",
+    duplicates,
+  });
+};
+
+/**
+ * Responde 409 cuando el nombre ya lo usa otra empresa (índice único de "name"), en lugar de un error 500.
+ * @param {object} res - Objeto de respuesta Express.
+ * @param {Error} err - Error de clave duplicada de MongoDB.
+ * @returns {object} Respuesta HTTP 409.
+ */
+const sendNameTaken = (res, err) =>
+  res.status(409).json({
+    success: false,
+    message: `Ya existe una empresa con el nombre ${err.keyValue?.name}`,
+  });
+
+/**
+ * Actualiza la información de una empresa existente.
+ *
+ * @function updateCompany
+ * @async
+ * @description Este controlador actualiza los datos de una empresa utilizando su ID. 
+ *              La trayectoria no se almacena: para modificarla se envía un nuevo "foundingYear".
+ *              Se recibe el ID de la empresa a actualizar a través de los parámetros de la URL (req.params.id) y los nuevos datos a través del cuerpo de la solicitud (req.body).
+ *              Se utiliza el método findByIdAndUpdate de Mongoose para actualizar el documento, retornando el documento actualizado.
+ *              Los campos modificados se registran en el historial de la empresa junto con el usuario que los cambió.
+ *              Si se envía la cabecera If-Match con el ETag obtenido al consultar la empresa, la actualización solo se
+ *              aplica si nadie la modificó desde entonces; de lo contrario se responde 412 con el estado actual.
+ *              Si el nuevo nombre o NIT coincide con el de otra empresa, se responde 409 con las coincidencias,
+ *              salvo que se confirme con "allowDuplicates=true"; un nombre idéntico al de otra empresa siempre se rechaza.
+ *              En caso de que la empresa no se encuentre, se retorna un error 404; si ocurre algún error durante el proceso, se retorna un error 500.
+ *
+ * @param {object} req - Objeto de solicitud Express.
+ * @param {object} req.params - Parámetros de la ruta.
+ * @param {string} req.params.id - ID de la empresa que se desea actualizar.
+ * @param {object} req.body - Objeto que contiene los nuevos datos de la empresa.
+ * @param {string} [req.headers.if-match] - ETag de la versión sobre la que se hicieron los cambios.
+ * @param {string} [req.query.allowDuplicates] - "true" para guardar los cambios aunque se parezca a otra empresa.
+ * @param {object} res - Objeto de respuesta Express.
+ *
+ * @returns {Promise<object>} Respuesta HTTP en formato JSON que indica si la actualización fue exitosa o si se produjo un error.
+ *
+ * @example
+ * // Solicitud PUT a /api/v1/companies/608d1b2f4b1e883f1c2a1234 con la cabecera If-Match: "3" y body:
+ * {
+ *   "description": "Nueva descripción",
+ *   "category": "salud"
+ * }
+ * // Respuesta:
+ * {
+ *   success: true,
+ *   message: "Empresa actualizada exitosamente",
+ *   company: { ...documento actualizado... }
+ * }
+ */
+export const updateCompany = async (req, res) => {
+  try {
+    // Extrae el ID de la empresa desde los parámetros de la ruta
+    const { id } = req.params;
+    // Extrae los datos a actualizar desde el cuerpo de la solicitud (updateCompanyValidator ya rechazó los campos no modificables)
+    const data = Object.fromEntries(COMPANY_MUTABLE_FIELDS.filter((field) => field in req.body).map((field) => [field, req.body[field]]));
+
+    // Estado anterior, para registrar en el historial qué campos cambiaron
+    const before = await Company.findById(id).lean();
+
+    // Un nombre o un NIT nuevos pueden coincidir con los de otra empresa: se pide confirmación.
+    const duplicatesResponse = await sendLikelyDuplicates(req, res, {
+      name: data.name !== before?.name ? data.name : undefined,
+      taxId: data.taxId !== before?.taxId ? data.taxId : undefined,
+      excludeId: id,
+    });
+    if (duplicatesResponse) return duplicatesResponse;
+
+    // Se utiliza findByIdAndUpdate para actualizar el documento en la base de datos.
+    // La opción "new: true" hace que se retorne el documento actualizado.
+    // "runValidators: true" asegura que se ejecuten las validaciones definidas en el esquema.
+    // Si cambia la categoría, CompanySchema actualiza también "categoryName".
+    // Con If-Match, el filtro incluye la versión esperada, de modo que la comprobación y la escritura son atómicas.
+    const company = await Company.findOneAndUpdate(versionedFilter(id, req), data, { new: true, runValidators: true })
+      .populate("category", "name slug parent");
+
+    if (!company) {
+      // Si la empresa existe, la versión de If-Match ya no es la actual: se responde 412 con el estado vigente.
+      const current = await Company.findById(id);
+      if (current) {
+        return sendCompanyConflict(res, current);
+      }
+
+      // Si no se encuentra la empresa, se retorna un error 404.
+      return res.status(404).json({
+        success: false,
+        message: "Empresa no encontrada para actualizar",
+      });
+    }
+
+    await recordCompanyChange({ company, before, action: "update", usuario: req.usuario });
+
+    // Si la actualización es exitosa, se retorna el documento actualizado, su nueva versión en ETag y un mensaje de éxito.
+    res.set("ETag", etagFor(company));
+    return res.status(200).json({
+      success: true,
+      message: "Empresa actualizada exitosamente",
+      company,
+    });
+  } catch (err) {
+    if (isDuplicateKeyError(err)) return sendNameTaken(res, err);
+    // En caso de error, se retorna un código 500 junto con el mensaje de error.
+    return res.status(500).json({
+      success: false,
+      message: "Error al actualizar la empresa",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Actualiza parcialmente una empresa con JSON Merge Patch o JSON Patch.
+ *
+ * @function patchCompany
+ * @async
+ * @description Este controlador aplica el parche recibido sobre los campos modificables de la empresa
+ *              (los de COMPANY_MUTABLE_FIELDS en company.model.js).
+ *              El formato se toma del Content-Type:
+ *                - application/merge-patch+json (o application/json): RFC 7396, un objeto con los campos a cambiar.
+ *                - application/json-patch+json: RFC 6902, una lista de operaciones add, remove, replace, move, copy y test.
+ *              Un parche que toque otros campos ("createdBy", "status", ...) se rechaza con 400, y una operación "test"
+ *              que no se cumple, con 409. Los valores resultantes se validan con las mismas reglas que el PUT.
+ *              La actualización se condiciona a la versión leída, de modo que el parche nunca se aplica sobre un estado
+ *              distinto del que se evaluó; con If-Match, además, debe coincidir con la versión que conocía el cliente (412).
+ *              Igual que en el PUT, un nombre o NIT que coincida con el de otra empresa requiere "allowDuplicates=true".
+ *
+ * @param {object} req - Objeto de solicitud Express.
+ * @param {string} req.params.id - ID de la empresa.
+ * @param {object|Array<object>} req.body - Parche a aplicar.
+ * @param {string} [req.headers.if-match] - ETag de la versión sobre la que se construyó el parche.
+ * @param {string} [req.query.allowDuplicates] - "true" para aplicar el parche aunque la empresa se parezca a otra.
+ * @param {object} req.usuario - Usuario autenticado que modifica la empresa.
+ * @param {object} res - Objeto de respuesta Express.
+ *
+ * @returns {Promise<object>} Respuesta HTTP en formato JSON con la empresa actualizada.
+ *
+ * @example
+ * // Solicitud PATCH a /coperex/v1/company/608d1b2f4b1e883f1c2a1234 con Content-Type: application/json-patch+json
+ * [
+ *   { "op": "test", "path": "/levelImpact", "value": "Medio" },
+ *   { "op": "replace", "path": "/levelImpact", "value": "Alto" }
+ * ]
+ */
+export const patchCompany = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const company = await Company.findById(id);
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: "Empresa no encontrada para actualizar",
+      });
+    }
+    if (!matchesIfMatch(req, company)) {
+      return sendCompanyConflict(res, company);
+    }
+
+    // El parche se aplica sobre la representación JSON de los campos modificables (los IDs como texto).
+    const current = JSON.parse(JSON.stringify(Object.fromEntries(COMPANY_MUTABLE_FIELDS.map((field) => [field, company[field]]))));
+    let changes;
+    try {
+      changes = resolvePatch(req, current, COMPANY_MUTABLE_FIELDS);
+    } catch (err) {
+      if (!err.status) throw err;
+      return res.status(err.status).json({
+        success: false,
+        message: err.message,
+      });
+    }
+
+    const required = changes.unset.filter((field) => Company.schema.path(field)?.isRequired);
+    if (required.length) {
+      return res.status(400).json({
+        success: false,
+        errors: required.map((field) => ({ type: "field", path: field, location: "body", msg: `El campo ${field} es obligatorio y no puede eliminarse` })),
+      });
+    }
+
+    const { data, errors } = await validatePatchedFields(companyUpdateRules, req, changes.set);
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        errors,
+      });
+    }
+
+    if (!Object.keys(data).length && !changes.unset.length) {
+      await company.populate("category", "name slug parent");
+      res.set("ETag", etagFor(company));
+      return res.status(200).json({
+        success: true,
+        message: "El parche no modificó la empresa",
+        company,
+      });
+    }
+
+    const duplicatesResponse = await sendLikelyDuplicates(req, res, {
+      name: data.name !== undefined && data.name !== company.name ? data.name : undefined,
+      taxId: data.taxId != null && data.taxId !== company.taxId ? data.taxId : undefined,
+      excludeId: id,
+    });
+    if (duplicatesResponse) return duplicatesResponse;
+
+    const update = { $set: data };
+    if (changes.unset.length) {
+      update.$unset = Object.fromEntries(changes.unset.map((field) => [field, ""]));
+    }
+    const updated = await Company.findOneAndUpdate(currentVersionFilter(company), update, { new: true, runValidators: true })
+      .populate("category", "name slug parent");
+
+    if (!updated) {
+      // Otra solicitud modificó la empresa mientras se aplicaba el parche.
+      const latest = await Company.findById(id);
+      if (!latest) {
+        return res.status(404).json({
+          success: false,
+          message: "Empresa no encontrada para actualizar",
+        });
+      }
+      return sendCompanyConflict(res, latest);
+    }
+
+    await recordCompanyChange({ company: updated, before: company, action: "update", usuario: req.usuario });
+
+    res.set("ETag", etagFor(updated));
+    return res.status(200).json({
+      success: true,
+      message: "Empresa actualizada exitosamente",
+      company: updated,
+    });
+  } catch (err) {
+    if (isDuplicateKeyError(err)) return sendNameTaken(res, err);
+    return res.status(500).json({
+      success: false,
+      message: "Error al actualizar la empresa",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Desactiva (elimina lógicamente) una empresa.
+ *
+ * @function deactivateCompany
+ * @async
+ * @description Este controlador cambia el "status" de la empresa a false y registra qué ADMIN la desactivó, cuándo
+ *              y, opcionalmente, el motivo. Las empresas desactivadas no aparecen en el listado ni en los reportes,
+ *              pero se conservan y pueden restaurarse con restoreCompany.
+ *
+ * @param {object} req - Objeto de solicitud Express.
+ * @param {string} req.params.id - ID de la empresa a desactivar.
+ * @param {string} [req.body.reason] - Motivo de la desactivación.
+ * @param {object} req.usuario - Usuario autenticado que desactiva la empresa.
+ * @param {object} res - Objeto de respuesta Express.
+ *
+ * @returns {Promise<object>} Respuesta HTTP en formato JSON con la empresa desactivada.
+ */
+export const deactivateCompany = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    const before = await Company.findById(id).lean();
+    const company = await Company.findByIdAndUpdate(
+      id,
+      {
+        status: false,
+        deactivatedBy: req.usuario._id,
+        deactivatedAt: new Date(),
+        deactivationReason: reason,
+      },
+      { new: true }
+    ).populate("deactivatedBy", "name email");
+
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: "Empresa no encontrada para desactivar",
+      });
+    }
+
+    await recordCompanyChange({ company, before, action: "deactivate", usuario: req.usuario, reason });
+
+    return res.status(200).json({
+      success: true,
+      message: "Empresa desactivada exitosamente",
+      company,
+    });
+  } catch (err) {
+    return res.status(500).json({
+      success: false,
+      message: "Error al desactivar la empresa",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Restaura una empresa desactivada.
+ *
+ * @function restoreCompany
+ * @async
+ * @description Este controlador vuelve a activar la empresa ("status": true) y limpia los datos de desactivación,
+ *              de modo que vuelve a aparecer en el listado y en los reportes.
+ *              Una empresa fusionada en otra (ver mergeCompanies) no se restaura.
+ *
+ * @param {object} req - Objeto de solicitud Express.
+ * @param {string} req.params.id - ID de la empresa a restaurar.
+ * @param {object} res - Objeto de respuesta Express.
+ *
+ * @returns {Promise<object>} Respuesta HTTP en formato JSON con la empresa restaurada.
+ */
+export const restoreCompany = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const before = await Company.findById(id).lean();
+    const company = await Company.findByIdAndUpdate(
+      id,
+      {
+        status: true,
+        $unset: { deactivatedBy: "", deactivatedAt: "", deactivationReason: "" },
+      },
+      { new: true }
+    );
+
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: "Empresa no encontrada para restaurar",
+      });
+    }
+
+    await recordCompanyChange({ company, before, action: "restore", usuario: req.usuario });
+
+    return res.status(200).json({
+      success: true,
+      message: "Empresa restaurada exitosamente",
+      company,
+    });
+  } catch (err) {
+    return res.status(500).json({
+      success: false,
+      message: "Error al restaurar la empresa",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Cambia el estado del registro de una empresa.
+ *
+ * @function transitionCompany
+ * @async
+ * @description Este controlador aplica una transición del ciclo de vida del registro (ver company-lifecycle):
+ *                - submitted → under_review o withdrawn
+ *                - under_review → approved, rejected o withdrawn
+ *                - approved → under_review o withdrawn
+ *                - rejected / withdrawn → submitted
+ *              Una transición no permitida desde el estado actual responde con 409 e indica las permitidas.
+ *              Cada transición se agrega a la línea de tiempo de la empresa con su motivo, usuario y fecha,
+ *              y se registra en el historial. Si se envía If-Match y la empresa cambió, responde con 412.
+ *
+ * @param {object} req - Objeto de solicitud Express.
+ * @param {string} req.params.id - ID de la empresa.
+ * @param {string} req.body.to - Estado al que se pasa.
+ * @param {string} req.body.reason - Motivo de la transición (obligatorio).
+ * @param {object} req.usuario - Usuario autenticado que realiza la transición.
+ * @param {object} res - Objeto de respuesta Express.
+ *
+ * @returns {Promise<object>} Respuesta HTTP en formato JSON con la empresa actualizada o un mensaje de error.
+ *
+ * @example
+ * // Solicitud POST a /coperex/v1/company/608d1b2f4b1e883f1c2a1234/transitions
+ * // con body { "to": "approved", "reason": "Cumple los requisitos de la convocatoria" } devolverá:
+ * {
+ *   success: true,
+ *   message: "La empresa pasó de \"under_review\" a \"approved\"",
+ *   company: { _id: "608d...", registrationState: "approved", stateTransitions: [...], ... }
+ * }
+ */
+export const transitionCompany = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { to, reason } = req.body;
+
+    const current = await Company.findById(id);
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        message: "Empresa no encontrada",
+      });
+    }
+
+    const from = current.registrationState ?? INITIAL_REGISTRATION_STATE;
+    if (!canTransition(from, to)) {
+      return res.status(409).json({
+        success: false,
+        message: transitionErrorMessage(from, to),
+        registrationState: from,
+        allowedTransitions: REGISTRATION_TRANSITIONS[from] ?? [],
+      });
+    }
+
+    if (!matchesIfMatch(req, current)) {
+      return sendCompanyConflict(res, current);
+    }
+
+    // La actualización se condiciona a la versión leída, para que dos transiciones simultáneas
+    // no partan del mismo estado.
+    const company = await Company.findOneAndUpdate(
+      currentVersionFilter(current),
+      {
+        $set: { registrationState: to },
+        $push: { stateTransitions: { from, to, reason, changedBy: req.usuario._id, changedAt: new Date() } },
+      },
+      { new: true }
+    );
+
+    if (!company) {
+      return res.status(409).json({
+        success: false,
+        message: "El estado de la empresa cambió mientras se procesaba la solicitud. Consulte el estado actual y vuelva a intentarlo",
+      });
+    }
+
+    await recordCompanyChange({ company, before: current.toObject(), action: "transition", usuario: req.usuario, reason });
+    await company.populate("category", "name slug parent");
+
+    res.set("ETag", etagFor(company));
+    return res.status(200).json({
+      success: true,
+      message: `La empresa pasó de "${from}" a "${to}"`,
+      company,
+    });
+  } catch (err) {
+    return res.status(500).json({
+      success: false,
+      message: "Error al cambiar el estado de la empresa",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Obtiene la línea de tiempo de estados del registro de una empresa.
+ *
+ * @function getCompanyTransitions
+ * @async
+ * @description Devuelve el estado actual, los estados a los que puede pasar y las transiciones realizadas,
+ *              de la más antigua a la más reciente, con el motivo, el usuario (nombre y email) y la fecha.
+ *
+ * @param {object} req - Objeto de solicitud Express.
+ * @param {string} req.params.id - ID de la empresa.
+ * @param {object} res - Objeto de respuesta Express.
+ *
+ * @returns {Promise<object>} Respuesta HTTP en formato JSON con la línea de tiempo.
+ */
+export const getCompanyTransitions = async (req, res) => {
+  try {
+    const company = await Company.findById(req.params.id)
+      .select("name registrationState stateTransitions")
+      .populate("stateTransitions.changedBy", "name email");
+
+    const registrationState = company.registrationState ?? INITIAL_REGISTRATION_STATE;
+    return res.status(200).json({
+      success: true,
+      registrationState,
+      allowedTransitions: REGISTRATION_TRANSITIONS[registrationState] ?? [],
+      transitions: company.stateTransitions,
+    });
+  } catch (err) {
+    return res.status(500).json({
+      success: false,
+      message: "Error al obtener los estados de la empresa",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Adjunta un archivo a una empresa.
+ *
+ * @function uploadCompanyAttachment
+ * @async
+ * @description Este controlador guarda el archivo recibido (imagen o PDF, hasta 10 MB) con el adaptador de
+ *              almacenamiento y lo agrega a los adjuntos de la empresa. Una empresa tiene un solo logo: subir otro
+ *              reemplaza al anterior y elimina su archivo. Si la empresa cambió mientras se subía el archivo,
+ *              el archivo se descarta y se responde con 409.
+ *
+ * @param {object} req - Objeto de solicitud Express.
+ * @param {string} req.params.id - ID de la empresa.
+ * @param {object} req.file - Archivo recibido en el campo "file" (ver uploadAttachment).
+ * @param {string} [req.body.kind="other"] - Tipo de adjunto ("logo", "certificate" u "other").
+ * @param {object} req.usuario - Usuario autenticado que sube el archivo.
+ * @param {object} res - Objeto de respuesta Express.
+ *
+ * @returns {Promise<object>} Respuesta HTTP en formato JSON con el adjunto registrado.
+ */
+export const uploadCompanyAttachment = async (req, res) => {
+  const storage = getStorage();
+  let storageKey;
+  try {
+    const { id } = req.params;
+    const { kind = "other" } = req.body;
+
+    const company = await Company.findById(id);
+    storageKey = buildStorageKey(`companies/${id}`, req.file.originalname);
+    await storage.save(storageKey, req.file.buffer);
+
+    const replaced = kind === "logo" ? company.attachments.filter((attachment) => attachment.kind === "logo") : [];
+    const attachments = [
+      ...company.attachments.filter((attachment) => !replaced.includes(attachment)).map((attachment) => attachment.toObject()),
+      {
+        kind,
+        originalName: req.file.originalname,
+        contentType: req.file.mimetype,
+        size: req.file.size,
+        storageKey,
+        uploadedBy: req.usuario._id,
+      },
+    ];
+
+    const updated = await Company.findOneAndUpdate(currentVersionFilter(company), { $set: { attachments } }, { new: true });
+    if (!updated) {
+      await storage.remove(storageKey);
+      return res.status(409).json({
+        success: false,
+        message: "La empresa cambió mientras se subía el archivo. Vuelva a intentarlo",
+      });
+    }
+
+    await Promise.all(replaced.map((attachment) => storage.remove(attachment.storageKey)));
+
+    res.set("ETag", etagFor(updated));
+    return res.status(201).json({
+      success: true,
+      message: replaced.length ? "Logo reemplazado exitosamente" : "Archivo adjuntado exitosamente",
+      attachment: updated.attachments[updated.attachments.length - 1],
+    });
+  } catch (err) {
+    if (storageKey) await storage.remove(storageKey).catch(() => {});
+    return res.status(500).json({
+      success: false,
+      message: "Error al adjuntar el archivo",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Descarga un archivo adjunto de una empresa.
+ *
+ * @function downloadCompanyAttachment
+ * @async
+ * @description Envía el contenido del archivo con su tipo MIME y su nombre original.
+ *              Si el adjunto no existe o su archivo ya no está en el almacenamiento, responde con 404.
+ *
+ * @param {object} req - Objeto de solicitud Express.
+ * @param {string} req.params.id - ID de la empresa.
+ * @param {string} req.params.attachmentId - ID del adjunto.
+ * @param {object} res - Objeto de respuesta Express.
+ *
+ * @returns {Promise<void>} Envía el archivo o un mensaje de error.
+ */
+export const downloadCompanyAttachment = async (req, res) => {
+  try {
+    const { id, attachmentId } = req.params;
+    const company = await Company.findById(id).select("attachments");
+    const attachment = company?.attachments.id(attachmentId);
+    const storage = getStorage();
+
+    if (!attachment || !(await storage.exists(attachment.storageKey))) {
+      return res.status(404).json({
+        success: false,
+        message: "Archivo adjunto no encontrado",
+      });
     }
 
-    // Si se especifica un filtro por categoría, se agrega al query.
-    if (category) {
-      query.category = category;
+    res.attachment(attachment.originalName);
+    res.type(attachment.contentType);
+    res.set("Content-Length", String(attachment.size));
+    storage.createReadStream(attachment.storageKey)
+      .on("error", (err) => res.destroy(err))
+      .pipe(res);
+  } catch (err) {
+    return res.status(500).json({
+      success: false,
+      message: "Error al descargar el archivo adjunto",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Elimina un archivo adjunto de una empresa.
+ *
+ * @function deleteCompanyAttachment
+ * @async
+ * @description Quita el adjunto de la empresa y elimina su archivo del almacenamiento.
+ *
+ * @param {object} req - Objeto de solicitud Express.
+ * @param {string} req.params.id - ID de la empresa.
+ * @param {string} req.params.attachmentId - ID del adjunto.
+ * @param {object} res - Objeto de respuesta Express.
+ *
+ * @returns {Promise<object>} Respuesta HTTP en formato JSON indicando el resultado.
+ */
+export const deleteCompanyAttachment = async (req, res) => {
+  try {
+    const { id, attachmentId } = req.params;
+    const company = await Company.findById(id).select("attachments");
+    const attachment = company?.attachments.id(attachmentId);
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: "Archivo adjunto no encontrado",
+      });
     }
 
-    // Determina el orden de la consulta.
-    // Si el parámetro "order" es "desc", se usa -1 para orden descendente, de lo contrario, 1 para ascendente.
-    const sortOrder = order === "desc" ? -1 : 1;
+    const updated = await Company.findByIdAndUpdate(id, { $pull: { attachments: { _id: attachment._id } } }, { new: true });
+    await getStorage().remove(attachment.storageKey);
+
+    res.set("ETag", etagFor(updated));
+    return res.status(200).json({
+      success: true,
+      message: "Archivo adjunto eliminado exitosamente",
+    });
+  } catch (err) {
+    return res.status(500).json({
+      success: false,
+      message: "Error al eliminar el archivo adjunto",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Obtiene las empresas que probablemente son la misma que una empresa registrada.
+ *
+ * @function getCompanyDuplicates
+ * @async
+ * @description Busca empresas con el mismo NIT, el mismo nombre normalizado o un nombre parecido, para revisarlas
+ *              y, si corresponde, fusionarlas con mergeCompanies. Cada coincidencia indica sus motivos
+ *              ("taxId", "normalizedName" o "similarName") y la similitud de los nombres (0 a 1).
+ *
+ * @param {object} req - Objeto de solicitud Express.
+ * @param {string} req.params.id - ID de la empresa.
+ * @param {object} res - Objeto de respuesta Express.
+ *
+ * @returns {Promise<object>} Respuesta HTTP en formato JSON con las coincidencias.
+ *
+ * @example
+ * // Solicitud GET a /coperex/v1/company/608d1b2f4b1e883f1c2a1234/duplicates devolverá:
+ * {
+ *   success: true,
+ *   duplicates: [{ _id: "66b2...", name: "ACME, S.A", taxId: "1234567-9", status: true, reasons: ["taxId", "normalizedName"], similarity: 1 }]
+ * }
+ */
+export const getCompanyDuplicates = async (req, res) => {
+  try {
+    const company = await Company.findById(req.params.id).select("name taxId");
+    const duplicates = await findLikelyDuplicates({ name: company.name, taxId: company.taxId, excludeId: company._id });
+
+    return res.status(200).json({
+      success: true,
+      duplicates,
+    });
+  } catch (err) {
+    return res.status(500).json({
+      success: false,
+      message: "Error al buscar empresas duplicadas",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Deshace el reclamo de la empresa duplicada cuando la fusión no pudo aplicarse a la empresa que se conserva:
+ * vuelve a activarla con sus archivos adjuntos.
+ * @param {object} claimed - Empresa duplicada después de reclamarla.
+ * @param {object} sourceBefore - Empresa duplicada antes de reclamarla (objeto plano).
+ * @returns {Promise<void>}
+ */
+const releaseMergeSource = async (claimed, sourceBefore) => {
+  await Company.updateOne(
+    { _id: claimed._id, __v: claimed.__v },
+    {
+      status: true,
+      mergedInto: null,
+      attachments: sourceBefore.attachments,
+      $unset: { deactivatedBy: "", deactivatedAt: "", deactivationReason: "" },
+    }
+  );
+};
+
+/**
+ * Fusiona una empresa duplicada en otra.
+ *
+ * @function mergeCompanies
+ * @async
+ * @description La empresa indicada en la URL se conserva y absorbe a la duplicada ("sourceId"):
+ *                - Toma la razón social, el NIT y los datos de contacto y de dirección que no tenga.
+ *                - Recibe sus archivos adjuntos; si ya tiene logo, el de la duplicada pasa a ser "other".
+ *                - Recibe sus evaluaciones y se recalcula su puntaje. Si un evaluador evaluó a las dos,
+ *                  se conserva su evaluación más reciente.
+ *              La empresa duplicada queda desactivada, con "mergedInto" apuntando a la que se conserva, y no puede
+ *              restaurarse. La fusión se registra en el historial de las dos empresas con la acción "merge".
+ *              Con If-Match, la fusión solo se aplica si la empresa que se conserva no cambió (412). Si la duplicada
+ *              cambió o la tomó otra fusión mientras tanto, se responde 409.
+ *
+ * @param {object} req - Objeto de solicitud Express.
+ * @param {string} req.params.id - ID de la empresa que se conserva.
+ * @param {string} req.body.sourceId - ID de la empresa duplicada.
+ * @param {string} [req.body.reason] - Motivo de la fusión.
+ * @param {string} [req.headers.if-match] - ETag de la versión conocida de la empresa que se conserva.
+ * @param {object} req.usuario - Usuario autenticado que fusiona las empresas.
+ * @param {object} res - Objeto de respuesta Express.
+ *
+ * @returns {Promise<object>} Respuesta HTTP en formato JSON con la empresa resultante y un resumen de lo trasladado.
+ *
+ * @example
+ * // Solicitud POST a /coperex/v1/company/608d1b2f4b1e883f1c2a1234/merge con body { "sourceId": "66b2..." } devolverá:
+ * {
+ *   success: true,
+ *   message: "La empresa \"ACME, S.A\" se fusionó en \"Acme S.A.\"",
+ *   company: { ... },
+ *   merged: { source: "66b2...", filledFields: ["taxId", "contact"], attachments: 1, evaluations: { moved: 2, discarded: 0 } }
+ * }
+ */
+export const mergeCompanies = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { sourceId, reason } = req.body;
+
+    const [target, source] = await Promise.all([Company.findById(id), Company.findById(sourceId)]);
+    if (!matchesIfMatch(req, target)) {
+      return sendCompanyConflict(res, target);
+    }
+
+    const data = mergeCompanyFields(target.toObject(), source.toObject());
+    const hasLogo = target.attachments.some(({ kind }) => kind === "logo");
+    const attachments = source.attachments.map((attachment) => ({
+      ...attachment.toObject(),
+      kind: attachment.kind === "logo" && hasLogo ? "other" : attachment.kind,
+    }));
+
+    // La empresa duplicada se reclama primero, de forma atómica: si otra fusión (o una modificación) la tomó desde
+    // que se leyó, nada coincide y se responde 409. Así una empresa no puede fusionarse en dos a la vez, ni dos
+    // empresas fusionarse cada una en la otra.
+    const sourceBefore = source.toObject();
+    const mergedSource = await Company.findOneAndUpdate(
+      { ...currentVersionFilter(source), status: true, mergedInto: null },
+      {
+        status: false,
+        deactivatedBy: req.usuario._id,
+        deactivatedAt: new Date(),
+        deactivationReason: `Fusionada en "${target.name}"${reason ? `: ${reason}` : ""}`,
+        mergedInto: target._id,
+        attachments: [],
+      },
+      { new: true }
+    );
+    if (!mergedSource) {
+      return res.status(409).json({
+        success: false,
+        message: "La empresa duplicada cambió o ya se fusionó mientras se preparaba la fusión. Consulte su estado actual y vuelva a intentarlo",
+      });
+    }
+
+    let merged;
+    try {
+      merged = await Company.findOneAndUpdate(
+        currentVersionFilter(target),
+        { $set: data, $push: { attachments: { $each: attachments } } },
+        { new: true, runValidators: true }
+      );
+    } catch (err) {
+      await releaseMergeSource(mergedSource, sourceBefore);
+      throw err;
+    }
+    if (!merged) {
+      // Otra solicitud modificó la empresa mientras se preparaba la fusión.
+      await releaseMergeSource(mergedSource, sourceBefore);
+      return sendCompanyConflict(res, await Company.findById(id));
+    }
+
+    await recordCompanyChange({
+      company: merged,
+      before: target,
+      action: "merge",
+      usuario: req.usuario,
+      reason: `Absorbió a "${source.name}" (${source._id})${reason ? `: ${reason}` : ""}`,
+    });
+    await recordCompanyChange({ company: mergedSource, before: sourceBefore, action: "merge", usuario: req.usuario, reason });
+
+    // Las evaluaciones se trasladan al final, cuando la empresa duplicada ya no puede recibir otras.
+    const evaluations = await mergeEvaluations(source._id, target._id);
+    await refreshCompanyScore(source._id, req.usuario);
+    const company = await refreshCompanyScore(target._id, req.usuario);
+    await company.populate("category", "name slug parent");
+
+    res.set("ETag", etagFor(company));
+    return res.status(200).json({
+      success: true,
+      message: `La empresa "${source.name}" se fusionó en "${target.name}"`,
+      company,
+      merged: {
+        source: source._id,
+        filledFields: Object.keys(data),
+        attachments: attachments.length,
+        evaluations,
+      },
+    });
+  } catch (err) {
+    return res.status(500).json({
+      success: false,
+      message: "Error al fusionar las empresas",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Obtiene el listado de empresas desactivadas (papelera).
+ *
+ * @function getInactiveCompanies
+ * @async
+ * @description Este controlador lista las empresas con "status": false, de la desactivación más reciente a la más
+ *              antigua, incluyendo quién la desactivó (nombre y email), cuándo y el motivo.
+ *
+ * @param {object} req - Objeto de solicitud Express.
+ * @param {number} [req.query.limite=10] - Límite de empresas a mostrar por página.
+ * @param {number} [req.query.desde=0] - Índice desde el cual comenzar la paginación.
+ * @param {object} res - Objeto de respuesta Express.
+ *
+ * @returns {Promise<object>} Respuesta HTTP en formato JSON con el total y el listado de empresas desactivadas.
+ */
+export const getInactiveCompanies = async (req, res) => {
+  try {
+    const { limite = 10, desde = 0 } = req.query;
+    const query = { status: false };
 
-    // Se ejecutan dos consultas en paralelo:
-    // 1. Conteo total de empresas que cumplen el filtro.
-    // 2. Consulta que obtiene la lista de empresas filtradas, ordenadas y paginadas.
     const [total, companies] = await Promise.all([
       Company.countDocuments(query),
       Company.find(query)
-        .sort({ name: sortOrder })
+        .sort({ deactivatedAt: -1, _id: 1 })
         .skip(Number(desde))
         .limit(Number(limite))
-        // Se realiza el "populate" para obtener los campos "name" y "email" del usuario creador.
-        .populate("createdBy", "name email"),
+        .populate("createdBy", "name email")
+        .populate("deactivatedBy", "name email"),
     ]);
 
-    // Se retorna la respuesta exitosa con el total y el listado de empresas.
     return res.status(200).json({
       success: true,
       total,
       companies,
     });
   } catch (err) {
-    // Si ocurre un error, se captura y se retorna con un código 500 y un mensaje informativo.
     return res.status(500).json({
       success: false,
-      message: "Error al obtener las empresas",
+      message: "Error al obtener las empresas desactivadas",
       error: err.message,
     });
   }
 };
 
 /**
- * Actualiza la información de una empresa existente.
+ * Obtiene el historial de cambios de una empresa.
  *
- * @function updateCompany
+ * @function getCompanyHistory
  * @async
- * @description Este controlador actualiza los datos de una empresa utilizando su ID. 
- *              Se recibe el ID de la empresa a actualizar a través de los parámetros de la URL (req.params.id) y los nuevos datos a través del cuerpo de la solicitud (req.body).
- *              Se utiliza el método findByIdAndUpdate de Mongoose para actualizar el documento, retornando el documento actualizado.
- *              En caso de que la empresa no se encuentre, se retorna un error 404; si ocurre algún error durante el proceso, se retorna un error 500.
+ * @description Este controlador lista las versiones registradas de la empresa, de la más reciente a la más antigua.
+ *              Cada versión indica la acción (registro, importación, actualización, desactivación, restauración o
+ *              reversión), las diferencias campo por campo, el usuario que hizo el cambio y la fecha.
  *
  * @param {object} req - Objeto de solicitud Express.
- * @param {object} req.params - Parámetros de la ruta.
- * @param {string} req.params.id - ID de la empresa que se desea actualizar.
- * @param {object} req.body - Objeto que contiene los nuevos datos de la empresa.
+ * @param {string} req.params.id - ID de la empresa.
+ * @param {number} [req.query.limite=10] - Límite de versiones a mostrar por página.
+ * @param {number} [req.query.desde=0] - Índice desde el cual comenzar la paginación.
  * @param {object} res - Objeto de respuesta Express.
  *
- * @returns {Promise<object>} Respuesta HTTP en formato JSON que indica si la actualización fue exitosa o si se produjo un error.
+ * @returns {Promise<object>} Respuesta HTTP en formato JSON con el total y las versiones de la empresa.
  *
  * @example
- * // Solicitud PUT a /api/v1/companies/608d1b2f4b1e883f1c2a1234 con body:
- * {
- *   "description": "Nueva descripción",
- *   "category": "Salud"
- * }
- * // Respuesta:
+ * // Solicitud GET a /coperex/v1/company/608d1b2f4b1e883f1c2a1234/history devolverá:
  * {
  *   success: true,
- *   message: "Empresa actualizada exitosamente",
- *   company: { ...documento actualizado... }
+ *   total: 2,
+ *   history: [
+ *     {
+ *       version: 2,
+ *       action: "update",
+ *       changes: [{ field: "levelImpact", from: "Medio", to: "Alto" }],
+ *       performedBy: { name: "Admin", email: "admin@example.com" },
+ *       createdAt: "2025-03-01T15:20:00.000Z"
+ *     },
+ *     { version: 1, action: "create", ... }
+ *   ]
  * }
  */
-export const updateCompany = async (req, res) => {
+export const getCompanyHistory = async (req, res) => {
   try {
-    // Extrae el ID de la empresa desde los parámetros de la ruta
     const { id } = req.params;
-    // Extrae los datos a actualizar desde el cuerpo de la solicitud
-    const data = req.body;
+    const { limite = 10, desde = 0 } = req.query;
+    const query = { company: id };
+
+    const [total, history] = await Promise.all([
+      CompanyHistory.countDocuments(query),
+      CompanyHistory.find(query)
+        .sort({ version: -1 })
+        .skip(Number(desde))
+        .limit(Number(limite))
+        .select("-snapshot")
+        .populate("performedBy", "name email"),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      total,
+      history,
+    });
+  } catch (err) {
+    return res.status(500).json({
+      success: false,
+      message: "Error al obtener el historial de la empresa",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Revierte una empresa a una versión anterior de su historial.
+ *
+ * @function revertCompany
+ * @async
+ * @description Este controlador restaura el nombre, la descripción, el nivel de impacto, el año de fundación y la
+ *              categoría que tenía la empresa en la versión indicada. El estado (activa o desactivada) no se modifica:
+ *              para eso se usan los endpoints de desactivar y restaurar. La reversión se registra como una versión
+ *              nueva, de modo que también puede deshacerse.
+ *
+ * @param {object} req - Objeto de solicitud Express.
+ * @param {string} req.params.id - ID de la empresa.
+ * @param {number} req.body.version - Versión a restaurar.
+ * @param {string} [req.body.reason] - Motivo de la reversión.
+ * @param {object} req.usuario - Usuario autenticado que revierte la empresa.
+ * @param {object} res - Objeto de respuesta Express.
+ *
+ * @returns {Promise<object>} Respuesta HTTP en formato JSON con la empresa revertida.
+ */
+export const revertCompany = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { version, reason } = req.body;
+
+    const target = await CompanyHistory.findOne({ company: id, version: Number(version) });
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: `La empresa no tiene la versión ${version}`,
+      });
+    }
+
+    const data = Object.fromEntries(REVERTIBLE_COMPANY_FIELDS.map((field) => [field, target.snapshot[field]]));
+    const before = await Company.findById(id).lean();
+    // En una empresa evaluada, el nivel de impacto lo determina su puntaje actual.
+    if (before?.score != null) delete data.levelImpact;
+
+    // El nombre es único: no se puede restaurar si ahora lo usa otra empresa.
+    if (await Company.exists({ name: data.name, _id: { $ne: id } })) {
+      return res.status(409).json({
+        success: false,
+        message: `No se puede revertir: otra empresa usa ahora el nombre ${data.name}`,
+      });
+    }
 
-    // Se utiliza findByIdAndUpdate para actualizar el documento en la base de datos.
-    // La opción "new: true" hace que se retorne el documento actualizado.
-    // "runValidators: true" asegura que se ejecuten las validaciones definidas en el esquema.
     const company = await Company.findByIdAndUpdate(id, data, { new: true, runValidators: true });
 
-    // Si no se encuentra la empresa, se retorna un error 404.
     if (!company) {
       return res.status(404).json({
         success: false,
-        message: "Empresa no encontrada para actualizar",
+        message: "Empresa no encontrada para revertir",
       });
     }
 
-    // Si la actualización es exitosa, se retorna el documento actualizado junto con un mensaje de éxito.
+    await recordCompanyChange({ company, before, action: "revert", usuario: req.usuario, reason, revertedTo: target.version });
+    await company.populate("category", "name slug parent");
+
     return res.status(200).json({
       success: true,
-      message: "Empresa actualizada exitosamente",
+      message: `Empresa revertida a la versión ${target.version}`,
       company,
     });
   } catch (err) {
-    // En caso de error, se retorna un código 500 junto con el mensaje de error.
+    if (isDuplicateKeyError(err)) return sendNameTaken(res, err);
     return res.status(500).json({
       success: false,
-      message: "Error al actualizar la empresa",
+      message: "Error al revertir la empresa",
       error: err.message,
     });
   }
@@ -233,17 +1305,26 @@ export const updateCompany = async (req, res) => {
  *
  * @function createCompany
  * @async
- * @description Este controlador registra una nueva empresa. El campo "yearsTrajectory" se interpreta como el año de fundación ingresado por el ADMIN.
- *              Se calcula la trayectoria de la empresa como la diferencia entre el año actual y el año de fundación proporcionado.
+ * @description Este controlador registra una nueva empresa a partir de su año de fundación ("foundingYear").
+ *              Los años de trayectoria no se guardan: el modelo los expone como el virtual "yearsTrajectory",
+ *              calculado como la diferencia entre el año actual y el año de fundación.
  *              Se asume que el usuario autenticado (ADMIN) se encuentra en req.usuario.
+ *              Si otra empresa tiene el mismo NIT o un nombre igual o parecido (sin contar mayúsculas, acentos, signos
+ *              ni la forma societaria, como "Acme S.A." y "ACME, S.A"), se responde 409 con las coincidencias; para
+ *              registrarla de todos modos se repite la solicitud con "allowDuplicates=true".
  *
  * @param {object} req - Objeto de solicitud Express.
  * @param {object} req.body - Objeto que contiene los datos para la nueva empresa.
  * @param {string} req.body.name - Nombre de la empresa.
  * @param {string} req.body.description - Descripción de la empresa.
  * @param {string} req.body.levelImpact - Nivel de impacto de la empresa ("Bajo", "Medio" o "Alto").
- * @param {number} req.body.yearsTrajectory - Año de fundación de la empresa (se interpretará para calcular la trayectoria).
- * @param {string} req.body.category - Categoría a la que pertenece la empresa.
+ * @param {number} req.body.foundingYear - Año de fundación de la empresa.
+ * @param {string} req.body.category - ID, slug o nombre de la categoría del catálogo a la que pertenece la empresa.
+ * @param {string} [req.body.legalName] - Razón social.
+ * @param {string} [req.body.taxId] - NIT; se valida su dígito verificador y se guarda normalizado (por ejemplo "1234567-9").
+ * @param {object} [req.body.contact] - Datos de contacto: "email", "phone" y "website".
+ * @param {object} [req.body.address] - Dirección: "street", "city", "department", "postalCode" y "country".
+ * @param {string} [req.query.allowDuplicates] - "true" para registrarla aunque se parezca a otra empresa.
  * @param {object} req.usuario - Objeto que representa al usuario autenticado (se espera que contenga la propiedad _id).
  * @param {object} res - Objeto de respuesta Express.
  *
@@ -255,38 +1336,43 @@ export const updateCompany = async (req, res) => {
  *   "name": "Empresa XYZ",
  *   "description": "Empresa dedicada a...",
  *   "levelImpact": "Alto",
- *   "yearsTrajectory": 2005,  // Año de fundación
- *   "category": "Tecnología"
+ *   "foundingYear": 2005,
+ *   "category": "tecnologia",
+ *   "taxId": "1234567-9",
+ *   "contact": { "email": "info@xyz.com", "website": "https://xyz.com" }
  * }
- * // Se calculará: currentYear - 2005, por ejemplo, si el año actual es 2023, se almacenará 18.
+ * // "category" acepta el ID, el slug o el nombre de una categoría del catálogo; se guarda su ID.
+ * // La respuesta incluye "yearsTrajectory": currentYear - 2005, por ejemplo 18 si el año actual es 2023.
  */
 export const createCompany = async (req, res) => {
   try {
     // Desestructura los campos del cuerpo de la solicitud
-    const { name, description, levelImpact, yearsTrajectory, category } = req.body;
+    const { name, description, levelImpact, foundingYear, category, legalName, taxId, contact, address } = req.body;
 
-    // Se interpreta que el valor recibido en "yearsTrajectory" corresponde al año de fundación.
-    // Se convierte a número entero.
-    const foundingYear = parseInt(yearsTrajectory, 10);
-    // Se obtiene el año actual.
-    const currentYear = new Date().getFullYear();
-    // Se calcula la diferencia, que representa los años de trayectoria.
-    const computedYearsTrajectory = currentYear - foundingYear;
+    // Antes de registrarla se buscan empresas con el mismo NIT o un nombre igual o parecido.
+    const duplicatesResponse = await sendLikelyDuplicates(req, res, { name, taxId });
+    if (duplicatesResponse) return duplicatesResponse;
 
     // Se crea un nuevo documento de Company con la información proporcionada.
-    // Se asigna la trayectoria calculada en lugar del año de fundación.
+    // Se almacena el año de fundación; la trayectoria se deriva de él al consultar.
     // Se asume que req.usuario._id es el identificador del usuario ADMIN que registra la empresa.
     const newCompany = new Company({
       name,
       description,
       levelImpact,
-      yearsTrajectory: computedYearsTrajectory, // Se almacena el resultado de: (año actual - año de fundación)
+      foundingYear: parseInt(foundingYear, 10),
       category,
+      legalName,
+      taxId,
+      contact: contact ?? undefined,
+      address: address ?? undefined,
       createdBy: req.usuario._id,
     });
 
     // Guarda el nuevo documento en la base de datos.
     await newCompany.save();
+    await recordCompanyChange({ company: newCompany, action: "create", usuario: req.usuario });
+    await newCompany.populate("category", "name slug parent");
 
     // Se retorna una respuesta exitosa con el estado 201 (creado) y la información de la nueva empresa.
     return res.status(201).json({
@@ -295,7 +1381,8 @@ export const createCompany = async (req, res) => {
       company: newCompany,
     });
   } catch (err) {
-    // Si ocurre algún error durante el proceso, se captura y se retorna con estado 500.
+    // Un nombre ya registrado se responde con 409; cualquier otro error, con estado 500.
+    if (isDuplicateKeyError(err)) return sendNameTaken(res, err);
     return res.status(500).json({
       success: false,
       message: "Error al registrar la empresa",
@@ -304,89 +1391,281 @@ export const createCompany = async (req, res) => {
   }
 };
 
+/**
+ * Genera el reporte de empresas en el formato indicado y lo envía en streaming al cliente.
+ * Las empresas se leen con un cursor de Mongoose con los mismos filtros y ordenación del listado (sin paginación),
+ * "populando" el campo "createdBy", y cada fila se escribe directamente en la respuesta: no se crean archivos
+ * temporales en el servidor y la memoria usada no depende del número de empresas.
+ * @param {object} req - Objeto de solicitud Express.
+ * @param {object} res - Objeto de respuesta Express.
+ * @param {string} format - Clave de REPORT_FORMATS.
+ */
+const sendCompaniesReport = async (req, res, format) => {
+  // El total se obtiene antes de abrir el cursor: se muestra en el encabezado y permite responder 404 sin iniciar la descarga.
+  const reportQuery = await prepareReportQuery(req.query);
+  const total = await reportQuery.count();
+  if (!total) {
+    return res.status(404).json({
+      success: false,
+      message: "No hay empresas que coincidan con los filtros para generar el reporte",
+    });
+  }
+
+  const cursor = reportQuery.cursor();
+  // Si el cliente cancela la descarga, se cierra el cursor para liberar la conexión.
+  res.on("close", () => cursor.close().catch(() => {}));
+
+  const { contentType, extension } = REPORT_FORMATS[format];
+  res.status(200);
+  res.attachment(`Empresas_Reporte.${extension}`);
+  res.type(contentType);
+
+  await REPORT_WRITERS[format](cursor, {
+    stream: res,
+    total,
+    appliedFilters: describeCompanyFilters(req.query),
+  });
+};
+
+/**
+ * Responde a un error ocurrido al generar un reporte.
+ * Si la descarga ya comenzó no es posible enviar un JSON, por lo que se interrumpe la respuesta.
+ * @param {object} res - Objeto de respuesta Express.
+ * @param {Error} err - Error capturado.
+ */
+const handleReportError = (res, err) => {
+  if (res.headersSent) {
+    return res.destroy(err);
+  }
+  return res.status(500).json({
+    success: false,
+    message: "Error al generar el reporte",
+    error: err.message,
+  });
+};
+
 /**
  * Genera y descarga un reporte en formato Excel con todas las empresas registradas.
  *
  * @function generateCompaniesReport
  * @async
- * @description Este controlador obtiene todas las empresas activas (status: true) de la base de datos, 
- *              genera un archivo Excel con un reporte que incluye información relevante de cada empresa y luego lo envía al cliente.
- *              El reporte incluye columnas como ID, nombre, descripción, impacto, trayectoria, categoría y datos del creador.
- *              Se utiliza la librería ExcelJS para la creación del archivo y se maneja la descarga del archivo al finalizar.
+ * @description Este controlador obtiene las empresas activas (status: true) de la base de datos aplicando los mismos
+ *              filtros y la misma ordenación que getCompanies (sin paginación), de modo que el archivo coincide con lo que
+ *              el ADMIN ve en pantalla. Genera un libro de Excel con las hojas:
+ *                - "Empresas": filtros aplicados y detalle (ID, nombre, descripción, impacto, año de fundación, trayectoria,
+ *                  categoría y datos del creador) con encabezado congelado, autofiltro y columnas con estilo.
+ *                - "Por categoría" y "Por impacto": conteo, porcentaje y trayectoria promedio, mínima y máxima.
+ *                - "Trayectoria": empresas por rango de años (0-5, 6-10, 11-20 y más de 20).
+ *              El libro se construye con el escritor en streaming de ExcelJS alimentado por un cursor de Mongoose
+ *              y se envía directamente en la respuesta, sin escribir archivos en el servidor; así, varias descargas
+ *              simultáneas no pueden interferir entre sí.
  *
  * @param {object} req - Objeto de solicitud Express.
+ * @param {object} req.query - Parámetros de consulta.
+ * @param {string} [req.query.order="asc"] - Orden por nombre cuando no se indica "sort".
+ * @param {string} [req.query.sort] - Campos de ordenación separados por comas, igual que en getCompanies.
+ * @param {number} [req.query.minYears] - Valor mínimo de años de trayectoria.
+ * @param {number} [req.query.maxYears] - Valor máximo de años de trayectoria.
+ * @param {string} [req.query.category] - Slug o ID de la categoría por la cual filtrar (incluye sus subcategorías).
+ * @param {string} [req.query.levelImpact] - Nivel de impacto por el cual filtrar.
  * @param {object} res - Objeto de respuesta Express.
  *
  * @returns {Promise<void>} No retorna un valor directamente, pero envía el archivo Excel al cliente o un error si ocurre.
  *
  * @example
- * // Solicitud GET a /api/v1/companies/report/excel
- * // Se genera y descarga el archivo "Empresas_Reporte.xlsx" con el listado de empresas.
+ * // Solicitud GET a /api/v1/companies/report/excel?category=servicios&minYears=5&order=desc
+ * // Se descarga "Empresas_Reporte.xlsx" con las empresas de "Servicios" con 5 o más años, de Z a A.
  */
 export const generateCompaniesReport = async (req, res) => {
   try {
-    // Se obtienen todas las empresas activas y se "popula" el campo "createdBy" para obtener los datos del usuario creador.
-    const companies = await Company.find({ status: true }).populate("createdBy", "name email");
+    await sendCompaniesReport(req, res, "xlsx");
+  } catch (err) {
+    return handleReportError(res, err);
+  }
+};
 
-    // Si no hay empresas activas, se retorna un error 404 indicando que no se puede generar el reporte.
-    if (!companies.length) {
-      return res.status(404).json({
+/**
+ * Genera y descarga el reporte de empresas en el formato negociado con el cliente.
+ *
+ * @function exportCompaniesReport
+ * @async
+ * @description Este controlador determina el formato del reporte a partir del parámetro "format" o, si no se envía,
+ *              de la cabecera Accept. Usa la misma consulta y las mismas columnas que generateCompaniesReport,
+ *              de modo que todos los formatos contienen exactamente la misma información:
+ *                - xlsx: libro con detalle y hojas de resumen, igual que generateCompaniesReport.
+ *                - csv: RFC 4180, con BOM UTF-8 para que los acentos se muestren correctamente.
+ *                - ndjson: un objeto JSON por empresa en cada línea.
+ *                - pdf: documento imprimible en A4 horizontal con los filtros aplicados y la tabla de empresas.
+ *              Si ningún formato disponible es aceptable, responde con un error 406.
+ *
+ * @param {object} req - Objeto de solicitud Express.
+ * @param {object} req.query - Parámetros de consulta (los mismos filtros y ordenación que generateCompaniesReport).
+ * @param {string} [req.query.format] - Formato del reporte ("xlsx", "csv", "ndjson" o "pdf").
+ * @param {object} res - Objeto de respuesta Express.
+ *
+ * @returns {Promise<void>} Envía el archivo del reporte al cliente o un error si ocurre.
+ *
+ * @example
+ * // Solicitud GET a /coperex/v1/company/report?format=csv&levelImpact=Alto
+ * // Se descarga "Empresas_Reporte.csv" con las empresas de impacto alto.
+ */
+export const exportCompaniesReport = async (req, res) => {
+  try {
+    const format = negotiateReportFormat(req);
+    if (!format) {
+      return res.status(406).json({
         success: false,
-        message: "No hay empresas registradas para generar el reporte",
+        message: `Formato no disponible. Formatos aceptados: ${Object.keys(REPORT_FORMATS).join(", ")}`,
       });
     }
 
-    // Se crea una nueva instancia de Workbook de ExcelJS para generar el reporte.
-    const workbook = new ExcelJS.Workbook();
-    // Se agrega una hoja de trabajo llamada "Empresas".
-    const worksheet = workbook.addWorksheet("Empresas");
-
-    // Se definen las columnas del reporte, estableciendo encabezados, claves para los datos y anchos para cada columna.
-    worksheet.columns = [
-      { header: "ID", key: "_id", width: 25 },
-      { header: "Nombre", key: "name", width: 30 },
-      { header: "Descripción", key: "description", width: 40 },
-      { header: "Impacto", key: "levelImpact", width: 15 },
-      { header: "Años de Trayectoria", key: "yearsTrajectory", width: 20 },
-      { header: "Categoría", key: "category", width: 20 },
-      { header: "Creado por", key: "createdBy", width: 25 },
-      { header: "Email del Creador", key: "createdByEmail", width: 30 },
-    ];
+    await sendCompaniesReport(req, res, format);
+  } catch (err) {
+    return handleReportError(res, err);
+  }
+};
+
+/**
+ * Importa empresas de forma masiva desde una hoja de cálculo.
+ *
+ * @function importCompanies
+ * @async
+ * @description Este controlador recibe un archivo .xlsx o .csv con el mismo formato de columnas que el reporte
+ *              (Nombre, Descripción, Impacto, Año de Fundación y Categoría; el resto de columnas se ignoran).
+ *              La categoría se indica por su nombre o slug y debe existir en el catálogo.
+ *              Cada fila se valida con las reglas de createCompanyValidator y de CompanySchema, y además se
+ *              rechazan los nombres repetidos dentro del archivo o ya registrados y, salvo con allowDuplicates=true,
+ *              los posibles duplicados (mismo NIT o mismo nombre normalizado que otra empresa o que otra fila).
+ *              Las filas válidas se insertan en bloque con "createdBy" igual al ADMIN que importa.
+ *              Con dryRun=true solo se valida, sin insertar.
+ *
+ * @param {object} req - Objeto de solicitud Express.
+ * @param {object} req.file - Archivo recibido por uploadSpreadsheet (buffer y tipo "xlsx" o "csv").
+ * @param {string} [req.query.dryRun="false"] - Si es "true", solo se valida el archivo.
+ * @param {string} [req.query.allowDuplicates="false"] - Si es "true", no se rechazan los posibles duplicados.
+ * @param {object} req.usuario - Usuario autenticado que importa las empresas.
+ * @param {object} res - Objeto de respuesta Express.
+ *
+ * @returns {Promise<object>} Respuesta HTTP en formato JSON con el resumen de la importación y los errores por fila.
+ *
+ * @example
+ * // Solicitud POST a /api/v1/companies/import?dryRun=true con el archivo en el campo "file"
+ * {
+ *   success: true,
+ *   dryRun: true,
+ *   total: 3,
+ *   valid: 2,
+ *   inserted: 0,
+ *   failed: [
+ *     { row: 9, name: "Empresa X", errors: [{ field: "levelImpact", message: "El nivel de impacto debe ser 'Bajo', 'Medio' o 'Alto'" }] }
+ *   ]
+ * }
+ */
+export const importCompanies = async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === "true";
+
+    let rows;
+    try {
+      rows = await parseCompaniesFile(req.file.buffer, req.file.type);
+    } catch (err) {
+      return res.status(400).json({
+        success: false,
+        message: "No se pudo leer el archivo",
+        error: err.message,
+      });
+    }
 
-    // Itera sobre cada empresa para agregar una fila en el reporte.
-    // Se utilizan valores predeterminados en caso de que no exista información en el campo "createdBy".
-    companies.forEach((company) => {
-      worksheet.addRow({
-        _id: company._id,
-        name: company.name,
-        description: company.description,
-        levelImpact: company.levelImpact,
-        yearsTrajectory: company.yearsTrajectory,
-        category: company.category,
-        createdBy: company.createdBy?.name || "Desconocido",
-        createdByEmail: company.createdBy?.email || "Sin email",
+    if (!rows.length) {
+      return res.status(400).json({
+        success: false,
+        message: "El archivo no contiene empresas",
       });
+    }
+
+    // Valida cada fila con las reglas del registro individual.
+    const results = [];
+    for (const { row, data } of rows) {
+      results.push({ row, name: data.name, ...(await validateImportRow(data, req.usuario)) });
+    }
+
+    // Detecta nombres repetidos dentro del archivo y nombres ya registrados (el nombre es único en CompanySchema).
+    // Salvo con allowDuplicates=true, también los posibles duplicados: mismo NIT o mismo nombre normalizado.
+    const allowDuplicates = req.query.allowDuplicates === "true";
+    const candidates = results.filter(({ company }) => company).map(({ company }) => company);
+    const names = candidates.map(({ name }) => name);
+    const existing = new Set((await Company.find({ name: { $in: names } }).select("name")).map(({ name }) => name));
+    const similar = allowDuplicates ? [] : await Company.find({
+      mergedInto: null,
+      $or: [
+        { normalizedName: { $in: candidates.map(({ normalizedName }) => normalizedName) } },
+        { taxId: { $in: candidates.map(({ taxId }) => taxId).filter(Boolean) } },
+      ],
+    }).select("name normalizedName taxId").lean();
+    const seen = new Set();
+    const seenInFile = [];
+    results.forEach((result) => {
+      if (!result.company) return;
+      const { name, normalizedName, taxId } = result.company;
+      const matches = ({ normalizedName: otherName, taxId: otherTaxId }) => otherName === normalizedName || (taxId && otherTaxId === taxId);
+      if (existing.has(name)) {
+        result.errors.push({ field: "name", message: "Ya existe una empresa registrada con ese nombre" });
+      } else if (seen.has(name)) {
+        result.errors.push({ field: "name", message: "El nombre está repetido en el archivo" });
+      } else if (!allowDuplicates) {
+        const duplicate = similar.find(matches) ?? seenInFile.find(matches);
+        if (duplicate) {
+          result.errors.push({
+            field: duplicate.taxId && duplicate.taxId === taxId ? "taxId" : "name",
+            message: `Posible duplicado de la empresa "${duplicate.name}"; si se trata de otra empresa, importe con allowDuplicates=true`,
+          });
+        }
+      }
+      seen.add(name);
+      seenInFile.push(result.company);
+      if (result.errors.length) result.company = null;
     });
 
-    // Define la ruta del directorio "reports" en el directorio raíz del proceso.
-    const reportsDir = path.join(process.cwd(), "reports");
-    // Verifica si el directorio "reports" existe; si no, lo crea de forma recursiva.
-    if (!fs.existsSync(reportsDir)) {
-      fs.mkdirSync(reportsDir, { recursive: true });
+    const valid = results.filter(({ company }) => company);
+    let inserted = 0;
+
+    if (!dryRun && valid.length) {
+      try {
+        const docs = await Company.insertMany(valid.map(({ company }) => company), { ordered: false });
+        inserted = docs.length;
+      } catch (err) {
+        // Con ordered: false se insertan todas las filas posibles; los errores se asocian a su fila.
+        if (!err.writeErrors) throw err;
+        inserted = err.insertedDocs?.length ?? valid.length - err.writeErrors.length;
+        err.writeErrors.forEach((writeError) => {
+          const result = valid[writeError.index];
+          result.errors.push({ field: "name", message: writeError.errmsg ?? writeError.err?.errmsg ?? "No se pudo insertar la empresa" });
+          result.company = null;
+        });
+      }
+
+      // Las filas que conservan su empresa son las insertadas: se registra su versión inicial en el historial.
+      await recordImportedCompanies(valid.filter(({ company }) => company).map(({ company }) => company), req.usuario);
     }
 
-    // Define la ruta completa y el nombre del archivo Excel que se generará.
-    const filePath = path.join(reportsDir, "Empresas_Reporte.xlsx");
-    // Escribe el archivo Excel en la ruta especificada.
-    await workbook.xlsx.writeFile(filePath);
-    // Envía el archivo generado al cliente para su descarga.
-    // Una vez que se descarga el archivo, se elimina del servidor mediante fs.unlinkSync(filePath).
-    res.download(filePath, "Empresas_Reporte.xlsx", () => fs.unlinkSync(filePath));
+    const failed = results
+      .filter(({ errors }) => errors.length)
+      .map(({ row, name, errors }) => ({ row, name, errors }));
+
+    const status = dryRun ? 200 : inserted ? 201 : 422;
+    return res.status(status).json({
+      success: failed.length === 0,
+      message: dryRun ? "Validación del archivo completada (sin insertar)" : `Se importaron ${inserted} de ${rows.length} empresas`,
+      dryRun,
+      total: rows.length,
+      valid: results.length - failed.length,
+      inserted,
+      failed,
+    });
   } catch (err) {
-    // Si ocurre un error durante la generación o envío del reporte, se retorna un error 500.
     return res.status(500).json({
       success: false,
-      message: "Error al generar el reporte",
+      message: "Error al importar las empresas",
       error: err.message,
     });
   }
@@ -1,4 +1,116 @@
 import { Schema, model } from "mongoose";
+import Category from "../category/category.model.js";
+import { versionedUpdates } from "../helpers/versioning.js";
+import { REGISTRATION_STATES, INITIAL_REGISTRATION_STATE } from "../helpers/company-lifecycle.js";
+import { normalizeCompanyName } from "../helpers/company-name.js";
+
+const StateTransitionSchema = new Schema(
+  {
+    from: {
+      type: String,
+      enum: Object.keys(REGISTRATION_STATES),
+      default: null, // null en el registro de la empresa
+    },
+    to: {
+      type: String,
+      enum: Object.keys(REGISTRATION_STATES),
+      required: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+    },
+    changedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const ContactSchema = new Schema(
+  {
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+    phone: {
+      type: String,
+      trim: true,
+    },
+    website: {
+      type: String,
+      trim: true,
+    },
+  },
+  { _id: false }
+);
+
+const AddressSchema = new Schema(
+  {
+    street: {
+      type: String,
+      trim: true, // Calle, número y zona
+    },
+    city: {
+      type: String,
+      trim: true, // Municipio o ciudad
+    },
+    department: {
+      type: String,
+      trim: true, // Departamento, estado o provincia
+    },
+    postalCode: {
+      type: String,
+      trim: true,
+    },
+    country: {
+      type: String,
+      trim: true,
+      default: "Guatemala",
+    },
+  },
+  { _id: false }
+);
+
+const AttachmentSchema = new Schema(
+  {
+    kind: {
+      type: String,
+      enum: ["logo", "certificate", "other"], // Una empresa tiene un solo logo; subir otro reemplaza al anterior
+      required: true,
+    },
+    originalName: {
+      type: String,
+      required: true,
+    },
+    contentType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true, // Tamaño en bytes
+    },
+    storageKey: {
+      type: String,
+      required: true, // Clave del archivo en el almacenamiento (ver helpers/file-storage.js)
+    },
+    uploadedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }
+);
 
 const CompanySchema = new Schema(
   {
@@ -8,6 +120,9 @@ const CompanySchema = new Schema(
       trim: true,
       unique: true, // Evita nombres duplicados
     },
+    normalizedName: {
+      type: String, // Nombre sin mayúsculas, acentos, signos ni forma societaria, para detectar duplicados
+    },
     description: {
       type: String,
       required: [true, "La descripción es obligatoria"],
@@ -18,15 +133,52 @@ const CompanySchema = new Schema(
       required: [true, "El nivel de impacto es obligatorio"],
       enum: ["Bajo", "Medio", "Alto"], // Solo permite estos valores
     },
-    yearsTrajectory: {
+    foundingYear: {
       type: Number,
-      required: [true, "Los años de trayectoria son obligatorios"],
-      min: [0, "Los años de trayectoria no pueden ser negativos"],
+      required: [true, "El año de fundación es obligatorio"],
+      min: [1800, "El año de fundación no es válido"],
+      validate: {
+        // Se evalúa en cada validación para no congelar el año actual al cargar el módulo
+        validator: (value) => value <= new Date().getFullYear(),
+        message: "El año de fundación no puede ser mayor al año actual",
+      },
     },
     category: {
-      type: String,
+      type: Schema.Types.ObjectId,
+      ref: "Category", // Categoría del catálogo administrado
       required: [true, "La categoría empresarial es obligatoria"],
-      trim: true, // 🚀 Ahora el ADMIN puede ingresar cualquier categoría
+    },
+    categoryName: {
+      type: String,
+      trim: true, // Copia del nombre de la categoría para ordenar y generar reportes sin consultar el catálogo
+    },
+    legalName: {
+      type: String,
+      trim: true, // Razón social
+    },
+    taxId: {
+      type: String,
+      trim: true, // NIT normalizado con guion antes del dígito verificador, por ejemplo "1234567-9"
+    },
+    contact: {
+      type: ContactSchema,
+      default: undefined,
+    },
+    address: {
+      type: AddressSchema,
+      default: undefined,
+    },
+    attachments: {
+      type: [AttachmentSchema],
+      default: [], // Logos, certificados de registro y otros documentos
+    },
+    score: {
+      type: Number,
+      default: null, // Promedio de los puntajes ponderados de sus evaluaciones (0 a 10); null si aún no se evaluó
+    },
+    evaluationsCount: {
+      type: Number,
+      default: 0,
     },
     createdBy: {
       type: Schema.Types.ObjectId,
@@ -37,11 +189,137 @@ const CompanySchema = new Schema(
       type: Boolean,
       default: true, // Indica si la empresa está activa
     },
+    registrationState: {
+      type: String,
+      enum: Object.keys(REGISTRATION_STATES), // Etapa del registro; solo cambia con las transiciones permitidas
+      default: INITIAL_REGISTRATION_STATE,
+    },
+    stateTransitions: {
+      type: [StateTransitionSchema],
+      default: [], // Línea de tiempo de los cambios de estado del registro
+    },
+    deactivatedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User", // ADMIN que desactivó la empresa
+    },
+    deactivatedAt: {
+      type: Date,
+    },
+    deactivationReason: {
+      type: String,
+      trim: true,
+    },
+    mergedInto: {
+      type: Schema.Types.ObjectId,
+      ref: "Company", // Empresa en la que se fusionó este registro duplicado (queda desactivado)
+      default: null,
+    },
   },
   {
     timestamps: true, // Añade automáticamente "createdAt" y "updatedAt"
-    versionKey: false,
+    // "__v" se conserva como versión del documento para el control de concurrencia (ETag / If-Match)
+    id: false, // Evita el virtual "id" duplicado de "_id" en las respuestas
+    toJSON: { virtuals: true }, // Incluye "yearsTrajectory" al serializar
+    toObject: { virtuals: true },
   }
 );
 
+// Cada actualización incrementa la versión "__v"
+CompanySchema.plugin(versionedUpdates);
+
+// Índice de texto para la búsqueda "q" del listado: el análisis en español ignora acentos y
+// mayúsculas, y el nombre pesa más que la descripción al calcular la relevancia.
+CompanySchema.index(
+  { name: "text", description: "text" },
+  { name: "company_text_search", weights: { name: 10, description: 2 }, default_language: "spanish" }
+);
+
+// Filtro por estado del registro en el listado y el reporte
+CompanySchema.index({ status: 1, registrationState: 1 });
+
+// Búsqueda de posibles duplicados por nombre normalizado y por NIT
+CompanySchema.index({ normalizedName: 1 });
+CompanySchema.index({ taxId: 1 }, { sparse: true });
+
+/**
+ * Años de trayectoria calculados a partir del año de fundación.
+ * Al no almacenarse, el valor siempre corresponde al año en curso.
+ */
+CompanySchema.virtual("yearsTrajectory").get(function () {
+  if (this.foundingYear == null) return undefined;
+  return new Date().getFullYear() - this.foundingYear;
+});
+
+/**
+ * Mantiene "categoryName" sincronizado con la categoría asignada al registrar o guardar una empresa
+ * (incluye la importación masiva, que valida cada documento antes de insertarlo).
+ */
+CompanySchema.pre("validate", async function () {
+  if (!this.isModified("category") && this.categoryName) return;
+  const category = this.category ? await Category.findById(this.category).select("name") : null;
+  if (this.category && !category) {
+    this.invalidate("category", "La categoría no existe en el catálogo");
+    return;
+  }
+  this.categoryName = category?.name;
+});
+
+/**
+ * Igual que el hook anterior, para las actualizaciones con findByIdAndUpdate / findOneAndUpdate.
+ */
+CompanySchema.pre("findOneAndUpdate", async function () {
+  const update = this.getUpdate();
+  const categoryId = update?.category ?? update?.$set?.category;
+  if (!categoryId) return;
+  const category = await Category.findById(categoryId).select("name");
+  if (!category) throw new Error("La categoría no existe en el catálogo");
+  this.set("categoryName", category.name);
+});
+
+/**
+ * Mantiene "normalizedName" sincronizado con el nombre al registrar o guardar una empresa.
+ */
+CompanySchema.pre("validate", function () {
+  if (this.isModified("name") || this.normalizedName == null) {
+    this.normalizedName = normalizeCompanyName(this.name);
+  }
+});
+
+/**
+ * Igual que el hook anterior, para las actualizaciones con findByIdAndUpdate / findOneAndUpdate.
+ */
+CompanySchema.pre("findOneAndUpdate", function () {
+  const update = this.getUpdate();
+  const name = update?.name ?? update?.$set?.name;
+  if (name !== undefined) this.set("normalizedName", normalizeCompanyName(name));
+});
+
+/**
+ * Registra el estado inicial en la línea de tiempo al crear una empresa (también en la importación masiva).
+ */
+CompanySchema.pre("validate", function () {
+  if (this.isNew && !this.stateTransitions.length) {
+    this.stateTransitions.push({ from: null, to: this.registrationState, changedBy: this.createdBy });
+  }
+});
+
+/**
+ * Campos que los clientes pueden modificar con PUT y PATCH.
+ * "createdBy", "status", los datos de desactivación y de fusión y el estado del registro se asignan desde el servidor;
+ * "score" y "evaluationsCount" se calculan a partir de las evaluaciones, y "attachments" se modifica con los
+ * endpoints de archivos adjuntos.
+ * "levelImpact" solo se modifica mientras la empresa no tenga evaluaciones; después lo determina su puntaje.
+ */
+export const COMPANY_MUTABLE_FIELDS = [
+  "name",
+  "description",
+  "levelImpact",
+  "foundingYear",
+  "category",
+  "legalName",
+  "taxId",
+  "contact",
+  "address",
+];
+
 export default model("Company", CompanySchema);
@@ -1,8 +1,9 @@
 import { Router } from "express";
-import { createCompany, getCompanies, getCompanyById, updateCompany, generateCompaniesReport } from "./company.controller.js";
-import { createCompanyValidator, getCompanyByIdValidator, updateCompanyValidator } from "../middlewares/company-validators.js";
+import { createCompany, getCompanies, getCompanyById, updateCompany, generateCompaniesReport, exportCompaniesReport, importCompanies, deactivateCompany, restoreCompany, getInactiveCompanies, getCompanyHistory, revertCompany, patchCompany, getCompanyStats, transitionCompany, getCompanyTransitions, uploadCompanyAttachment, downloadCompanyAttachment, deleteCompanyAttachment, getCompanyDuplicates, mergeCompanies } from "./company.controller.js";
+import { createCompanyValidator, getCompanyByIdValidator, updateCompanyValidator, getCompaniesValidator, generateCompaniesReportValidator, exportCompaniesReportValidator, importCompaniesValidator, deactivateCompanyValidator, restoreCompanyValidator, getInactiveCompaniesValidator, getCompanyHistoryValidator, revertCompanyValidator, patchCompanyValidator, getCompanyStatsValidator, transitionCompanyValidator, getCompanyTransitionsValidator, uploadCompanyAttachmentValidator, companyAttachmentValidator, getCompanyDuplicatesValidator, mergeCompaniesValidator } from "../middlewares/company-validators.js";
+import { uploadSpreadsheet, uploadAttachment } from "../middlewares/upload-file.js";
 import { validateJWT } from "../middlewares/validate-jwt.js";
-import { hasRoles } from "../middlewares/validate-roles.js";
+import { requirePermission } from "../middlewares/validate-roles.js";
 
 const router = Router();
 
@@ -10,10 +11,17 @@ const router = Router();
  * @swagger
  * /companies:
  *   post:
- *     summary: Registrar una nueva empresa (Solo Admin)
+ *     summary: Registrar una nueva empresa (Permiso company:create)
  *     tags: [Companies]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: allowDuplicates
+ *         schema:
+ *           type: boolean
+ *         required: false
+ *         description: Confirma que se trata de otra empresa aunque coincida con una registrada (NIT o nombre igual o parecido)
  *     requestBody:
  *       required: true
  *       content:
@@ -25,36 +33,234 @@ const router = Router();
  *         description: Empresa creada exitosamente
  *       400:
  *         description: Error en la solicitud
+ *       409:
+ *         description: Otra empresa tiene el mismo nombre, o hay posibles duplicados (se listan en "duplicates") y no se envió allowDuplicates=true
+ */
+router.post("/", validateJWT, requirePermission("company:create"), createCompanyValidator, createCompany);
+
+/**
+ * @swagger
+ * /companies/import:
+ *   post:
+ *     summary: Importar empresas desde un archivo Excel o CSV (Permiso company:import)
+ *     description: El archivo usa el mismo formato de columnas que el reporte (Nombre, Descripción, Impacto, Año de Fundación y Categoría). Cada fila se valida con las mismas reglas del registro individual.
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *         description: Si es true, solo valida el archivo sin insertar empresas
+ *       - in: query
+ *         name: allowDuplicates
+ *         schema:
+ *           type: boolean
+ *         description: Importa también las filas con el mismo NIT o nombre normalizado que otra empresa
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Validación completada (dryRun)
+ *       201:
+ *         description: Empresas importadas; incluye las filas que fallaron y el motivo
+ *       400:
+ *         description: Archivo inválido o sin las columnas esperadas
+ *       422:
+ *         description: Ninguna fila pudo importarse
  */
-router.post("/", validateJWT, hasRoles("ADMIN"), createCompanyValidator, createCompany);
+router.post("/import", validateJWT, requirePermission("company:import"), importCompaniesValidator, uploadSpreadsheet, importCompanies);
 
 /**
  * @swagger
  * /companies/report/excel:
  *   get:
- *     summary: Generar reporte Excel de empresas (Solo Admin)
+ *     summary: Generar reporte Excel de empresas (Permiso report:export)
  *     tags: [Companies]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Slug o ID de la categoría (incluye sus subcategorías); una categoría inexistente no coincide con ninguna empresa
+ *       - in: query
+ *         name: levelImpact
+ *         schema:
+ *           type: string
+ *           enum: [Bajo, Medio, Alto]
+ *         description: Nivel de impacto
+ *       - in: query
+ *         name: minYears
+ *         schema:
+ *           type: integer
+ *         description: Años mínimos de trayectoria
+ *       - in: query
+ *         name: maxYears
+ *         schema:
+ *           type: integer
+ *         description: Años máximos de trayectoria
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *         example: submitted,under_review
+ *         description: Estados del registro separados por comas (submitted, under_review, approved, rejected, withdrawn)
+ *       - in: query
+ *         name: minScore
+ *         schema:
+ *           type: number
+ *         description: Puntaje mínimo de evaluación (0 a 10); excluye a las empresas sin evaluar
+ *       - in: query
+ *         name: maxScore
+ *         schema:
+ *           type: number
+ *         description: Puntaje máximo de evaluación (0 a 10); excluye a las empresas sin evaluar
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *         description: Campos de ordenación separados por comas (name, category, yearsTrajectory, foundingYear, createdAt, score); "-" indica orden descendente
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc, A-Z, Z-A]
+ *         description: Orden por nombre cuando no se indica "sort"
  *     responses:
  *       200:
  *         description: Reporte generado exitosamente
  *       400:
  *         description: Error en la solicitud
+ *       404:
+ *         description: Ninguna empresa coincide con los filtros
  */
-router.get("/report/excel", validateJWT, hasRoles("ADMIN"), generateCompaniesReport);
+router.get("/report/excel", validateJWT, requirePermission("report:export"), generateCompaniesReportValidator, generateCompaniesReport);
+
+/**
+ * @swagger
+ * /companies/report:
+ *   get:
+ *     summary: Exportar el reporte de empresas en Excel, CSV, NDJSON o PDF (Permiso report:export)
+ *     description: El formato se toma del parámetro "format" o, si no se envía, de la cabecera Accept. Acepta los mismos filtros y ordenación que el reporte Excel.
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [xlsx, csv, ndjson, pdf]
+ *         description: Formato del reporte
+ *     responses:
+ *       200:
+ *         description: Reporte generado exitosamente
+ *         content:
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet: {}
+ *           text/csv: {}
+ *           application/x-ndjson: {}
+ *           application/pdf: {}
+ *       400:
+ *         description: Error en la solicitud
+ *       404:
+ *         description: Ninguna empresa coincide con los filtros
+ *       406:
+ *         description: Ningún formato disponible es aceptable
+ */
+router.get("/report", validateJWT, requirePermission("report:export"), exportCompaniesReportValidator, exportCompaniesReport);
 
 /**
  * @swagger
  * /companies:
  *   get:
- *     summary: Obtener todas las empresas activas (Solo Admin)
+ *     summary: Obtener todas las empresas activas (Admin y Evaluador)
  *     tags: [Companies]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         example: tecnologia
+ *         description: Texto a buscar en el nombre y la descripción, sin distinguir acentos; sin "sort" ni "order" los resultados se ordenan por relevancia
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Slug o ID de la categoría (incluye sus subcategorías); una categoría inexistente no coincide con ninguna empresa
+ *       - in: query
+ *         name: levelImpact
+ *         schema:
+ *           type: string
+ *           enum: [Bajo, Medio, Alto]
+ *         description: Nivel de impacto
+ *       - in: query
+ *         name: minYears
+ *         schema:
+ *           type: integer
+ *         description: Años mínimos de trayectoria
+ *       - in: query
+ *         name: maxYears
+ *         schema:
+ *           type: integer
+ *         description: Años máximos de trayectoria
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *         example: submitted,under_review
+ *         description: Estados del registro separados por comas (submitted, under_review, approved, rejected, withdrawn)
+ *       - in: query
+ *         name: minScore
+ *         schema:
+ *           type: number
+ *         description: Puntaje mínimo de evaluación (0 a 10); excluye a las empresas sin evaluar
+ *       - in: query
+ *         name: maxScore
+ *         schema:
+ *           type: number
+ *         description: Puntaje máximo de evaluación (0 a 10); excluye a las empresas sin evaluar
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *         example: category,-yearsTrajectory,name
+ *         description: Campos de ordenación separados por comas (name, category, yearsTrajectory, foundingYear, createdAt, score); "-" indica orden descendente
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc, A-Z, Z-A]
+ *         description: Orden por nombre cuando no se indica "sort"
+ *       - in: query
+ *         name: limite
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: desde
+ *         schema:
+ *           type: integer
+ *         description: Posición inicial (paginación por posición)
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Valor de "nextCursor" o "prevCursor" de una respuesta anterior con el mismo orden
  *     responses:
  *       200:
- *         description: Lista de empresas
+ *         description: Lista de empresas con "nextCursor" y "prevCursor"; la cabecera Link incluye los enlaces first, next y prev
  *         content:
  *           application/json:
  *             schema:
@@ -64,13 +270,104 @@ router.get("/report/excel", validateJWT, hasRoles("ADMIN"), generateCompaniesRep
  *       400:
  *         description: Error en la solicitud
  */
-router.get("/", validateJWT, hasRoles("ADMIN"), getCompanies);
+router.get("/", validateJWT, requirePermission("company:read"), getCompaniesValidator, getCompanies);
+
+/**
+ * @swagger
+ * /companies/stats:
+ *   get:
+ *     summary: Obtener las estadísticas de las empresas activas para el tablero (Permiso company:stats)
+ *     description: Conteos por nivel de impacto y por categoría, promedio y distribución de la trayectoria, registros por mes y administradores que más empresas registraron. Acepta los mismos filtros que el listado.
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Texto a buscar en el nombre y la descripción
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Slug o ID de la categoría (incluye sus subcategorías); una categoría inexistente no coincide con ninguna empresa
+ *       - in: query
+ *         name: levelImpact
+ *         schema:
+ *           type: string
+ *           enum: [Bajo, Medio, Alto]
+ *         description: Nivel de impacto
+ *       - in: query
+ *         name: minYears
+ *         schema:
+ *           type: integer
+ *         description: Años mínimos de trayectoria
+ *       - in: query
+ *         name: maxYears
+ *         schema:
+ *           type: integer
+ *         description: Años máximos de trayectoria
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *         example: submitted,under_review
+ *         description: Estados del registro separados por comas (submitted, under_review, approved, rejected, withdrawn)
+ *       - in: query
+ *         name: minScore
+ *         schema:
+ *           type: number
+ *         description: Puntaje mínimo de evaluación (0 a 10); excluye a las empresas sin evaluar
+ *       - in: query
+ *         name: maxScore
+ *         schema:
+ *           type: number
+ *         description: Puntaje máximo de evaluación (0 a 10); excluye a las empresas sin evaluar
+ *       - in: query
+ *         name: top
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *         description: Cantidad de administradores a incluir en "topCreators" (máximo 50)
+ *     responses:
+ *       200:
+ *         description: Estadísticas de las empresas que cumplen los filtros
+ *       400:
+ *         description: Error en la solicitud
+ */
+router.get("/stats", validateJWT, requirePermission("company:stats"), getCompanyStatsValidator, getCompanyStats);
+
+/**
+ * @swagger
+ * /companies/inactive:
+ *   get:
+ *     summary: Obtener las empresas desactivadas, con quién y cuándo las desactivó (Permiso company:deactivate)
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limite
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: desde
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Lista de empresas desactivadas
+ *       400:
+ *         description: Error en la solicitud
+ */
+router.get("/inactive", validateJWT, requirePermission("company:deactivate"), getInactiveCompaniesValidator, getInactiveCompanies);
 
 /**
  * @swagger
  * /companies/{id}:
  *   get:
- *     summary: Obtener una empresa por su ID (Solo Admin)
+ *     summary: Obtener una empresa por su ID (Admin y Evaluador)
  *     tags: [Companies]
  *     security:
  *       - bearerAuth: []
@@ -83,7 +380,7 @@ router.get("/", validateJWT, hasRoles("ADMIN"), getCompanies);
  *         description: ID de la empresa
  *     responses:
  *       200:
- *         description: Empresa encontrada
+ *         description: Empresa encontrada; la cabecera ETag contiene su versión
  *         content:
  *           application/json:
  *             schema:
@@ -93,13 +390,13 @@ router.get("/", validateJWT, hasRoles("ADMIN"), getCompanies);
  *       404:
  *         description: Empresa no encontrada
  */
-router.get("/:id", validateJWT, hasRoles("ADMIN"), getCompanyByIdValidator, getCompanyById);
+router.get("/:id", validateJWT, requirePermission("company:read"), getCompanyByIdValidator, getCompanyById);
 
 /**
  * @swagger
  * /companies/{id}:
  *   put:
- *     summary: Actualizar una empresa por su ID (Solo Admin)
+ *     summary: Actualizar una empresa por su ID (Permiso company:update)
  *     tags: [Companies]
  *     security:
  *       - bearerAuth: []
@@ -110,6 +407,18 @@ router.get("/:id", validateJWT, hasRoles("ADMIN"), getCompanyByIdValidator, getC
  *           type: string
  *         required: true
  *         description: ID de la empresa
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: ETag recibido al consultar la empresa; si ya no es la versión actual, no se actualiza
+ *       - in: query
+ *         name: allowDuplicates
+ *         schema:
+ *           type: boolean
+ *         required: false
+ *         description: Confirma que se trata de otra empresa aunque coincida con una registrada (NIT o nombre igual o parecido)
  *     requestBody:
  *       required: true
  *       content:
@@ -118,12 +427,438 @@ router.get("/:id", validateJWT, hasRoles("ADMIN"), getCompanyByIdValidator, getC
  *             $ref: '#/components/schemas/Company'
  *     responses:
  *       200:
- *         description: Empresa actualizada
+ *         description: Empresa actualizada; la cabecera ETag contiene la nueva versión
  *       400:
  *         description: Error en la solicitud
  *       404:
  *         description: Empresa no encontrada
+ *       409:
+ *         description: Otra empresa tiene el mismo nombre, o hay posibles duplicados y no se envió allowDuplicates=true
+ *       412:
+ *         description: La empresa fue modificada por otro usuario; incluye el estado actual
+ */
+router.put("/:id", validateJWT, requirePermission("company:update"), updateCompanyValidator, updateCompany);
+
+/**
+ * @swagger
+ * /companies/{id}:
+ *   patch:
+ *     summary: Actualizar parcialmente una empresa con JSON Merge Patch o JSON Patch (Permiso company:update)
+ *     description: Solo pueden modificarse name, description, levelImpact, foundingYear y category.
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID de la empresa
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: ETag recibido al consultar la empresa
+ *       - in: query
+ *         name: allowDuplicates
+ *         schema:
+ *           type: boolean
+ *         required: false
+ *         description: Confirma que se trata de otra empresa aunque coincida con una registrada (NIT o nombre igual o parecido)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/merge-patch+json:
+ *           schema:
+ *             type: object
+ *           example:
+ *             levelImpact: Alto
+ *         application/json-patch+json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               type: object
+ *               properties:
+ *                 op:
+ *                   type: string
+ *                   enum: [add, remove, replace, move, copy, test]
+ *                 path:
+ *                   type: string
+ *                 from:
+ *                   type: string
+ *                 value: {}
+ *           example:
+ *             - op: replace
+ *               path: /levelImpact
+ *               value: Alto
+ *     responses:
+ *       200:
+ *         description: Empresa actualizada; la cabecera ETag contiene la nueva versión
+ *       400:
+ *         description: Parche inválido, campos no modificables o valores que no pasan la validación
+ *       409:
+ *         description: Una operación "test" del parche no se cumple, otra empresa tiene el mismo nombre o hay posibles duplicados sin allowDuplicates=true
+ *       412:
+ *         description: La empresa fue modificada por otro usuario; incluye el estado actual
+ */
+router.patch("/:id", validateJWT, requirePermission("company:update"), patchCompanyValidator, patchCompany);
+
+/**
+ * @swagger
+ * /companies/{id}/deactivate:
+ *   patch:
+ *     summary: Desactivar (eliminar lógicamente) una empresa (Permiso company:deactivate)
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID de la empresa
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Empresa desactivada
+ *       400:
+ *         description: Error en la solicitud o empresa ya desactivada
+ *       404:
+ *         description: Empresa no encontrada
+ */
+router.patch("/:id/deactivate", validateJWT, requirePermission("company:deactivate"), deactivateCompanyValidator, deactivateCompany);
+
+/**
+ * @swagger
+ * /companies/{id}/restore:
+ *   patch:
+ *     summary: Restaurar una empresa desactivada (Permiso company:deactivate)
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID de la empresa
+ *     responses:
+ *       200:
+ *         description: Empresa restaurada
+ *       400:
+ *         description: Error en la solicitud o empresa ya activa
+ *       404:
+ *         description: Empresa no encontrada
+ */
+router.patch("/:id/restore", validateJWT, requirePermission("company:deactivate"), restoreCompanyValidator, restoreCompany);
+
+/**
+ * @swagger
+ * /companies/{id}/history:
+ *   get:
+ *     summary: Consultar el historial de cambios de una empresa (Permiso company:history)
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID de la empresa
+ *       - in: query
+ *         name: limite
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: desde
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Versiones de la empresa con las diferencias, el usuario y la fecha de cada cambio
+ *       400:
+ *         description: Error en la solicitud
+ */
+router.get("/:id/history", validateJWT, requirePermission("company:history"), getCompanyHistoryValidator, getCompanyHistory);
+
+/**
+ * @swagger
+ * /companies/{id}/revert:
+ *   post:
+ *     summary: Revertir una empresa a una versión anterior de su historial (Permiso company:update)
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID de la empresa
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [version]
+ *             properties:
+ *               version:
+ *                 type: integer
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Empresa revertida; la reversión se registra como una versión nueva
+ *       404:
+ *         description: La versión no existe
+ *       409:
+ *         description: Otra empresa usa ahora el nombre de esa versión
+ */
+router.post("/:id/revert", validateJWT, requirePermission("company:update"), revertCompanyValidator, revertCompany);
+
+/**
+ * @swagger
+ * /companies/{id}/transitions:
+ *   get:
+ *     summary: Obtener el estado del registro de una empresa y su línea de tiempo (Permiso company:history)
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Estado actual, transiciones permitidas y transiciones realizadas
+ *       400:
+ *         description: Error en la solicitud
+ */
+router.get("/:id/transitions", validateJWT, requirePermission("company:history"), getCompanyTransitionsValidator, getCompanyTransitions);
+
+/**
+ * @swagger
+ * /companies/{id}/transitions:
+ *   post:
+ *     summary: Cambiar el estado del registro de una empresa (Permiso company:transition)
+ *     description: "Transiciones permitidas: submitted → under_review | withdrawn; under_review → approved | rejected | withdrawn; approved → under_review | withdrawn; rejected → submitted; withdrawn → submitted."
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: ETag de la versión de la empresa sobre la que se hace la transición
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [to, reason]
+ *             properties:
+ *               to:
+ *                 type: string
+ *                 enum: [submitted, under_review, approved, rejected, withdrawn]
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Estado actualizado
+ *       400:
+ *         description: Error en la solicitud
+ *       409:
+ *         description: La transición no está permitida desde el estado actual
+ *       412:
+ *         description: La empresa cambió desde la versión indicada en If-Match
+ */
+router.post("/:id/transitions", validateJWT, requirePermission("company:transition"), transitionCompanyValidator, transitionCompany);
+
+/**
+ * @swagger
+ * /companies/{id}/attachments:
+ *   post:
+ *     summary: Adjuntar un archivo a una empresa, como su logo o un certificado de registro (Permiso company:update)
+ *     description: Se aceptan imágenes (.png, .jpg, .webp) y PDF de hasta 10 MB. Subir un logo reemplaza al anterior.
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               kind:
+ *                 type: string
+ *                 enum: [logo, certificate, other]
+ *                 default: other
+ *     responses:
+ *       201:
+ *         description: Archivo adjuntado
+ *       400:
+ *         description: Archivo inválido o error en la solicitud
+ *       409:
+ *         description: La empresa cambió mientras se subía el archivo
+ */
+router.post("/:id/attachments", validateJWT, requirePermission("company:update"), uploadAttachment, uploadCompanyAttachmentValidator, uploadCompanyAttachment);
+
+/**
+ * @swagger
+ * /companies/{id}/attachments/{attachmentId}:
+ *   get:
+ *     summary: Descargar un archivo adjunto de una empresa (Admin y Evaluador)
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Contenido del archivo
+ *       404:
+ *         description: Archivo adjunto no encontrado
+ */
+router.get("/:id/attachments/:attachmentId", validateJWT, requirePermission("company:read"), companyAttachmentValidator, downloadCompanyAttachment);
+
+/**
+ * @swagger
+ * /companies/{id}/attachments/{attachmentId}:
+ *   delete:
+ *     summary: Eliminar un archivo adjunto de una empresa (Permiso company:update)
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Archivo adjunto eliminado
+ *       404:
+ *         description: Archivo adjunto no encontrado
+ */
+router.delete("/:id/attachments/:attachmentId", validateJWT, requirePermission("company:update"), companyAttachmentValidator, deleteCompanyAttachment);
+
+/**
+ * @swagger
+ * /companies/{id}/duplicates:
+ *   get:
+ *     summary: Listar las empresas que probablemente son la misma (Permiso company:merge)
+ *     description: Coincidencias por NIT, nombre normalizado (sin mayúsculas, acentos, signos ni forma societaria) o nombre parecido.
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Posibles duplicados con sus motivos y la similitud de los nombres
+ *       400:
+ *         description: Error en la solicitud
+ */
+router.get("/:id/duplicates", validateJWT, requirePermission("company:merge"), getCompanyDuplicatesValidator, getCompanyDuplicates);
+
+/**
+ * @swagger
+ * /companies/{id}/merge:
+ *   post:
+ *     summary: Fusionar una empresa duplicada en esta empresa (Permiso company:merge)
+ *     description: La empresa de la URL se conserva y recibe los datos que le falten, los archivos adjuntos y las evaluaciones de la duplicada, que queda desactivada.
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la empresa que se conserva
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: ETag recibido al consultar la empresa que se conserva
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [sourceId]
+ *             properties:
+ *               sourceId:
+ *                 type: string
+ *                 description: ID de la empresa duplicada
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Empresas fusionadas; incluye la empresa resultante y un resumen de lo trasladado
+ *       400:
+ *         description: Error en la solicitud
+ *       412:
+ *         description: La empresa fue modificada por otro usuario; incluye el estado actual
  */
-router.put("/:id", validateJWT, hasRoles("ADMIN"), updateCompanyValidator, updateCompany);
+router.post("/:id/merge", validateJWT, requirePermission("company:merge"), mergeCompaniesValidator, mergeCompanies);
 
-export default router;
\ No newline at end of file
+export default router;
@@ -0,0 +1,36 @@
+import { Schema, model } from "mongoose";
+
+const EvaluationCriterionSchema = new Schema(
+  {
+    key: {
+      type: String,
+      required: [true, "La clave del criterio es obligatoria"],
+      trim: true,
+      unique: true, // Nombre del campo en las puntuaciones de una evaluación, por ejemplo "socialImpact"
+    },
+    name: {
+      type: String,
+      required: [true, "El nombre del criterio es obligatorio"],
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    weight: {
+      type: Number,
+      required: [true, "El peso del criterio es obligatorio"],
+      min: [0.01, "El peso del criterio debe ser mayor a 0"], // Los pesos son relativos entre sí; no tienen que sumar 1
+    },
+    status: {
+      type: Boolean,
+      default: true, // Un criterio desactivado deja de pedirse y de contar en el puntaje
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+export default model("EvaluationCriterion", EvaluationCriterionSchema);
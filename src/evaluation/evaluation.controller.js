@@ -0,0 +1,249 @@
+import Evaluation from "./evaluation.model.js";
+import EvaluationCriterion from "./evaluation-criterion.model.js";
+import Company from "../company/company.model.js";
+import {
+  computeWeightedScore,
+  getActiveCriteria,
+  refreshCompanyScore,
+  recalculateAllScores,
+  IMPACT_THRESHOLDS,
+} from "../helpers/company-scoring.js";
+
+/**
+ * Lista los criterios de evaluación.
+ *
+ * @function getCriteria
+ * @async
+ * @description Devuelve los criterios en el orden en que se registraron, con su peso relativo y su porcentaje sobre
+ *              el total de los criterios activos, junto con los puntajes mínimos de cada nivel de impacto.
+ *
+ * @param {object} req - Objeto de solicitud Express.
+ * @param {object} res - Objeto de respuesta Express.
+ *
+ * @returns {Promise<object>} Respuesta HTTP en formato JSON con los criterios.
+ *
+ * @example
+ * // Solicitud GET a /coperex/v1/evaluation/criteria devolverá:
+ * {
+ *   success: true,
+ *   criteria: [{ key: "innovation", name: "Innovación", weight: 0.4, share: 0.4, status: true }, ...],
+ *   thresholds: [{ levelImpact: "Alto", minScore: 7 }, { levelImpact: "Medio", minScore: 4 }, { levelImpact: "Bajo", minScore: 0 }]
+ * }
+ */
+export const getCriteria = async (req, res) => {
+  try {
+    const criteria = await EvaluationCriterion.find().sort({ createdAt: 1, _id: 1 }).lean();
+    const activeWeight = criteria.filter(({ status }) => status).reduce((sum, { weight }) => sum + weight, 0);
+
+    return res.status(200).json({
+      success: true,
+      criteria: criteria.map((criterion) => ({
+        ...criterion,
+        share: criterion.status && activeWeight ? Number((criterion.weight / activeWeight).toFixed(4)) : 0,
+      })),
+      thresholds: IMPACT_THRESHOLDS,
+    });
+  } catch (err) {
+    return res.status(500).json({
+      success: false,
+      message: "Error al obtener los criterios de evaluación",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Registra un criterio de evaluación.
+ *
+ * @function createCriterion
+ * @async
+ * @description El nuevo criterio se pide en las evaluaciones que se envíen desde ese momento. Las evaluaciones
+ *              anteriores no lo incluyen, por lo que sus puntajes no cambian.
+ *
+ * @param {object} req - Objeto de solicitud Express.
+ * @param {string} req.body.key - Clave del criterio en camelCase, usada en las puntuaciones.
+ * @param {string} req.body.name - Nombre del criterio.
+ * @param {string} [req.body.description] - Descripción del criterio.
+ * @param {number} req.body.weight - Peso relativo del criterio.
+ * @param {object} res - Objeto de respuesta Express.
+ *
+ * @returns {Promise<object>} Respuesta HTTP en formato JSON con el criterio creado.
+ */
+export const createCriterion = async (req, res) => {
+  try {
+    const { key, name, description, weight } = req.body;
+    const criterion = await EvaluationCriterion.create({ key, name, description, weight });
+
+    return res.status(201).json({
+      success: true,
+      message: "Criterio de evaluación registrado exitosamente",
+      criterion,
+    });
+  } catch (err) {
+    return res.status(500).json({
+      success: false,
+      message: "Error al registrar el criterio de evaluación",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Actualiza un criterio de evaluación.
+ *
+ * @function updateCriterion
+ * @async
+ * @description Modifica el nombre, la descripción, el peso o el estado de un criterio. Si cambia el peso o el estado,
+ *              se recalculan los puntajes ponderados de todas las evaluaciones y, con ellos, el puntaje y el nivel
+ *              de impacto de las empresas evaluadas.
+ *
+ * @param {object} req - Objeto de solicitud Express.
+ * @param {string} req.params.key - Clave del criterio.
+ * @param {object} req.body - Campos a modificar ("name", "description", "weight" y "status").
+ * @param {object} req.usuario - Usuario autenticado, registrado en el historial de las empresas recalculadas.
+ * @param {object} res - Objeto de respuesta Express.
+ *
+ * @returns {Promise<object>} Respuesta HTTP en formato JSON con el criterio y la cantidad de empresas recalculadas.
+ */
+export const updateCriterion = async (req, res) => {
+  try {
+    const { name, description, weight, status } = req.body;
+    const data = Object.fromEntries(
+      Object.entries({ name, description, weight, status }).filter(([, value]) => value !== undefined)
+    );
+
+    const before = await EvaluationCriterion.findOne({ key: req.params.key }).lean();
+    const criterion = await EvaluationCriterion.findOneAndUpdate({ key: req.params.key }, data, { new: true, runValidators: true });
+
+    const affectsScores = criterion.weight !== before.weight || criterion.status !== before.status;
+    const recalculatedCompanies = affectsScores ? await recalculateAllScores(req.usuario) : 0;
+
+    return res.status(200).json({
+      success: true,
+      message: "Criterio de evaluación actualizado exitosamente",
+      criterion,
+      recalculatedCompanies,
+    });
+  } catch (err) {
+    return res.status(500).json({
+      success: false,
+      message: "Error al actualizar el criterio de evaluación",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Registra o reemplaza la evaluación de una empresa por el evaluador autenticado.
+ *
+ * @function submitEvaluation
+ * @async
+ * @description Cada evaluador tiene una sola evaluación por empresa: si ya la había evaluado, la nueva la reemplaza.
+ *              Se calcula el puntaje ponderado con los pesos vigentes y se actualiza el puntaje de la empresa
+ *              (promedio de sus evaluaciones), que determina su nivel de impacto:
+ *              "Alto" desde 7, "Medio" desde 4 y "Bajo" por debajo de 4.
+ *
+ * @param {object} req - Objeto de solicitud Express.
+ * @param {string} req.params.id - ID de la empresa.
+ * @param {object} req.body.scores - Puntuación de 0 a 10 por clave de criterio activo.
+ * @param {string} [req.body.comment] - Comentario del evaluador.
+ * @param {object} req.usuario - Evaluador autenticado.
+ * @param {object} res - Objeto de respuesta Express.
+ *
+ * @returns {Promise<object>} Respuesta HTTP en formato JSON con la evaluación y el puntaje actualizado de la empresa.
+ *
+ * @example
+ * // Solicitud POST a /coperex/v1/evaluation/company/608d1b2f4b1e883f1c2a1234 con body
+ * // { "scores": { "innovation": 9, "socialImpact": 7, "sustainability": 8 } } devolverá:
+ * {
+ *   success: true,
+ *   evaluation: { company: "608d...", evaluator: "66a0...", scores: [...], weightedScore: 8.05 },
+ *   company: { _id: "608d...", name: "Nombre de la Empresa", score: 8.05, evaluationsCount: 1, levelImpact: "Alto" }
+ * }
+ */
+export const submitEvaluation = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { scores, comment } = req.body;
+
+    const scoreList = Object.entries(scores).map(([criterion, score]) => ({ criterion, score }));
+    const weightedScore = computeWeightedScore(scoreList, await getActiveCriteria());
+
+    const existed = await Evaluation.exists({ company: id, evaluator: req.usuario._id });
+    const evaluation = await Evaluation.findOneAndUpdate(
+      { company: id, evaluator: req.usuario._id },
+      { scores: scoreList, weightedScore, comment },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    const company = await refreshCompanyScore(id, req.usuario);
+
+    return res.status(existed ? 200 : 201).json({
+      success: true,
+      message: existed ? "Evaluación actualizada exitosamente" : "Evaluación registrada exitosamente",
+      evaluation,
+      company: {
+        _id: company._id,
+        name: company.name,
+        score: company.score,
+        evaluationsCount: company.evaluationsCount,
+        levelImpact: company.levelImpact,
+      },
+    });
+  } catch (err) {
+    return res.status(500).json({
+      success: false,
+      message: "Error al registrar la evaluación",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Obtiene las evaluaciones de una empresa.
+ *
+ * @function getCompanyEvaluations
+ * @async
+ * @description Devuelve el puntaje de la empresa, el promedio de cada criterio y las evaluaciones individuales
+ *              con el evaluador (nombre y email), de la más reciente a la más antigua.
+ *
+ * @param {object} req - Objeto de solicitud Express.
+ * @param {string} req.params.id - ID de la empresa.
+ * @param {object} res - Objeto de respuesta Express.
+ *
+ * @returns {Promise<object>} Respuesta HTTP en formato JSON con el resumen y las evaluaciones.
+ */
+export const getCompanyEvaluations = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const [company, evaluations, criteria] = await Promise.all([
+      Company.findById(id).select("name levelImpact score evaluationsCount"),
+      Evaluation.find({ company: id }).sort({ updatedAt: -1 }).populate("evaluator", "name email"),
+      getActiveCriteria(),
+    ]);
+
+    const byCriterion = criteria.map(({ key, name, weight }) => {
+      const values = evaluations.flatMap(({ scores }) => scores.filter(({ criterion }) => criterion === key).map(({ score }) => score));
+      return {
+        key,
+        name,
+        weight,
+        average: values.length ? Number((values.reduce((sum, value) => sum + value, 0) / values.length).toFixed(2)) : null,
+      };
+    });
+
+    return res.status(200).json({
+      success: true,
+      company,
+      byCriterion,
+      evaluations,
+    });
+  } catch (err) {
+    return res.status(500).json({
+      success: false,
+      message: "Error al obtener las evaluaciones de la empresa",
+      error: err.message,
+    });
+  }
+};
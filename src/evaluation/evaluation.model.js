@@ -0,0 +1,53 @@
+import { Schema, model } from "mongoose";
+
+const ScoreSchema = new Schema(
+  {
+    criterion: {
+      type: String,
+      required: true, // Clave del criterio (EvaluationCriterion.key)
+    },
+    score: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 10,
+    },
+  },
+  { _id: false }
+);
+
+const EvaluationSchema = new Schema(
+  {
+    company: {
+      type: Schema.Types.ObjectId,
+      ref: "Company",
+      required: true,
+    },
+    evaluator: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    scores: {
+      type: [ScoreSchema],
+      required: true,
+    },
+    weightedScore: {
+      type: Number,
+      default: null, // Promedio ponderado de "scores" con los pesos vigentes; null si ninguno de sus criterios sigue activo
+    },
+    comment: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// Cada evaluador tiene una sola evaluación por empresa; enviarla de nuevo la reemplaza.
+EvaluationSchema.index({ company: 1, evaluator: 1 }, { unique: true });
+
+export default model("Evaluation", EvaluationSchema);
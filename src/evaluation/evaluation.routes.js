@@ -0,0 +1,164 @@
+import { Router } from "express";
+import { getCriteria, createCriterion, updateCriterion, submitEvaluation, getCompanyEvaluations } from "./evaluation.controller.js";
+import {
+  createCriterionValidator,
+  updateCriterionValidator,
+  submitEvaluationValidator,
+  getCompanyEvaluationsValidator,
+} from "../middlewares/evaluation-validators.js";
+import { validateJWT } from "../middlewares/validate-jwt.js";
+import { requirePermission } from "../middlewares/validate-roles.js";
+
+const router = Router();
+
+/**
+ * @swagger
+ * /evaluation/criteria:
+ *   get:
+ *     summary: Listar los criterios de evaluación con su peso y los puntajes mínimos de cada nivel de impacto
+ *     tags: [Evaluations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Criterios de evaluación
+ */
+router.get("/criteria", validateJWT, requirePermission("evaluation:read"), getCriteria);
+
+/**
+ * @swagger
+ * /evaluation/criteria:
+ *   post:
+ *     summary: Registrar un criterio de evaluación (Permiso evaluation:configure)
+ *     tags: [Evaluations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [key, name, weight]
+ *             properties:
+ *               key:
+ *                 type: string
+ *                 example: economicImpact
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               weight:
+ *                 type: number
+ *                 description: Peso relativo respecto a los demás criterios activos
+ *     responses:
+ *       201:
+ *         description: Criterio registrado exitosamente
+ *       400:
+ *         description: Error en la solicitud
+ */
+router.post("/criteria", validateJWT, requirePermission("evaluation:configure"), createCriterionValidator, createCriterion);
+
+/**
+ * @swagger
+ * /evaluation/criteria/{key}:
+ *   put:
+ *     summary: Actualizar un criterio de evaluación (Permiso evaluation:configure)
+ *     description: Si cambia el peso o el estado, se recalculan los puntajes y niveles de impacto de las empresas evaluadas.
+ *     tags: [Evaluations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               weight:
+ *                 type: number
+ *               status:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Criterio actualizado; incluye la cantidad de empresas recalculadas
+ *       400:
+ *         description: Error en la solicitud
+ */
+router.put("/criteria/:key", validateJWT, requirePermission("evaluation:configure"), updateCriterionValidator, updateCriterion);
+
+/**
+ * @swagger
+ * /evaluation/company/{id}:
+ *   post:
+ *     summary: Registrar o reemplazar la evaluación de una empresa (Permiso evaluation:submit)
+ *     description: El puntaje de la empresa es el promedio de los puntajes ponderados de sus evaluaciones y determina su nivel de impacto.
+ *     tags: [Evaluations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [scores]
+ *             properties:
+ *               scores:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: number
+ *                   minimum: 0
+ *                   maximum: 10
+ *                 example: { innovation: 9, socialImpact: 7, sustainability: 8 }
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Evaluación reemplazada
+ *       201:
+ *         description: Evaluación registrada
+ *       400:
+ *         description: Error en la solicitud
+ */
+router.post("/company/:id", validateJWT, requirePermission("evaluation:submit"), submitEvaluationValidator, submitEvaluation);
+
+/**
+ * @swagger
+ * /evaluation/company/{id}:
+ *   get:
+ *     summary: Obtener las evaluaciones de una empresa con el promedio por criterio
+ *     tags: [Evaluations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Puntaje de la empresa, promedio por criterio y evaluaciones
+ *       400:
+ *         description: Error en la solicitud
+ */
+router.get("/company/:id", validateJWT, requirePermission("evaluation:read"), getCompanyEvaluationsValidator, getCompanyEvaluations);
+
+export default router;
@@ -0,0 +1,153 @@
+import { isDeepStrictEqual } from "util";
+import Company from "../company/company.model.js";
+import Evaluation from "../evaluation/evaluation.model.js";
+import { normalizeCompanyName, nameSimilarity } from "./company-name.js";
+
+/**
+ * Detección de empresas que probablemente son la misma.
+ *
+ * El índice único de "name" solo evita nombres idénticos: "Acme S.A." y "ACME, S.A" se registraban como dos
+ * empresas. Antes de registrar o modificar una empresa se buscan coincidencias por:
+ *   - taxId: el mismo NIT (ya normalizado por el validador).
+ *   - normalizedName: el mismo nombre sin mayúsculas, acentos, signos ni forma societaria.
+ *   - similarName: nombres normalizados que empiezan igual y tienen una similitud igual o mayor a SIMILARITY_THRESHOLD.
+ */
+
+/**
+ * Similitud mínima (0 a 1) entre dos nombres normalizados para considerarlos un posible duplicado.
+ */
+export const SIMILARITY_THRESHOLD = 0.85;
+
+/**
+ * Cantidad máxima de coincidencias que se informan.
+ */
+export const DUPLICATES_LIMIT = 5;
+
+/**
+ * Caracteres iniciales del nombre normalizado que deben compartir dos empresas para comparar sus nombres por similitud.
+ */
+const NAME_PREFIX_LENGTH = 3;
+
+/**
+ * Cantidad máxima de empresas cuyos nombres se comparan por similitud en cada búsqueda.
+ */
+const SIMILAR_CANDIDATES_LIMIT = 200;
+
+/**
+ * Busca las empresas que probablemente son la misma que la indicada.
+ * Las coincidencias de NIT y de nombre normalizado se buscan con sus índices. La similitud de nombres no puede
+ * resolverse con un índice, así que solo se compara con las empresas cuyo nombre normalizado empieza igual
+ * (una consulta por prefijo, que sí usa el índice), hasta SIMILAR_CANDIDATES_LIMIT; así el costo no crece con
+ * el registro. Las empresas ya fusionadas en otra no se consideran.
+ * @param {object} params
+ * @param {string} [params.name] - Nombre de la empresa.
+ * @param {string} [params.taxId] - NIT normalizado.
+ * @param {string|import("mongoose").Types.ObjectId} [params.excludeId] - ID de la propia empresa, al modificarla.
+ * @returns {Promise<Array<{ _id: object, name: string, taxId?: string, status: boolean, reasons: Array<string>, similarity: number }>>}
+ *          Coincidencias, primero las de mismo NIT y luego por similitud.
+ */
+export const findLikelyDuplicates = async ({ name, taxId, excludeId }) => {
+  const normalized = name ? normalizeCompanyName(name) : null;
+  const filter = { mergedInto: null };
+  if (excludeId) filter._id = { $ne: excludeId };
+
+  const exact = [];
+  if (normalized) exact.push({ normalizedName: normalized });
+  if (taxId) exact.push({ taxId });
+  if (!exact.length) return [];
+
+  const fields = "name normalizedName taxId status";
+  const [exactMatches, similarCandidates] = await Promise.all([
+    Company.find({ ...filter, $or: exact }).select(fields).lean(),
+    normalized && normalized.length >= NAME_PREFIX_LENGTH
+      ? Company.find({ ...filter, normalizedName: { $regex: `^${normalized.slice(0, NAME_PREFIX_LENGTH)}`, $ne: normalized } })
+          .select(fields)
+          .limit(SIMILAR_CANDIDATES_LIMIT)
+          .lean()
+      : [],
+  ]);
+
+  const candidates = new Map([...exactMatches, ...similarCandidates].map((company) => [String(company._id), company]));
+  const duplicates = [];
+  for (const company of candidates.values()) {
+    const reasons = [];
+    if (taxId && company.taxId === taxId) reasons.push("taxId");
+
+    let similarity = 0;
+    if (normalized) {
+      const other = company.normalizedName ?? normalizeCompanyName(company.name);
+      similarity = nameSimilarity(normalized, other);
+      if (other === normalized) reasons.push("normalizedName");
+      else if (similarity >= SIMILARITY_THRESHOLD) reasons.push("similarName");
+    }
+
+    if (reasons.length) {
+      const { _id, name: otherName, taxId: otherTaxId, status } = company;
+      duplicates.push({ _id, name: otherName, taxId: otherTaxId, status, reasons, similarity });
+    }
+  }
+
+  return duplicates
+    .sort((a, b) => Number(b.reasons.includes("taxId")) - Number(a.reasons.includes("taxId")) || b.similarity - a.similarity)
+    .slice(0, DUPLICATES_LIMIT);
+};
+
+/**
+ * Indica si un error de MongoDB se debe a un índice único (código 11000), por ejemplo un nombre ya registrado.
+ * @param {Error} err - Error capturado.
+ * @returns {boolean} true si es un error de clave duplicada.
+ */
+export const isDuplicateKeyError = (err) => err?.code === 11000;
+
+/**
+ * Calcula los datos que la empresa que se conserva en una fusión toma de la duplicada: la razón social y el NIT
+ * si no los tiene, y los datos de contacto y de dirección que le falten. Los datos que ya tiene no se reemplazan.
+ * @param {object} target - Objeto plano de la empresa que se conserva.
+ * @param {object} source - Objeto plano de la empresa duplicada.
+ * @returns {object} Campos a actualizar en la empresa que se conserva.
+ */
+export const mergeCompanyFields = (target, source) => {
+  const data = {};
+  ["legalName", "taxId"].forEach((field) => {
+    if (target[field] == null && source[field] != null) data[field] = source[field];
+  });
+  ["contact", "address"].forEach((field) => {
+    const own = Object.fromEntries(Object.entries(target[field] ?? {}).filter(([, value]) => value != null));
+    const merged = { ...(source[field] ?? {}), ...own };
+    if (Object.keys(merged).length && !isDeepStrictEqual(merged, target[field] ?? {})) data[field] = merged;
+  });
+  return data;
+};
+
+/**
+ * Traslada las evaluaciones de la empresa duplicada a la que se conserva. Como cada evaluador tiene una sola
+ * evaluación por empresa, si evaluó a las dos se conserva su evaluación más reciente y se elimina la otra.
+ * @param {import("mongoose").Types.ObjectId} sourceId - ID de la empresa duplicada.
+ * @param {import("mongoose").Types.ObjectId} targetId - ID de la empresa que se conserva.
+ * @returns {Promise<{ moved: number, discarded: number }>} Evaluaciones trasladadas y eliminadas.
+ */
+export const mergeEvaluations = async (sourceId, targetId) => {
+  const [sourceEvaluations, targetEvaluations] = await Promise.all([
+    Evaluation.find({ company: sourceId }).select("evaluator updatedAt").lean(),
+    Evaluation.find({ company: targetId }).select("evaluator updatedAt").lean(),
+  ]);
+  const byEvaluator = new Map(targetEvaluations.map((evaluation) => [String(evaluation.evaluator), evaluation]));
+
+  let moved = 0;
+  let discarded = 0;
+  for (const evaluation of sourceEvaluations) {
+    const existing = byEvaluator.get(String(evaluation.evaluator));
+    if (existing && existing.updatedAt >= evaluation.updatedAt) {
+      await Evaluation.deleteOne({ _id: evaluation._id });
+      discarded++;
+      continue;
+    }
+    if (existing) {
+      await Evaluation.deleteOne({ _id: existing._id });
+      discarded++;
+    }
+    await Evaluation.updateOne({ _id: evaluation._id }, { company: targetId });
+    moved++;
+  }
+  return { moved, discarded };
+};
@@ -0,0 +1,205 @@
+import Company from "../company/company.model.js";
+import Category from "../category/category.model.js";
+import { REGISTRATION_STATES, parseStateFilter } from "./company-lifecycle.js";
+
+/**
+ * Traduce un rango de años de trayectoria a un filtro sobre "foundingYear".
+ * La trayectoria es un virtual y no puede consultarse directamente en MongoDB,
+ * por lo que un mínimo de trayectoria equivale a un año de fundación máximo y viceversa.
+ * @param {number|string} [minYears] - Años mínimos de trayectoria.
+ * @param {number|string} [maxYears] - Años máximos de trayectoria.
+ * @returns {object|undefined} Condición para "foundingYear" o undefined si no hay rango.
+ */
+export const buildTrajectoryFilter = (minYears, maxYears) => {
+  const hasMin = minYears !== undefined && minYears !== "";
+  const hasMax = maxYears !== undefined && maxYears !== "";
+  if (!hasMin && !hasMax) return undefined;
+
+  const currentYear = new Date().getFullYear();
+  const filter = {};
+  if (hasMin) filter.$lte = currentYear - Number(minYears);
+  if (hasMax) filter.$gte = currentYear - Number(maxYears);
+  return filter;
+};
+
+/**
+ * Campos por los que se puede ordenar el listado y el reporte de empresas,
+ * asociados al campo real de MongoDB, a si el sentido se invierte al traducirlos y a su etiqueta en los reportes.
+ * "yearsTrajectory" es un virtual: más trayectoria equivale a un año de fundación menor.
+ * "category" se ordena por el nombre de la categoría copiado en la empresa ("categoryName").
+ */
+export const SORTABLE_COMPANY_FIELDS = {
+  name: { path: "name", invert: false, label: "Nombre" },
+  category: { path: "categoryName", invert: false, label: "Categoría" },
+  yearsTrajectory: { path: "foundingYear", invert: true, label: "Años de trayectoria" },
+  foundingYear: { path: "foundingYear", invert: false, label: "Año de fundación" },
+  createdAt: { path: "createdAt", invert: false, label: "Fecha de registro" },
+  score: { path: "score", invert: false, label: "Puntaje" },
+};
+
+/**
+ * Construye el objeto de ordenación de Mongoose para empresas.
+ * Acepta una lista separada por comas donde el prefijo "-" indica orden descendente,
+ * por ejemplo "category,-yearsTrajectory,name". Si no se indica "sort", se mantiene
+ * el comportamiento original de ordenar por nombre según "order".
+ * En una búsqueda por texto sin "sort" ni "order", los resultados se ordenan por relevancia.
+ * Siempre se agrega "_id" como último criterio para que el orden sea estable.
+ * @param {string} [sort] - Lista de campos de ordenación.
+ * @param {string} [order="asc"] - Sentido del orden por nombre ("asc"/"A-Z" o "desc"/"Z-A").
+ * @param {boolean} [relevance=false] - Si la consulta usa el índice de texto ($text).
+ * @returns {object} Objeto de ordenación, por ejemplo { category: 1, foundingYear: 1, name: 1, _id: 1 }.
+ */
+export const buildCompanySort = (sort, order, relevance = false) => {
+  const sortStage = {};
+
+  if (relevance && !sort && !order) {
+    sortStage.relevance = { $meta: "textScore" };
+  } else if (sort) {
+    sort.split(",").map((token) => token.trim()).filter(Boolean).forEach((token) => {
+      const descending = token.startsWith("-");
+      const field = SORTABLE_COMPANY_FIELDS[descending ? token.slice(1) : token];
+      // Si el mismo campo real aparece dos veces, prevalece el primero
+      if (!field || field.path in sortStage) return;
+      sortStage[field.path] = descending !== field.invert ? -1 : 1;
+    });
+  } else {
+    sortStage.name = order === "desc" || order === "Z-A" ? -1 : 1;
+  }
+
+  sortStage._id = 1;
+  return sortStage;
+};
+
+/**
+ * Construye el filtro de MongoDB compartido por el listado y el reporte de empresas.
+ * Solo se consideran empresas activas (status: true).
+ * @param {object} params - Parámetros de consulta recibidos (req.query).
+ * @param {Array<string>} [params.categoryIds] - IDs de la categoría filtrada y sus subcategorías (ver resolveCompanyQuery).
+ * @param {string} [params.levelImpact] - Nivel de impacto ("Bajo", "Medio" o "Alto").
+ * @param {number|string} [params.minYears] - Años mínimos de trayectoria.
+ * @param {number|string} [params.maxYears] - Años máximos de trayectoria.
+ * @param {number|string} [params.minScore] - Puntaje mínimo de evaluación (excluye a las empresas sin evaluar).
+ * @param {number|string} [params.maxScore] - Puntaje máximo de evaluación (excluye a las empresas sin evaluar).
+ * @param {string} [params.state] - Estados del registro separados por comas, por ejemplo "submitted,under_review".
+ * @returns {object} Filtro listo para Company.find / Company.countDocuments.
+ */
+export const buildCompanyQuery = ({ categoryIds, levelImpact, minYears, maxYears, minScore, maxScore, state } = {}) => {
+  const query = { status: true };
+
+  // La trayectoria es un virtual, así que el rango se aplica sobre el año de fundación.
+  const foundingYearFilter = buildTrajectoryFilter(minYears, maxYears);
+  if (foundingYearFilter) query.foundingYear = foundingYearFilter;
+
+  if (categoryIds) query.category = { $in: categoryIds };
+  if (levelImpact) query.levelImpact = levelImpact;
+
+  const states = parseStateFilter(state);
+  if (states.length) query.registrationState = { $in: states };
+
+  const hasMinScore = minScore !== undefined && minScore !== "";
+  const hasMaxScore = maxScore !== undefined && maxScore !== "";
+  if (hasMinScore || hasMaxScore) {
+    query.score = { $ne: null };
+    if (hasMinScore) query.score.$gte = Number(minScore);
+    if (hasMaxScore) query.score.$lte = Number(maxScore);
+  }
+
+  return query;
+};
+
+/**
+ * Construye una expresión regular que coincide con el término sin distinguir acentos,
+ * por ejemplo "tecnologia" → "t[eéèëê]cn[oóòöô]l[oóòöô]g[iíìïî][aáàäâ]".
+ * @param {string} term - Término de búsqueda.
+ * @returns {string} Patrón de la expresión regular.
+ */
+const accentInsensitivePattern = (term) => {
+  const groups = { a: "aáàäâ", e: "eéèëê", i: "iíìïî", o: "oóòöô", u: "uúùüû", n: "nñ" };
+  return term
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+    .replace(/[aeioun]/gi, (char) => `[${groups[char.toLowerCase()]}]`);
+};
+
+/**
+ * Resuelve el filtro del listado y el reporte de empresas incluyendo la búsqueda por texto ("q").
+ * La búsqueda usa el índice de texto de CompanySchema (nombre y descripción, en español), que no distingue
+ * acentos y permite ordenar por relevancia. Si el índice no encuentra resultados (por ejemplo, al buscar
+ * una palabra incompleta como "tecno"), se recurre a una coincidencia parcial de cada término en el nombre
+ * o la descripción, también sin distinguir acentos.
+ * La categoría se recibe por slug o por ID e incluye a sus subcategorías; una categoría inexistente no coincide con ninguna empresa.
+ * @param {object} params - Parámetros de consulta recibidos (req.query).
+ * @param {string} [params.q] - Texto a buscar.
+ * @param {string} [params.category] - Slug o ID de la categoría.
+ * @returns {Promise<{ query: object, relevance: boolean }>} Filtro y si puede ordenarse por relevancia.
+ */
+export const resolveCompanyQuery = async (params = {}) => {
+  let categoryIds;
+  if (params.category) {
+    const category = await Category.findByReference(params.category);
+    categoryIds = category ? await Category.descendantIds(category._id) : [];
+  }
+  const query = buildCompanyQuery({ ...params, categoryIds });
+  const q = params.q?.trim();
+  if (!q) return { query, relevance: false };
+
+  const textQuery = { ...query, $text: { $search: q } };
+  if (await Company.exists(textQuery)) {
+    return { query: textQuery, relevance: true };
+  }
+
+  const terms = q.split(/\s+/).filter(Boolean);
+  return {
+    query: {
+      ...query,
+      $and: terms.map((term) => {
+        const pattern = accentInsensitivePattern(term);
+        return { $or: [{ name: { $regex: pattern, $options: "i" } }, { description: { $regex: pattern, $options: "i" } }] };
+      }),
+    },
+    relevance: false,
+  };
+};
+
+/**
+ * Describe en texto los filtros y la ordenación aplicados, para mostrarlos en los reportes.
+ * @param {object} params - Parámetros de consulta recibidos (req.query).
+ * @returns {Array<[string, string]>} Pares [etiqueta, valor]; vacío si no se aplicó ningún filtro.
+ */
+export const describeCompanyFilters = ({ q, category, levelImpact, minYears, maxYears, minScore, maxScore, state, sort, order } = {}) => {
+  const applied = [];
+
+  if (q) applied.push(["Búsqueda", q]);
+  const hasMin = minYears !== undefined && minYears !== "";
+  const hasMax = maxYears !== undefined && maxYears !== "";
+
+  if (category) applied.push(["Categoría", category]);
+  if (levelImpact) applied.push(["Nivel de impacto", levelImpact]);
+  const states = parseStateFilter(state);
+  if (states.length) applied.push(["Estado del registro", states.map((value) => REGISTRATION_STATES[value] ?? value).join(", ")]);
+  if (hasMin && hasMax) applied.push(["Años de trayectoria", `De ${minYears} a ${maxYears}`]);
+  else if (hasMin) applied.push(["Años de trayectoria", `${minYears} o más`]);
+  else if (hasMax) applied.push(["Años de trayectoria", `Hasta ${maxYears}`]);
+
+  const hasMinScore = minScore !== undefined && minScore !== "";
+  const hasMaxScore = maxScore !== undefined && maxScore !== "";
+  if (hasMinScore && hasMaxScore) applied.push(["Puntaje", `De ${minScore} a ${maxScore}`]);
+  else if (hasMinScore) applied.push(["Puntaje", `${minScore} o más`]);
+  else if (hasMaxScore) applied.push(["Puntaje", `Hasta ${maxScore}`]);
+
+  if (sort) {
+    const fields = sort.split(",").map((token) => token.trim()).filter(Boolean).map((token) => {
+      const descending = token.startsWith("-");
+      const field = SORTABLE_COMPANY_FIELDS[descending ? token.slice(1) : token];
+      return `${field?.label ?? token} (${descending ? "desc" : "asc"})`;
+    });
+    applied.push(["Orden", fields.join(", ")]);
+  } else if (order) {
+    applied.push(["Orden", order === "desc" || order === "Z-A" ? "Nombre Z-A" : "Nombre A-Z"]);
+  } else if (q) {
+    applied.push(["Orden", "Relevancia"]);
+  }
+
+  return applied;
+};
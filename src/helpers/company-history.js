@@ -0,0 +1,166 @@
+import { isDeepStrictEqual } from "util";
+import { Types } from "mongoose";
+import CompanyHistory from "../company/company-history.model.js";
+import { isDuplicateKeyError } from "./company-duplicates.js";
+
+/**
+ * Campos de la empresa que se registran en el historial.
+ * "yearsTrajectory" no se incluye porque se calcula a partir de "foundingYear".
+ */
+export const AUDITED_COMPANY_FIELDS = [
+  "name",
+  "description",
+  "levelImpact",
+  "score",
+  "foundingYear",
+  "category",
+  "categoryName",
+  "legalName",
+  "taxId",
+  "contact",
+  "address",
+  "status",
+  "registrationState",
+  "deactivatedBy",
+  "deactivatedAt",
+  "deactivationReason",
+  "mergedInto",
+];
+
+/**
+ * Campos que se restauran al revertir una empresa a una versión anterior.
+ * El estado (activa o desactivada) se cambia solo con los endpoints de desactivar y restaurar, el estado del
+ * registro solo con las transiciones y el puntaje solo con las evaluaciones (en una empresa evaluada tampoco
+ * se restaura "levelImpact").
+ */
+export const REVERTIBLE_COMPANY_FIELDS = [
+  "name",
+  "description",
+  "levelImpact",
+  "foundingYear",
+  "category",
+  "legalName",
+  "taxId",
+  "contact",
+  "address",
+];
+
+/**
+ * Convierte un valor del documento en un valor comparable y serializable (IDs y fechas como texto).
+ * Los objetos anidados (como "contact" o "address") se normalizan campo por campo, sin los campos vacíos.
+ * @param {*} value - Valor del campo.
+ * @returns {*} Valor normalizado; null si no está definido.
+ */
+const normalizeValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof Types.ObjectId) return String(value);
+  // Campos "populados" (por ejemplo "category" o "deactivatedBy")
+  if (typeof value === "object" && value._id instanceof Types.ObjectId) return String(value._id);
+  if (typeof value === "object" && !Array.isArray(value)) {
+    const plain = typeof value.toObject === "function" ? value.toObject() : value;
+    const entries = Object.entries(plain)
+      .map(([key, nested]) => [key, normalizeValue(nested)])
+      .filter(([, nested]) => nested !== null);
+    return entries.length ? Object.fromEntries(entries) : null;
+  }
+  return value;
+};
+
+/**
+ * Obtiene el estado de los campos auditados de una empresa.
+ * @param {object|null} company - Documento u objeto plano de la empresa.
+ * @returns {object} Campos auditados con sus valores normalizados.
+ */
+export const snapshotCompany = (company) =>
+  Object.fromEntries(AUDITED_COMPANY_FIELDS.map((field) => [field, normalizeValue(company?.[field])]));
+
+/**
+ * Calcula las diferencias campo por campo entre dos estados de una empresa.
+ * @param {object} before - Estado anterior (resultado de snapshotCompany).
+ * @param {object} after - Estado nuevo (resultado de snapshotCompany).
+ * @returns {Array<{ field: string, from: *, to: * }>} Campos modificados.
+ */
+export const diffCompanySnapshots = (before, after) =>
+  AUDITED_COMPANY_FIELDS
+    .filter((field) => !isDeepStrictEqual(before[field], after[field]))
+    .map((field) => ({ field, from: before[field], to: after[field] }));
+
+// Intentos de registrar un cambio cuando otro cambio simultáneo de la misma empresa toma la misma versión
+const MAX_VERSION_ATTEMPTS = 5;
+
+/**
+ * Registra un cambio de una empresa en el historial con la siguiente versión disponible.
+ * Si una actualización no modificó ningún campo auditado, no se registra nada; una fusión se registra siempre,
+ * para que el historial de la empresa que se conserva indique qué empresa absorbió.
+ * Si un cambio simultáneo toma la misma versión, el índice único { company, version } rechaza el registro
+ * y se vuelve a intentar con la siguiente.
+ * @param {object} params
+ * @param {object} params.company - Documento de la empresa después del cambio.
+ * @param {object|null} [params.before=null] - Documento u objeto plano de la empresa antes del cambio (null al registrarla).
+ * @param {string} params.action - Acción realizada ("create", "import", "update", "deactivate", "restore", "revert", "evaluate", "transition" o "merge").
+ * @param {object} params.usuario - Usuario autenticado que realiza el cambio (req.usuario).
+ * @param {string} [params.reason] - Motivo del cambio.
+ * @param {number} [params.revertedTo] - Versión restaurada, en la acción "revert".
+ * @returns {Promise<object|null>} Registro creado o null si no hubo cambios.
+ */
+export const recordCompanyChange = async ({ company, before = null, action, usuario, reason, revertedTo }) => {
+  const snapshot = snapshotCompany(company);
+  const changes = diffCompanySnapshots(snapshotCompany(before), snapshot);
+  if (before && !changes.length && action !== "merge") return null;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      let last = await CompanyHistory.findOne({ company: company._id }).sort({ version: -1 }).select("version");
+      if (!last && before) {
+        // Empresa registrada antes de existir el historial: su estado previo se guarda como versión inicial
+        // para que también pueda restaurarse.
+        last = await CompanyHistory.create({
+          company: company._id,
+          version: 1,
+          action: "baseline",
+          snapshot: snapshotCompany(before),
+          performedBy: before.createdBy?._id ?? before.createdBy ?? usuario._id,
+        });
+      }
+
+      return await CompanyHistory.create({
+        company: company._id,
+        version: (last?.version ?? 0) + 1,
+        action,
+        changes,
+        snapshot,
+        performedBy: usuario._id,
+        reason,
+        revertedTo,
+      });
+    } catch (err) {
+      if (!isDuplicateKeyError(err) || attempt >= MAX_VERSION_ATTEMPTS) throw err;
+    }
+  }
+};
+
+/**
+ * Registra en bloque la versión inicial de las empresas importadas.
+ * @param {Array<object>} companies - Documentos insertados.
+ * @param {object} usuario - Usuario autenticado que importa (req.usuario).
+ * @returns {Promise<void>}
+ */
+export const recordImportedCompanies = async (companies, usuario) => {
+  if (!companies.length) return;
+  const empty = snapshotCompany(null);
+  await CompanyHistory.insertMany(
+    companies.map((company) => {
+      const snapshot = snapshotCompany(company);
+      return {
+        company: company._id,
+        version: 1,
+        action: "import",
+        changes: diffCompanySnapshots(empty, snapshot),
+        snapshot,
+        performedBy: usuario._id,
+      };
+    }),
+    { ordered: false }
+  );
+};
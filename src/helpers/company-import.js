@@ -0,0 +1,180 @@
+import ExcelJS from "exceljs";
+import { validationResult } from "express-validator";
+import Company from "../company/company.model.js";
+import { COMPANY_REPORT_COLUMNS } from "./company-report.js";
+import { createCompanyValidator } from "../middlewares/company-validators.js";
+
+/**
+ * Campos de la empresa que se toman de cada fila importada.
+ * El resto de columnas del reporte (ID, trayectoria, creador) se ignoran: se calculan o asignan al importar.
+ */
+export const IMPORT_FIELDS = ["name", "description", "levelImpact", "foundingYear", "category"];
+
+// Número máximo de filas de datos por archivo
+export const IMPORT_MAX_ROWS = 5000;
+
+// Reglas de createCompanyValidator, sin los middlewares que responden la solicitud
+const CREATE_COMPANY_RULES = createCompanyValidator.filter((middleware) => typeof middleware.run === "function");
+
+// Filas que se revisan al buscar la fila de encabezados (el reporte exportado tiene un bloque de filtros antes)
+const HEADER_SEARCH_ROWS = 30;
+
+/**
+ * Normaliza un encabezado para compararlo sin distinguir mayúsculas, acentos ni espacios extra.
+ * @param {string} text - Texto del encabezado.
+ * @returns {string} Texto normalizado.
+ */
+const normalizeHeader = (text) =>
+  String(text ?? "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").trim().toLowerCase();
+
+// Encabezado normalizado → clave del campo; se aceptan tanto el encabezado del reporte como la clave
+const HEADER_TO_FIELD = new Map(
+  COMPANY_REPORT_COLUMNS.filter(({ key }) => IMPORT_FIELDS.includes(key)).flatMap(({ header, key }) => [
+    [normalizeHeader(header), key],
+    [normalizeHeader(key), key],
+  ])
+);
+
+/**
+ * Convierte un archivo CSV (RFC 4180) en una matriz de celdas.
+ * Admite campos entre comillas con comas, comillas dobles escapadas y saltos de línea, y descarta el BOM UTF-8.
+ * @param {string} text - Contenido del archivo.
+ * @returns {Array<Array<string>>} Filas con sus celdas.
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+/**
+ * Lee las filas de la hoja "Empresas" (o de la primera hoja) de un archivo Excel.
+ * @param {Buffer} buffer - Contenido del archivo .xlsx.
+ * @returns {Promise<Array<Array<string>>>} Filas con el texto de sus celdas.
+ */
+const readXlsxRows = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const worksheet = workbook.getWorksheet("Empresas") ?? workbook.worksheets[0];
+  if (!worksheet) return [];
+
+  const rows = [];
+  for (let number = 1; number <= worksheet.rowCount; number++) {
+    const row = worksheet.getRow(number);
+    const cells = [];
+    for (let column = 1; column <= worksheet.columnCount; column++) {
+      cells.push(row.getCell(column).text);
+    }
+    rows.push(cells);
+  }
+  return rows;
+};
+
+/**
+ * Convierte un archivo .xlsx o .csv con el mismo formato de columnas que el reporte en filas de empresas.
+ * La fila de encabezados se localiza automáticamente, de modo que un reporte exportado puede importarse sin editarlo.
+ * @param {Buffer} buffer - Contenido del archivo.
+ * @param {"xlsx"|"csv"} type - Tipo del archivo.
+ * @returns {Promise<Array<{ row: number, data: object }>>} Filas con su número en el archivo y los campos de IMPORT_FIELDS.
+ * @throws {Error} Si no se encuentra la fila de encabezados, faltan columnas o se supera IMPORT_MAX_ROWS.
+ */
+export const parseCompaniesFile = async (buffer, type) => {
+  const rows = type === "csv" ? parseCsv(buffer.toString("utf8")) : await readXlsxRows(buffer);
+
+  const headerIndex = rows.slice(0, HEADER_SEARCH_ROWS).findIndex((cells) =>
+    cells.filter((cell) => HEADER_TO_FIELD.has(normalizeHeader(cell))).length >= 2
+  );
+  if (headerIndex === -1) {
+    throw new Error("No se encontró la fila de encabezados de empresas en el archivo");
+  }
+
+  const columns = new Map();
+  rows[headerIndex].forEach((cell, index) => {
+    const field = HEADER_TO_FIELD.get(normalizeHeader(cell));
+    if (field && !columns.has(field)) columns.set(field, index);
+  });
+  const missing = IMPORT_FIELDS.filter((field) => !columns.has(field));
+  if (missing.length) {
+    throw new Error(`Faltan columnas en el archivo: ${missing.join(", ")}`);
+  }
+
+  const companies = rows
+    .map((cells, index) => ({ cells, row: index + 1 }))
+    .slice(headerIndex + 1)
+    .filter(({ cells }) => cells.some((cell) => String(cell ?? "").trim() !== ""))
+    .map(({ cells, row }) => ({
+      row,
+      data: Object.fromEntries([...columns].map(([field, index]) => [field, String(cells[index] ?? "").trim()])),
+    }));
+
+  if (companies.length > IMPORT_MAX_ROWS) {
+    throw new Error(`El archivo supera el máximo de ${IMPORT_MAX_ROWS} filas`);
+  }
+  return companies;
+};
+
+/**
+ * Valida una fila importada con las mismas reglas de createCompanyValidator y de CompanySchema.
+ * @param {object} data - Campos de la fila.
+ * @param {object} usuario - Usuario que importa (se asigna como "createdBy").
+ * @returns {Promise<{ company: object|null, errors: Array<{ field: string, message: string }> }>}
+ */
+export const validateImportRow = async (data, usuario) => {
+  // express-validator trabaja sobre una solicitud; se simula una con la fila como cuerpo.
+  const req = { body: { ...data } };
+  for (const rule of CREATE_COMPANY_RULES) {
+    await rule.run(req);
+  }
+  const result = validationResult(req);
+  if (!result.isEmpty()) {
+    return {
+      company: null,
+      errors: result.array().map(({ path, msg }) => ({ field: path, message: msg })),
+    };
+  }
+
+  const company = new Company({ ...req.body, createdBy: usuario._id });
+  try {
+    await company.validate();
+  } catch (err) {
+    return {
+      company: null,
+      errors: Object.values(err.errors ?? {}).map(({ path, message }) => ({ field: path, message })),
+    };
+  }
+  return { company, errors: [] };
+};
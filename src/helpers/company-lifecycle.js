@@ -0,0 +1,61 @@
+/**
+ * Ciclo de vida del registro de una empresa en la feria.
+ *
+ * Una empresa se registra como "submitted" (enviada), pasa a revisión y termina aprobada o rechazada;
+ * en cualquier etapa previa a la decisión puede retirarse. Una empresa rechazada o retirada puede volver
+ * a enviarse, y una aprobada puede volver a revisión o retirarse.
+ * Este estado es independiente de "status", que indica si la empresa está activa o desactivada.
+ */
+
+/**
+ * Estados del registro con su etiqueta para los reportes.
+ */
+export const REGISTRATION_STATES = {
+  submitted: "Enviada",
+  under_review: "En revisión",
+  approved: "Aprobada",
+  rejected: "Rechazada",
+  withdrawn: "Retirada",
+};
+
+/**
+ * Estados a los que se puede pasar desde cada estado.
+ */
+export const REGISTRATION_TRANSITIONS = {
+  submitted: ["under_review", "withdrawn"],
+  under_review: ["approved", "rejected", "withdrawn"],
+  approved: ["under_review", "withdrawn"],
+  rejected: ["submitted"],
+  withdrawn: ["submitted"],
+};
+
+/**
+ * Estado con el que se registra una empresa.
+ */
+export const INITIAL_REGISTRATION_STATE = "submitted";
+
+/**
+ * Indica si se permite pasar de un estado a otro.
+ * @param {string} from - Estado actual.
+ * @param {string} to - Estado solicitado.
+ * @returns {boolean} true si la transición está permitida.
+ */
+export const canTransition = (from, to) => REGISTRATION_TRANSITIONS[from]?.includes(to) ?? false;
+
+/**
+ * Describe por qué no se permite una transición, con los estados a los que sí se puede pasar.
+ * @param {string} from - Estado actual.
+ * @param {string} to - Estado solicitado.
+ * @returns {string} Mensaje para la respuesta 409.
+ */
+export const transitionErrorMessage = (from, to) => {
+  const allowed = REGISTRATION_TRANSITIONS[from] ?? [];
+  return `No se puede pasar de "${from}" a "${to}". Desde "${from}" solo se permite: ${allowed.join(", ") || "ninguna transición"}`;
+};
+
+/**
+ * Interpreta el filtro de estados del listado, que acepta uno o varios estados separados por comas.
+ * @param {string} [value] - Estados, por ejemplo "submitted,under_review".
+ * @returns {Array<string>} Estados indicados.
+ */
+export const parseStateFilter = (value = "") => value.split(",").map((state) => state.trim()).filter(Boolean);
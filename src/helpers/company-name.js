@@ -0,0 +1,88 @@
+/**
+ * Comparación de nombres de empresas, usada para detectar duplicados (ver company-duplicates.js).
+ * El modelo guarda el nombre normalizado en "normalizedName" para buscar coincidencias exactas con un índice.
+ */
+
+/**
+ * Formas societarias que se quitan al final del nombre, ya separadas en palabras sin signos
+ * ("S.A. de C.V." → "s a de c v"). Se comparan de la más larga a la más corta.
+ */
+const LEGAL_SUFFIXES = [
+  "sociedad anonima de capital variable",
+  "sociedad de responsabilidad limitada",
+  "sociedad anonima",
+  "s a de c v",
+  "sa de cv",
+  "s de r l",
+  "s r l",
+  "s a s",
+  "s a",
+  "sa",
+  "sas",
+  "srl",
+  "ltda",
+  "limitada",
+  "y cia",
+  "cia",
+  "inc",
+  "llc",
+  "corp",
+]
+  .map((suffix) => suffix.split(" "))
+  .sort((a, b) => b.length - a.length);
+
+/**
+ * Normaliza el nombre de una empresa para compararlo con otros: sin acentos, en minúsculas, sin signos
+ * y sin la forma societaria final, por ejemplo "ACME, S.A." → "acme" y "Café Ñandú y Cía." → "cafe nandu".
+ * @param {string} name - Nombre de la empresa.
+ * @returns {string} Nombre normalizado.
+ */
+export const normalizeCompanyName = (name = "") => {
+  const words = String(name)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " y ")
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+  // Se quitan las formas societarias mientras quede al menos una palabra del nombre ("S.A." sola se conserva).
+  let suffix;
+  while ((suffix = LEGAL_SUFFIXES.find((parts) => parts.length < words.length && parts.every((part, i) => words[words.length - parts.length + i] === part)))) {
+    words.splice(words.length - suffix.length);
+  }
+  return words.join(" ");
+};
+
+/**
+ * Distancia de Levenshtein entre dos textos (inserciones, eliminaciones y sustituciones de un carácter).
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Cantidad mínima de ediciones.
+ */
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Similitud entre dos nombres normalizados, de 0 (distintos) a 1 (iguales). Los espacios no cuentan,
+ * de modo que "acme tech" y "acmetech" son iguales.
+ * @param {string} a - Nombre normalizado.
+ * @param {string} b - Nombre normalizado.
+ * @returns {number} Similitud redondeada a dos decimales.
+ */
+export const nameSimilarity = (a, b) => {
+  const left = a.replace(/ /g, "");
+  const right = b.replace(/ /g, "");
+  const length = Math.max(left.length, right.length);
+  if (!length) return 0;
+  return Number((1 - levenshtein(left, right) / length).toFixed(2));
+};
@@ -0,0 +1,447 @@
+import { once } from "events";
+import ExcelJS from "exceljs";
+import PDFDocument from "pdfkit";
+import Company from "../company/company.model.js";
+import { resolveCompanyQuery, buildCompanySort } from "./company-filters.js";
+import { REGISTRATION_STATES } from "./company-lifecycle.js";
+
+/**
+ * Prepara la consulta de un reporte con los mismos filtros, búsqueda y ordenación del listado (sin paginación).
+ * @param {object} queryParams - Filtros y ordenación del listado (ver resolveCompanyQuery y buildCompanySort).
+ * @returns {Promise<{ count: Function, cursor: Function }>} Funciones para contar las empresas y para abrir
+ *          un cursor de Mongoose sobre ellas con "createdBy" poblado.
+ */
+export const prepareReportQuery = async (queryParams) => {
+  const { query, relevance } = await resolveCompanyQuery(queryParams);
+  const sortStage = buildCompanySort(queryParams.sort, queryParams.order, relevance);
+  return {
+    count: () => Company.countDocuments(query),
+    cursor: () => Company.find(query).sort(sortStage).populate("createdBy", "name email").cursor(),
+  };
+};
+
+/**
+ * Escribe la dirección de una empresa en una sola línea, omitiendo las partes vacías.
+ * @param {object} [address] - Dirección de la empresa.
+ * @returns {string} Dirección, por ejemplo "6a Avenida 10-25 Zona 1, Guatemala, Guatemala, 01001, Guatemala".
+ */
+const formatAddress = (address) =>
+  ["street", "city", "department", "postalCode", "country"].map((field) => address?.[field]).filter(Boolean).join(", ");
+
+/**
+ * Columnas del detalle de empresas en los reportes.
+ * Cada columna define su encabezado, la clave de la fila, el ancho en Excel
+ * y cómo obtener el valor a partir de un documento de Company.
+ */
+export const COMPANY_REPORT_COLUMNS = [
+  { header: "ID", key: "_id", width: 26, value: (company) => company._id.toString() },
+  { header: "Nombre", key: "name", width: 30, value: (company) => company.name },
+  { header: "Descripción", key: "description", width: 45, value: (company) => company.description },
+  { header: "Impacto", key: "levelImpact", width: 12, value: (company) => company.levelImpact },
+  { header: "Puntaje", key: "score", width: 10, value: (company) => company.score ?? "Sin evaluar" },
+  { header: "Estado del Registro", key: "registrationState", width: 20, value: (company) => REGISTRATION_STATES[company.registrationState] ?? company.registrationState },
+  { header: "Evaluaciones", key: "evaluationsCount", width: 14, value: (company) => company.evaluationsCount ?? 0 },
+  { header: "Año de Fundación", key: "foundingYear", width: 18, value: (company) => company.foundingYear },
+  { header: "Años de Trayectoria", key: "yearsTrajectory", width: 20, value: (company) => company.yearsTrajectory },
+  { header: "Categoría", key: "category", width: 20, value: (company) => company.categoryName },
+  { header: "Razón Social", key: "legalName", width: 30, value: (company) => company.legalName ?? "" },
+  { header: "NIT", key: "taxId", width: 14, value: (company) => company.taxId ?? "" },
+  { header: "Email de Contacto", key: "contactEmail", width: 28, value: (company) => company.contact?.email ?? "" },
+  { header: "Teléfono", key: "contactPhone", width: 16, value: (company) => company.contact?.phone ?? "" },
+  { header: "Sitio Web", key: "website", width: 28, value: (company) => company.contact?.website ?? "" },
+  { header: "Dirección", key: "address", width: 40, value: (company) => formatAddress(company.address) },
+  { header: "Creado por", key: "createdBy", width: 25, value: (company) => company.createdBy?.name || "Desconocido" },
+  { header: "Email del Creador", key: "createdByEmail", width: 30, value: (company) => company.createdBy?.email || "Sin email" },
+];
+
+/**
+ * Convierte una empresa en una fila del reporte con las claves de COMPANY_REPORT_COLUMNS.
+ * @param {object} company - Documento de Company con "createdBy" poblado.
+ * @returns {object} Fila del reporte.
+ */
+export const toReportRow = (company) =>
+  Object.fromEntries(COMPANY_REPORT_COLUMNS.map(({ key, value }) => [key, value(company)]));
+
+/**
+ * Rangos de años de trayectoria usados en la hoja "Trayectoria".
+ */
+export const TRAJECTORY_BUCKETS = [
+  { label: "0-5 años", min: 0, max: 5 },
+  { label: "6-10 años", min: 6, max: 10 },
+  { label: "11-20 años", min: 11, max: 20 },
+  { label: "Más de 20 años", min: 21, max: Infinity },
+];
+
+const IMPACT_LEVELS = ["Bajo", "Medio", "Alto"];
+
+const HEADER_FILL = { type: "pattern", pattern: "solid", fgColor: { argb: "FF1F4E78" } };
+const HEADER_FONT = { bold: true, color: { argb: "FFFFFFFF" } };
+const THIN_BORDER = { style: "thin", color: { argb: "FFBFBFBF" } };
+
+/**
+ * Aplica el estilo de encabezado de tabla a una fila.
+ * @param {object} row - Fila de ExcelJS.
+ */
+const styleHeaderRow = (row) => {
+  row.eachCell((cell) => {
+    cell.fill = HEADER_FILL;
+    cell.font = HEADER_FONT;
+    cell.alignment = { vertical: "middle", horizontal: "center", wrapText: true };
+    cell.border = { top: THIN_BORDER, bottom: THIN_BORDER, left: THIN_BORDER, right: THIN_BORDER };
+  });
+};
+
+/**
+ * Crea un acumulador de estadísticas de trayectoria agrupadas por una clave.
+ * @returns {{ add: Function, rows: Function }}
+ */
+const createGroupStats = () => {
+  const groups = new Map();
+  return {
+    add(key, years) {
+      const group = groups.get(key) ?? { count: 0, sum: 0, min: Infinity, max: -Infinity };
+      group.count += 1;
+      group.sum += years;
+      group.min = Math.min(group.min, years);
+      group.max = Math.max(group.max, years);
+      groups.set(key, group);
+    },
+    rows() {
+      return [...groups].map(([key, { count, sum, min, max }]) => ({
+        key,
+        count,
+        average: Number((sum / count).toFixed(1)),
+        min,
+        max,
+      }));
+    },
+  };
+};
+
+/**
+ * Crea un acumulador con los resúmenes del reporte (por categoría, por impacto y por rango de trayectoria).
+ * Se alimenta empresa por empresa, de modo que no es necesario conservar todo el listado en memoria.
+ * @returns {{ add: Function, total: number, byCategory: Function, byImpact: Function, byTrajectory: Function }}
+ */
+export const createReportSummary = () => {
+  const categories = createGroupStats();
+  const impacts = createGroupStats();
+  const buckets = TRAJECTORY_BUCKETS.map((bucket) => ({ ...bucket, count: 0 }));
+
+  return {
+    total: 0,
+    add(company) {
+      const years = company.yearsTrajectory;
+      this.total += 1;
+      categories.add(company.categoryName, years);
+      impacts.add(company.levelImpact, years);
+      const bucket = buckets.find(({ min, max }) => years >= min && years <= max);
+      if (bucket) bucket.count += 1;
+    },
+    // Categorías de mayor a menor número de empresas y, en empate, alfabéticamente
+    byCategory() {
+      return categories.rows().sort((a, b) => b.count - a.count || String(a.key).localeCompare(String(b.key), "es"));
+    },
+    // Niveles de impacto en su orden natural (Bajo, Medio, Alto)
+    byImpact() {
+      return impacts.rows().sort((a, b) => IMPACT_LEVELS.indexOf(a.key) - IMPACT_LEVELS.indexOf(b.key));
+    },
+    byTrajectory() {
+      return buckets.map(({ label, count }) => ({ key: label, count }));
+    },
+  };
+};
+
+/**
+ * Espera un evento del stream de salida ("drain" o "finish"). Si el stream se cierra antes (por ejemplo, porque
+ * el cliente canceló la descarga) o falla, se rechaza en lugar de quedar pendiente: un stream destruido emite
+ * "close", pero nunca "drain" ni "finish".
+ * @param {object} stream - Stream escribible.
+ * @param {string} event - Evento esperado.
+ * @returns {Promise<void>}
+ */
+const waitForStream = async (stream, event) => {
+  if (stream.destroyed) {
+    throw new Error("La salida del reporte se cerró antes de terminar");
+  }
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  stream.once("close", abort);
+  try {
+    await once(stream, event, { signal: controller.signal });
+  } catch (err) {
+    if (err.name === "AbortError") throw new Error("La salida del reporte se cerró antes de terminar");
+    throw err;
+  } finally {
+    stream.off("close", abort);
+  }
+};
+
+/**
+ * Escribe un fragmento en el stream de salida respetando la contrapresión:
+ * si el buffer interno está lleno, espera al evento "drain" antes de continuar.
+ * Si la salida se cierra, se rechaza para que el reporte deje de recorrer las empresas.
+ * @param {object} stream - Stream escribible (por ejemplo, la respuesta HTTP).
+ * @param {string|Buffer} chunk - Fragmento a escribir.
+ */
+const writeChunk = async (stream, chunk) => {
+  if (!stream.write(chunk)) {
+    await waitForStream(stream, "drain");
+  }
+};
+
+/**
+ * Líneas del bloque de encabezado de los reportes: filtros aplicados, fecha de generación y total.
+ * @param {Array<[string, string]>} appliedFilters - Filtros aplicados (ver describeCompanyFilters).
+ * @param {number} total - Número de empresas del reporte.
+ * @returns {Array<[string, *]>} Pares [etiqueta, valor].
+ */
+const reportHeaderLines = (appliedFilters, total) => [
+  ...(appliedFilters.length ? appliedFilters : [["Filtros", "Ninguno (todas las empresas activas)"]]),
+  ["Generado", new Date().toLocaleString("es-GT")],
+  ["Total de empresas", total],
+];
+
+/**
+ * Agrega y confirma una hoja de resumen con formato de tabla lista para tablas dinámicas y gráficos:
+ * encabezado en la primera fila, congelado y con autofiltro, sin filas decorativas.
+ * @param {object} workbook - Libro de ExcelJS en modo streaming.
+ * @param {string} name - Nombre de la hoja.
+ * @param {Array<object>} columns - Columnas ({ header, key, width, numFmt }).
+ * @param {Array<object>} rows - Filas a escribir.
+ */
+const addSummarySheet = async (workbook, name, columns, rows) => {
+  const worksheet = workbook.addWorksheet(name, { views: [{ state: "frozen", ySplit: 1 }] });
+  worksheet.columns = columns.map(({ header, key, width, numFmt }) => ({ header, key, width, style: numFmt ? { numFmt } : {} }));
+  styleHeaderRow(worksheet.getRow(1));
+  rows.forEach((row) => worksheet.addRow(row).commit());
+  worksheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+  await worksheet.commit();
+};
+
+/**
+ * Columnas de las hojas "Por categoría" y "Por impacto".
+ * @param {string} groupHeader - Encabezado de la columna de agrupación.
+ */
+const groupColumns = (groupHeader) => [
+  { header: groupHeader, key: "key", width: 25 },
+  { header: "Empresas", key: "count", width: 12 },
+  { header: "% del total", key: "share", width: 12, numFmt: "0.0%" },
+  { header: "Trayectoria promedio", key: "average", width: 22, numFmt: "0.0" },
+  { header: "Trayectoria mínima", key: "min", width: 20 },
+  { header: "Trayectoria máxima", key: "max", width: 20 },
+];
+
+/**
+ * Alineación de las columnas del detalle en Excel.
+ */
+const DETAIL_COLUMN_STYLES = {
+  description: { alignment: { wrapText: true, vertical: "top" } },
+  address: { alignment: { wrapText: true, vertical: "top" } },
+  levelImpact: { alignment: { horizontal: "center" } },
+  score: { alignment: { horizontal: "center" }, numFmt: "0.00" },
+  evaluationsCount: { alignment: { horizontal: "center" } },
+  foundingYear: { alignment: { horizontal: "center" } },
+  yearsTrajectory: { alignment: { horizontal: "center" } },
+};
+
+/**
+ * Escribe en streaming el libro de Excel del reporte de empresas con las hojas:
+ * - "Empresas": bloque de filtros aplicados y detalle con encabezado congelado, autofiltro y columnas con estilo.
+ * - "Por categoría" y "Por impacto": conteo, porcentaje y trayectoria promedio, mínima y máxima.
+ * - "Trayectoria": número de empresas por rango de años (0-5, 6-10, 11-20 y más de 20).
+ * Cada fila se confirma en cuanto se escribe, por lo que la memoria usada no depende del número de empresas;
+ * los resúmenes se acumulan mientras se recorre el detalle y se escriben al final.
+ *
+ * @param {AsyncIterable<object>} companies - Empresas ya filtradas y ordenadas (por ejemplo, un cursor de Mongoose).
+ * @param {object} options
+ * @param {object} options.stream - Stream de salida (por ejemplo, la respuesta HTTP).
+ * @param {number} options.total - Número de empresas, mostrado en el bloque de encabezado.
+ * @param {Array<[string, string]>} [options.appliedFilters] - Filtros aplicados (ver describeCompanyFilters).
+ */
+export const streamCompaniesWorkbook = async (companies, { stream, total, appliedFilters = [] }) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true, useSharedStrings: false });
+  workbook.creator = "Coperex";
+  workbook.created = new Date();
+
+  // La fila de encabezados va después del título, el bloque de filtros y una fila en blanco.
+  const headerLines = reportHeaderLines(appliedFilters, total);
+  const headerRowNumber = headerLines.length + 3;
+
+  // Las vistas se escriben al inicio de la hoja, por eso el encabezado congelado se define al crearla.
+  const worksheet = workbook.addWorksheet("Empresas", { views: [{ state: "frozen", ySplit: headerRowNumber }] });
+  // Las columnas se registran sin "header" para que las primeras filas queden libres para el bloque de filtros.
+  worksheet.columns = COMPANY_REPORT_COLUMNS.map(({ key, width }) => ({ key, width, style: DETAIL_COLUMN_STYLES[key] ?? {} }));
+
+  const title = worksheet.addRow(["Reporte de Empresas"]);
+  title.font = { bold: true, size: 14 };
+  title.commit();
+  headerLines.forEach(([label, value]) => worksheet.addRow([`${label}:`, value]).commit());
+  worksheet.addRow([]).commit();
+
+  const headerRow = worksheet.addRow(COMPANY_REPORT_COLUMNS.map(({ header }) => header));
+  styleHeaderRow(headerRow);
+  headerRow.commit();
+  worksheet.autoFilter = {
+    from: { row: headerRowNumber, column: 1 },
+    to: { row: headerRowNumber, column: COMPANY_REPORT_COLUMNS.length },
+  };
+
+  const summary = createReportSummary();
+  for await (const company of companies) {
+    worksheet.addRow(toReportRow(company)).commit();
+    summary.add(company);
+  }
+  await worksheet.commit();
+
+  const withShare = (rows) => rows.map((row) => ({ ...row, share: summary.total ? row.count / summary.total : 0 }));
+
+  await addSummarySheet(workbook, "Por categoría", groupColumns("Categoría"), withShare(summary.byCategory()));
+  await addSummarySheet(workbook, "Por impacto", groupColumns("Nivel de impacto"), withShare(summary.byImpact()));
+  await addSummarySheet(
+    workbook,
+    "Trayectoria",
+    [
+      { header: "Rango de trayectoria", key: "key", width: 22 },
+      { header: "Empresas", key: "count", width: 12 },
+      { header: "% del total", key: "share", width: 12, numFmt: "0.0%" },
+    ],
+    withShare(summary.byTrajectory())
+  );
+
+  await workbook.commit();
+};
+
+/**
+ * Formatos de exportación disponibles, con su tipo MIME y extensión de archivo.
+ */
+export const REPORT_FORMATS = {
+  xlsx: { contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", extension: "xlsx" },
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  ndjson: { contentType: "application/x-ndjson; charset=utf-8", extension: "ndjson" },
+  pdf: { contentType: "application/pdf", extension: "pdf" },
+};
+
+/**
+ * Determina el formato del reporte: el parámetro "format" tiene prioridad sobre la cabecera Accept.
+ * @param {object} req - Objeto de solicitud Express.
+ * @returns {string|false} Clave de REPORT_FORMATS o false si ningún formato es aceptable.
+ */
+export const negotiateReportFormat = (req) => {
+  if (req.query.format) return req.query.format;
+  const accepted = req.accepts(Object.values(REPORT_FORMATS).map(({ contentType }) => contentType.split(";")[0]));
+  if (!accepted) return false;
+  return Object.keys(REPORT_FORMATS).find((format) => REPORT_FORMATS[format].contentType.startsWith(accepted));
+};
+
+/**
+ * Escapa un valor como campo CSV según RFC 4180: se encierra entre comillas dobles
+ * si contiene comas, comillas o saltos de línea, duplicando las comillas internas.
+ * @param {*} value - Valor de la celda.
+ * @returns {string} Campo CSV.
+ */
+const toCsvField = (value) => {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Escribe el reporte en CSV (RFC 4180): registros separados por CRLF, encabezado en la primera línea
+ * y BOM UTF-8 para que Excel reconozca los acentos.
+ * @param {AsyncIterable<object>} companies - Empresas a exportar.
+ * @param {object} options
+ * @param {object} options.stream - Stream de salida.
+ */
+export const streamCompaniesCsv = async (companies, { stream }) => {
+  await writeChunk(stream, `\uFEFF${COMPANY_REPORT_COLUMNS.map(({ header }) => toCsvField(header)).join(",")}\r\n`);
+  for await (const company of companies) {
+    const row = toReportRow(company);
+    await writeChunk(stream, `${COMPANY_REPORT_COLUMNS.map(({ key }) => toCsvField(row[key])).join(",")}\r\n`);
+  }
+  stream.end();
+};
+
+/**
+ * Escribe el reporte en NDJSON: un objeto JSON por línea con las claves de COMPANY_REPORT_COLUMNS.
+ * @param {AsyncIterable<object>} companies - Empresas a exportar.
+ * @param {object} options
+ * @param {object} options.stream - Stream de salida.
+ */
+export const streamCompaniesNdjson = async (companies, { stream }) => {
+  for await (const company of companies) {
+    await writeChunk(stream, `${JSON.stringify(toReportRow(company))}\n`);
+  }
+  stream.end();
+};
+
+/**
+ * Escribe el reporte en PDF imprimible (A4 horizontal): título, filtros aplicados y una tabla
+ * con las mismas columnas del reporte Excel, repitiendo el encabezado en cada página.
+ * @param {AsyncIterable<object>} companies - Empresas a exportar.
+ * @param {object} options
+ * @param {object} options.stream - Stream de salida.
+ * @param {number} options.total - Número de empresas, mostrado en el encabezado.
+ * @param {Array<[string, string]>} [options.appliedFilters] - Filtros aplicados (ver describeCompanyFilters).
+ */
+export const streamCompaniesPdf = async (companies, { stream, total, appliedFilters = [] }) => {
+  const doc = new PDFDocument({ size: "A4", layout: "landscape", margin: 30, info: { Title: "Reporte de Empresas", Author: "Coperex" } });
+  doc.pipe(stream);
+
+  const fontSize = 7;
+  const padding = 3;
+  const tableWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const totalWidth = COMPANY_REPORT_COLUMNS.reduce((sum, { width }) => sum + width, 0);
+  const widths = COMPANY_REPORT_COLUMNS.map(({ width }) => (width / totalWidth) * tableWidth);
+  const bottomLimit = () => doc.page.height - doc.page.margins.bottom;
+
+  // Dibuja una fila de la tabla; la altura depende de la celda con más texto.
+  const drawRow = (values, { header = false } = {}) => {
+    doc.font(header ? "Helvetica-Bold" : "Helvetica").fontSize(fontSize);
+    const height = Math.max(...values.map((value, i) => doc.heightOfString(String(value ?? ""), { width: widths[i] - padding * 2 }))) + padding * 2;
+    if (doc.y + height > bottomLimit()) {
+      doc.addPage();
+      if (!header) drawRow(COMPANY_REPORT_COLUMNS.map(({ header: title }) => title), { header: true });
+      doc.font("Helvetica").fontSize(fontSize);
+    }
+    const top = doc.y;
+    let x = doc.page.margins.left;
+    values.forEach((value, i) => {
+      if (header) doc.rect(x, top, widths[i], height).fill("#1F4E78");
+      doc.rect(x, top, widths[i], height).lineWidth(0.5).stroke("#BFBFBF");
+      doc.fillColor(header ? "#FFFFFF" : "#000000").text(String(value ?? ""), x + padding, top + padding, { width: widths[i] - padding * 2 });
+      x += widths[i];
+    });
+    doc.x = doc.page.margins.left;
+    doc.y = top + height;
+  };
+
+  doc.font("Helvetica-Bold").fontSize(14).text("Reporte de Empresas");
+  doc.moveDown(0.3).font("Helvetica").fontSize(9);
+  reportHeaderLines(appliedFilters, total).forEach(([label, value]) => doc.text(`${label}: ${value}`));
+  doc.moveDown();
+
+  drawRow(COMPANY_REPORT_COLUMNS.map(({ header }) => header), { header: true });
+  for await (const company of companies) {
+    const row = toReportRow(company);
+    drawRow(COMPANY_REPORT_COLUMNS.map(({ key }) => row[key]));
+    // pipe() solo detiene el documento, no el dibujo: si la salida está llena, se espera antes de leer más empresas
+    // para que las páginas no se acumulen en memoria.
+    if (stream.destroyed || stream.writableNeedDrain) {
+      await waitForStream(stream, "drain");
+    }
+  }
+
+  const finished = waitForStream(stream, "finish");
+  doc.end();
+  await finished;
+};
+
+/**
+ * Escritores de cada formato de exportación.
+ */
+export const REPORT_WRITERS = {
+  xlsx: streamCompaniesWorkbook,
+  csv: streamCompaniesCsv,
+  ndjson: streamCompaniesNdjson,
+  pdf: streamCompaniesPdf,
+};
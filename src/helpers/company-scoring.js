@@ -0,0 +1,142 @@
+import Company from "../company/company.model.js";
+import Evaluation from "../evaluation/evaluation.model.js";
+import EvaluationCriterion from "../evaluation/evaluation-criterion.model.js";
+import { recordCompanyChange } from "./company-history.js";
+import { currentVersionFilter } from "./versioning.js";
+
+/**
+ * Escala de las puntuaciones por criterio y del puntaje ponderado.
+ */
+export const SCORE_RANGE = { min: 0, max: 10 };
+
+/**
+ * Puntaje mínimo de cada nivel de impacto, del más alto al más bajo.
+ * Una empresa evaluada toma el primer nivel cuyo mínimo alcanza su puntaje.
+ */
+export const IMPACT_THRESHOLDS = [
+  { levelImpact: "Alto", minScore: 7 },
+  { levelImpact: "Medio", minScore: 4 },
+  { levelImpact: "Bajo", minScore: 0 },
+];
+
+/**
+ * Criterios que se registran al iniciar el servidor si el catálogo está vacío.
+ */
+export const DEFAULT_CRITERIA = [
+  { key: "innovation", name: "Innovación", weight: 0.4, description: "Novedad del producto, servicio o modelo de negocio" },
+  { key: "socialImpact", name: "Impacto social", weight: 0.35, description: "Beneficio para la comunidad y generación de empleo" },
+  { key: "sustainability", name: "Sostenibilidad", weight: 0.25, description: "Cuidado ambiental y viabilidad a largo plazo" },
+];
+
+/**
+ * Redondea un puntaje a dos decimales.
+ */
+const roundScore = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Calcula el promedio ponderado de las puntuaciones de una evaluación.
+ * Solo cuentan los criterios activos que la evaluación incluye, de modo que una evaluación anterior a la creación
+ * de un criterio se sigue calculando con los que sí puntuó.
+ * @param {Array<{ criterion: string, score: number }>} scores - Puntuaciones por criterio.
+ * @param {Array<{ key: string, weight: number }>} criteria - Criterios activos con su peso.
+ * @returns {number|null} Puntaje de 0 a 10, o null si ninguna puntuación corresponde a un criterio activo.
+ */
+export const computeWeightedScore = (scores, criteria) => {
+  const weights = new Map(criteria.map(({ key, weight }) => [key, weight]));
+  let total = 0;
+  let weightSum = 0;
+  scores.forEach(({ criterion, score }) => {
+    const weight = weights.get(criterion);
+    if (!weight) return;
+    total += score * weight;
+    weightSum += weight;
+  });
+  return weightSum ? roundScore(total / weightSum) : null;
+};
+
+/**
+ * Obtiene el nivel de impacto que corresponde a un puntaje.
+ * @param {number} score - Puntaje de 0 a 10.
+ * @returns {string} "Bajo", "Medio" o "Alto".
+ */
+export const levelForScore = (score) =>
+  IMPACT_THRESHOLDS.find(({ minScore }) => score >= minScore)?.levelImpact ?? IMPACT_THRESHOLDS.at(-1).levelImpact;
+
+/**
+ * Obtiene los criterios activos, en el orden en que se registraron.
+ * @returns {Promise<Array<object>>} Criterios activos.
+ */
+export const getActiveCriteria = () => EvaluationCriterion.find({ status: true }).sort({ createdAt: 1, _id: 1 }).lean();
+
+/**
+ * Registra los criterios por defecto si el catálogo de criterios está vacío.
+ * @returns {Promise<void>}
+ */
+export const createDefaultCriteria = async () => {
+  if (await EvaluationCriterion.exists({})) return;
+  await EvaluationCriterion.insertMany(DEFAULT_CRITERIA);
+  console.log("Criterios de evaluación por defecto registrados");
+};
+
+// Intentos de guardar el puntaje cuando la empresa cambia mientras se recalcula (por ejemplo, por otra evaluación)
+const MAX_SCORE_ATTEMPTS = 5;
+
+/**
+ * Recalcula el puntaje de una empresa como el promedio de los puntajes ponderados de sus evaluaciones
+ * y actualiza su nivel de impacto. El cambio se registra en el historial con la acción "evaluate".
+ * Sin evaluaciones, el puntaje queda en null y se conserva el último nivel de impacto.
+ * La empresa se lee antes que las evaluaciones y el puntaje solo se guarda si sigue en esa versión; si otro
+ * recálculo la modificó mientras tanto, se vuelve a calcular. Así dos evaluaciones simultáneas no pueden dejar
+ * un puntaje que omita la última.
+ * @param {string|import("mongoose").Types.ObjectId} companyId - ID de la empresa.
+ * @param {object} usuario - Usuario que provocó el recálculo (req.usuario).
+ * @returns {Promise<object|null>} Empresa actualizada, o null si no existe.
+ */
+export const refreshCompanyScore = async (companyId, usuario) => {
+  for (let attempt = 1; attempt <= MAX_SCORE_ATTEMPTS; attempt++) {
+    const before = await Company.findById(companyId).lean();
+    if (!before) return null;
+
+    const evaluations = await Evaluation.find({ company: companyId }).select("weightedScore").lean();
+    const scored = evaluations.filter(({ weightedScore }) => weightedScore != null);
+    const score = scored.length ? roundScore(scored.reduce((sum, { weightedScore }) => sum + weightedScore, 0) / scored.length) : null;
+
+    if ((before.score ?? null) === score && (before.evaluationsCount ?? 0) === evaluations.length) {
+      return Company.findById(companyId);
+    }
+
+    const data = { score, evaluationsCount: evaluations.length };
+    if (score !== null) data.levelImpact = levelForScore(score);
+
+    const company = await Company.findOneAndUpdate(currentVersionFilter(before), data, { new: true });
+    if (company) {
+      await recordCompanyChange({ company, before, action: "evaluate", usuario });
+      return company;
+    }
+  }
+  throw new Error("No se pudo actualizar el puntaje: la empresa se modificó durante el recálculo");
+};
+
+/**
+ * Recalcula los puntajes ponderados de todas las evaluaciones y los puntajes de las empresas evaluadas.
+ * Se ejecuta cuando cambia el peso o el estado de un criterio.
+ * @param {object} usuario - Usuario que modificó los criterios (req.usuario).
+ * @returns {Promise<number>} Cantidad de empresas recalculadas.
+ */
+export const recalculateAllScores = async (usuario) => {
+  const criteria = await getActiveCriteria();
+  const companyIds = new Set();
+
+  for await (const evaluation of Evaluation.find().select("company scores weightedScore").cursor()) {
+    const weightedScore = computeWeightedScore(evaluation.scores, criteria);
+    if (weightedScore !== evaluation.weightedScore) {
+      await Evaluation.updateOne({ _id: evaluation._id }, { weightedScore });
+    }
+    companyIds.add(String(evaluation.company));
+  }
+
+  for (const companyId of companyIds) {
+    await refreshCompanyScore(companyId, usuario);
+  }
+  return companyIds.size;
+};
@@ -0,0 +1,120 @@
+import Company from "../company/company.model.js";
+import User from "../user/user.model.js";
+import { TRAJECTORY_BUCKETS } from "./company-report.js";
+
+const IMPACT_LEVELS = ["Bajo", "Medio", "Alto"];
+
+/**
+ * Redondea un promedio a un decimal, como en las hojas de resumen del reporte.
+ * @param {number|null} value - Valor a redondear.
+ * @returns {number|null} Valor redondeado, o null si no hay empresas.
+ */
+const roundAverage = (value) => (value == null ? null : Number(value.toFixed(1)));
+
+/**
+ * Completa los meses sin registros entre el primero y el último, para que la serie pueda graficarse directamente.
+ * @param {Array<{ _id: string, count: number }>} months - Conteos por mes ("AAAA-MM"), ordenados.
+ * @returns {Array<{ month: string, count: number }>} Serie mensual continua.
+ */
+const fillMonths = (months) => {
+  if (!months.length) return [];
+  const counts = new Map(months.map(({ _id, count }) => [_id, count]));
+  const [firstYear, firstMonth] = months[0]._id.split("-").map(Number);
+  const last = months[months.length - 1]._id;
+
+  const series = [];
+  for (let date = new Date(Date.UTC(firstYear, firstMonth - 1, 1)); ; date.setUTCMonth(date.getUTCMonth() + 1)) {
+    const month = date.toISOString().slice(0, 7);
+    series.push({ month, count: counts.get(month) ?? 0 });
+    if (month === last) return series;
+  }
+};
+
+/**
+ * Calcula las estadísticas de las empresas que cumplen un filtro en una sola agregación:
+ * conteos por nivel de impacto y por categoría, distribución y promedio de la trayectoria,
+ * registros por mes (según "createdAt", en UTC) y los administradores que más empresas registraron.
+ * @param {object} query - Filtro del listado (ver resolveCompanyQuery).
+ * @param {object} [options]
+ * @param {number} [options.top=5] - Cantidad de administradores en "topCreators".
+ * @returns {Promise<object>} Estadísticas listas para responder.
+ */
+export const getCompanyStats = async (query, { top = 5 } = {}) => {
+  const currentYear = new Date().getFullYear();
+
+  const [stats] = await Company.aggregate([
+    // El filtro va en la primera etapa: si incluye "$text", MongoDB lo exige así.
+    { $match: query },
+    // La trayectoria es un virtual del esquema, así que se calcula igual que en CompanySchema.
+    { $addFields: { yearsTrajectory: { $subtract: [currentYear, "$foundingYear"] } } },
+    {
+      $facet: {
+        total: [{ $count: "count" }],
+        byLevelImpact: [{ $group: { _id: "$levelImpact", count: { $sum: 1 } } }],
+        byCategory: [
+          { $group: { _id: "$category", name: { $first: "$categoryName" }, count: { $sum: 1 } } },
+          { $sort: { count: -1, name: 1 } },
+        ],
+        trajectory: [
+          {
+            $group: {
+              _id: null,
+              average: { $avg: "$yearsTrajectory" },
+              min: { $min: "$yearsTrajectory" },
+              max: { $max: "$yearsTrajectory" },
+            },
+          },
+        ],
+        trajectoryByYears: [{ $group: { _id: "$yearsTrajectory", count: { $sum: 1 } } }],
+        registrationsPerMonth: [
+          { $group: { _id: { $dateToString: { format: "%Y-%m", date: "$createdAt" } }, count: { $sum: 1 } } },
+          { $match: { _id: { $ne: null } } },
+          { $sort: { _id: 1 } },
+        ],
+        topCreators: [
+          { $group: { _id: "$createdBy", count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: top },
+          {
+            $lookup: {
+              from: User.collection.name,
+              localField: "_id",
+              foreignField: "_id",
+              pipeline: [{ $project: { name: 1, surname: 1, username: 1, email: 1 } }],
+              as: "user",
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  const trajectory = stats.trajectory[0] ?? {};
+
+  return {
+    total: stats.total[0]?.count ?? 0,
+    // Todos los niveles, en su orden natural, aunque no tengan empresas
+    byLevelImpact: IMPACT_LEVELS.map((levelImpact) => ({
+      levelImpact,
+      count: stats.byLevelImpact.find(({ _id }) => _id === levelImpact)?.count ?? 0,
+    })),
+    byCategory: stats.byCategory.map(({ _id, name, count }) => ({ category: { _id, name }, count })),
+    trajectory: {
+      average: roundAverage(trajectory.average),
+      min: trajectory.min ?? null,
+      max: trajectory.max ?? null,
+      // Mismos rangos que la hoja "Trayectoria" del reporte
+      distribution: TRAJECTORY_BUCKETS.map(({ label, min, max }) => ({
+        label,
+        min,
+        max: Number.isFinite(max) ? max : null,
+        count: stats.trajectoryByYears
+          .filter(({ _id }) => _id != null && _id >= min && _id <= max)
+          .reduce((sum, { count }) => sum + count, 0),
+      })),
+    },
+    registrationsPerMonth: fillMonths(stats.registrationsPerMonth),
+    // Un administrador eliminado de la base de datos aparece con "user" en null
+    topCreators: stats.topCreators.map(({ _id, count, user }) => ({ user: user[0] ?? null, userId: _id, count })),
+  };
+};
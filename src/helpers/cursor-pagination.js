@@ -0,0 +1,203 @@
+import mongoose from "mongoose";
+
+const { EJSON } = mongoose.mongo.BSON;
+
+/**
+ * Paginación por cursor (keyset) para los listados.
+ *
+ * El cursor es un texto opaco (JSON extendido en base64url) con los valores de los campos de ordenación del
+ * último (o primer) elemento de la página y la dirección. La siguiente página se obtiene con una condición
+ * "después de estos valores" sobre el mismo orden, así que el resultado no se desplaza aunque se registren
+ * o eliminen documentos entre una página y otra, y MongoDB no tiene que recorrer los documentos saltados.
+ * Con un orden que no puede expresarse como condición (la relevancia de una búsqueda de texto), el cursor
+ * guarda la posición y se comporta como "desde".
+ */
+
+/**
+ * Crea un error de cursor inválido, que los controladores responden con 400.
+ * @param {string} message - Descripción del error.
+ * @returns {Error}
+ */
+const cursorError = (message) => Object.assign(new Error(message), { status: 400 });
+
+/**
+ * Firma del orden, para rechazar un cursor generado con otra ordenación.
+ * @param {object} sort - Objeto de ordenación de Mongoose.
+ * @returns {string} Firma, por ejemplo "categoryName:1,name:1,_id:1".
+ */
+const sortSignature = (sort) =>
+  Object.entries(sort).map(([path, direction]) => `${path}:${typeof direction === "object" ? "meta" : direction}`).join(",");
+
+/**
+ * Indica si el orden puede paginarse por valores (todos los criterios son ascendentes o descendentes).
+ */
+const isKeysetSort = (sort) => Object.values(sort).every((direction) => direction === 1 || direction === -1);
+
+/**
+ * Codifica un cursor.
+ * @param {object} payload - Contenido del cursor.
+ * @returns {string} Cursor opaco.
+ */
+const encodeCursor = (payload) => Buffer.from(EJSON.stringify(payload, { relaxed: false })).toString("base64url");
+
+/**
+ * Decodifica un cursor recibido en la solicitud.
+ * @param {string} cursor - Cursor opaco.
+ * @returns {object} Contenido del cursor.
+ * @throws {Error} Con "status" 400 si el cursor no es válido.
+ */
+export const decodeCursor = (cursor) => {
+  try {
+    const payload = EJSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"), { relaxed: true });
+    if (!payload || typeof payload.s !== "string" || !["next", "prev"].includes(payload.d)) throw new Error();
+    if (!Array.isArray(payload.v) && !Number.isInteger(payload.o)) throw new Error();
+    return payload;
+  } catch {
+    throw cursorError("El cursor de paginación no es válido");
+  }
+};
+
+/**
+ * Condición "el campo va después del valor" en el sentido indicado, considerando que en MongoDB
+ * los valores nulos o ausentes se ordenan antes que cualquier otro.
+ * @returns {object|null} Condición, o null si ningún valor puede ir después.
+ */
+const afterCondition = (path, value, direction) => {
+  if (direction === 1) {
+    return value === null ? { [path]: { $ne: null } } : { [path]: { $gt: value } };
+  }
+  return value === null ? null : { $or: [{ [path]: { $lt: value } }, { [path]: null }] };
+};
+
+/**
+ * Construye la condición de MongoDB para los documentos que van después de los valores del cursor.
+ * Para un orden { a: 1, b: -1, _id: 1 } y valores (x, y, z):
+ * a > x  OR  (a = x AND b < y)  OR  (a = x AND b = y AND _id > z).
+ * @param {object} sort - Objeto de ordenación (en el sentido en que se recorre).
+ * @param {Array<*>} values - Valores de los campos de ordenación.
+ * @returns {object} Condición para agregar al filtro.
+ */
+const keysetCondition = (sort, values) => {
+  const paths = Object.keys(sort);
+  const branches = paths
+    .map((path, index) => {
+      const after = afterCondition(path, values[index] ?? null, sort[path]);
+      if (!after) return null;
+      const equal = paths.slice(0, index).map((previous, i) => ({ [previous]: values[i] ?? null }));
+      return { $and: [...equal, after] };
+    })
+    .filter(Boolean);
+  return branches.length ? { $or: branches } : { _id: { $exists: false } };
+};
+
+/**
+ * Invierte el sentido de cada criterio de ordenación (para recorrer hacia la página anterior).
+ */
+const reverseSort = (sort) => Object.fromEntries(Object.entries(sort).map(([path, direction]) => [path, -direction]));
+
+/**
+ * Lee los valores de los campos de ordenación de un documento.
+ */
+const sortValues = (doc, sort) =>
+  Object.keys(sort).map((path) => (typeof doc.get === "function" ? doc.get(path) : doc[path]) ?? null);
+
+/**
+ * Prepara la consulta de una página.
+ * Sin cursor se usa "desde" como posición inicial, de modo que la paginación anterior sigue funcionando.
+ * @param {object} params
+ * @param {object} params.query - Filtro del listado.
+ * @param {object} params.sort - Objeto de ordenación; debe terminar en un campo único (por ejemplo "_id").
+ * @param {number} params.limit - Elementos por página.
+ * @param {string} [params.cursor] - Cursor recibido en la solicitud.
+ * @param {number} [params.desde=0] - Posición inicial cuando no hay cursor.
+ * @returns {{ filter: object, sort: object, skip: number, limit: number, page: object }} Parámetros para find()
+ *          ("limit" incluye un elemento extra para saber si hay más) y el estado que necesita buildCursorPage.
+ * @throws {Error} Con "status" 400 si el cursor no es válido o se generó con otro orden.
+ */
+export const prepareCursorPage = ({ query, sort, limit, cursor, desde = 0 }) => {
+  const signature = sortSignature(sort);
+  const page = { sort, signature, limit, direction: "next", offset: Number(desde) || 0, hasCursor: Boolean(cursor) };
+
+  if (!cursor) {
+    return { filter: query, sort, skip: page.offset, limit: limit + 1, page };
+  }
+
+  const payload = decodeCursor(cursor);
+  if (payload.s !== signature) {
+    throw cursorError("El cursor se generó con otra ordenación; solicite de nuevo la primera página");
+  }
+  page.direction = payload.d;
+
+  if (!isKeysetSort(sort)) {
+    // Orden por relevancia: el cursor guarda la posición.
+    page.offset = payload.o ?? 0;
+    return { filter: query, sort, skip: page.offset, limit: limit + 1, page };
+  }
+
+  const walkSort = payload.d === "prev" ? reverseSort(sort) : sort;
+  return {
+    // Se agrega a "$and" sin anidar el filtro original, que puede incluir "$text" (debe quedar en el primer nivel).
+    filter: { ...query, $and: [...(query.$and ?? []), keysetCondition(walkSort, payload.v)] },
+    sort: walkSort,
+    skip: 0,
+    limit: limit + 1,
+    page,
+  };
+};
+
+/**
+ * Arma la página a partir de los documentos obtenidos con los parámetros de prepareCursorPage.
+ * @param {Array<object>} docs - Documentos obtenidos (hasta limit + 1).
+ * @param {object} page - Estado devuelto por prepareCursorPage.
+ * @returns {{ items: Array<object>, nextCursor: string|null, prevCursor: string|null }}
+ */
+export const buildCursorPage = (docs, page) => {
+  const { sort, signature, limit, direction, offset } = page;
+  const hasMore = docs.length > limit;
+  const items = docs.slice(0, limit);
+
+  if (!isKeysetSort(sort)) {
+    return {
+      items,
+      nextCursor: hasMore ? encodeCursor({ s: signature, d: "next", o: offset + limit }) : null,
+      prevCursor: offset > 0 ? encodeCursor({ s: signature, d: "prev", o: Math.max(0, offset - limit) }) : null,
+    };
+  }
+
+  if (direction === "prev") items.reverse();
+  const first = items[0];
+  const last = items[items.length - 1];
+
+  // Hacia adelante, "hasMore" indica si hay página siguiente; hacia atrás, si hay página anterior.
+  // La página desde la que se llegó siempre existe en el otro sentido.
+  const hasNext = direction === "prev" ? Boolean(last) : hasMore;
+  const hasPrev = direction === "prev" ? hasMore : Boolean(first) && (page.hasCursor || offset > 0);
+
+  return {
+    items,
+    nextCursor: hasNext && last ? encodeCursor({ s: signature, d: "next", v: sortValues(last, sort) }) : null,
+    prevCursor: hasPrev && first ? encodeCursor({ s: signature, d: "prev", v: sortValues(first, sort) }) : null,
+  };
+};
+
+/**
+ * Agrega la cabecera Link (RFC 8288) con los enlaces a la primera página y a las páginas siguiente y anterior.
+ * Los enlaces conservan los filtros de la solicitud y reemplazan "desde" por "cursor".
+ * @param {object} req - Objeto de solicitud Express.
+ * @param {object} res - Objeto de respuesta Express.
+ * @param {{ nextCursor: string|null, prevCursor: string|null }} cursors - Cursores de la página.
+ */
+export const setPaginationLinks = (req, res, { nextCursor, prevCursor }) => {
+  const link = (cursor, rel) => {
+    const url = new URL(req.originalUrl, `${req.protocol}://${req.get("host")}`);
+    url.searchParams.delete("desde");
+    url.searchParams.delete("cursor");
+    if (cursor) url.searchParams.set("cursor", cursor);
+    return `<${url.pathname}${url.search}>; rel="${rel}"`;
+  };
+
+  const links = [link(null, "first")];
+  if (prevCursor) links.push(link(prevCursor, "prev"));
+  if (nextCursor) links.push(link(nextCursor, "next"));
+  res.set("Link", links.join(", "));
+};
@@ -1,5 +1,14 @@
 import User from "../user/user.model.js"
 import Company from "../company/company.model.js";
+import Category from "../category/category.model.js";
+import EvaluationCriterion from "../evaluation/evaluation-criterion.model.js";
+import Role from "../role/role.model.js";
+import { slugify } from "./slugify.js";
+import { decodeCursor } from "./cursor-pagination.js";
+import { SORTABLE_COMPANY_FIELDS } from "./company-filters.js";
+import { SCORE_RANGE, getActiveCriteria } from "./company-scoring.js";
+import { isValidNit } from "./tax-id.js";
+import { PERMISSIONS, ADMIN_ROLE } from "./permissions.js";
 
 /**
  * Verifica si un email ya está registrado en la base de datos.
@@ -27,6 +36,33 @@ export const usernameExists = async (username = "") => {
     }
 }
 
+/**
+ * Verifica que un email no esté registrado por otro usuario distinto del que se actualiza
+ * (el de ":uid" o, si no se indica, el usuario autenticado).
+ * @param {string} email - Dirección de correo electrónico a verificar.
+ * @throws {Error} Si otro usuario ya tiene ese email.
+ */
+export const emailAvailable = async (email = "", { req }) => {
+    const existe = await User.findOne({ email, _id: { $ne: req.params?.uid ?? req.usuario?._id } })
+    if(existe){
+        throw new Error(`The email ${email} is already registered`)
+    }
+    return true
+}
+
+/**
+ * Verifica que un nombre de usuario no esté registrado por otro usuario distinto del que se actualiza.
+ * @param {string} username - Nombre de usuario a verificar.
+ * @throws {Error} Si otro usuario ya tiene ese nombre de usuario.
+ */
+export const usernameAvailable = async (username = "", { req }) => {
+    const existe = await User.findOne({ username, _id: { $ne: req.params?.uid ?? req.usuario?._id } })
+    if(existe){
+        throw new Error(`The username ${username} is already registered`)
+    }
+    return true
+}
+
 /**
  * Verifica si un usuario con un ID específico existe en la base de datos.
  * @param {string} uid - ID del usuario a verificar.
@@ -50,22 +86,77 @@ export const validateUserNotDeleted = async (_, { req }) => {
     return true; // Si el usuario está activo, la validación pasa
 };
 
-export const esAdmin = (req, res, next) => {
-    if (!req.user || req.user.role !== "ADMIN") {
-        return res.status(403).json({
-            msg: "No tienes permisos para realizar esta acción"
-        });
+/**
+ * Verifica una lista de roles: al menos uno y todos registrados en el catálogo de roles.
+ * @param {Array<string>} roles - Nombres de los roles.
+ * @throws {Error} Si la lista está vacía o algún rol no existe.
+ */
+export const rolesExist = async (roles) => {
+    if (!Array.isArray(roles) || !roles.length || roles.some((role) => typeof role !== "string")) {
+        throw new Error("Los roles deben enviarse como una lista con al menos un nombre de rol");
+    }
+    const existing = (await Role.find({ name: { $in: roles } }).select("name")).map(({ name }) => name);
+    const unknown = roles.filter((role) => !existing.includes(role));
+    if (unknown.length) {
+        throw new Error(`Roles no válidos: ${unknown.join(", ")}`);
     }
-    next();
+    return true;
 };
 
-export const existeAdmin = async() => {
-    const exist = await User.findAll({"role": "ADMIN"});
-    if(!exist){
-        return false
+/**
+ * Verifica que, al cambiar los roles de un usuario, quede al menos un usuario activo con el rol ADMIN.
+ * @param {Array<string>} roles - Nuevos roles del usuario.
+ * @param {object} meta - Metadatos de express-validator (req.params.uid es el usuario).
+ * @throws {Error} Si se quita el rol ADMIN al último administrador.
+ */
+export const adminRoleKept = async (roles, { req }) => {
+    if (roles.includes(ADMIN_ROLE)) return true;
+    const user = await User.findById(req.params.uid).select("roles");
+    if (!user?.roles.includes(ADMIN_ROLE)) return true;
+    const otherAdmins = await User.countDocuments({ _id: { $ne: user._id }, roles: ADMIN_ROLE, status: true });
+    if (!otherAdmins) {
+        throw new Error(`No se puede quitar el rol ${ADMIN_ROLE} al último administrador activo`);
     }
     return true;
-}
+};
+
+/**
+ * Verifica si existe un rol con el nombre proporcionado.
+ */
+export const roleExists = async (name = "") => {
+    const existe = await Role.findOne({ name: String(name).toUpperCase() });
+    if (!existe) {
+        throw new Error(`No existe el rol ${name}`);
+    }
+    return true;
+};
+
+/**
+ * Verifica que el nombre de un rol nuevo no esté registrado.
+ */
+export const roleNameAvailable = async (name = "") => {
+    const existe = await Role.findOne({ name: String(name).toUpperCase() });
+    if (existe) {
+        throw new Error(`El rol ${name} ya está registrado`);
+    }
+    return true;
+};
+
+/**
+ * Verifica que los permisos de un rol pertenezcan al catálogo PERMISSIONS.
+ * @param {Array<string>} permissions - Permisos del rol.
+ * @throws {Error} Si no es una lista o incluye permisos desconocidos.
+ */
+export const rolePermissionsValidator = (permissions) => {
+    if (!Array.isArray(permissions)) {
+        throw new Error("Los permisos deben enviarse como una lista");
+    }
+    const unknown = permissions.filter((permission) => !Object.hasOwn(PERMISSIONS, permission));
+    if (unknown.length) {
+        throw new Error(`Permisos no válidos: ${unknown.join(", ")}. Permisos disponibles: ${Object.keys(PERMISSIONS).join(", ")}`);
+    }
+    return true;
+};
 
 /**
  * Verifica si una empresa con el ID proporcionado existe en la base de datos.
@@ -77,6 +168,53 @@ export const companyExists = async (id = "") => {
     }
   };
 
+/**
+ * Verifica que la empresa con el ID proporcionado esté activa (para poder desactivarla).
+ */
+export const companyIsActive = async (id = "") => {
+    const company = await Company.findById(id);
+    if (company && !company.status) {
+      throw new Error("La empresa ya se encuentra desactivada");
+    }
+  };
+
+/**
+ * Verifica que la empresa con el ID proporcionado esté desactivada (para poder restaurarla).
+ */
+export const companyIsInactive = async (id = "") => {
+    const company = await Company.findById(id);
+    if (company && company.status) {
+      throw new Error("La empresa ya se encuentra activa");
+    }
+  };
+
+/**
+ * Verifica que la empresa con el ID proporcionado no se haya fusionado en otra (una empresa fusionada
+ * no se restaura ni vuelve a fusionarse: sus datos ya pasaron a la otra empresa).
+ */
+export const companyNotMerged = async (id = "") => {
+    const company = await Company.findById(id).select("mergedInto");
+    if (company?.mergedInto) {
+      throw new Error(`La empresa se fusionó en la empresa ${company.mergedInto}`);
+    }
+  };
+
+  /**
+   * Verifica la empresa duplicada de una fusión: debe existir, no haberse fusionado antes y ser distinta
+   * de la empresa que la conserva (req.params.id).
+   * @param {string} sourceId - ID de la empresa duplicada.
+   * @param {object} meta - Metadatos de express-validator.
+   * @throws {Error} Si la empresa no puede fusionarse.
+   */
+  export const mergeSourceValidator = async (sourceId, { req }) => {
+    if (sourceId === req.params?.id) {
+      throw new Error("Una empresa no puede fusionarse consigo misma");
+    }
+    await companyExists(sourceId);
+    await companyNotMerged(sourceId);
+    return true;
+  };
+
   export const foundingYearValidator = (value) => {
     const currentYear = new Date().getFullYear();
     if (parseInt(value, 10) > currentYear) {
@@ -84,4 +222,188 @@ export const companyExists = async (id = "") => {
     }
     return true;
   };
-  
+
+  /**
+   * Verifica el formato y el dígito verificador de un NIT.
+   * @param {string} value - NIT con o sin guion, por ejemplo "1234567-9".
+   * @throws {Error} Si el NIT no es válido.
+   */
+  export const taxIdValidator = (value) => {
+    if (!isValidNit(value)) {
+      throw new Error(`El NIT ${value} no es válido: revise el número y el dígito verificador`);
+    }
+    return true;
+  };
+
+  /**
+   * Verifica que cada campo del parámetro "sort" esté permitido para ordenar empresas.
+   * @param {string} value - Lista de campos separada por comas, con "-" opcional para orden descendente.
+   * @throws {Error} Si algún campo no está en la lista de campos ordenables.
+   */
+  export const companySortValidator = (value = "") => {
+    const fields = value.split(",").map((token) => token.trim().replace(/^-/, ""));
+    const invalid = fields.filter((field) => !Object.hasOwn(SORTABLE_COMPANY_FIELDS, field));
+    if (invalid.length) {
+      throw new Error(`No se puede ordenar por: ${invalid.join(", ")}. Campos permitidos: ${Object.keys(SORTABLE_COMPANY_FIELDS).join(", ")}`);
+    }
+    return true;
+  };
+
+  /**
+   * Verifica que exista una categoría activa con el ID, slug o nombre proporcionado.
+   * @param {string} value - ID, slug o nombre de la categoría.
+   * @throws {Error} Si la categoría no existe en el catálogo.
+   */
+  export const categoryExists = async (value = "") => {
+    const category = await Category.findByReference(value);
+    if (!category) {
+      throw new Error(`La categoría ${value} no existe en el catálogo`);
+    }
+    return true;
+  };
+
+  /**
+   * Sustituye el ID, slug o nombre de una categoría por su ID, que es lo que se guarda en la empresa.
+   * Se usa después de categoryExists.
+   * @param {string} value - ID, slug o nombre de la categoría.
+   * @returns {Promise<string>} ID de la categoría.
+   */
+  export const toCategoryId = async (value) => {
+    const category = await Category.findByReference(value);
+    return category ? String(category._id) : value;
+  };
+
+  /**
+   * Verifica que el nombre (y por tanto el slug generado) de una categoría no esté registrado en otra categoría.
+   * @param {string} name - Nombre de la categoría.
+   * @param {object} meta - Metadatos de express-validator; en una actualización se excluye la propia categoría.
+   * @throws {Error} Si ya existe una categoría con ese nombre o slug.
+   */
+  export const categoryNameAvailable = async (name = "", { req }) => {
+    const existe = await Category.findOne({
+      $or: [{ name: name.trim() }, { slug: slugify(name) }],
+      _id: { $ne: req.params?.id },
+    });
+    if (existe) {
+      throw new Error(`La categoría ${name} ya está registrada`);
+    }
+    return true;
+  };
+
+  /**
+   * Verifica que un slug enviado explícitamente no esté usado por otra categoría.
+   */
+  export const categorySlugAvailable = async (slug = "", { req }) => {
+    const existe = await Category.findOne({ slug: slugify(slug), _id: { $ne: req.params?.id } });
+    if (existe) {
+      throw new Error(`El slug ${slug} ya está en uso`);
+    }
+    return true;
+  };
+
+  /**
+   * Verifica que la categoría padre exista y que no genere un ciclo
+   * (una categoría no puede ser su propio padre ni descender de sí misma).
+   * @param {string|null} parent - ID de la categoría padre; null la convierte en categoría de primer nivel.
+   * @param {object} meta - Metadatos de express-validator.
+   * @throws {Error} Si el padre no existe o genera un ciclo.
+   */
+  export const categoryParentValidator = async (parent, { req }) => {
+    if (parent === null || parent === "") return true;
+    const category = await Category.findOne({ _id: parent, status: true });
+    if (!category) {
+      throw new Error("No existe la categoría padre con el ID proporcionado");
+    }
+    // descendantIds incluye a la propia categoría, así que también se rechaza que sea su propio padre
+    const id = req.params?.id;
+    if (id && (await Category.descendantIds(id)).some((descendant) => descendant.equals(category._id))) {
+      throw new Error("La categoría padre no puede ser la misma categoría ni una de sus subcategorías");
+    }
+    return true;
+  };
+
+  /**
+   * Verifica si una categoría con el ID proporcionado existe en la base de datos.
+   */
+  export const categoryIdExists = async (id = "") => {
+    const existe = await Category.findById(id);
+    if (!existe) {
+      throw new Error("No existe la categoría con el ID proporcionado");
+    }
+  };
+
+  /**
+   * Verifica que el nivel de impacto pueda modificarse a mano: una empresa evaluada toma el nivel de su puntaje.
+   * Se acepta el mismo nivel que ya tiene, para que un PUT con la empresa completa no falle.
+   * @param {string} value - Nivel de impacto enviado.
+   * @param {object} meta - Metadatos de express-validator (req.params.id es la empresa).
+   * @throws {Error} Si la empresa ya tiene puntaje y el nivel enviado es distinto.
+   */
+  export const levelImpactEditable = async (value, { req }) => {
+    const company = await Company.findById(req.params?.id).select("score levelImpact");
+    if (company?.score != null && value !== company.levelImpact) {
+      throw new Error(`El nivel de impacto se calcula a partir del puntaje de las evaluaciones (${company.score}) y no puede modificarse`);
+    }
+    return true;
+  };
+
+  /**
+   * Verifica que el parámetro "cursor" sea un cursor de paginación generado por la API.
+   * @param {string} value - Cursor recibido.
+   * @throws {Error} Si el cursor no se puede decodificar.
+   */
+  export const cursorValidator = (value = "") => {
+    decodeCursor(value);
+    return true;
+  };
+
+  /**
+   * Verifica que la clave de un criterio de evaluación no esté registrada.
+   * @param {string} key - Clave del criterio.
+   * @throws {Error} Si ya existe un criterio con esa clave.
+   */
+  export const criterionKeyAvailable = async (key = "") => {
+    const existe = await EvaluationCriterion.findOne({ key });
+    if (existe) {
+      throw new Error(`El criterio ${key} ya está registrado`);
+    }
+    return true;
+  };
+
+  /**
+   * Verifica si existe un criterio de evaluación con la clave proporcionada.
+   */
+  export const criterionExists = async (key = "") => {
+    const existe = await EvaluationCriterion.findOne({ key });
+    if (!existe) {
+      throw new Error(`No existe el criterio de evaluación ${key}`);
+    }
+    return true;
+  };
+
+  /**
+   * Verifica las puntuaciones de una evaluación: un número de 0 a 10 para cada criterio activo
+   * y ninguna clave que no corresponda a un criterio activo.
+   * @param {object} scores - Puntuaciones por clave de criterio, por ejemplo { innovation: 8, socialImpact: 7 }.
+   * @throws {Error} Si falta un criterio, sobra alguno o una puntuación está fuera de rango.
+   */
+  export const evaluationScoresValidator = async (scores) => {
+    if (scores === null || typeof scores !== "object" || Array.isArray(scores)) {
+      throw new Error("Las puntuaciones deben enviarse como un objeto con la clave de cada criterio");
+    }
+    const keys = (await getActiveCriteria()).map(({ key }) => key);
+
+    const unknown = Object.keys(scores).filter((key) => !keys.includes(key));
+    if (unknown.length) {
+      throw new Error(`Criterios no válidos: ${unknown.join(", ")}. Criterios activos: ${keys.join(", ")}`);
+    }
+    const missing = keys.filter((key) => scores[key] === undefined);
+    if (missing.length) {
+      throw new Error(`Faltan las puntuaciones de: ${missing.join(", ")}`);
+    }
+    const outOfRange = keys.filter((key) => typeof scores[key] !== "number" || scores[key] < SCORE_RANGE.min || scores[key] > SCORE_RANGE.max);
+    if (outOfRange.length) {
+      throw new Error(`Las puntuaciones deben ser números entre ${SCORE_RANGE.min} y ${SCORE_RANGE.max}: ${outOfRange.join(", ")}`);
+    }
+    return true;
+  };
@@ -0,0 +1,84 @@
+import fs from "fs";
+import path from "path";
+import { randomUUID } from "crypto";
+
+/**
+ * Almacenamiento de los archivos adjuntos de las empresas (logos, certificados, etc.).
+ *
+ * Los controladores no acceden al disco directamente sino a través de un adaptador con esta interfaz,
+ * de modo que los archivos puedan guardarse en otro servicio (por ejemplo, un bucket) sin modificarlos:
+ *   - save(key, buffer): guarda el contenido con la clave indicada.
+ *   - createReadStream(key): devuelve un stream legible con el contenido.
+ *   - remove(key): elimina el archivo; no falla si ya no existe.
+ *   - exists(key): indica si el archivo existe.
+ * Las claves son rutas relativas con "/" como separador, por ejemplo "companies/<id>/<uuid>.pdf".
+ */
+
+/**
+ * Crea un adaptador que guarda los archivos en un directorio del disco local.
+ * @param {string} rootDir - Directorio raíz de los archivos.
+ * @returns {{ save: Function, createReadStream: Function, remove: Function, exists: Function }}
+ */
+export const createLocalStorage = (rootDir) => {
+  const root = path.resolve(rootDir);
+
+  // Traduce una clave a una ruta del disco, sin permitir que salga del directorio raíz.
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, ...String(key).split("/"));
+    if (!filePath.startsWith(`${root}${path.sep}`)) {
+      throw new Error(`Clave de archivo inválida: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+    async exists(key) {
+      try {
+        await fs.promises.access(resolveKey(key));
+        return true;
+      } catch {
+        return false;
+      }
+    },
+  };
+};
+
+let storage;
+
+/**
+ * Obtiene el adaptador de almacenamiento en uso.
+ * Por defecto es el disco local, en el directorio UPLOADS_DIR o "uploads" dentro del proyecto.
+ * @returns {object} Adaptador de almacenamiento.
+ */
+export const getStorage = () => {
+  storage ??= createLocalStorage(process.env.UPLOADS_DIR || path.join(process.cwd(), "uploads"));
+  return storage;
+};
+
+/**
+ * Reemplaza el adaptador de almacenamiento (por ejemplo, por uno de almacenamiento en la nube).
+ * @param {object} adapter - Objeto con save, createReadStream, remove y exists.
+ */
+export const setStorage = (adapter) => {
+  storage = adapter;
+};
+
+/**
+ * Genera una clave única para un archivo, conservando la extensión del nombre original.
+ * @param {string} prefix - Carpeta lógica, por ejemplo "companies/608d1b2f4b1e883f1c2a1234".
+ * @param {string} originalName - Nombre original del archivo.
+ * @returns {string} Clave del archivo.
+ */
+export const buildStorageKey = (prefix, originalName) =>
+  `${prefix}/${randomUUID()}${path.extname(originalName).toLowerCase()}`;
@@ -1,14 +1,26 @@
 import jwt from "jsonwebtoken"
 
-export const generateJWT = (uid = " ") => {
+/**
+ * Vigencia del token de acceso (ACCESS_TOKEN_TTL, por defecto "1h"); al vencer, el cliente obtiene otro con POST /auth/refresh.
+ * Se lee en cada llamada porque las variables de entorno se cargan después de importar los módulos.
+ */
+export const accessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || "1h"
+
+/**
+ * Genera el token de acceso de un usuario.
+ * @param {string} uid - ID del usuario.
+ * @param {string} sid - Sesión (familia de tokens de refresco) a la que pertenece; validateJWT rechaza el token si se revocó.
+ * @returns {Promise<string>} Token firmado.
+ */
+export const generateJWT = (uid = " ", sid) => {
     return new Promise((resolve, reject) => {
-        const payload = { uid }
+        const payload = { uid, sid }
 
         jwt.sign(
             payload,
             process.env.SECRETORPRIVATEKEY,
             {
-                expiresIn: "1h"
+                expiresIn: accessTokenTtl()
             },
             (err, token) =>{
                 if(err){
@@ -22,4 +34,4 @@ export const generateJWT = (uid = " ") => {
             }
         )
     })
-}
\ No newline at end of file
+}
@@ -0,0 +1,274 @@
+import { isDeepStrictEqual } from "util";
+import { validationResult } from "express-validator";
+
+/**
+ * Tipos de contenido aceptados por los endpoints PATCH.
+ * "application/json" se interpreta como JSON Merge Patch.
+ */
+export const PATCH_CONTENT_TYPES = {
+  mergePatch: "application/merge-patch+json", // RFC 7396
+  jsonPatch: "application/json-patch+json", // RFC 6902
+};
+
+/**
+ * Crea un error de aplicación de un parche con el código HTTP que corresponde.
+ * @param {string} message - Descripción del error.
+ * @param {number} [status=400] - 400 si el parche es inválido, 409 si falla una operación "test".
+ * @returns {Error}
+ */
+const patchError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+/**
+ * Claves que un parche nunca puede tocar: darían acceso al prototipo de los objetos (contaminación de prototipos).
+ */
+const FORBIDDEN_KEYS = ["__proto__", "constructor", "prototype"];
+
+const assertSafeKey = (key) => {
+  if (FORBIDDEN_KEYS.includes(key)) throw patchError(`El parche no puede modificar la clave ${key}`);
+};
+
+/**
+ * Separa un JSON Pointer (RFC 6901) en sus segmentos, por ejemplo "/name" → ["name"].
+ * @param {string} pointer - Ruta de la operación.
+ * @returns {Array<string>} Segmentos de la ruta.
+ */
+const parsePointer = (pointer) => {
+  if (typeof pointer !== "string" || (pointer !== "" && !pointer.startsWith("/"))) {
+    throw patchError(`Ruta inválida en el parche: ${pointer}`);
+  }
+  const tokens = pointer.split("/").slice(1).map((token) => token.replace(/~1/g, "/").replace(/~0/g, "~"));
+  tokens.forEach(assertSafeKey);
+  return tokens;
+};
+
+/**
+ * Obtiene el contenedor (objeto o arreglo) y la clave final de una ruta.
+ * @param {object} doc - Documento sobre el que se aplica el parche.
+ * @param {Array<string>} tokens - Segmentos de la ruta.
+ * @param {string} pointer - Ruta original, para los mensajes de error.
+ * @returns {{ parent: object|Array, key: string }}
+ */
+const resolveParent = (doc, tokens, pointer) => {
+  if (!tokens.length) throw patchError("No se puede reemplazar el documento completo");
+  let parent = doc;
+  for (const token of tokens.slice(0, -1)) {
+    if (parent === null || typeof parent !== "object" || !Object.hasOwn(parent, token)) {
+      throw patchError(`La ruta ${pointer} no existe`);
+    }
+    parent = parent[token];
+  }
+  if (parent === null || typeof parent !== "object") throw patchError(`La ruta ${pointer} no existe`);
+  return { parent, key: tokens[tokens.length - 1] };
+};
+
+/**
+ * Lee el valor de una ruta.
+ */
+const getValue = (doc, pointer) => {
+  const { parent, key } = resolveParent(doc, parsePointer(pointer), pointer);
+  if (!Object.hasOwn(parent, key)) throw patchError(`La ruta ${pointer} no existe`);
+  return parent[key];
+};
+
+/**
+ * Agrega o reemplaza el valor de una ruta; en arreglos admite un índice o "-" para agregar al final.
+ */
+const addValue = (doc, pointer, value) => {
+  const { parent, key } = resolveParent(doc, parsePointer(pointer), pointer);
+  if (Array.isArray(parent)) {
+    const index = key === "-" ? parent.length : Number(key);
+    if (!Number.isInteger(index) || index < 0 || index > parent.length) throw patchError(`Índice inválido en ${pointer}`);
+    parent.splice(index, 0, value);
+  } else {
+    parent[key] = value;
+  }
+};
+
+/**
+ * Elimina el valor de una ruta y lo devuelve.
+ */
+const removeValue = (doc, pointer) => {
+  const { parent, key } = resolveParent(doc, parsePointer(pointer), pointer);
+  if (!Object.hasOwn(parent, key)) throw patchError(`La ruta ${pointer} no existe`);
+  const value = parent[key];
+  if (Array.isArray(parent)) parent.splice(Number(key), 1);
+  else delete parent[key];
+  return value;
+};
+
+/**
+ * Aplica un documento JSON Patch (RFC 6902) sobre una copia del documento.
+ * Las operaciones se aplican en orden y, si alguna falla, no se aplica ninguna.
+ * @param {object} doc - Documento original (no se modifica).
+ * @param {Array<object>} operations - Operaciones add, remove, replace, move, copy y test.
+ * @returns {object} Documento con el parche aplicado.
+ * @throws {Error} Con "status" 400 si el parche es inválido o 409 si falla una operación "test".
+ */
+export const applyJsonPatch = (doc, operations) => {
+  if (!Array.isArray(operations)) throw patchError("Un JSON Patch debe ser un arreglo de operaciones");
+  const result = structuredClone(doc);
+
+  operations.forEach((operation, index) => {
+    const { op, path, from, value } = operation ?? {};
+    if (["add", "replace", "test"].includes(op) && !("value" in operation)) {
+      throw patchError(`La operación ${index} (${op}) requiere "value"`);
+    }
+    switch (op) {
+      case "add":
+        addValue(result, path, structuredClone(value));
+        break;
+      case "remove":
+        removeValue(result, path);
+        break;
+      case "replace":
+        getValue(result, path);
+        removeValue(result, path);
+        addValue(result, path, structuredClone(value));
+        break;
+      case "move": {
+        if (String(path).startsWith(`${from}/`)) throw patchError(`No se puede mover ${from} dentro de sí mismo`);
+        addValue(result, path, removeValue(result, from));
+        break;
+      }
+      case "copy":
+        addValue(result, path, structuredClone(getValue(result, from)));
+        break;
+      case "test":
+        if (!isDeepStrictEqual(getValue(result, path), value)) {
+          throw patchError(`La prueba sobre ${path} no se cumple: el valor actual es distinto`, 409);
+        }
+        break;
+      default:
+        throw patchError(`Operación no soportada en la posición ${index}: ${op}`);
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Aplica un JSON Merge Patch (RFC 7396): los valores null eliminan el campo y los objetos se combinan recursivamente.
+ * @param {*} target - Documento original (no se modifica).
+ * @param {*} patch - Parche a aplicar.
+ * @returns {*} Documento con el parche aplicado.
+ * @throws {Error} Con "status" 400 si el parche incluye claves de FORBIDDEN_KEYS.
+ */
+export const applyMergePatch = (target, patch) => {
+  if (patch === null || typeof patch !== "object" || Array.isArray(patch)) return structuredClone(patch);
+  const result = target !== null && typeof target === "object" && !Array.isArray(target) ? structuredClone(target) : {};
+  Object.entries(patch).forEach(([key, value]) => {
+    assertSafeKey(key);
+    if (value === null) delete result[key];
+    else result[key] = applyMergePatch(result[key], value);
+  });
+  return result;
+};
+
+/**
+ * Campos de primer nivel que toca un parche, para compararlos con la lista de campos modificables.
+ * @param {object|Array} patch - JSON Patch o JSON Merge Patch.
+ * @returns {Array<string>} Campos afectados.
+ */
+const touchedFields = (patch) => {
+  if (!Array.isArray(patch)) return Object.keys(patch ?? {});
+  return patch
+    .filter(({ op }) => op !== "test")
+    .flatMap(({ path, from }) => [path, from])
+    .filter((pointer) => typeof pointer === "string")
+    .map((pointer) => parsePointer(pointer)[0])
+    .filter((field) => field !== undefined);
+};
+
+/**
+ * Aplica el parche de una solicitud PATCH sobre los campos modificables de un documento.
+ * El formato se determina por el Content-Type: JSON Patch para "application/json-patch+json"
+ * y JSON Merge Patch para "application/merge-patch+json" o "application/json".
+ * @param {object} req - Objeto de solicitud Express (cuerpo ya interpretado como JSON).
+ * @param {object} current - Valores actuales de los campos modificables.
+ * @param {Array<string>} mutableFields - Campos que el parche puede modificar.
+ * @returns {{ set: object, unset: Array<string> }} Campos con valor nuevo y campos eliminados.
+ * @throws {Error} Con "status" 400 si el parche es inválido o toca campos no modificables, o 409 si falla un "test".
+ */
+export const resolvePatch = (req, current, mutableFields) => {
+  const isJsonPatch = Boolean(req.is(PATCH_CONTENT_TYPES.jsonPatch));
+
+  const forbidden = [...new Set(touchedFields(req.body))].filter((field) => !mutableFields.includes(field));
+  if (forbidden.length) {
+    throw patchError(`No se pueden modificar los campos: ${forbidden.join(", ")}. Campos modificables: ${mutableFields.join(", ")}`);
+  }
+
+  const patched = isJsonPatch ? applyJsonPatch(current, req.body) : applyMergePatch(current, req.body);
+
+  const set = {};
+  const unset = [];
+  mutableFields.forEach((field) => {
+    const before = current[field] ?? null;
+    const after = patched[field] ?? null;
+    if (isDeepStrictEqual(before, after)) return;
+    if (after === null) unset.push(field);
+    else set[field] = after;
+  });
+  return { set, unset };
+};
+
+/**
+ * Crea un validador de express-validator que rechaza los campos del cuerpo que no están en la lista de modificables.
+ * @param {Array<string>} mutableFields - Campos que pueden modificarse.
+ * @returns {Function} Validador para body().custom().
+ */
+export const onlyMutableFields = (mutableFields) => (value) => {
+  const forbidden = Object.keys(value ?? {}).filter((field) => !mutableFields.includes(field));
+  if (forbidden.length) {
+    throw new Error(`No se pueden modificar los campos: ${forbidden.join(", ")}. Campos modificables: ${mutableFields.join(", ")}`);
+  }
+  return true;
+};
+
+/**
+ * Verifica que el Content-Type de una solicitud PATCH sea uno de los formatos de parche aceptados.
+ * @param {string} value - Cabecera Content-Type.
+ * @throws {Error} Si el tipo de contenido no está soportado.
+ */
+export const patchContentTypeValidator = (value = "") => {
+  const type = value.split(";")[0].trim().toLowerCase();
+  if (![PATCH_CONTENT_TYPES.jsonPatch, PATCH_CONTENT_TYPES.mergePatch, "application/json"].includes(type)) {
+    throw new Error(`El Content-Type debe ser ${PATCH_CONTENT_TYPES.jsonPatch} o ${PATCH_CONTENT_TYPES.mergePatch}`);
+  }
+  return true;
+};
+
+/**
+ * Verifica la forma del cuerpo de una solicitud PATCH: un arreglo de operaciones con "op" y "path" para JSON Patch,
+ * o un objeto para JSON Merge Patch.
+ * @param {*} value - Cuerpo de la solicitud.
+ * @param {object} meta - Metadatos de express-validator.
+ * @throws {Error} Si el cuerpo no corresponde al formato indicado en el Content-Type.
+ */
+export const patchBodyValidator = (value, { req }) => {
+  if (req.is(PATCH_CONTENT_TYPES.jsonPatch)) {
+    const valid = Array.isArray(value) && value.length > 0 && value.every((operation) =>
+      operation !== null && typeof operation === "object" && typeof operation.op === "string" && typeof operation.path === "string"
+    );
+    if (!valid) throw new Error('Un JSON Patch debe ser un arreglo no vacío de operaciones con "op" y "path"');
+  } else if (value === null || typeof value !== "object" || Array.isArray(value) || !Object.keys(value).length) {
+    throw new Error("Un JSON Merge Patch debe ser un objeto con al menos un campo");
+  }
+  return true;
+};
+
+/**
+ * Valida los campos modificados por un parche con las mismas reglas de express-validator del PUT.
+ * Las reglas se ejecutan sobre una solicitud simulada cuyo cuerpo son los campos modificados,
+ * de modo que también se aplican sus sanitizadores (por ejemplo, el slug de la categoría se convierte en su ID).
+ * @param {Array<object>} rules - Reglas de express-validator (por ejemplo companyUpdateRules).
+ * @param {object} req - Solicitud original, de la que se toman "params" y "usuario".
+ * @param {object} set - Campos con valor nuevo (resultado de resolvePatch).
+ * @returns {Promise<{ data: object, errors: Array<object> }>} Valores saneados y errores de validación.
+ */
+export const validatePatchedFields = async (rules, req, set) => {
+  const patchReq = { params: req.params, usuario: req.usuario, body: { ...set } };
+  for (const rule of rules) {
+    await rule.run(patchReq);
+  }
+  return { data: patchReq.body, errors: validationResult(patchReq).array() };
+};
@@ -0,0 +1,224 @@
+import { randomBytes } from "crypto";
+import { hash, verify } from "argon2";
+import LoginThrottle from "../auth/login-throttle.model.js";
+import LoginAttempt from "../auth/login-attempt.model.js";
+
+/**
+ * Protección del inicio de sesión contra ataques de fuerza bruta.
+ *
+ * Los intentos fallidos se cuentan por cuenta y por IP. A partir de cierto número de fallos cada nuevo intento
+ * debe esperar un tiempo que se duplica con cada fallo y, al llegar al máximo, la cuenta (o la IP) se bloquea
+ * temporalmente. Mientras dura la espera los intentos se rechazan sin comprobar la contraseña.
+ * Cada intento se cuenta como fallo antes de comprobarlo (reserveLoginAttempt) y se descuenta si resulta correcto.
+ * Los emails o usernames que no existen se cuentan igual que las cuentas reales, para que las respuestas no
+ * revelen si una cuenta existe. Cada intento fallido queda registrado en LoginAttempt.
+ */
+
+// Fallos que se permiten sin espera antes de empezar a duplicarla
+const ACCOUNT_FREE_ATTEMPTS = 2;
+const IP_FREE_ATTEMPTS = 10;
+
+/**
+ * Fallos con los que se bloquea una cuenta (LOGIN_MAX_FAILURES, por defecto 5).
+ */
+const maxAccountFailures = () => Number(process.env.LOGIN_MAX_FAILURES) || 5;
+
+/**
+ * Fallos con los que se bloquea una IP (LOGIN_IP_MAX_FAILURES, por defecto 30), compartidos por todas las cuentas.
+ */
+const maxIpFailures = () => Number(process.env.LOGIN_IP_MAX_FAILURES) || 30;
+
+/**
+ * Duración del bloqueo temporal (LOGIN_LOCKOUT_MINUTES, por defecto 15), en milisegundos.
+ */
+const lockoutMs = () => (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+
+/**
+ * Tiempo tras el último fallo después del cual el contador vuelve a empezar (LOGIN_FAILURE_WINDOW_MINUTES,
+ * por defecto 60), en milisegundos.
+ */
+const failureWindowMs = () => (Number(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 60) * 60 * 1000;
+
+/**
+ * Expresión de agregación con la espera que sigue a un número de fallos consecutivos: ninguna hasta
+ * "freeAttempts", luego 1 s, 2 s, 4 s... y el bloqueo temporal completo al llegar a "maxFailures".
+ * @param {*} failures - Expresión con el número de fallos.
+ * @param {{ freeAttempts: number, maxFailures: number }} limits - Fallos sin espera y fallos que bloquean.
+ * @returns {object} Expresión que se evalúa en milisegundos de espera.
+ */
+const throttleDelayExpression = (failures, { freeAttempts, maxFailures }) => ({
+  $switch: {
+    branches: [
+      { case: { $gte: [failures, maxFailures] }, then: lockoutMs() },
+      { case: { $lte: [failures, freeAttempts] }, then: 0 },
+    ],
+    default: { $min: [{ $multiply: [1000, { $pow: [2, { $subtract: [failures, freeAttempts + 1] }] }] }, lockoutMs()] },
+  },
+});
+
+/**
+ * Fecha hasta la que se rechazan los intentos después de "failures" fallos contados desde "from" (null si ninguna).
+ */
+const lockedUntilExpression = (failures, from, limits) => ({
+  $let: {
+    vars: { delay: throttleDelayExpression(failures, limits) },
+    in: { $cond: [{ $gt: ["$$delay", 0] }, { $add: [from, "$$delay"] }, null] },
+  },
+});
+
+/**
+ * Clave del contador de una cuenta: el ID del usuario o, si no existe, el email o username enviado.
+ * @param {object|null} user - Usuario encontrado.
+ * @param {string} identifier - Email o username enviado, en minúsculas.
+ * @returns {string} Clave del contador.
+ */
+export const accountThrottleKey = (user, identifier) => (user ? `user:${user._id}` : `login:${identifier}`);
+
+const ipThrottleKey = (ip) => `ip:${ip}`;
+
+const accountLimits = () => ({ freeAttempts: ACCOUNT_FREE_ATTEMPTS, maxFailures: maxAccountFailures() });
+const ipLimits = () => ({ freeAttempts: IP_FREE_ATTEMPTS, maxFailures: maxIpFailures() });
+
+/**
+ * Reserva un intento en el contador de una clave: si no está en espera, lo cuenta como fallo y calcula la espera
+ * del siguiente, todo en una sola operación atómica. Así, varios intentos simultáneos no pueden pasar juntos la
+ * comprobación antes de que se cuente ninguno. Si el contador está en espera no se modifica.
+ * Si el último fallo quedó fuera de la ventana de tiempo, el contador vuelve a empezar.
+ * @param {string} key - Clave del contador.
+ * @param {{ freeAttempts: number, maxFailures: number }} limits - Límites de la cuenta o de la IP.
+ * @returns {Promise<number>} Segundos de espera si el intento se rechaza, o 0 si quedó reservado.
+ */
+const reserveAttempt = async (key, limits) => {
+  const now = new Date();
+  const previous = await LoginThrottle.findOneAndUpdate(
+    { key },
+    [
+      { $set: { waiting: { $gt: ["$lockedUntil", now] } } },
+      {
+        $set: {
+          failures: {
+            $cond: [
+              "$waiting",
+              "$failures",
+              { $cond: [{ $gt: ["$lastFailureAt", new Date(now.getTime() - failureWindowMs())] }, { $add: ["$failures", 1] }, 1] },
+            ],
+          },
+          lastFailureAt: { $cond: ["$waiting", "$lastFailureAt", now] },
+        },
+      },
+      { $set: { lockedUntil: { $cond: ["$waiting", "$lockedUntil", lockedUntilExpression("$failures", now, limits)] } } },
+      { $set: { expiresAt: { $max: [new Date(now.getTime() + failureWindowMs()), "$lockedUntil"] } } },
+      { $unset: "waiting" },
+    ],
+    { upsert: true, new: false }
+  ).lean();
+
+  if (previous?.lockedUntil > now) {
+    return Math.ceil((previous.lockedUntil.getTime() - now.getTime()) / 1000);
+  }
+  return 0;
+};
+
+/**
+ * Devuelve un intento reservado que resultó correcto: descuenta el fallo y recalcula la espera.
+ * @param {string} key - Clave del contador.
+ * @param {{ freeAttempts: number, maxFailures: number }} limits - Límites de la cuenta o de la IP.
+ * @returns {Promise<void>}
+ */
+const releaseAttempt = async (key, limits) => {
+  await LoginThrottle.updateOne({ key }, [
+    { $set: { failures: { $max: [{ $subtract: ["$failures", 1] }, 0] } } },
+    { $set: { lockedUntil: lockedUntilExpression("$failures", "$lastFailureAt", limits) } },
+  ]);
+};
+
+/**
+ * Reserva un intento de inicio de sesión (o de otra comprobación de credenciales) antes de verificarlo:
+ * se cuenta como fallo en la IP y en la cuenta, y se devuelve con releaseLoginAttempt si resulta correcto.
+ * Si la IP está en espera, la cuenta no se toca; si lo está la cuenta, el intento sigue contando para la IP.
+ * @param {string} accountKey - Clave del contador de la cuenta (accountThrottleKey).
+ * @param {string} ip - IP del cliente.
+ * @returns {Promise<number>} Segundos de espera si el intento se rechaza sin comprobarlo, o 0 si puede comprobarse.
+ */
+export const reserveLoginAttempt = async (accountKey, ip) => {
+  const ipRetryAfter = await reserveAttempt(ipThrottleKey(ip), ipLimits());
+  if (ipRetryAfter) return ipRetryAfter;
+  return reserveAttempt(accountKey, accountLimits());
+};
+
+/**
+ * Devuelve un intento reservado con reserveLoginAttempt cuyas credenciales resultaron correctas.
+ * El contador de la cuenta solo se reinicia al completar el inicio de sesión (clearAccountFailures): si falta el
+ * segundo factor, quien tiene la contraseña no puede reiniciarlo para seguir probando códigos.
+ * @param {string} accountKey - Clave del contador de la cuenta (accountThrottleKey).
+ * @param {string} ip - IP del cliente.
+ * @returns {Promise<void>}
+ */
+export const releaseLoginAttempt = async (accountKey, ip) => {
+  await Promise.all([releaseAttempt(ipThrottleKey(ip), ipLimits()), releaseAttempt(accountKey, accountLimits())]);
+};
+
+/**
+ * Registra un intento fallido en la auditoría. El intento ya se contó al reservarlo con reserveLoginAttempt.
+ * @param {object} attempt - Datos del intento.
+ * @param {string} attempt.identifier - Email o username enviado, en minúsculas.
+ * @param {object|null} attempt.user - Usuario encontrado, o null.
+ * @param {string} attempt.reason - Motivo (ver LOGIN_FAILURE_REASONS).
+ * @param {object} attempt.req - Objeto de solicitud Express (IP y navegador del cliente).
+ * @returns {Promise<void>}
+ */
+export const recordFailedLogin = async ({ identifier, user, reason, req }) => {
+  await LoginAttempt.create({ identifier, user: user?._id ?? null, reason, ip: req.ip, userAgent: req.get?.("user-agent") });
+};
+
+/**
+ * Reinicia el contador de una cuenta al completar un inicio de sesión. El de la IP se conserva:
+ * acertar con una cuenta no habilita a seguir probando otras.
+ * @param {object} user - Usuario que inició sesión.
+ * @returns {Promise<void>}
+ */
+export const clearAccountFailures = async (user) => {
+  await LoginThrottle.deleteOne({ key: accountThrottleKey(user) });
+};
+
+/**
+ * Obtiene el estado del contador de intentos fallidos de un usuario.
+ * @param {string|import("mongoose").Types.ObjectId} userId - ID del usuario.
+ * @returns {Promise<{ failures: number, lastFailureAt: Date|null, lockedUntil: Date|null, locked: boolean }>}
+ */
+export const getAccountLock = async (userId) => {
+  const throttle = await LoginThrottle.findOne({ key: accountThrottleKey({ _id: userId }) }).lean();
+  const lockedUntil = throttle?.lockedUntil > new Date() ? throttle.lockedUntil : null;
+  return {
+    failures: throttle?.failures ?? 0,
+    lastFailureAt: throttle?.lastFailureAt ?? null,
+    lockedUntil,
+    locked: Boolean(lockedUntil),
+  };
+};
+
+/**
+ * Desbloquea una cuenta: elimina su contador de intentos fallidos (los de las IP no se modifican).
+ * @param {string|import("mongoose").Types.ObjectId} userId - ID del usuario.
+ * @returns {Promise<boolean>} true si la cuenta tenía intentos fallidos registrados.
+ */
+export const unlockAccount = async (userId) => {
+  const { deletedCount } = await LoginThrottle.deleteOne({ key: accountThrottleKey({ _id: userId }) });
+  return deletedCount > 0;
+};
+
+let dummyPasswordHash;
+
+/**
+ * Comprueba la contraseña de un usuario. Si el usuario no existe se verifica contra un hash descartable,
+ * para que la respuesta tarde lo mismo y su duración no revele si la cuenta existe.
+ * @param {object|null} user - Usuario encontrado.
+ * @param {string} password - Contraseña enviada.
+ * @returns {Promise<boolean>} true si la contraseña es correcta.
+ */
+export const verifyLoginPassword = async (user, password) => {
+  if (user) return verify(user.password, password);
+  dummyPasswordHash ??= await hash(randomBytes(16).toString("hex"));
+  await verify(dummyPasswordHash, password);
+  return false;
+};
@@ -0,0 +1,74 @@
+import fs from "fs/promises";
+import path from "path";
+import { randomUUID } from "crypto";
+
+/**
+ * Envío de correos con un transporte intercambiable.
+ *
+ * MAIL_TRANSPORT elige el transporte: "console" escribe los mensajes en la consola y "file" los guarda como
+ * archivos JSON en MAIL_DIR (por defecto "mail/"), ambos pensados para desarrollo. Un transporte real (SMTP, un
+ * servicio de correo) se agrega con registerMailTransport sin modificar a quienes envían correos.
+ * Los mensajes pueden llevar secretos (enlaces para restablecer contraseñas), así que solo con
+ * NODE_ENV=development se usa "console" si MAIL_TRANSPORT no está definido; en otro caso el envío falla.
+ */
+
+/**
+ * Directorio de los mensajes del transporte "file".
+ * Se lee al usarse porque las variables de entorno se cargan después de importar los módulos.
+ */
+const mailDir = () => process.env.MAIL_DIR || path.join(process.cwd(), "mail");
+
+/**
+ * Remitente de los correos (MAIL_FROM).
+ */
+const mailFrom = () => process.env.MAIL_FROM || "Coperex <no-reply@coperex.local>";
+
+const transports = {
+  console: async (message) => {
+    console.log(`Mail | Para: ${message.to} | Asunto: ${message.subject}\n${message.text}`);
+  },
+  file: async (message) => {
+    await fs.mkdir(mailDir(), { recursive: true });
+    await fs.writeFile(path.join(mailDir(), `${Date.now()}-${randomUUID()}.json`), JSON.stringify(message, null, 2));
+  },
+};
+
+/**
+ * Registra un transporte de correo, que se usa cuando MAIL_TRANSPORT tiene su nombre.
+ * @param {string} name - Nombre del transporte.
+ * @param {(message: { from: string, to: string, subject: string, text: string }) => Promise<void>} transport
+ *        Función que entrega el mensaje.
+ */
+export const registerMailTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+/**
+ * Obtiene el transporte configurado en MAIL_TRANSPORT.
+ * @returns {Function} Transporte.
+ * @throws {Error} Si MAIL_TRANSPORT no está definido fuera de desarrollo o no hay un transporte con ese nombre.
+ */
+export const getMailTransport = () => {
+  const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === "development" ? "console" : undefined);
+  if (!name) {
+    throw new Error("MAIL_TRANSPORT no está configurado; fuera de desarrollo debe indicarse el transporte de correo");
+  }
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`No hay un transporte de correo registrado con el nombre "${name}"`);
+  }
+  return transport;
+};
+
+/**
+ * Envía un correo con el transporte configurado en MAIL_TRANSPORT.
+ * @param {object} message - Mensaje.
+ * @param {string} message.to - Destinatario.
+ * @param {string} message.subject - Asunto.
+ * @param {string} message.text - Cuerpo en texto plano.
+ * @returns {Promise<void>}
+ * @throws {Error} Si no hay un transporte configurado (ver getMailTransport) o falla el envío.
+ */
+export const sendMail = async ({ to, subject, text }) => {
+  await getMailTransport()({ from: mailFrom(), to, subject, text });
+};
@@ -0,0 +1,95 @@
+import { randomBytes } from "crypto";
+import PasswordResetToken from "../auth/password-reset-token.model.js";
+import { hashToken } from "./refresh-tokens.js";
+import { sendMail, getMailTransport } from "./mailer.js";
+
+/**
+ * Restablecimiento de contraseñas olvidadas.
+ *
+ * Se envía por correo un token aleatorio que vence a los PASSWORD_RESET_TTL_MINUTES minutos (30 por defecto)
+ * y se usa una sola vez; al pedir otro, los anteriores dejan de servir. En la base de datos solo se guarda
+ * su SHA-256.
+ */
+
+const passwordResetTtlMinutes = () => Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+
+/**
+ * Pantalla del cliente que pide la nueva contraseña (PASSWORD_RESET_URL); el token se agrega como "?token=".
+ * Es obligatoria: el enlace nunca se arma con las cabeceras de la solicitud, que el cliente puede falsificar
+ * para que el correo apunte a otro servidor.
+ * @returns {URL} URL base del enlace.
+ * @throws {Error} Si PASSWORD_RESET_URL no está configurada o no es una URL válida.
+ */
+const passwordResetUrl = () => {
+  if (!process.env.PASSWORD_RESET_URL) {
+    throw new Error("PASSWORD_RESET_URL no está configurada; es necesaria para enviar enlaces de restablecimiento");
+  }
+  return new URL(process.env.PASSWORD_RESET_URL);
+};
+
+/**
+ * Comprueba que el enlace y el correo de restablecimiento estén configurados.
+ * Se llama antes de buscar la cuenta, para que la falta de configuración responda igual exista o no.
+ * @throws {Error} Si falta PASSWORD_RESET_URL o el transporte de correo.
+ */
+export const assertPasswordResetConfigured = () => {
+  passwordResetUrl();
+  getMailTransport();
+};
+
+/**
+ * Genera un token de restablecimiento para un usuario y se lo envía por correo.
+ * La configuración del enlace y del correo se comprueba antes de generar el token.
+ * @param {object} user - Usuario que olvidó su contraseña.
+ * @param {object} req - Objeto de solicitud Express (IP del cliente).
+ * @returns {Promise<void>}
+ * @throws {Error} Si falta PASSWORD_RESET_URL o el transporte de correo, o falla el envío.
+ */
+export const sendPasswordResetEmail = async (user, req) => {
+  const link = passwordResetUrl();
+  getMailTransport();
+
+  const token = randomBytes(32).toString("base64url");
+  link.searchParams.set("token", token);
+  const ttlMinutes = passwordResetTtlMinutes();
+
+  await PasswordResetToken.updateMany({ user: user._id, usedAt: null }, { expiresAt: new Date() });
+  await PasswordResetToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+    ip: req.ip,
+  });
+
+  await sendMail({
+    to: user.email,
+    subject: "Restablecer la contraseña",
+    text: [
+      `Hola ${user.name}:`,
+      "",
+      "Recibimos una solicitud para restablecer la contraseña de su cuenta. Para elegir una nueva, use este enlace:",
+      link.href,
+      "",
+      `El enlace vence en ${ttlMinutes} minutos y solo puede usarse una vez. Si no hizo la solicitud, ignore este correo.`,
+    ].join("\n"),
+  });
+};
+
+/**
+ * Usa un token de restablecimiento: lo marca como usado si está vigente. La operación es atómica,
+ * así que dos solicitudes con el mismo token no pueden usarlo ambas.
+ * @param {string} token - Token en claro recibido por correo.
+ * @returns {Promise<import("mongoose").Types.ObjectId>} ID del usuario al que pertenece.
+ * @throws {Error} Con status 400 si el token no existe, venció o ya se usó.
+ */
+export const consumePasswordResetToken = async (token) => {
+  const now = new Date();
+  const stored = await PasswordResetToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: now } },
+    { usedAt: now }
+  );
+  if (!stored) {
+    throw Object.assign(new Error("El enlace para restablecer la contraseña no es válido, venció o ya se usó"), { status: 400 });
+  }
+  return stored.user;
+};
@@ -0,0 +1,106 @@
+import Role from "../role/role.model.js";
+
+/**
+ * Control de acceso por permisos.
+ *
+ * Cada usuario tiene uno o varios roles y cada rol, una lista de permisos del catálogo PERMISSIONS.
+ * Las rutas exigen permisos (requirePermission) en lugar de nombres de rol, de modo que los administradores
+ * pueden crear roles nuevos o ajustar los existentes sin modificar el código.
+ */
+
+/**
+ * Catálogo de permisos con su descripción.
+ */
+export const PERMISSIONS = {
+  "company:read": "Consultar y listar empresas y descargar sus archivos adjuntos",
+  "company:create": "Registrar empresas",
+  "company:import": "Importar empresas desde Excel o CSV",
+  "company:update": "Modificar y revertir empresas y administrar sus archivos adjuntos",
+  "company:transition": "Cambiar el estado del registro de las empresas",
+  "company:deactivate": "Desactivar y restaurar empresas y consultar las desactivadas",
+  "company:history": "Consultar el historial de cambios y la línea de tiempo de estados",
+  "company:merge": "Buscar empresas duplicadas y fusionarlas",
+  "company:stats": "Consultar las estadísticas de las empresas",
+  "report:export": "Generar y descargar reportes de empresas",
+  "category:manage": "Administrar el catálogo de categorías",
+  "evaluation:read": "Consultar los criterios y las evaluaciones de las empresas",
+  "evaluation:submit": "Evaluar empresas",
+  "evaluation:configure": "Administrar los criterios de evaluación",
+  "user:read": "Consultar usuarios",
+  "user:manage": "Registrar, modificar y eliminar usuarios",
+  "role:manage": "Administrar roles y asignarlos a los usuarios",
+  "profile:update": "Modificar los datos propios",
+};
+
+/**
+ * Rol con todos los permisos; sus permisos no se modifican y siempre debe quedar al menos un usuario con él.
+ */
+export const ADMIN_ROLE = "ADMIN";
+
+/**
+ * Roles que se registran al iniciar el servidor si no existen.
+ * Los administradores no evalúan empresas: ese permiso es exclusivo de los evaluadores.
+ */
+export const DEFAULT_ROLES = [
+  {
+    name: ADMIN_ROLE,
+    description: "Administrador del sistema",
+    permissions: Object.keys(PERMISSIONS).filter((permission) => permission !== "evaluation:submit"),
+  },
+  {
+    name: "EVALUATOR",
+    description: "Puntúa empresas en el proceso de evaluación, sin modificarlas",
+    permissions: ["company:read", "evaluation:read", "evaluation:submit", "profile:update"],
+  },
+  {
+    name: "COMPANY_MANAGER",
+    description: "Administra el registro de las empresas",
+    permissions: [
+      "company:read",
+      "company:create",
+      "company:import",
+      "company:update",
+      "company:transition",
+      "company:deactivate",
+      "company:history",
+      "company:merge",
+      "company:stats",
+      "report:export",
+      "evaluation:read",
+      "profile:update",
+    ],
+  },
+  {
+    name: "VIEWER",
+    description: "Consulta empresas, estadísticas y evaluaciones sin modificarlas",
+    permissions: ["company:read", "company:stats", "evaluation:read", "profile:update"],
+  },
+];
+
+/**
+ * Obtiene los permisos de un usuario: la unión de los permisos de sus roles.
+ * @param {object} user - Usuario (con "roles").
+ * @returns {Promise<Set<string>>} Permisos del usuario.
+ */
+export const getUserPermissions = async (user) => {
+  const roles = await Role.find({ name: { $in: user?.roles ?? [] } }).select("permissions").lean();
+  return new Set(roles.flatMap(({ permissions }) => permissions));
+};
+
+/**
+ * Registra los roles por defecto que falten. El rol ADMIN se actualiza siempre con todos los permisos,
+ * para que incluya los que se agreguen al catálogo.
+ * @returns {Promise<void>}
+ */
+export const createDefaultRoles = async () => {
+  for (const { name, description, permissions } of DEFAULT_ROLES) {
+    const { upsertedCount } = await Role.updateOne(
+      { name },
+      name === ADMIN_ROLE
+        ? { $set: { permissions }, $setOnInsert: { description, system: true } }
+        : { $setOnInsert: { description, permissions, system: true } },
+      { upsert: true }
+    );
+    if (upsertedCount) console.log(`Rol ${name} registrado`);
+  }
+};
@@ -0,0 +1,152 @@
+import { createHash, randomBytes, randomUUID } from "crypto";
+import RefreshToken from "../auth/refresh-token.model.js";
+import User from "../user/user.model.js";
+import { generateJWT, accessTokenTtl } from "./generate-jwt.js";
+
+/**
+ * Sesiones con tokens de refresco rotativos.
+ *
+ * Al iniciar sesión se crea una familia de tokens (la sesión): el token de acceso lleva su ID en "sid" y el
+ * token de refresco permite obtener un nuevo par. Cada token de refresco se usa una sola vez: al rotarlo se
+ * revoca y se emite otro de la misma familia. Si se presenta un token ya rotado, alguien más lo tiene (o lo
+ * tuvo): se revoca toda la familia y validateJWT deja de aceptar sus tokens de acceso.
+ * En la base de datos solo se guarda el SHA-256 de cada token de refresco.
+ */
+
+/**
+ * Días de vigencia de un token de refresco (REFRESH_TOKEN_TTL_DAYS, por defecto 7); cada rotación la renueva.
+ * @returns {number} Días de vigencia.
+ */
+const refreshTokenTtlDays = () => Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+
+const sessionError = (message) => Object.assign(new Error(message), { status: 401 });
+
+/**
+ * Calcula el hash con el que se guarda y se busca un token de refresco.
+ * Los tokens son aleatorios y largos, por lo que basta un hash rápido y determinista.
+ * @param {string} token - Token de refresco en claro.
+ * @returns {string} SHA-256 en hexadecimal.
+ */
+export const hashToken = (token) => createHash("sha256").update(String(token)).digest("hex");
+
+/**
+ * Emite un par de tokens para una familia: el token de acceso y un nuevo token de refresco.
+ * @param {object} user - Usuario de la sesión.
+ * @param {string} family - ID de la sesión.
+ * @param {object} req - Objeto de solicitud Express (IP y navegador del cliente).
+ * @returns {Promise<{ token: string, refreshToken: string, expiresIn: string, refreshTokenDoc: object }>}
+ */
+const issueTokens = async (user, family, req) => {
+  const refreshToken = randomBytes(48).toString("base64url");
+  const refreshTokenDoc = await RefreshToken.create({
+    user: user._id,
+    family,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + refreshTokenTtlDays() * 24 * 60 * 60 * 1000),
+    ip: req.ip,
+    userAgent: req.get?.("user-agent"),
+  });
+  const token = await generateJWT(String(user._id), family);
+  return { token, refreshToken, expiresIn: accessTokenTtl(), refreshTokenDoc };
+};
+
+/**
+ * Inicia una sesión nueva para el usuario.
+ * @param {object} user - Usuario autenticado.
+ * @param {object} req - Objeto de solicitud Express.
+ * @returns {Promise<{ token: string, refreshToken: string, expiresIn: string }>} Tokens de la sesión.
+ */
+export const createSession = async (user, req) => {
+  const { token, refreshToken, expiresIn } = await issueTokens(user, randomUUID(), req);
+  return { token, refreshToken, expiresIn };
+};
+
+/**
+ * Revoca todos los tokens vigentes de una sesión.
+ * @param {string} family - ID de la sesión.
+ * @param {string} reason - Motivo (ver REVOCATION_REASONS).
+ * @returns {Promise<number>} Tokens revocados.
+ */
+export const revokeSession = async (family, reason) => {
+  const { modifiedCount } = await RefreshToken.updateMany({ family, revokedAt: null }, { revokedAt: new Date(), revokedReason: reason });
+  return modifiedCount;
+};
+
+/**
+ * Revoca todas las sesiones de un usuario (cerrar sesión en todos los dispositivos, usuario desactivado
+ * o contraseña cambiada).
+ * @param {string|import("mongoose").Types.ObjectId} userId - ID del usuario.
+ * @param {string} reason - Motivo (ver REVOCATION_REASONS).
+ * @param {object} [options]
+ * @param {string} [options.except] - Sesión que se conserva, por ejemplo la de quien cambió su contraseña.
+ * @returns {Promise<number>} Sesiones revocadas.
+ */
+export const revokeUserSessions = async (userId, reason, { except } = {}) => {
+  const filter = { user: userId, revokedAt: null, ...(except && { family: { $ne: except } }) };
+  const families = await RefreshToken.distinct("family", filter);
+  await RefreshToken.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+  return families.length;
+};
+
+/**
+ * Indica si una sesión sigue vigente: tiene un token de refresco sin revocar ni vencer.
+ * @param {string} family - ID de la sesión ("sid" del token de acceso).
+ * @returns {Promise<boolean>} true si la sesión está vigente.
+ */
+export const isSessionActive = async (family) =>
+  Boolean(family) && Boolean(await RefreshToken.exists({ family, revokedAt: null, expiresAt: { $gt: new Date() } }));
+
+/**
+ * Cambia un token de refresco por un nuevo par de tokens de la misma sesión.
+ * @param {string} refreshToken - Token de refresco presentado por el cliente.
+ * @param {object} req - Objeto de solicitud Express.
+ * @returns {Promise<{ token: string, refreshToken: string, expiresIn: string }>} Nuevos tokens.
+ * @throws {Error} Con status 401 si el token no existe, venció, fue revocado o ya se había usado
+ *                 (en este último caso también se revoca toda la sesión).
+ */
+export const rotateRefreshToken = async (refreshToken, req) => {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+  if (!stored) {
+    throw sessionError("El token de refresco no es válido");
+  }
+
+  if (stored.revokedAt) {
+    if (stored.revokedReason === "rotated") {
+      await revokeSession(stored.family, "reuse");
+      throw sessionError("El token de refresco ya se había usado: por seguridad se cerró la sesión");
+    }
+    throw sessionError("La sesión fue cerrada; inicie sesión de nuevo");
+  }
+
+  if (stored.expiresAt <= new Date()) {
+    throw sessionError("El token de refresco venció; inicie sesión de nuevo");
+  }
+
+  const user = await User.findById(stored.user);
+  if (!user?.status) {
+    await revokeSession(stored.family, "user_disabled");
+    throw sessionError("El usuario no existe o fue desactivado");
+  }
+
+  // El nuevo token se emite antes de revocar el anterior, para que la sesión no quede sin tokens vigentes
+  // (validateJWT la daría por cerrada). La revocación es condicional: si dos solicitudes presentan el mismo
+  // token a la vez, la segunda se trata como una reutilización y se revoca toda la sesión.
+  const { token, refreshToken: nextToken, expiresIn, refreshTokenDoc } = await issueTokens(user, stored.family, req);
+  const rotated = await RefreshToken.findOneAndUpdate(
+    { _id: stored._id, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: "rotated", replacedBy: refreshTokenDoc._id }
+  );
+  if (!rotated) {
+    await revokeSession(stored.family, "reuse");
+    throw sessionError("El token de refresco ya se había usado: por seguridad se cerró la sesión");
+  }
+
+  return { token, refreshToken: nextToken, expiresIn };
+};
+
+/**
+ * Busca la sesión a la que pertenece un token de refresco, sin importar si está vigente.
+ * @param {string} refreshToken - Token de refresco en claro.
+ * @returns {Promise<object|null>} Registro del token, o null si no existe.
+ */
+export const findRefreshToken = (refreshToken) => RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
@@ -0,0 +1,13 @@
+/**
+ * Convierte un texto en un identificador legible para URLs, sin acentos ni mayúsculas,
+ * por ejemplo "Tecnología & Servicios" → "tecnologia-servicios".
+ * @param {string} text - Texto a convertir.
+ * @returns {string} Slug con letras minúsculas, números y guiones.
+ */
+export const slugify = (text = "") =>
+  String(text)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
@@ -0,0 +1,49 @@
+/**
+ * Número de Identificación Tributaria (NIT) de Guatemala.
+ *
+ * Un NIT está formado por un número y un dígito verificador, que puede ser "K", por ejemplo "1234567-K".
+ * El verificador se calcula multiplicando cada dígito del número, de izquierda a derecha, por un factor
+ * que empieza en (cantidad de dígitos + 1) y baja hasta 2; el resultado es (11 - suma mod 11) mod 11,
+ * donde 10 se escribe como "K".
+ */
+
+/**
+ * Quita espacios y guiones y pasa a mayúsculas, por ejemplo " 1234567-k " → "1234567K".
+ * @param {string} value - NIT recibido.
+ * @returns {string} NIT compacto.
+ */
+const compactNit = (value = "") => String(value).replace(/[\s-]/g, "").toUpperCase();
+
+/**
+ * Calcula el dígito verificador de un número de NIT.
+ * @param {string} number - Dígitos del NIT sin el verificador.
+ * @returns {string} Dígito verificador ("0" a "9" o "K").
+ */
+export const nitCheckDigit = (number) => {
+  const digits = [...number].map(Number);
+  const total = digits.reduce((sum, digit, index) => sum + digit * (digits.length + 1 - index), 0);
+  const check = (11 - (total % 11)) % 11;
+  return check === 10 ? "K" : String(check);
+};
+
+/**
+ * Indica si un NIT tiene el formato correcto y su dígito verificador coincide.
+ * @param {string} value - NIT con o sin guion.
+ * @returns {boolean} true si el NIT es válido.
+ */
+export const isValidNit = (value) => {
+  const nit = compactNit(value);
+  if (!/^\d{1,12}[\dK]$/.test(nit)) return false;
+  return nitCheckDigit(nit.slice(0, -1)) === nit.slice(-1);
+};
+
+/**
+ * Escribe un NIT en su forma normalizada, con guion antes del verificador, por ejemplo "1234567K" → "1234567-K".
+ * Los ceros a la izquierda del número no forman parte del NIT.
+ * @param {string} value - NIT válido con o sin guion.
+ * @returns {string} NIT normalizado.
+ */
+export const normalizeNit = (value) => {
+  const nit = compactNit(value);
+  return `${nit.slice(0, -1).replace(/^0+(?=\d)/, "")}-${nit.slice(-1)}`;
+};
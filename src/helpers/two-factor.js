@@ -0,0 +1,306 @@
+import { createCipheriv, createDecipheriv, createHash, createHmac, randomBytes, timingSafeEqual } from "crypto";
+import jwt from "jsonwebtoken";
+import User from "../user/user.model.js";
+import Role from "../role/role.model.js";
+import { hashToken } from "./refresh-tokens.js";
+
+/**
+ * Verificación en dos pasos con contraseñas de un solo uso basadas en el tiempo (TOTP, RFC 6238).
+ *
+ * El usuario registra el secreto en una aplicación de autenticación (escaneando el QR generado a partir del URI
+ * otpauth://) y confirma la activación con un código. Desde entonces, tras la contraseña, el inicio de sesión
+ * entrega un token de desafío de corta duración que se canjea por la sesión junto con un código de 6 dígitos
+ * o un código de recuperación. Los roles con "requireTwoFactor" obligan a activarla para iniciar sesión.
+ *
+ * El secreto se guarda cifrado con AES-256-GCM (clave TWO_FACTOR_ENCRYPTION_KEY o, si no se define, derivada de
+ * SECRETORPRIVATEKEY) y los códigos de recuperación solo como SHA-256.
+ */
+
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Intervalos de tolerancia antes y después del actual, por la diferencia de hora con el teléfono
+const TOTP_WINDOW = 1;
+const RECOVERY_CODES_COUNT = 10;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+/**
+ * Propósitos de los tokens de desafío: completar el inicio de sesión con un código o activar la
+ * verificación en dos pasos que exige el rol del usuario.
+ */
+export const TWO_FACTOR_CHALLENGES = { verify: "2fa_verify", enroll: "2fa_enroll" };
+
+/**
+ * Nombre de la aplicación que muestra la app de autenticación (TOTP_ISSUER).
+ * Se lee en cada llamada porque las variables de entorno se cargan después de importar los módulos.
+ */
+const totpIssuer = () => process.env.TOTP_ISSUER || "Coperex";
+
+/**
+ * Vigencia de los tokens de desafío (TWO_FACTOR_CHALLENGE_TTL, por defecto "5m").
+ */
+const challengeTtl = () => process.env.TWO_FACTOR_CHALLENGE_TTL || "5m";
+
+const encryptionKey = () => createHash("sha256").update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.SECRETORPRIVATEKEY).digest();
+
+const twoFactorError = (message, status) => Object.assign(new Error(message), { status });
+
+/**
+ * Codifica bytes en Base32 (RFC 4648, sin relleno), el formato de los secretos TOTP.
+ * @param {Buffer} buffer - Bytes a codificar.
+ * @returns {string} Texto en Base32.
+ */
+export const base32Encode = (buffer) => {
+  let bits = "";
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, "0");
+  return (bits.match(/.{1,5}/g) ?? []).map((chunk) => BASE32_ALPHABET[parseInt(chunk.padEnd(5, "0"), 2)]).join("");
+};
+
+/**
+ * Decodifica un texto en Base32 (sin distinguir mayúsculas; se ignoran espacios y relleno).
+ * @param {string} text - Texto en Base32.
+ * @returns {Buffer} Bytes decodificados.
+ */
+export const base32Decode = (text) => {
+  let bits = "";
+  for (const char of text.toUpperCase().replace(/[\s=]/g, "")) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value < 0) throw new Error("El secreto no está en Base32");
+    bits += value.toString(2).padStart(5, "0");
+  }
+  return Buffer.from((bits.match(/.{8}/g) ?? []).map((byte) => parseInt(byte, 2)));
+};
+
+/**
+ * Calcula el código HOTP (RFC 4226) de un contador.
+ * @param {Buffer} key - Secreto.
+ * @param {number} counter - Contador (en TOTP, el intervalo de tiempo).
+ * @returns {string} Código de TOTP_DIGITS dígitos.
+ */
+const hotp = (key, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const digest = createHmac("sha1", key).update(message).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  return String((digest.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+};
+
+const timeStep = (now = Date.now()) => Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+
+/**
+ * Calcula el código TOTP de un secreto en un instante.
+ * @param {string} secret - Secreto en Base32.
+ * @param {number} [now] - Instante en milisegundos (por defecto, ahora).
+ * @returns {string} Código de 6 dígitos.
+ */
+export const generateTotp = (secret, now = Date.now()) => hotp(base32Decode(secret), timeStep(now));
+
+/**
+ * Busca el intervalo de tiempo al que corresponde un código, dentro de la tolerancia TOTP_WINDOW.
+ * @param {string} secret - Secreto en Base32.
+ * @param {string} code - Código enviado por el usuario.
+ * @param {number} [now] - Instante en milisegundos (por defecto, ahora).
+ * @returns {number|null} Intervalo del código, o null si no es válido.
+ */
+export const findTotpStep = (secret, code, now = Date.now()) => {
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(String(code))) return null;
+  const key = base32Decode(secret);
+  const step = timeStep(now);
+  for (let candidate = step - TOTP_WINDOW; candidate <= step + TOTP_WINDOW; candidate++) {
+    if (timingSafeEqual(Buffer.from(hotp(key, candidate)), Buffer.from(String(code)))) return candidate;
+  }
+  return null;
+};
+
+/**
+ * URI de aprovisionamiento que las apps de autenticación leen desde un código QR.
+ * @param {object} user - Usuario (se usa su email como nombre de la cuenta).
+ * @param {string} secret - Secreto en Base32.
+ * @returns {string} URI otpauth://totp/...
+ */
+export const otpauthUri = (user, secret) => {
+  const issuer = encodeURIComponent(totpIssuer());
+  return `otpauth://totp/${issuer}:${encodeURIComponent(user.email)}?secret=${secret}&issuer=${issuer}` +
+    `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD_SECONDS}`;
+};
+
+const encryptSecret = (secret) => {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString("base64url")).join(".");
+};
+
+const decryptSecret = (value) => {
+  const [iv, authTag, encrypted] = value.split(".").map((part) => Buffer.from(part, "base64url"));
+  const decipher = createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8");
+};
+
+/**
+ * Normaliza un código de recuperación: sin guiones ni espacios y en minúsculas.
+ */
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[^0-9a-f]/g, "");
+
+/**
+ * Genera códigos de recuperación nuevos.
+ * @returns {{ codes: Array<string>, hashes: Array<string> }} Códigos en claro (se muestran una sola vez) y sus hashes.
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODES_COUNT }, () => randomBytes(5).toString("hex").replace(/^(.{5})/, "$1-"));
+  return { codes, hashes: codes.map((code) => hashToken(normalizeRecoveryCode(code))) };
+};
+
+/**
+ * Indica si los roles del usuario le exigen la verificación en dos pasos.
+ * @param {object} user - Usuario (con "roles").
+ * @returns {Promise<boolean>} true si algún rol tiene "requireTwoFactor".
+ */
+export const isTwoFactorRequired = async (user) =>
+  Boolean(await Role.exists({ name: { $in: user.roles ?? [] }, requireTwoFactor: true }));
+
+/**
+ * Emite un token de desafío para continuar el inicio de sesión. No es un token de acceso: no tiene sesión,
+ * así que validateJWT lo rechaza.
+ * @param {object} user - Usuario que ingresó la contraseña correcta.
+ * @param {string} purpose - Propósito (ver TWO_FACTOR_CHALLENGES).
+ * @returns {{ challengeToken: string, expiresIn: string }} Token y vigencia.
+ */
+export const createTwoFactorChallenge = (user, purpose) => ({
+  challengeToken: jwt.sign({ uid: String(user._id), purpose }, process.env.SECRETORPRIVATEKEY, { expiresIn: challengeTtl() }),
+  expiresIn: challengeTtl(),
+});
+
+/**
+ * Verifica un token de desafío.
+ * @param {string} challengeToken - Token recibido.
+ * @param {string} purpose - Propósito esperado (ver TWO_FACTOR_CHALLENGES).
+ * @returns {string} ID del usuario.
+ * @throws {Error} Con status 401 si el token no es válido, venció o tiene otro propósito.
+ */
+export const verifyTwoFactorChallenge = (challengeToken, purpose) => {
+  try {
+    const payload = jwt.verify(challengeToken, process.env.SECRETORPRIVATEKEY);
+    if (payload.purpose === purpose) return payload.uid;
+  } catch (err) {
+    if (!(err instanceof jwt.JsonWebTokenError)) throw err;
+  }
+  throw twoFactorError("El desafío de verificación no es válido o venció; inicie sesión de nuevo", 401);
+};
+
+/**
+ * Inicia la activación: genera un secreto nuevo, pendiente hasta que el usuario lo confirme con un código.
+ * @param {object} user - Usuario.
+ * @returns {Promise<{ secret: string, otpauthUri: string }>} Secreto en Base32 y URI para el código QR.
+ * @throws {Error} Con status 409 si la verificación en dos pasos ya está activa.
+ */
+export const startTwoFactorSetup = async (user) => {
+  if (user.twoFactor?.enabled) {
+    throw twoFactorError("La verificación en dos pasos ya está activa", 409);
+  }
+  const secret = base32Encode(randomBytes(20));
+  await User.updateOne({ _id: user._id }, { $set: { "twoFactor.pendingSecret": encryptSecret(secret) } });
+  return { secret, otpauthUri: otpauthUri(user, secret) };
+};
+
+/**
+ * Confirma la activación con un código generado con el secreto pendiente.
+ * @param {string|import("mongoose").Types.ObjectId} userId - ID del usuario.
+ * @param {string} code - Código de 6 dígitos.
+ * @returns {Promise<Array<string>>} Códigos de recuperación, que se muestran una sola vez.
+ * @throws {Error} Con status 409 si no hay una activación iniciada o ya está activa, y 400 si el código no es válido.
+ */
+export const confirmTwoFactorSetup = async (userId, code) => {
+  const user = await User.findById(userId);
+  const pendingSecret = user?.twoFactor?.pendingSecret;
+  if (user?.twoFactor?.enabled || !pendingSecret) {
+    throw twoFactorError("No hay una activación de la verificación en dos pasos en curso", 409);
+  }
+
+  const step = findTotpStep(decryptSecret(pendingSecret), code);
+  if (step === null) {
+    throw twoFactorError("El código de verificación no es válido", 400);
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  const { modifiedCount } = await User.updateOne(
+    { _id: user._id, "twoFactor.enabled": { $ne: true }, "twoFactor.pendingSecret": pendingSecret },
+    {
+      $set: {
+        "twoFactor.enabled": true,
+        "twoFactor.secret": pendingSecret,
+        "twoFactor.pendingSecret": null,
+        "twoFactor.lastUsedStep": step,
+        "twoFactor.recoveryCodes": hashes,
+        "twoFactor.enabledAt": new Date(),
+      },
+    }
+  );
+  if (!modifiedCount) {
+    throw twoFactorError("La activación cambió mientras se confirmaba; inicie el proceso de nuevo", 409);
+  }
+  return codes;
+};
+
+/**
+ * Comprueba el segundo factor de un usuario: un código TOTP o un código de recuperación. Ambos se consumen de forma
+ * atómica, de modo que un código TOTP no se acepta dos veces y cada código de recuperación sirve una sola vez.
+ * @param {object} user - Usuario con la verificación en dos pasos activa.
+ * @param {object} factor - Factor enviado.
+ * @param {string} [factor.code] - Código TOTP.
+ * @param {string} [factor.recoveryCode] - Código de recuperación.
+ * @returns {Promise<"totp"|"recovery"|null>} Método aceptado, o null si el factor no es válido.
+ */
+export const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (!user.twoFactor?.enabled) return null;
+
+  if (recoveryCode !== undefined) {
+    const { modifiedCount } = await User.updateOne(
+      { _id: user._id, "twoFactor.recoveryCodes": hashToken(normalizeRecoveryCode(recoveryCode)) },
+      { $pull: { "twoFactor.recoveryCodes": hashToken(normalizeRecoveryCode(recoveryCode)) } }
+    );
+    return modifiedCount ? "recovery" : null;
+  }
+
+  const step = findTotpStep(decryptSecret(user.twoFactor.secret), code);
+  if (step === null) return null;
+  const { modifiedCount } = await User.updateOne(
+    { _id: user._id, "twoFactor.lastUsedStep": { $lt: step } },
+    { $set: { "twoFactor.lastUsedStep": step } }
+  );
+  return modifiedCount ? "totp" : null;
+};
+
+/**
+ * Reemplaza los códigos de recuperación de un usuario por otros nuevos.
+ * @param {string|import("mongoose").Types.ObjectId} userId - ID del usuario.
+ * @returns {Promise<Array<string>>} Códigos nuevos, que se muestran una sola vez.
+ */
+export const regenerateRecoveryCodes = async (userId) => {
+  const { codes, hashes } = generateRecoveryCodes();
+  await User.updateOne({ _id: userId, "twoFactor.enabled": true }, { $set: { "twoFactor.recoveryCodes": hashes } });
+  return codes;
+};
+
+/**
+ * Desactiva la verificación en dos pasos y descarta el secreto y los códigos de recuperación.
+ * Si el rol del usuario la exige, deberá activarla de nuevo en su próximo inicio de sesión.
+ * @param {string|import("mongoose").Types.ObjectId} userId - ID del usuario.
+ * @returns {Promise<boolean>} true si estaba activa o en proceso de activación.
+ */
+export const resetTwoFactor = async (userId) => {
+  const { modifiedCount } = await User.updateOne(
+    { _id: userId, $or: [{ "twoFactor.enabled": true }, { "twoFactor.pendingSecret": { $ne: null } }] },
+    {
+      $set: {
+        "twoFactor.enabled": false,
+        "twoFactor.secret": null,
+        "twoFactor.pendingSecret": null,
+        "twoFactor.lastUsedStep": 0,
+        "twoFactor.recoveryCodes": [],
+        "twoFactor.enabledAt": null,
+      },
+    }
+  );
+  return modifiedCount > 0;
+};
@@ -0,0 +1,79 @@
+/**
+ * Control de concurrencia optimista para empresas y usuarios.
+ *
+ * Cada documento guarda su versión en "__v". La versión se expone como cabecera ETag y el cliente la devuelve
+ * en If-Match al modificar el documento: si otra persona lo modificó antes, la versión ya no coincide y la
+ * actualización se rechaza con 412 en lugar de sobrescribir los cambios ajenos.
+ */
+
+/**
+ * Plugin de Mongoose que incrementa "__v" en cada actualización hecha con findOneAndUpdate (o findByIdAndUpdate),
+ * que es como los controladores aplican los cambios de los clientes. Mongoose solo lo incrementa por su cuenta al
+ * guardar cambios en arreglos con save(). Un "__v" enviado por el cliente se descarta.
+ * Las escrituras internas con updateOne o updateMany (el nombre de categoría copiado en las empresas, el segundo
+ * factor o los datos de inicio de sesión de un usuario) no cambian la versión, para no invalidar los ETag.
+ * @param {import("mongoose").Schema} schema - Esquema al que se aplica.
+ */
+export const versionedUpdates = (schema) => {
+  schema.pre("findOneAndUpdate", function () {
+    const update = this.getUpdate();
+    if (!update || Array.isArray(update)) return;
+
+    delete update.__v;
+    if (update.$set) delete update.$set.__v;
+    update.$inc = { ...update.$inc, __v: 1 };
+    this.setUpdate(update);
+  });
+};
+
+/**
+ * Calcula el valor de la cabecera ETag de un documento a partir de su versión.
+ * @param {object} doc - Documento de Mongoose.
+ * @returns {string} ETag, por ejemplo "\"3\"".
+ */
+export const etagFor = (doc) => `"${doc.__v ?? 0}"`;
+
+/**
+ * Interpreta la cabecera If-Match.
+ * @param {string} [header] - Valor de la cabecera, por ejemplo "\"3\"", "W/\"3\"", "\"2\", \"3\"" o "*".
+ * @returns {Array<number>|null} Versiones aceptadas, o null si no se envió la cabecera o es "*" (cualquier versión).
+ *                               Un valor que no corresponde a una versión deja la lista vacía, por lo que no coincide.
+ */
+export const parseIfMatch = (header) => {
+  if (!header || header.trim() === "*") return null;
+  return header
+    .split(",")
+    .map((tag) => tag.trim().replace(/^W\//, "").replace(/^"|"$/g, ""))
+    .filter((tag) => /^\d+$/.test(tag))
+    .map(Number);
+};
+
+/**
+ * Construye el filtro de una actualización condicionada a la versión de If-Match.
+ * @param {string} id - ID del documento.
+ * @param {object} req - Objeto de solicitud Express.
+ * @returns {object} Filtro para findOneAndUpdate.
+ */
+export const versionedFilter = (id, req) => {
+  const versions = parseIfMatch(req.get("If-Match"));
+  return versions ? { _id: id, __v: { $in: versions } } : { _id: id };
+};
+
+/**
+ * Indica si la versión actual de un documento cumple la cabecera If-Match de la solicitud.
+ * @param {object} req - Objeto de solicitud Express.
+ * @param {object} doc - Documento de Mongoose.
+ * @returns {boolean} true si no se envió If-Match, si es "*" o si incluye la versión actual.
+ */
+export const matchesIfMatch = (req, doc) => {
+  const versions = parseIfMatch(req.get("If-Match"));
+  return !versions || versions.includes(doc.__v ?? 0);
+};
+
+/**
+ * Construye el filtro de una actualización condicionada a que el documento siga en la versión leída.
+ * Se usa cuando el cambio se calcula a partir del estado leído, como al aplicar un parche.
+ * @param {object} doc - Documento de Mongoose leído antes de actualizar.
+ * @returns {object} Filtro para findOneAndUpdate.
+ */
+export const currentVersionFilter = (doc) => ({ _id: doc._id, __v: doc.__v ?? { $exists: false } });
@@ -0,0 +1,70 @@
+import { body, param, query } from "express-validator";
+import { validarCampos } from "./validate-fields.js";
+import { handleErrors } from "./handle-errors.js";
+import {
+  categoryExists,
+  categoryIdExists,
+  categoryNameAvailable,
+  categorySlugAvailable,
+  categoryParentValidator,
+} from "../helpers/db-validators.js";
+
+/**
+ * Validaciones para crear una categoría
+ */
+export const createCategoryValidator = [
+  body("name").notEmpty().withMessage("El nombre de la categoría es obligatorio").isString().trim()
+    .isLength({ max: 60 }).withMessage("El nombre de la categoría no puede superar los 60 caracteres")
+    .custom(categoryNameAvailable),
+  body("slug").optional().isSlug().withMessage("El slug solo puede contener letras minúsculas, números y guiones").custom(categorySlugAvailable),
+  body("description").optional().isString().withMessage("La descripción debe ser un texto válido").trim(),
+  body("parent").optional({ values: "null" }).isMongoId().withMessage("El ID de la categoría padre no es válido").custom(categoryParentValidator),
+  validarCampos,
+  handleErrors,
+];
+
+/**
+ * Validaciones para actualizar una categoría
+ */
+export const updateCategoryValidator = [
+  param("id").isMongoId().withMessage("El ID proporcionado no es válido"),
+  param("id").custom(categoryIdExists),
+  body("name").optional().isString().trim().notEmpty().withMessage("El nombre de la categoría no puede estar vacío")
+    .isLength({ max: 60 }).withMessage("El nombre de la categoría no puede superar los 60 caracteres")
+    .custom(categoryNameAvailable),
+  body("slug").optional().isSlug().withMessage("El slug solo puede contener letras minúsculas, números y guiones").custom(categorySlugAvailable),
+  body("description").optional().isString().withMessage("La descripción debe ser un texto válido").trim(),
+  body("parent").optional({ values: "null" }).isMongoId().withMessage("El ID de la categoría padre no es válido").custom(categoryParentValidator),
+  body("status").not().exists().withMessage("Para eliminar una categoría se usa DELETE /category/:id"),
+  validarCampos,
+  handleErrors,
+];
+
+/**
+ * Validaciones para obtener una categoría por su ID o slug
+ */
+export const getCategoryValidator = [
+  param("ref").custom(categoryExists),
+  validarCampos,
+  handleErrors,
+];
+
+/**
+ * Validaciones para listar las categorías
+ */
+export const getCategoriesValidator = [
+  query("tree").optional().isBoolean().withMessage("El parámetro 'tree' debe ser true o false"),
+  query("parent").optional().custom(categoryExists),
+  validarCampos,
+  handleErrors,
+];
+
+/**
+ * Validaciones para eliminar una categoría
+ */
+export const deleteCategoryValidator = [
+  param("id").isMongoId().withMessage("El ID proporcionado no es válido"),
+  param("id").custom(categoryIdExists),
+  validarCampos,
+  handleErrors,
+];
@@ -1,9 +1,44 @@
-import { body, param, query } from "express-validator";
+import { body, header, param, query } from "express-validator";
 import { validarCampos } from "../middlewares/validate-fields.js";
 import { handleErrors } from "../middlewares/handle-errors.js";
-import { companyExists, foundingYearValidator }from "../helpers/db-validators.js"
+import { companyExists, companyIsActive, companyIsInactive, foundingYearValidator, companySortValidator, categoryExists, toCategoryId, cursorValidator, levelImpactEditable, taxIdValidator, companyNotMerged, mergeSourceValidator }from "../helpers/db-validators.js"
+import { REPORT_FORMATS } from "../helpers/company-report.js";
+import { SCORE_RANGE } from "../helpers/company-scoring.js";
+import { REGISTRATION_STATES, parseStateFilter } from "../helpers/company-lifecycle.js";
+import { normalizeNit } from "../helpers/tax-id.js";
+import { onlyMutableFields, patchContentTypeValidator, patchBodyValidator } from "../helpers/json-patch.js";
+import { COMPANY_MUTABLE_FIELDS } from "../company/company.model.js";
 
 
+/**
+ * Reglas de los datos de contacto y la dirección de una empresa, compartidas por el registro, PUT y PATCH.
+ * Todos los campos son opcionales; null los elimina.
+ */
+const companyContactRules = [
+  body("legalName").optional({ values: "null" }).isString().withMessage("La razón social debe ser un texto válido").trim()
+    .isLength({ max: 150 }).withMessage("La razón social no puede superar los 150 caracteres"),
+  body("taxId").optional({ values: "null" }).isString().withMessage("El NIT debe ser un texto válido")
+    .custom(taxIdValidator).customSanitizer(normalizeNit),
+  body("contact").optional({ values: "null" }).isObject().withMessage("Los datos de contacto deben ser un objeto con email, phone y website"),
+  body("contact.email").optional({ values: "null" }).isEmail().withMessage("El email de contacto no es válido").trim(),
+  body("contact.phone").optional({ values: "null" }).isString().trim()
+    .matches(/^\+?\d[\d\s-]{6,18}\d$/).withMessage("El teléfono de contacto debe tener entre 8 y 20 caracteres (dígitos, espacios o guiones) y puede empezar con +"),
+  body("contact.website").optional({ values: "null" })
+    .isURL({ protocols: ["http", "https"], require_protocol: true }).withMessage("El sitio web debe ser una URL que empiece con http:// o https://"),
+  body("address").optional({ values: "null" }).isObject().withMessage("La dirección debe ser un objeto con street, city, department, postalCode y country"),
+  ...["street", "city", "department", "country"].map((field) =>
+    body(`address.${field}`).optional({ values: "null" }).isString().withMessage(`El campo address.${field} debe ser un texto válido`).trim()
+      .isLength({ max: 150 }).withMessage(`El campo address.${field} no puede superar los 150 caracteres`)
+  ),
+  body("address.postalCode").optional({ values: "null" }).isString().trim()
+    .matches(/^[A-Za-z0-9 -]{3,10}$/).withMessage("El código postal no es válido"),
+];
+
+/**
+ * Confirmación explícita para registrar o modificar una empresa aunque se parezca a otra (ver company-duplicates).
+ */
+const allowDuplicatesRule = query("allowDuplicates").optional().isBoolean().withMessage("El parámetro 'allowDuplicates' debe ser true o false");
+
 /**
  * Validaciones para crear una empresa
  */
@@ -11,23 +46,60 @@ export const createCompanyValidator = [
   body("name").notEmpty().withMessage("El nombre de la empresa es obligatorio").trim(),
   body("description").notEmpty().withMessage("La descripción de la empresa es obligatoria").trim(),
   body("levelImpact").isIn(["Bajo", "Medio", "Alto"]).withMessage("El nivel de impacto debe ser 'Bajo', 'Medio' o 'Alto'"),
-  body("yearsTrajectory").isNumeric().withMessage("Los años de trayectoria deben ser un número válido").isInt({ min: 0 }).withMessage("Los años de trayectoria no pueden ser negativos").custom(foundingYearValidator),
-  body("category").notEmpty().withMessage("La categoría de la empresa es obligatoria").isString().withMessage("La categoría debe ser un texto válido"),
+  body("foundingYear").isInt({ min: 1800 }).withMessage("El año de fundación debe ser un año válido").custom(foundingYearValidator),
+  body("yearsTrajectory").not().exists().withMessage("Los años de trayectoria se calculan a partir de 'foundingYear'"),
+  body("category").notEmpty().withMessage("La categoría de la empresa es obligatoria").isString().withMessage("La categoría debe ser un texto válido")
+    .custom(categoryExists).customSanitizer(toCategoryId),
+  body("categoryName").not().exists().withMessage("El nombre de la categoría se toma del catálogo a partir de 'category'"),
+  body("registrationState").not().exists().withMessage("Las empresas se registran en estado 'submitted'; el estado cambia con POST /company/:id/transitions"),
+  ...companyContactRules,
+  allowDuplicatesRule,
   validarCampos,
   handleErrors,
 ];
 
+/**
+ * Reglas de los campos modificables de una empresa, compartidas por PUT y PATCH.
+ * En PATCH se aplican sobre los campos que cambian después de aplicar el parche.
+ */
+export const companyUpdateRules = [
+  body("name").optional().isString().withMessage("El nombre debe ser un texto válido").trim()
+    .notEmpty().withMessage("El nombre de la empresa no puede estar vacío"),
+  body("description").optional().isString().withMessage("La descripción debe ser un texto válido").trim()
+    .notEmpty().withMessage("La descripción de la empresa no puede estar vacía"),
+  body("levelImpact").optional().isIn(["Bajo", "Medio", "Alto"]).withMessage("El nivel de impacto debe ser 'Bajo', 'Medio' o 'Alto'")
+    .custom(levelImpactEditable),
+  body("foundingYear").optional().isInt({ min: 1800 }).withMessage("El año de fundación debe ser un año válido").custom(foundingYearValidator),
+  body("category").optional().isString().withMessage("La categoría debe ser un texto válido")
+    .custom(categoryExists).customSanitizer(toCategoryId),
+  ...companyContactRules,
+];
+
 /**
  * Validaciones para actualizar una empresa
  */
 export const updateCompanyValidator = [
   param("id").isMongoId().withMessage("El ID proporcionado no es válido"),
   param("id").custom(companyExists),
-  body("name").optional().trim(),
-  body("description").optional().trim(),
-  body("levelImpact").optional().isIn(["Bajo", "Medio", "Alto"]),
-  body("yearsTrajectory").optional().isInt({ min: 0 }),
-  body("category").optional().isString().withMessage("La categoría debe ser un texto válido"),
+  body("yearsTrajectory").not().exists().withMessage("Los años de trayectoria se calculan a partir de 'foundingYear'"),
+  body("categoryName").not().exists().withMessage("El nombre de la categoría se toma del catálogo a partir de 'category'"),
+  body().custom(onlyMutableFields(COMPANY_MUTABLE_FIELDS)),
+  ...companyUpdateRules,
+  allowDuplicatesRule,
+  validarCampos,
+  handleErrors,
+];
+
+/**
+ * Validaciones para actualizar parcialmente una empresa (PATCH).
+ * El contenido del parche se valida al aplicarlo, con companyUpdateRules.
+ */
+export const patchCompanyValidator = [
+  param("id").isMongoId().withMessage("El ID proporcionado no es válido"),
+  param("id").custom(companyExists),
+  header("content-type").custom(patchContentTypeValidator),
+  body().custom(patchBodyValidator),
+  allowDuplicatesRule,
   validarCampos,
   handleErrors,
 ];
@@ -42,16 +114,87 @@ export const getCompanyByIdValidator = [
   handleErrors,
 ];
 
+/**
+ * Verifica que el filtro "state" contenga solo estados del registro válidos.
+ */
+const registrationStateFilterValidator = (value) => {
+  const invalid = parseStateFilter(value).filter((state) => !Object.hasOwn(REGISTRATION_STATES, state));
+  if (invalid.length) {
+    throw new Error(`Estados no válidos: ${invalid.join(", ")}. Estados permitidos: ${Object.keys(REGISTRATION_STATES).join(", ")}`);
+  }
+  return true;
+};
+
+/**
+ * Filtros y ordenación compartidos por el listado y el reporte de empresas.
+ * La categoría no se comprueba: una inexistente no coincide con ninguna empresa (ver resolveCompanyQuery).
+ * @param {Function} [field=query] - Ubicación de los parámetros ("query" o "body" de express-validator).
+ */
+export const companyListingFilters = (field = query) => [
+  field("order").optional().isIn(["asc", "desc", "A-Z", "Z-A"]).withMessage("El orden debe ser 'A-Z' o 'Z-A'"),
+  field("sort").optional().isString().custom(companySortValidator),
+  field("q").optional().isString().trim().isLength({ min: 2, max: 100 }).withMessage("La búsqueda debe tener entre 2 y 100 caracteres"),
+  field("minYears").optional().isInt({ min: 0 }).withMessage("El valor mínimo de años de trayectoria debe ser un número positivo"),
+  field("maxYears").optional().isInt({ min: 0 }).withMessage("El valor máximo de años de trayectoria debe ser un número positivo"),
+  field("category").optional().isString().withMessage("La categoría debe ser un texto válido"),
+  field("levelImpact").optional().isIn(["Bajo", "Medio", "Alto"]).withMessage("El nivel de impacto debe ser 'Bajo', 'Medio' o 'Alto'"),
+  field("state").optional().isString().custom(registrationStateFilterValidator),
+  field("minScore").optional().isFloat({ min: SCORE_RANGE.min, max: SCORE_RANGE.max }).withMessage(`El puntaje mínimo debe estar entre ${SCORE_RANGE.min} y ${SCORE_RANGE.max}`),
+  field("maxScore").optional().isFloat({ min: SCORE_RANGE.min, max: SCORE_RANGE.max }).withMessage(`El puntaje máximo debe estar entre ${SCORE_RANGE.min} y ${SCORE_RANGE.max}`),
+];
+
+/**
+ * Validaciones para desactivar (eliminar lógicamente) una empresa
+ */
+export const deactivateCompanyValidator = [
+  param("id").isMongoId().withMessage("El ID proporcionado no es válido"),
+  param("id").custom(companyExists),
+  param("id").custom(companyIsActive),
+  body("reason").optional().isString().withMessage("El motivo debe ser un texto válido").trim(),
+  validarCampos,
+  handleErrors,
+];
+
+/**
+ * Validaciones para restaurar una empresa desactivada
+ */
+export const restoreCompanyValidator = [
+  param("id").isMongoId().withMessage("El ID proporcionado no es válido"),
+  param("id").custom(companyExists),
+  param("id").custom(companyIsInactive),
+  param("id").custom(companyNotMerged),
+  validarCampos,
+  handleErrors,
+];
+
+/**
+ * Validaciones para listar las empresas desactivadas
+ */
+export const getInactiveCompaniesValidator = [
+  query("limite").optional().isInt({ min: 1 }).withMessage("El límite debe ser un número mayor a 0"),
+  query("desde").optional().isInt({ min: 0 }).withMessage("El parámetro 'desde' debe ser un número positivo"),
+  validarCampos,
+  handleErrors,
+];
+
 /**
  * Validaciones para obtener empresas con filtros y ordenación
  */
 export const getCompaniesValidator = [
   query("limite").optional().isInt({ min: 1 }).withMessage("El límite debe ser un número mayor a 0"),
   query("desde").optional().isInt({ min: 0 }).withMessage("El parámetro 'desde' debe ser un número positivo"),
-  query("order").optional().isIn(["asc", "desc"]).withMessage("El orden debe ser 'A-Z' o 'Z-A'"),
-  query("minYears").optional().isInt({ min: 0 }).withMessage("El valor mínimo de años de trayectoria debe ser un número positivo"),
-  query("maxYears").optional().isInt({ min: 0 }).withMessage("El valor máximo de años de trayectoria debe ser un número positivo"),
-  query("category").optional().isString().withMessage("La categoría debe ser un texto válido"),
+  query("cursor").optional().isString().custom(cursorValidator),
+  ...companyListingFilters(),
+  validarCampos,
+  handleErrors,
+];
+
+/**
+ * Validaciones para obtener las estadísticas de las empresas con los filtros del listado
+ */
+export const getCompanyStatsValidator = [
+  query("top").optional().isInt({ min: 1, max: 50 }).withMessage("El parámetro 'top' debe ser un número entre 1 y 50"),
+  ...companyListingFilters(),
   validarCampos,
   handleErrors,
 ];
@@ -60,6 +203,129 @@ export const getCompaniesValidator = [
  * Validaciones para la generación del reporte en Excel
  */
 export const generateCompaniesReportValidator = [
+  ...companyListingFilters(),
+  validarCampos,
+  handleErrors,
+];
+
+/**
+ * Validaciones para la exportación del reporte en distintos formatos
+ */
+export const exportCompaniesReportValidator = [
+  query("format").optional().isIn(Object.keys(REPORT_FORMATS)).withMessage(`El formato debe ser uno de: ${Object.keys(REPORT_FORMATS).join(", ")}`),
+  ...companyListingFilters(),
+  validarCampos,
+  handleErrors,
+];
+
+/**
+ * Validaciones para la importación masiva de empresas
+ */
+export const importCompaniesValidator = [
+  query("dryRun").optional().isBoolean().withMessage("El parámetro 'dryRun' debe ser true o false"),
+  allowDuplicatesRule,
+  validarCampos,
+  handleErrors,
+];
+
+/**
+ * Validaciones para consultar el historial de cambios de una empresa
+ */
+export const getCompanyHistoryValidator = [
+  param("id").isMongoId().withMessage("El ID proporcionado no es válido"),
+  param("id").custom(companyExists),
+  query("limite").optional().isInt({ min: 1 }).withMessage("El límite debe ser un número mayor a 0"),
+  query("desde").optional().isInt({ min: 0 }).withMessage("El parámetro 'desde' debe ser un número positivo"),
+  validarCampos,
+  handleErrors,
+];
+
+/**
+ * Validaciones para revertir una empresa a una versión anterior
+ */
+export const revertCompanyValidator = [
+  param("id").isMongoId().withMessage("El ID proporcionado no es válido"),
+  param("id").custom(companyExists),
+  body("version").isInt({ min: 1 }).withMessage("La versión debe ser un número entero mayor a 0"),
+  body("reason").optional().isString().withMessage("El motivo debe ser un texto válido").trim(),
+  validarCampos,
+  handleErrors,
+];
+
+/**
+ * Validaciones para cambiar el estado del registro de una empresa
+ */
+export const transitionCompanyValidator = [
+  param("id").isMongoId().withMessage("El ID proporcionado no es válido"),
+  param("id").custom(companyExists),
+  body("to").isIn(Object.keys(REGISTRATION_STATES)).withMessage(`El estado debe ser uno de: ${Object.keys(REGISTRATION_STATES).join(", ")}`),
+  body("reason").isString().withMessage("El motivo es obligatorio").trim()
+    .notEmpty().withMessage("El motivo es obligatorio")
+    .isLength({ max: 500 }).withMessage("El motivo no puede superar los 500 caracteres"),
+  validarCampos,
+  handleErrors,
+];
+
+/**
+ * Validaciones para obtener la línea de tiempo de estados de una empresa
+ */
+export const getCompanyTransitionsValidator = [
+  param("id").isMongoId().withMessage("El ID proporcionado no es válido"),
+  param("id").custom(companyExists),
+  validarCampos,
+  handleErrors,
+];
+
+/**
+ * Validaciones para adjuntar un archivo a una empresa (después de uploadAttachment, que deja "kind" en req.body)
+ */
+export const uploadCompanyAttachmentValidator = [
+  param("id").isMongoId().withMessage("El ID proporcionado no es válido"),
+  param("id").custom(companyExists),
+  body("kind").optional().isIn(["logo", "certificate", "other"]).withMessage("El tipo de adjunto debe ser 'logo', 'certificate' u 'other'")
+    .custom((kind, { req }) => {
+      if (kind === "logo" && !req.file.mimetype.startsWith("image/")) {
+        throw new Error("El logo debe ser una imagen (.png, .jpg o .webp)");
+      }
+      return true;
+    }),
+  validarCampos,
+  handleErrors,
+];
+
+/**
+ * Validaciones para descargar o eliminar un archivo adjunto de una empresa
+ */
+export const companyAttachmentValidator = [
+  param("id").isMongoId().withMessage("El ID proporcionado no es válido"),
+  param("id").custom(companyExists),
+  param("attachmentId").isMongoId().withMessage("El ID del archivo adjunto no es válido"),
+  validarCampos,
+  handleErrors,
+];
+
+/**
+ * Validaciones para consultar los posibles duplicados de una empresa
+ */
+export const getCompanyDuplicatesValidator = [
+  param("id").isMongoId().withMessage("El ID proporcionado no es válido"),
+  param("id").custom(companyExists),
+  validarCampos,
+  handleErrors,
+];
+
+/**
+ * Validaciones para fusionar una empresa duplicada en otra
+ */
+export const mergeCompaniesValidator = [
+  param("id").isMongoId().withMessage("El ID proporcionado no es válido"),
+  param("id").custom(companyExists),
+  param("id").custom(companyIsActive),
+  param("id").custom(companyNotMerged),
+  body("sourceId").isMongoId().withMessage("El ID de la empresa duplicada no es válido"),
+  body("sourceId").custom(mergeSourceValidator),
+  body("reason").optional().isString().withMessage("El motivo debe ser un texto válido").trim()
+    .isLength({ max: 500 }).withMessage("El motivo no puede superar los 500 caracteres"),
   validarCampos,
   handleErrors,
 ];
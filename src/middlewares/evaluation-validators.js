@@ -0,0 +1,62 @@
+import { body, param } from "express-validator";
+import { validarCampos } from "./validate-fields.js";
+import { handleErrors } from "./handle-errors.js";
+import {
+  companyExists,
+  companyIsActive,
+  criterionKeyAvailable,
+  criterionExists,
+  evaluationScoresValidator,
+} from "../helpers/db-validators.js";
+
+/**
+ * Validaciones para registrar un criterio de evaluación
+ */
+export const createCriterionValidator = [
+  body("key").notEmpty().withMessage("La clave del criterio es obligatoria")
+    .matches(/^[a-z][a-zA-Z0-9]*$/).withMessage("La clave debe estar en camelCase, por ejemplo 'socialImpact'")
+    .custom(criterionKeyAvailable),
+  body("name").notEmpty().withMessage("El nombre del criterio es obligatorio").isString().trim(),
+  body("description").optional().isString().withMessage("La descripción debe ser un texto válido").trim(),
+  body("weight").isFloat({ gt: 0 }).withMessage("El peso del criterio debe ser un número mayor a 0").toFloat(),
+  validarCampos,
+  handleErrors,
+];
+
+/**
+ * Validaciones para actualizar un criterio de evaluación
+ */
+export const updateCriterionValidator = [
+  param("key").custom(criterionExists),
+  body("key").not().exists().withMessage("La clave del criterio no se puede modificar"),
+  body("name").optional().isString().trim().notEmpty().withMessage("El nombre del criterio no puede estar vacío"),
+  body("description").optional().isString().withMessage("La descripción debe ser un texto válido").trim(),
+  body("weight").optional().isFloat({ gt: 0 }).withMessage("El peso del criterio debe ser un número mayor a 0").toFloat(),
+  body("status").optional().isBoolean().withMessage("El estado debe ser true o false").toBoolean(),
+  validarCampos,
+  handleErrors,
+];
+
+/**
+ * Validaciones para enviar la evaluación de una empresa
+ */
+export const submitEvaluationValidator = [
+  param("id").isMongoId().withMessage("El ID proporcionado no es válido"),
+  param("id").custom(companyExists),
+  param("id").custom(companyIsActive),
+  body("scores").exists().withMessage("Las puntuaciones son obligatorias").custom(evaluationScoresValidator),
+  body("comment").optional().isString().withMessage("El comentario debe ser un texto válido").trim()
+    .isLength({ max: 1000 }).withMessage("El comentario no puede superar los 1000 caracteres"),
+  validarCampos,
+  handleErrors,
+];
+
+/**
+ * Validaciones para obtener las evaluaciones de una empresa
+ */
+export const getCompanyEvaluationsValidator = [
+  param("id").isMongoId().withMessage("El ID proporcionado no es válido"),
+  param("id").custom(companyExists),
+  validarCampos,
+  handleErrors,
+];
@@ -0,0 +1,24 @@
+import { body, param } from "express-validator";
+import { validarCampos } from "./validate-fields.js";
+import { handleErrors } from "./handle-errors.js";
+import { companyListingFilters } from "./company-validators.js";
+import { REPORT_FORMATS } from "../helpers/company-report.js";
+
+/**
+ * Validaciones para encolar un reporte de empresas
+ */
+export const createReportJobValidator = [
+  body("format").optional().isIn(Object.keys(REPORT_FORMATS)).withMessage(`El formato debe ser uno de: ${Object.keys(REPORT_FORMATS).join(", ")}`),
+  ...companyListingFilters(body),
+  validarCampos,
+  handleErrors,
+];
+
+/**
+ * Validaciones para consultar o descargar un reporte encolado
+ */
+export const reportJobValidator = [
+  param("jobId").isMongoId().withMessage("El ID del reporte no es válido"),
+  validarCampos,
+  handleErrors,
+];
@@ -0,0 +1,48 @@
+import { body, param } from "express-validator";
+import { validarCampos } from "./validate-fields.js";
+import { handleErrors } from "./handle-errors.js";
+import { roleExists, roleNameAvailable, rolePermissionsValidator } from "../helpers/db-validators.js";
+
+/**
+ * Quita los permisos repetidos.
+ */
+const uniquePermissions = (permissions) => (Array.isArray(permissions) ? [...new Set(permissions)] : permissions);
+
+/**
+ * Validaciones para crear un rol
+ */
+export const createRoleValidator = [
+  body("name").notEmpty().withMessage("El nombre del rol es obligatorio").isString().trim().toUpperCase()
+    .matches(/^[A-Z][A-Z0-9_]{1,39}$/).withMessage("El nombre del rol solo puede contener letras, números y guiones bajos (2 a 40 caracteres)")
+    .custom(roleNameAvailable),
+  body("description").optional().isString().withMessage("La descripción debe ser un texto válido").trim()
+    .isLength({ max: 200 }).withMessage("La descripción no puede superar los 200 caracteres"),
+  body("permissions").customSanitizer(uniquePermissions).custom(rolePermissionsValidator),
+  body("requireTwoFactor").optional().isBoolean().withMessage("El campo 'requireTwoFactor' debe ser true o false").toBoolean(),
+  validarCampos,
+  handleErrors,
+];
+
+/**
+ * Validaciones para actualizar la descripción, los permisos o la exigencia de verificación en dos pasos de un rol
+ * (el nombre no se modifica)
+ */
+export const updateRoleValidator = [
+  param("name").custom(roleExists),
+  body("name").not().exists().withMessage("El nombre de un rol no se modifica: cree un rol nuevo y asígnelo a los usuarios"),
+  body("description").optional().isString().withMessage("La descripción debe ser un texto válido").trim()
+    .isLength({ max: 200 }).withMessage("La descripción no puede superar los 200 caracteres"),
+  body("permissions").optional().customSanitizer(uniquePermissions).custom(rolePermissionsValidator),
+  body("requireTwoFactor").optional().isBoolean().withMessage("El campo 'requireTwoFactor' debe ser true o false").toBoolean(),
+  validarCampos,
+  handleErrors,
+];
+
+/**
+ * Validaciones para obtener o eliminar un rol por su nombre
+ */
+export const roleNameValidator = [
+  param("name").custom(roleExists),
+  validarCampos,
+  handleErrors,
+];
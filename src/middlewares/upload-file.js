@@ -0,0 +1,91 @@
+import multer from "multer";
+import path from "path";
+
+// Tamaño máximo de las hojas de cálculo importadas (5 MB)
+const MAX_SPREADSHEET_SIZE = 5 * 1024 * 1024;
+const SPREADSHEET_EXTENSIONS = [".xlsx", ".csv"];
+
+const spreadsheetUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_SPREADSHEET_SIZE, files: 1 },
+    fileFilter: (req, file, cb) => {
+        const extension = path.extname(file.originalname).toLowerCase();
+        if (!SPREADSHEET_EXTENSIONS.includes(extension)) {
+            return cb(new Error(`Solo se permiten archivos ${SPREADSHEET_EXTENSIONS.join(" o ")}`));
+        }
+        cb(null, true);
+    }
+}).single("file");
+
+/**
+ * Recibe una hoja de cálculo (.xlsx o .csv) en el campo "file" de un formulario multipart
+ * y la deja en memoria en req.file. Los errores de carga se responden con 400.
+ */
+export const uploadSpreadsheet = (req, res, next) => {
+    spreadsheetUpload(req, res, (err) => {
+        if (err) {
+            return res.status(400).json({
+                success: false,
+                message: err.code === "LIMIT_FILE_SIZE" ? "El archivo supera el tamaño máximo de 5 MB" : err.message
+            });
+        }
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: "Se requiere un archivo .xlsx o .csv en el campo 'file'"
+            });
+        }
+        req.file.type = path.extname(req.file.originalname).slice(1).toLowerCase();
+        next();
+    });
+}
+
+// Tamaño máximo de los archivos adjuntos de las empresas (10 MB)
+const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+
+/**
+ * Tipos de archivo adjunto permitidos, por extensión, con su tipo MIME.
+ */
+export const ATTACHMENT_TYPES = {
+    ".png": "image/png",
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".webp": "image/webp",
+    ".pdf": "application/pdf"
+};
+
+const attachmentUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_ATTACHMENT_SIZE, files: 1 },
+    fileFilter: (req, file, cb) => {
+        const extension = path.extname(file.originalname).toLowerCase();
+        if (!ATTACHMENT_TYPES[extension]) {
+            return cb(new Error(`Solo se permiten archivos ${Object.keys(ATTACHMENT_TYPES).join(", ")}`));
+        }
+        cb(null, true);
+    }
+}).single("file");
+
+/**
+ * Recibe un archivo adjunto (imagen o PDF) en el campo "file" de un formulario multipart
+ * y lo deja en memoria en req.file, con el tipo MIME que corresponde a su extensión.
+ * Los demás campos del formulario quedan en req.body. Los errores de carga se responden con 400.
+ */
+export const uploadAttachment = (req, res, next) => {
+    attachmentUpload(req, res, (err) => {
+        if (err) {
+            return res.status(400).json({
+                success: false,
+                message: err.code === "LIMIT_FILE_SIZE" ? "El archivo supera el tamaño máximo de 10 MB" : err.message
+            });
+        }
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: "Se requiere un archivo en el campo 'file'"
+            });
+        }
+        req.file.mimetype = ATTACHMENT_TYPES[path.extname(req.file.originalname).toLowerCase()];
+        next();
+    });
+}
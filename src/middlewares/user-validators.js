@@ -1,29 +1,54 @@
-import { body, param } from "express-validator";
-import { emailExists, usernameExists, userExists, validateUserNotDeleted, esAdmin } from "../helpers/db-validators.js";
+import { body, header, param, query } from "express-validator";
+import { emailExists, usernameExists, userExists, validateUserNotDeleted, emailAvailable, usernameAvailable, cursorValidator, rolesExist, adminRoleKept } from "../helpers/db-validators.js";
+import { onlyMutableFields, patchContentTypeValidator, patchBodyValidator } from "../helpers/json-patch.js";
 import { validarCampos } from "./validate-fields.js";
 import { handleErrors } from "./handle-errors.js";
-import { hasRoles, validateUpdateRole } from "./validate-roles.js";
-import { validateJWT } from "./validate-jwt.js";
+import { requirePermission } from "./validate-roles.js";
+import { validateJWT, validateTwoFactorChallenge } from "./validate-jwt.js";
 import { check } from "express-validator";
-import User from "../user/user.model.js";
+import User, { USER_MUTABLE_FIELDS } from "../user/user.model.js";
 import { hash } from "argon2"; 
-import { generateJWT } from "../helpers/generate-jwt.js"; // Asegúrate de tener bcryptjs instalado
+import { ADMIN_ROLE } from "../helpers/permissions.js";
+import { TWO_FACTOR_CHALLENGES } from "../helpers/two-factor.js";
 
 
+/**
+ * Requisitos de una contraseña segura, compartidos por el registro y la actualización de usuarios.
+ */
+export const STRONG_PASSWORD_OPTIONS = {
+    minLength: 8,
+    minLowercase: 1,
+    minUppercase: 1,
+    minNumbers: 1,
+    minSymbols: 1
+};
+export const STRONG_PASSWORD_MESSAGE = "La contraseña debe tener mínimo 8 caracteres, una mayúscula, un número y un símbolo";
+
+/**
+ * La contraseña propia no se cambia con PUT o PATCH /user/updateUser, sino con el endpoint que exige la actual.
+ */
+export const OWN_PASSWORD_MESSAGE = "Para cambiar su contraseña use PUT /auth/password con la contraseña actual";
+
+/**
+ * Normaliza los roles recibidos: una lista o una cadena separada por comas (formularios multipart).
+ * En el registro también se acepta el campo anterior "role" con un solo rol.
+ */
+const toRoleList = (value, { req }) => {
+    const roles = value ?? req.body.role;
+    if (roles === undefined) return roles;
+    const list = Array.isArray(roles) ? roles : String(roles).split(",");
+    return [...new Set(list.map((role) => String(role).trim().toUpperCase()).filter(Boolean))];
+};
+
 export const registerValidator = [
-    esAdmin,
+    validateJWT,
+    requirePermission("user:manage", "role:manage"),
     body("name").notEmpty().withMessage("El nombre es requerido"),
     body("username").notEmpty().withMessage("El username es requerido"),
     body("email").notEmpty().withMessage("El email es requerido").isEmail().withMessage("No es un email válido").custom(emailExists),
     body("username").custom(usernameExists),
-    body("password").isStrongPassword({
-        minLength: 8,
-        minLowercase: 1,
-        minUppercase: 1,
-        minNumbers: 1,
-        minSymbols: 1
-    }).withMessage("La contraseña debe tener mínimo 8 caracteres, una mayúscula, un número y un símbolo"),
-    body("role").notEmpty().withMessage("El rol es requerido").isIn(["ADMIN"]).withMessage("Solo se permiten roles ADMIN"),
+    body("password").isStrongPassword(STRONG_PASSWORD_OPTIONS).withMessage(STRONG_PASSWORD_MESSAGE),
+    body("roles").customSanitizer(toRoleList).custom(rolesExist),
     validarCampos,
     handleErrors
 ];
@@ -38,28 +63,176 @@ export const loginValidator = [
     handleErrors
 ]
 
+/**
+ * Validaciones para renovar el token de acceso con un token de refresco
+ */
+export const refreshTokenValidator = [
+    body("refreshToken").isString().withMessage("El token de refresco es requerido").notEmpty().withMessage("El token de refresco es requerido"),
+    validarCampos,
+    handleErrors
+]
+
+/**
+ * Validaciones para cerrar la sesión de un token de refresco ("all": true cierra todas las sesiones del usuario)
+ */
+export const logoutValidator = [
+    body("refreshToken").isString().withMessage("El token de refresco es requerido").notEmpty().withMessage("El token de refresco es requerido"),
+    body("all").optional().isBoolean().withMessage("El campo 'all' debe ser true o false").toBoolean(),
+    validarCampos,
+    handleErrors
+]
+
+/**
+ * Validaciones para cambiar la contraseña del usuario autenticado
+ */
+export const changePasswordValidator = [
+    validateJWT,
+    body("currentPassword").isString().withMessage("La contraseña actual es requerida").notEmpty().withMessage("La contraseña actual es requerida"),
+    body("newPassword").isStrongPassword(STRONG_PASSWORD_OPTIONS).withMessage(STRONG_PASSWORD_MESSAGE)
+        .custom((newPassword, { req }) => newPassword !== req.body.currentPassword).withMessage("La nueva contraseña debe ser distinta de la actual"),
+    validarCampos,
+    handleErrors
+]
+
+/**
+ * Validaciones para solicitar el correo de restablecimiento de contraseña
+ */
+export const forgotPasswordValidator = [
+    body("email").notEmpty().withMessage("El email es requerido").isEmail().withMessage("No es un email válido"),
+    validarCampos,
+    handleErrors
+]
+
+/**
+ * Validaciones para restablecer la contraseña con el token recibido por correo
+ */
+export const resetPasswordValidator = [
+    body("token").isString().withMessage("El token es requerido").notEmpty().withMessage("El token es requerido"),
+    body("newPassword").isStrongPassword(STRONG_PASSWORD_OPTIONS).withMessage(STRONG_PASSWORD_MESSAGE),
+    validarCampos,
+    handleErrors
+]
+
+/**
+ * Reglas del segundo factor: un código de 6 dígitos de la aplicación o un código de recuperación, no ambos.
+ */
+const secondFactorRules = [
+    body("code").optional().isString().matches(/^\d{6}$/).withMessage("El código debe tener 6 dígitos"),
+    body("recoveryCode").optional().isString().withMessage("El código de recuperación debe ser un texto").notEmpty().withMessage("El código de recuperación no puede estar vacío"),
+    body().custom((value, { req }) => (req.body.code === undefined) !== (req.body.recoveryCode === undefined))
+        .withMessage("Envíe el código de la aplicación (code) o un código de recuperación (recoveryCode)"),
+];
+
+const challengeTokenRule = body("challengeToken").isString().withMessage("El token de desafío es requerido").notEmpty().withMessage("El token de desafío es requerido");
+
+/**
+ * Validaciones para completar el inicio de sesión con el segundo factor
+ */
+export const loginTwoFactorValidator = [
+    challengeTokenRule,
+    ...secondFactorRules,
+    validarCampos,
+    handleErrors,
+    validateTwoFactorChallenge(TWO_FACTOR_CHALLENGES.verify)
+]
+
+/**
+ * Validaciones para activar durante el inicio de sesión la verificación en dos pasos que exige el rol del usuario
+ */
+export const loginTwoFactorSetupValidator = [
+    challengeTokenRule,
+    validarCampos,
+    handleErrors,
+    validateTwoFactorChallenge(TWO_FACTOR_CHALLENGES.enroll)
+]
+
+/**
+ * Validaciones para confirmar esa activación y completar el inicio de sesión
+ */
+export const loginTwoFactorEnableValidator = [
+    challengeTokenRule,
+    body("code").isString().matches(/^\d{6}$/).withMessage("El código debe tener 6 dígitos"),
+    validarCampos,
+    handleErrors,
+    validateTwoFactorChallenge(TWO_FACTOR_CHALLENGES.enroll)
+]
+
+/**
+ * Validaciones para confirmar la activación de la verificación en dos pasos del usuario autenticado
+ */
+export const enableTwoFactorValidator = [
+    validateJWT,
+    body("code").isString().matches(/^\d{6}$/).withMessage("El código debe tener 6 dígitos"),
+    validarCampos,
+    handleErrors
+]
+
+/**
+ * Validaciones para desactivar la verificación en dos pasos del usuario autenticado
+ */
+export const disableTwoFactorValidator = [
+    validateJWT,
+    body("password").isString().withMessage("La contraseña es requerida").notEmpty().withMessage("La contraseña es requerida"),
+    ...secondFactorRules,
+    validarCampos,
+    handleErrors
+]
+
+/**
+ * Validaciones para generar nuevos códigos de recuperación
+ */
+export const recoveryCodesValidator = [
+    validateJWT,
+    body("code").isString().matches(/^\d{6}$/).withMessage("El código debe tener 6 dígitos"),
+    validarCampos,
+    handleErrors
+]
+
 export const getUserByIdValidator = [
     validateJWT,
-    hasRoles("ADMIN"),
+    requirePermission("user:read"),
     param("uid").isMongoId().withMessage("No es un ID válido de MongoDB"),
     param("uid").custom(userExists),
     validarCampos,
     handleErrors
 ]
 
+export const getUsersValidator = [
+    query("limite").optional().isInt({ min: 1 }).withMessage("El límite debe ser un número mayor a 0"),
+    query("desde").optional().isInt({ min: 0 }).withMessage("El parámetro 'desde' debe ser un número positivo"),
+    query("cursor").optional().isString().custom(cursorValidator),
+    validarCampos,
+    handleErrors
+]
+
 export const deleteUserValidator = [
     validateJWT, // Verifica que el usuario tenga un token válido
-    hasRoles("ADMIN"), // Solo ADMIN o CLIENT pueden eliminar usuarios
+    requirePermission("user:manage"), // Solo quien administra usuarios puede eliminarlos
     check("usuario").custom(validateUserNotDeleted), // Usa el validador importado
     validarCampos, // Revisa si hay errores en la validación antes de continuar
     handleErrors // Maneja errores y los devuelve en formato JSON
 ];
 
+/**
+ * Reglas de los campos modificables de un usuario, compartidas por PUT y PATCH.
+ * En PATCH se aplican sobre los campos que cambian después de aplicar el parche.
+ */
+export const userUpdateRules = [
+    body("name").optional().isString().trim().notEmpty().withMessage("El nombre no puede estar vacío").isLength({ max: 25 }).withMessage("El nombre no puede superar los 25 caracteres"),
+    body("surname").optional().isString().trim().notEmpty().withMessage("El apellido no puede estar vacío").isLength({ max: 25 }).withMessage("El apellido no puede superar los 25 caracteres"),
+    body("username").optional().isString().trim().notEmpty().withMessage("El username no puede estar vacío").custom(usernameAvailable),
+    body("email").optional().isEmail().withMessage("No es un email válido").custom(emailAvailable),
+    body("phone").optional().isString().isLength({ min: 8, max: 8 }).withMessage("El teléfono debe tener 8 caracteres"),
+    body("password").optional().isStrongPassword(STRONG_PASSWORD_OPTIONS).withMessage(STRONG_PASSWORD_MESSAGE),
+];
+
 export const adminUpdateUserValidator = [
     validateJWT, // Verifica que el usuario tenga un token JWT válido.
-    hasRoles("ADMIN"), // Solo los administradores pueden actualizar usuarios.
+    requirePermission("user:manage"), // Solo quien administra usuarios puede actualizar a otros.
     param("uid", "No es un ID válido").isMongoId(), // Valida que `uid` en los parámetros sea un ID de MongoDB válido.
     param("uid").custom(userExists), // Valida que el usuario con ese `uid` exista en la base de datos.
+    body().custom(onlyMutableFields(USER_MUTABLE_FIELDS)), // Rechaza "roles", "status" y demás campos no modificables.
+    ...userUpdateRules,
     validarCampos, // Revisa si hay errores en las validaciones anteriores antes de continuar.
     handleErrors // Maneja errores y los devuelve en formato JSON.
 ];
@@ -67,19 +240,99 @@ export const adminUpdateUserValidator = [
 
 export const updateUserValidator = [
     validateJWT, // Verifica que el usuario tenga un token JWT válido.
-    hasRoles("ADMIN"), // Solo ADMIN y CLIENT pueden actualizar usuarios.
-    validateUpdateRole, // Valida que los cambios en el rol sean correctos.
+    requirePermission("profile:update"), // Permiso para modificar los datos propios.
+    body().custom(onlyMutableFields(USER_MUTABLE_FIELDS)), // Rechaza "roles", "status" y demás campos no modificables.
+    body("password").not().exists().withMessage(OWN_PASSWORD_MESSAGE), // La contraseña propia exige la actual.
+    ...userUpdateRules,
     validarCampos, // Revisa si hay errores en las validaciones antes de continuar.
     handleErrors // Maneja errores y los devuelve en formato JSON.
 ];
 
+/**
+ * Validaciones para actualizar parcialmente un usuario por su ID (PATCH).
+ * El contenido del parche se valida al aplicarlo, con userUpdateRules.
+ */
+export const adminPatchUserValidator = [
+    validateJWT,
+    requirePermission("user:manage"),
+    param("uid", "No es un ID válido").isMongoId(),
+    param("uid").custom(userExists),
+    header("content-type").custom(patchContentTypeValidator),
+    body().custom(patchBodyValidator),
+    validarCampos,
+    handleErrors
+];
+
+/**
+ * Validaciones para actualizar parcialmente el usuario autenticado (PATCH).
+ */
+export const patchUserValidator = [
+    validateJWT,
+    requirePermission("profile:update"),
+    header("content-type").custom(patchContentTypeValidator),
+    body().custom(patchBodyValidator),
+    validarCampos,
+    handleErrors
+];
+
+/**
+ * Validaciones para asignar los roles de un usuario (reemplazan a los que tenía).
+ * Siempre debe quedar al menos un usuario activo con el rol ADMIN.
+ */
+export const assignUserRolesValidator = [
+    validateJWT,
+    requirePermission("role:manage"),
+    param("uid", "No es un ID válido").isMongoId(),
+    param("uid").custom(userExists),
+    body("roles").customSanitizer(toRoleList).custom(rolesExist).bail().custom(adminRoleKept),
+    validarCampos,
+    handleErrors
+];
+
+/**
+ * Validaciones para consultar el bloqueo y los inicios de sesión fallidos de un usuario
+ */
+export const getUserLoginAttemptsValidator = [
+    validateJWT,
+    requirePermission("user:read"),
+    param("uid", "No es un ID válido").isMongoId(),
+    param("uid").custom(userExists),
+    query("limite").optional().isInt({ min: 1, max: 100 }).withMessage("El límite debe ser un número entre 1 y 100"),
+    validarCampos,
+    handleErrors
+];
+
+/**
+ * Validaciones para desbloquear la cuenta de un usuario
+ */
+export const unlockUserValidator = [
+    validateJWT,
+    requirePermission("user:manage"),
+    param("uid", "No es un ID válido").isMongoId(),
+    param("uid").custom(userExists),
+    validarCampos,
+    handleErrors
+];
+
+/**
+ * Validaciones para restablecer la verificación en dos pasos de un usuario (por ejemplo, si perdió su teléfono)
+ */
+export const resetUserTwoFactorValidator = [
+    validateJWT,
+    requirePermission("user:manage"),
+    param("uid", "No es un ID válido").isMongoId(),
+    param("uid").custom(userExists),
+    validarCampos,
+    handleErrors
+];
+
 
 export const createDefaultAdmin = async (req, res) => {
   // Si res no está definido, asignar un objeto dummy que permita evitar el error
   res = res || { status: (code) => ({ json: (data) => data }) };
 
   try {
-    const adminExists = await User.findOne({ role: "ADMIN" });
+    const adminExists = await User.findOne({ roles: ADMIN_ROLE });
     if (!adminExists) {
       const defaultAdmin = {
         name: "admin",
@@ -88,27 +341,21 @@ export const createDefaultAdmin = async (req, res) => {
         email: "admin123@example.com",
         password: await hash("SecureP@ssword123"),
         phone: "12345678",
-        role: "ADMIN",
+        roles: [ADMIN_ROLE],
         status: true,
       };
 
-      const createdAdmin = await User.create(defaultAdmin);
-      
-      // Generar el token para el admin creado
-      const token = await generateJWT(createdAdmin._id);
-      
+      await User.create(defaultAdmin);
+
       return res.status(201).json({
         success: true,
         message: "Default admin created",
-        token,
       });
     } else {
-      // Si el admin ya existe, generamos un token nuevo para el admin existente
-      const token = await generateJWT(adminExists._id);
+      // Los tokens se obtienen al iniciar sesión (POST /auth/login), que crea la sesión a la que pertenecen
       return res.status(200).json({
         success: true,
-        message: "Admin already exists. Token generated.",
-        token,
+        message: "Admin already exists",
       });
     }
   } catch (error) {
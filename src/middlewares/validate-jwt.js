@@ -1,5 +1,7 @@
 import jwt from "jsonwebtoken"
 import User from "../user/user.model.js"
+import { isSessionActive } from "../helpers/refresh-tokens.js"
+import { verifyTwoFactorChallenge } from "../helpers/two-factor.js"
 
 export const validateJWT = async (req, res, next) =>{
     try{
@@ -14,7 +16,17 @@ export const validateJWT = async (req, res, next) =>{
 
         token = token.replace(/^Bearer\s+/, "");
 
-        const { uid } = jwt.verify(token, process.env.SECRETORPRIVATEKEY)
+        const { uid, sid } = jwt.verify(token, process.env.SECRETORPRIVATEKEY)
+
+        // El token pertenece a una sesión ("sid"); si se cerró o se revocó, el token deja de ser válido
+        // aunque no haya vencido.
+        if(!(await isSessionActive(sid))){
+            return res.status(401).json({
+                success: false,
+                message: "La sesión fue cerrada o revocada; inicie sesión de nuevo"
+            })
+        }
+
         const user = await User.findById(uid)
 
         if(!user){
@@ -32,12 +44,57 @@ export const validateJWT = async (req, res, next) =>{
         }
 
         req.usuario = user
+        req.sessionId = sid
         next()
     }catch(err){
+        // Token mal formado, con firma inválida o vencido: el cliente debe renovarlo con POST /auth/refresh
+        if(err instanceof jwt.JsonWebTokenError){
+            return res.status(401).json({
+                success: false,
+                message: "El token no es válido o venció",
+                error: err.message
+            })
+        }
         return res.status(500).json({
             success: false,
             message: "Error al validar el token",
             error: err.message
         })
     }
-}
\ No newline at end of file
+}
+/**
+ * Valida el token de desafío de la verificación en dos pasos (campo "challengeToken" del body) en lugar del token
+ * de acceso, para las rutas que continúan un inicio de sesión. Deja al usuario en req.usuario.
+ * @param {string} purpose - Propósito esperado del desafío (ver TWO_FACTOR_CHALLENGES).
+ * @returns {Function} Middleware de Express.
+ */
+export const validateTwoFactorChallenge = (purpose) => {
+    return async (req, res, next) => {
+        try{
+            const uid = verifyTwoFactorChallenge(req.body.challengeToken, purpose)
+            const user = await User.findById(uid)
+
+            if(!user?.status){
+                return res.status(401).json({
+                    success: false,
+                    message: "El usuario no existe o fue desactivado"
+                })
+            }
+
+            req.usuario = user
+            next()
+        }catch(err){
+            if(err.status){
+                return res.status(err.status).json({
+                    success: false,
+                    message: err.message
+                })
+            }
+            return res.status(500).json({
+                success: false,
+                message: "Error al validar el desafío de verificación",
+                error: err.message
+            })
+        }
+    }
+}
@@ -1,47 +1,41 @@
 import User from "../user/user.model.js";
+import { getUserPermissions } from "../helpers/permissions.js";
 
-export const hasRoles = (...roles) => {
-    return(req, res, next) => {
+/**
+ * Exige que el usuario autenticado tenga todos los permisos indicados (ver helpers/permissions.js).
+ * Debe ir después de validateJWT. Los permisos del usuario quedan en req.permissions.
+ * @param {...string} permissions - Permisos requeridos, por ejemplo "company:update".
+ * @returns {Function} Middleware de Express.
+ */
+export const requirePermission = (...permissions) => {
+    return async (req, res, next) => {
         if(!req.usuario){
             return res.status(500).json({
                 success: false,
-                message: "Se requiere validar el role antes de validar el token"
+                message: "Se requiere validar el token antes de validar los permisos"
             })
         }
 
-        if(req.usuario.role === "ADMIN" && req.body.role){
-            return res.status(400).json({
+        try{
+            req.permissions ??= await getUserPermissions(req.usuario)
+        }catch(err){
+            return res.status(500).json({
                 success: false,
-                message: "Ya tienes el rol ADMIN"
-            });
+                message: "Error al obtener los permisos del usuario",
+                error: err.message
+            })
         }
 
-        
-        
-        
-
-        if(!roles.includes(req.usuario.role)){
-            return res.status(401).json({
+        const missing = permissions.filter((permission) => !req.permissions.has(permission))
+        if(missing.length){
+            return res.status(403).json({
                 success: false,
-                message: `Usuario no autorizado, El recurso requiere uno de los siguientes roles: ${roles}`
+                message: `Usuario no autorizado, el recurso requiere los permisos: ${missing.join(", ")}`
             })
         }
         next()
     }
-
 }
-    
-    export const validateUpdateRole = (req, res, next) => {
-        
-        if (req.usuario.role === "CLIENT" && req.body.role) {
-            return res.status(400).json({
-                success: false,
-                message: "No tienes permiso para cambiar tu propio rol. Solo un ADMIN puede hacerlo."
-            });
-        }
-        
-        next();
-    }
 
     export const adminCantEditOtherAdmin = async (req, res, next) => {
        
@@ -0,0 +1,70 @@
+import { Schema, model } from "mongoose";
+import { REPORT_FORMATS } from "../helpers/company-report.js";
+
+const ReportJobSchema = new Schema(
+  {
+    format: {
+      type: String,
+      required: [true, "El formato del reporte es obligatorio"],
+      enum: Object.keys(REPORT_FORMATS),
+    },
+    filters: {
+      type: Object,
+      default: {}, // Filtros y ordenación del listado (category, levelImpact, minYears, maxYears, minScore, maxScore, state, sort, order)
+    },
+    status: {
+      type: String,
+      enum: ["pending", "processing", "completed", "failed"],
+      default: "pending",
+    },
+    processed: {
+      type: Number,
+      default: 0, // Empresas escritas hasta el momento
+    },
+    total: {
+      type: Number,
+      default: 0, // Empresas que incluirá el reporte, conocido al iniciar el procesamiento
+    },
+    fileName: {
+      type: String, // Nombre del archivo en el directorio de reportes
+    },
+    error: {
+      type: String,
+    },
+    requestedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    startedAt: {
+      type: Date,
+    },
+    finishedAt: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date, // Se asigna al terminar; después de esta fecha el archivo y el trabajo se eliminan
+    },
+  },
+  {
+    timestamps: true, // Añade automáticamente "createdAt" y "updatedAt"
+    versionKey: false,
+    id: false,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+ReportJobSchema.index({ status: 1, createdAt: 1 });
+ReportJobSchema.index({ expiresAt: 1 });
+
+/**
+ * Porcentaje de avance del trabajo (0 a 100).
+ */
+ReportJobSchema.virtual("percent").get(function () {
+  if (this.status === "completed") return 100;
+  if (!this.total) return 0;
+  return Math.min(100, Math.floor((this.processed / this.total) * 100));
+});
+
+export default model("ReportJob", ReportJobSchema);
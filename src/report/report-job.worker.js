@@ -0,0 +1,160 @@
+import fs from "fs";
+import path from "path";
+import { once } from "events";
+import ReportJob from "./report-job.model.js";
+import { prepareReportQuery, REPORT_FORMATS, REPORT_WRITERS } from "../helpers/company-report.js";
+import { describeCompanyFilters } from "../helpers/company-filters.js";
+
+/**
+ * Directorio donde se guardan los archivos de los trabajos de reporte.
+ * Se lee al usarse porque las variables de entorno se cargan después de importar los módulos.
+ */
+const reportsDir = () => process.env.REPORTS_DIR || path.join(process.cwd(), "reports");
+
+/**
+ * Fecha de vencimiento de un trabajo que termina ahora (REPORT_JOB_TTL_HOURS, 24 horas por defecto).
+ */
+const expirationDate = () => new Date(Date.now() + (Number(process.env.REPORT_JOB_TTL_HOURS) || 24) * 60 * 60 * 1000);
+
+// Cada cuántas empresas se guarda el avance en la base de datos
+const PROGRESS_EVERY = 500;
+// Intervalo de la limpieza de trabajos vencidos
+const CLEANUP_INTERVAL_MS = 15 * 60 * 1000;
+
+// Cola en memoria: los trabajos se procesan de uno en uno para no competir por la base de datos
+const queue = [];
+let running = false;
+
+/**
+ * Ruta completa del archivo generado por un trabajo.
+ * @param {object} job - Documento de ReportJob.
+ * @returns {string} Ruta del archivo.
+ */
+export const reportJobFilePath = (job) => path.join(reportsDir(), job.fileName);
+
+/**
+ * Recorre el cursor contando las empresas escritas y guardando el avance del trabajo cada PROGRESS_EVERY filas.
+ * @param {object} job - Documento de ReportJob.
+ * @param {AsyncIterable<object>} cursor - Cursor de empresas.
+ */
+async function* trackProgress(job, cursor) {
+  for await (const company of cursor) {
+    yield company;
+    job.processed += 1;
+    if (job.processed % PROGRESS_EVERY === 0) {
+      await ReportJob.updateOne({ _id: job._id }, { processed: job.processed });
+    }
+  }
+}
+
+/**
+ * Genera el archivo de un trabajo pendiente.
+ * El trabajo se reclama de forma atómica (pending → processing) para que dos instancias del servidor
+ * no procesen el mismo trabajo.
+ * @param {string} jobId - ID del trabajo.
+ */
+const processReportJob = async (jobId) => {
+  const job = await ReportJob.findOneAndUpdate(
+    { _id: jobId, status: "pending" },
+    { status: "processing", startedAt: new Date(), processed: 0 },
+    { new: true }
+  );
+  if (!job) return;
+
+  const fileName = `${job._id}.${REPORT_FORMATS[job.format].extension}`;
+  const filePath = path.join(reportsDir(), fileName);
+  let output;
+
+  try {
+    await fs.promises.mkdir(reportsDir(), { recursive: true });
+    const reportQuery = await prepareReportQuery(job.filters);
+    job.total = await reportQuery.count();
+    await ReportJob.updateOne({ _id: job._id }, { total: job.total, fileName });
+
+    output = fs.createWriteStream(filePath);
+    const finished = once(output, "finish");
+    await REPORT_WRITERS[job.format](trackProgress(job, reportQuery.cursor()), {
+      stream: output,
+      total: job.total,
+      appliedFilters: describeCompanyFilters(job.filters),
+    });
+    await finished;
+
+    await ReportJob.updateOne({ _id: job._id }, {
+      status: "completed",
+      processed: job.processed,
+      finishedAt: new Date(),
+      expiresAt: expirationDate(),
+    });
+  } catch (err) {
+    // Se descarta el archivo incompleto
+    output?.destroy();
+    await fs.promises.rm(filePath, { force: true });
+    await ReportJob.updateOne({ _id: job._id }, {
+      status: "failed",
+      error: err.message,
+      finishedAt: new Date(),
+      expiresAt: expirationDate(),
+    });
+  }
+};
+
+/**
+ * Procesa la cola mientras tenga trabajos.
+ */
+const drainQueue = async () => {
+  if (running) return;
+  running = true;
+  while (queue.length) {
+    const jobId = queue.shift();
+    try {
+      await processReportJob(jobId);
+    } catch (err) {
+      console.log(`Report jobs | job ${jobId} failed: ${err.message}`);
+    }
+  }
+  running = false;
+};
+
+/**
+ * Agrega un trabajo a la cola de procesamiento.
+ * @param {string} jobId - ID del trabajo.
+ */
+export const enqueueReportJob = (jobId) => {
+  queue.push(String(jobId));
+  setImmediate(drainQueue);
+};
+
+/**
+ * Vuelve a encolar los trabajos que quedaron sin terminar en un reinicio del servidor.
+ * Los que estaban en "processing" se devuelven a "pending" porque su archivo quedó incompleto.
+ */
+export const resumeReportJobs = async () => {
+  await ReportJob.updateMany({ status: "processing" }, { status: "pending", processed: 0 });
+  const pending = await ReportJob.find({ status: "pending" }).sort({ createdAt: 1 }).select("_id");
+  pending.forEach(({ _id }) => enqueueReportJob(_id));
+};
+
+/**
+ * Elimina los trabajos vencidos junto con sus archivos.
+ */
+export const cleanupExpiredReportJobs = async () => {
+  const expired = await ReportJob.find({ expiresAt: { $lte: new Date() } });
+  for (const job of expired) {
+    if (job.fileName) {
+      await fs.promises.rm(reportJobFilePath(job), { force: true });
+    }
+    await ReportJob.deleteOne({ _id: job._id });
+  }
+};
+
+/**
+ * Inicia los trabajos pendientes y la limpieza periódica de trabajos vencidos.
+ */
+export const startReportJobs = async () => {
+  await resumeReportJobs();
+  await cleanupExpiredReportJobs();
+  setInterval(() => {
+    cleanupExpiredReportJobs().catch((err) => console.log(`Report jobs | cleanup failed: ${err.message}`));
+  }, CLEANUP_INTERVAL_MS).unref();
+};
@@ -0,0 +1,163 @@
+import ReportJob from "./report-job.model.js";
+import { enqueueReportJob, reportJobFilePath } from "./report-job.worker.js";
+import { REPORT_FORMATS } from "../helpers/company-report.js";
+
+// Parámetros del listado de empresas que se guardan como filtros del trabajo
+const FILTER_PARAMS = ["q", "category", "levelImpact", "minYears", "maxYears", "minScore", "maxScore", "state", "sort", "order"];
+
+/**
+ * Da forma a la información pública de un trabajo de reporte.
+ * @param {object} job - Documento de ReportJob.
+ * @param {object} req - Objeto de solicitud Express, usado para construir el enlace de descarga.
+ * @returns {object} Estado del trabajo.
+ */
+const toJobStatus = (job, req) => ({
+  id: job._id,
+  status: job.status,
+  format: job.format,
+  filters: job.filters,
+  progress: {
+    processed: job.processed,
+    total: job.total,
+    percent: job.percent,
+  },
+  downloadUrl: job.status === "completed" ? `${req.baseUrl}/${job._id}/file` : null,
+  error: job.error,
+  createdAt: job.createdAt,
+  finishedAt: job.finishedAt,
+  expiresAt: job.expiresAt,
+});
+
+/**
+ * Encola la generación de un reporte de empresas.
+ *
+ * @function createReportJob
+ * @async
+ * @description Registra un trabajo de reporte en la colección "reportjobs" con el formato y los filtros recibidos
+ *              (los mismos del listado de empresas) y lo agrega a la cola de procesamiento. Responde de inmediato
+ *              con 202 y el ID del trabajo, sin esperar a que el archivo se genere.
+ *
+ * @param {object} req - Objeto de solicitud Express.
+ * @param {object} req.body - Formato y filtros del reporte.
+ * @param {string} [req.body.format="xlsx"] - Formato del reporte ("xlsx", "csv", "ndjson" o "pdf").
+ * @param {object} req.usuario - Usuario autenticado que solicita el reporte.
+ * @param {object} res - Objeto de respuesta Express.
+ *
+ * @returns {Promise<object>} Respuesta HTTP en formato JSON con el estado inicial del trabajo.
+ *
+ * @example
+ * // Solicitud POST a /coperex/v1/company/reports con body { "format": "csv", "levelImpact": "Alto" }
+ * {
+ *   success: true,
+ *   job: { id: "66f1...", status: "pending", format: "csv", progress: { processed: 0, total: 0, percent: 0 }, ... }
+ * }
+ */
+export const createReportJob = async (req, res) => {
+  try {
+    const { format = "xlsx" } = req.body;
+    const filters = Object.fromEntries(
+      FILTER_PARAMS.filter((param) => req.body[param] !== undefined).map((param) => [param, String(req.body[param])])
+    );
+
+    const job = await ReportJob.create({ format, filters, requestedBy: req.usuario._id });
+    enqueueReportJob(job._id);
+
+    res.location(`${req.baseUrl}/${job._id}`);
+    return res.status(202).json({
+      success: true,
+      message: "Reporte en cola de generación",
+      job: toJobStatus(job, req),
+    });
+  } catch (err) {
+    return res.status(500).json({
+      success: false,
+      message: "Error al registrar el reporte",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Consulta el estado y el avance de un trabajo de reporte solicitado por el usuario autenticado.
+ *
+ * @function getReportJob
+ * @async
+ * @param {object} req - Objeto de solicitud Express.
+ * @param {string} req.params.jobId - ID del trabajo.
+ * @param {object} res - Objeto de respuesta Express.
+ *
+ * @returns {Promise<object>} Respuesta HTTP en formato JSON con el estado del trabajo y, si terminó, el enlace de descarga.
+ */
+export const getReportJob = async (req, res) => {
+  try {
+    // Cada usuario solo ve sus propios reportes; los de otros responden 404, como si no existieran.
+    const job = await ReportJob.findOne({ _id: req.params.jobId, requestedBy: req.usuario._id });
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: "Reporte no encontrado",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      job: toJobStatus(job, req),
+    });
+  } catch (err) {
+    return res.status(500).json({
+      success: false,
+      message: "Error al obtener el reporte",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Descarga el archivo de un trabajo de reporte terminado solicitado por el usuario autenticado.
+ *
+ * @function downloadReportJob
+ * @async
+ * @description Si el trabajo aún no termina (o falló) responde con 409; si el archivo ya no existe
+ *              porque el trabajo venció, responde con 410.
+ *
+ * @param {object} req - Objeto de solicitud Express.
+ * @param {string} req.params.jobId - ID del trabajo.
+ * @param {object} res - Objeto de respuesta Express.
+ *
+ * @returns {Promise<void>} Envía el archivo del reporte o un error en formato JSON.
+ */
+export const downloadReportJob = async (req, res) => {
+  try {
+    const job = await ReportJob.findOne({ _id: req.params.jobId, requestedBy: req.usuario._id });
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: "Reporte no encontrado",
+      });
+    }
+
+    if (job.status !== "completed") {
+      return res.status(409).json({
+        success: false,
+        message: job.status === "failed" ? "La generación del reporte falló" : "El reporte aún no está listo",
+        job: toJobStatus(job, req),
+      });
+    }
+
+    const { extension } = REPORT_FORMATS[job.format];
+    res.download(reportJobFilePath(job), `Empresas_Reporte.${extension}`, (err) => {
+      if (err && !res.headersSent) {
+        res.status(410).json({
+          success: false,
+          message: "El archivo del reporte ya no está disponible",
+        });
+      }
+    });
+  } catch (err) {
+    return res.status(500).json({
+      success: false,
+      message: "Error al descargar el reporte",
+      error: err.message,
+    });
+  }
+};
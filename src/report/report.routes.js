@@ -0,0 +1,98 @@
+import { Router } from "express";
+import { createReportJob, getReportJob, downloadReportJob } from "./report.controller.js";
+import { createReportJobValidator, reportJobValidator } from "../middlewares/report-validators.js";
+import { validateJWT } from "../middlewares/validate-jwt.js";
+import { requirePermission } from "../middlewares/validate-roles.js";
+
+const router = Router();
+
+/**
+ * @swagger
+ * /company/reports:
+ *   post:
+ *     summary: Encolar la generación de un reporte de empresas (Permiso report:export)
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               format:
+ *                 type: string
+ *                 enum: [xlsx, csv, ndjson, pdf]
+ *               category:
+ *                 type: string
+ *               levelImpact:
+ *                 type: string
+ *                 enum: [Bajo, Medio, Alto]
+ *               minYears:
+ *                 type: integer
+ *               maxYears:
+ *                 type: integer
+ *               sort:
+ *                 type: string
+ *               order:
+ *                 type: string
+ *     responses:
+ *       202:
+ *         description: Reporte en cola; la cabecera Location apunta al estado del trabajo
+ *       400:
+ *         description: Error en la solicitud
+ */
+router.post("/", validateJWT, requirePermission("report:export"), createReportJobValidator, createReportJob);
+
+/**
+ * @swagger
+ * /company/reports/{jobId}:
+ *   get:
+ *     summary: Consultar el estado y avance de un reporte encolado (Permiso report:export)
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID del trabajo de reporte
+ *     responses:
+ *       200:
+ *         description: Estado del reporte
+ *       404:
+ *         description: Reporte no encontrado o solicitado por otro usuario
+ */
+router.get("/:jobId", validateJWT, requirePermission("report:export"), reportJobValidator, getReportJob);
+
+/**
+ * @swagger
+ * /company/reports/{jobId}/file:
+ *   get:
+ *     summary: Descargar el archivo de un reporte terminado (Permiso report:export)
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID del trabajo de reporte
+ *     responses:
+ *       200:
+ *         description: Archivo del reporte
+ *       404:
+ *         description: Reporte no encontrado o solicitado por otro usuario
+ *       409:
+ *         description: El reporte aún no está listo o falló
+ *       410:
+ *         description: El archivo del reporte venció
+ */
+router.get("/:jobId/file", validateJWT, requirePermission("report:export"), reportJobValidator, downloadReportJob);
+
+export default router;
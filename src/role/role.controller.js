@@ -0,0 +1,227 @@
+import Role from "./role.model.js";
+import User from "../user/user.model.js";
+import { PERMISSIONS, ADMIN_ROLE } from "../helpers/permissions.js";
+
+/**
+ * Lista los roles con sus permisos.
+ *
+ * @function getRoles
+ * @async
+ * @description Devuelve todos los roles ordenados por nombre, con la cantidad de usuarios activos que tiene cada uno.
+ *
+ * @param {object} req - Objeto de solicitud Express.
+ * @param {object} res - Objeto de respuesta Express.
+ *
+ * @returns {Promise<object>} Respuesta HTTP en formato JSON con los roles.
+ */
+export const getRoles = async (req, res) => {
+  try {
+    const roles = await Role.find().sort({ name: 1 }).lean();
+    const counts = await User.aggregate([
+      { $match: { status: true } },
+      { $unwind: "$roles" },
+      { $group: { _id: "$roles", users: { $sum: 1 } } },
+    ]);
+    const usersByRole = new Map(counts.map(({ _id, users }) => [_id, users]));
+
+    return res.status(200).json({
+      success: true,
+      total: roles.length,
+      roles: roles.map((role) => ({ ...role, users: usersByRole.get(role.name) ?? 0 })),
+    });
+  } catch (err) {
+    return res.status(500).json({
+      success: false,
+      message: "Error al listar los roles",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Obtiene el catálogo de permisos que pueden asignarse a los roles.
+ *
+ * @function getPermissions
+ * @description Devuelve cada permiso con su descripción, en el orden del catálogo PERMISSIONS.
+ *
+ * @param {object} req - Objeto de solicitud Express.
+ * @param {object} res - Objeto de respuesta Express.
+ *
+ * @returns {object} Respuesta HTTP en formato JSON con los permisos.
+ */
+export const getPermissions = (req, res) => {
+  return res.status(200).json({
+    success: true,
+    permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })),
+  });
+};
+
+/**
+ * Obtiene un rol por su nombre.
+ *
+ * @function getRole
+ * @async
+ *
+ * @param {object} req - Objeto de solicitud Express.
+ * @param {string} req.params.name - Nombre del rol (sin distinguir mayúsculas).
+ * @param {object} res - Objeto de respuesta Express.
+ *
+ * @returns {Promise<object>} Respuesta HTTP en formato JSON con el rol.
+ */
+export const getRole = async (req, res) => {
+  try {
+    const role = await Role.findOne({ name: req.params.name.toUpperCase() });
+    return res.status(200).json({
+      success: true,
+      role,
+    });
+  } catch (err) {
+    return res.status(500).json({
+      success: false,
+      message: "Error al obtener el rol",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Registra un rol personalizado.
+ *
+ * @function createRole
+ * @async
+ * @description Crea un rol con permisos del catálogo PERMISSIONS. El nombre se guarda en mayúsculas y no puede
+ *              modificarse después, porque es el valor que se asigna en "roles" de los usuarios.
+ *
+ * @param {object} req - Objeto de solicitud Express.
+ * @param {string} req.body.name - Nombre del rol, por ejemplo "AUDITOR".
+ * @param {string} [req.body.description] - Descripción del rol.
+ * @param {Array<string>} req.body.permissions - Permisos del rol.
+ * @param {boolean} [req.body.requireTwoFactor] - Si sus usuarios deben activar la verificación en dos pasos.
+ * @param {object} res - Objeto de respuesta Express.
+ *
+ * @returns {Promise<object>} Respuesta HTTP en formato JSON con el rol creado.
+ *
+ * @example
+ * // Solicitud POST a /coperex/v1/role con body { "name": "auditor", "permissions": ["company:read", "company:history"] }
+ * {
+ *   success: true,
+ *   role: { name: "AUDITOR", permissions: ["company:read", "company:history"], system: false, ... }
+ * }
+ */
+export const createRole = async (req, res) => {
+  try {
+    const { name, description, permissions, requireTwoFactor } = req.body;
+    const role = await Role.create({ name, description, permissions, requireTwoFactor });
+
+    return res.status(201).json({
+      success: true,
+      message: "Rol registrado exitosamente",
+      role,
+    });
+  } catch (err) {
+    return res.status(500).json({
+      success: false,
+      message: "Error al registrar el rol",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Actualiza la descripción, los permisos o la exigencia de verificación en dos pasos de un rol.
+ *
+ * @function updateRole
+ * @async
+ * @description Los permisos del rol ADMIN no se modifican: siempre tiene todos los del catálogo.
+ *              Los cambios se aplican de inmediato, porque los permisos se consultan en cada solicitud.
+ *              Con "requireTwoFactor" los usuarios del rol que no tengan activa la verificación en dos pasos
+ *              deberán activarla en su próximo inicio de sesión.
+ *
+ * @param {object} req - Objeto de solicitud Express.
+ * @param {string} req.params.name - Nombre del rol.
+ * @param {string} [req.body.description] - Nueva descripción.
+ * @param {Array<string>} [req.body.permissions] - Nueva lista de permisos (reemplaza a la anterior).
+ * @param {boolean} [req.body.requireTwoFactor] - Si sus usuarios deben activar la verificación en dos pasos.
+ * @param {object} res - Objeto de respuesta Express.
+ *
+ * @returns {Promise<object>} Respuesta HTTP en formato JSON con el rol actualizado.
+ */
+export const updateRole = async (req, res) => {
+  try {
+    const name = req.params.name.toUpperCase();
+    const { description, permissions, requireTwoFactor } = req.body;
+
+    if (name === ADMIN_ROLE && permissions !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: `Los permisos del rol ${ADMIN_ROLE} no se modifican`,
+      });
+    }
+
+    const update = Object.fromEntries(Object.entries({ description, permissions, requireTwoFactor }).filter(([, value]) => value !== undefined));
+    const role = await Role.findOneAndUpdate({ name }, update, { new: true });
+
+    return res.status(200).json({
+      success: true,
+      message: "Rol actualizado exitosamente",
+      role,
+    });
+  } catch (err) {
+    return res.status(500).json({
+      success: false,
+      message: "Error al actualizar el rol",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Elimina un rol personalizado.
+ *
+ * @function deleteRole
+ * @async
+ * @description Los roles por defecto no se eliminan y tampoco un rol que aún tengan usuarios
+ *              (se responde 409 con la cantidad, para reasignarlos antes).
+ *
+ * @param {object} req - Objeto de solicitud Express.
+ * @param {string} req.params.name - Nombre del rol.
+ * @param {object} res - Objeto de respuesta Express.
+ *
+ * @returns {Promise<object>} Respuesta HTTP en formato JSON con el rol eliminado.
+ */
+export const deleteRole = async (req, res) => {
+  try {
+    const name = req.params.name.toUpperCase();
+    const role = await Role.findOne({ name });
+
+    if (role.system) {
+      return res.status(400).json({
+        success: false,
+        message: `El rol ${name} es un rol por defecto y no puede eliminarse`,
+      });
+    }
+
+    const users = await User.countDocuments({ roles: name });
+    if (users) {
+      return res.status(409).json({
+        success: false,
+        message: "El rol está asignado a usuarios; asígneles otro rol antes de eliminarlo",
+        users,
+      });
+    }
+
+    await role.deleteOne();
+
+    return res.status(200).json({
+      success: true,
+      message: "Rol eliminado exitosamente",
+      role,
+    });
+  } catch (err) {
+    return res.status(500).json({
+      success: false,
+      message: "Error al eliminar el rol",
+      error: err.message,
+    });
+  }
+};
@@ -0,0 +1,35 @@
+import { Schema, model } from "mongoose";
+
+const RoleSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "El nombre del rol es obligatorio"],
+      trim: true,
+      uppercase: true,
+      unique: true, // Se guarda en "roles" de los usuarios, por ejemplo "COMPANY_MANAGER"; no se modifica
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    permissions: {
+      type: [String], // Permisos del catálogo PERMISSIONS (helpers/permissions.js)
+      default: [],
+    },
+    requireTwoFactor: {
+      type: Boolean,
+      default: false, // Los usuarios con este rol deben activar la verificación en dos pasos para iniciar sesión
+    },
+    system: {
+      type: Boolean,
+      default: false, // Roles por defecto: no se eliminan
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+export default model("Role", RoleSchema);
@@ -0,0 +1,158 @@
+import { Router } from "express";
+import { getRoles, getPermissions, getRole, createRole, updateRole, deleteRole } from "./role.controller.js";
+import { createRoleValidator, updateRoleValidator, roleNameValidator } from "../middlewares/role-validators.js";
+import { validateJWT } from "../middlewares/validate-jwt.js";
+import { requirePermission } from "../middlewares/validate-roles.js";
+
+const router = Router();
+
+/**
+ * @swagger
+ * /role:
+ *   get:
+ *     summary: Listar los roles con sus permisos (Permiso role:manage)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles con sus permisos y la cantidad de usuarios activos de cada uno
+ */
+router.get("/", validateJWT, requirePermission("role:manage"), getRoles);
+
+/**
+ * @swagger
+ * /role/permissions:
+ *   get:
+ *     summary: Consultar el catálogo de permisos (Permiso role:manage)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permisos que pueden asignarse a los roles, con su descripción
+ */
+router.get("/permissions", validateJWT, requirePermission("role:manage"), getPermissions);
+
+/**
+ * @swagger
+ * /role/{name}:
+ *   get:
+ *     summary: Obtener un rol por su nombre (Permiso role:manage)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rol encontrado
+ *       400:
+ *         description: No existe el rol
+ */
+router.get("/:name", validateJWT, requirePermission("role:manage"), roleNameValidator, getRole);
+
+/**
+ * @swagger
+ * /role:
+ *   post:
+ *     summary: Registrar un rol personalizado (Permiso role:manage)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, permissions]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Se guarda en mayúsculas y no se modifica después
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [company:read, company:history]
+ *               requireTwoFactor:
+ *                 type: boolean
+ *                 description: Sus usuarios deben activar la verificación en dos pasos para iniciar sesión
+ *     responses:
+ *       201:
+ *         description: Rol registrado
+ *       400:
+ *         description: Nombre ya registrado o permisos que no existen
+ */
+router.post("/", validateJWT, requirePermission("role:manage"), createRoleValidator, createRole);
+
+/**
+ * @swagger
+ * /role/{name}:
+ *   put:
+ *     summary: Actualizar la descripción, los permisos o la exigencia de verificación en dos pasos de un rol (Permiso role:manage)
+ *     description: Los permisos del rol ADMIN no se modifican.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               requireTwoFactor:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Rol actualizado
+ *       400:
+ *         description: Error en la solicitud o se intentaron cambiar los permisos del rol ADMIN
+ */
+router.put("/:name", validateJWT, requirePermission("role:manage"), updateRoleValidator, updateRole);
+
+/**
+ * @swagger
+ * /role/{name}:
+ *   delete:
+ *     summary: Eliminar un rol personalizado (Permiso role:manage)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rol eliminado
+ *       400:
+ *         description: No existe el rol o es un rol por defecto
+ *       409:
+ *         description: El rol está asignado a usuarios
+ */
+router.delete("/:name", validateJWT, requirePermission("role:manage"), roleNameValidator, deleteRole);
+
+export default router;
@@ -1,6 +1,14 @@
 import { hash } from "argon2"
-import User from "./user.model.js"
+import User, { USER_MUTABLE_FIELDS } from "./user.model.js"
 import fs from "fs/promises"
+import { etagFor, versionedFilter, matchesIfMatch, currentVersionFilter } from "../helpers/versioning.js"
+import { resolvePatch, validatePatchedFields } from "../helpers/json-patch.js"
+import { userUpdateRules, OWN_PASSWORD_MESSAGE } from "../middlewares/user-validators.js"
+import { prepareCursorPage, buildCursorPage, setPaginationLinks } from "../helpers/cursor-pagination.js"
+import { revokeUserSessions } from "../helpers/refresh-tokens.js"
+import { getAccountLock, unlockAccount } from "../helpers/login-protection.js"
+import LoginAttempt from "../auth/login-attempt.model.js"
+import { resetTwoFactor } from "../helpers/two-factor.js"
 
 export const getUserById = async (req, res) => {
     try {
@@ -12,6 +20,8 @@ export const getUserById = async (req, res) => {
           message: "Usuario no encontrado",
         });
       }
+      // La versión del documento se envía en ETag, para usarla en If-Match al actualizar
+      res.set("ETag", etagFor(user));
       return res.status(200).json({
         success: true,
         user,
@@ -27,23 +37,43 @@ export const getUserById = async (req, res) => {
   
   /**
    * Obtiene una lista de usuarios activos (status: true) con paginación.
+   * Admite "desde" (posición) o "cursor" (el "nextCursor" o "prevCursor" de una respuesta anterior);
+   * los enlaces a las páginas vecinas también se envían en la cabecera Link.
    */
   export const getUsers = async (req, res) => {
     try {
-      const { limite = 5, desde = 0 } = req.query;
+      const { limite = 5, desde = 0, cursor } = req.query;
       const query = { status: true };
+
+      let pageQuery;
+      try {
+        // Orden por fecha de alta (el ID crece con ella), estable entre páginas
+        pageQuery = prepareCursorPage({ query, sort: { _id: 1 }, limit: Number(limite), cursor, desde });
+      } catch (err) {
+        if (!err.status) throw err;
+        return res.status(err.status).json({
+          success: false,
+          message: err.message,
+        });
+      }
   
-      const [total, users] = await Promise.all([
+      const [total, docs] = await Promise.all([
         User.countDocuments(query),
-        User.find(query)
-          .skip(Number(desde))
-          .limit(Number(limite)),
+        User.find(pageQuery.filter)
+          .sort(pageQuery.sort)
+          .skip(pageQuery.skip)
+          .limit(pageQuery.limit),
       ]);
+
+      const { items: users, nextCursor, prevCursor } = buildCursorPage(docs, pageQuery.page);
+      setPaginationLinks(req, res, { nextCursor, prevCursor });
   
       return res.status(200).json({
         success: true,
         total,
         users,
+        nextCursor,
+        prevCursor,
       });
     } catch (err) {
       return res.status(500).json({
@@ -60,6 +90,7 @@ export const getUserById = async (req, res) => {
    * - La validez del token JWT.
    * - Los permisos del usuario.
    * - Que el usuario a eliminar no haya sido eliminado previamente.
+   * Todas las sesiones del usuario se cierran.
    */
   export const deleteUser = async (req, res) => {
     try {
@@ -83,6 +114,8 @@ export const getUserById = async (req, res) => {
           message: "Usuario no encontrado para eliminar",
         });
       }
+      // Sus sesiones se revocan: los tokens ya emitidos dejan de ser válidos de inmediato
+      await revokeUserSessions(user._id, "user_disabled");
       return res.status(200).json({
         success: true,
         message: "Usuario eliminado (lógicamente)",
@@ -97,24 +130,63 @@ export const getUserById = async (req, res) => {
     }
   };
   
+  /**
+   * Responde 412 cuando el usuario cambió desde la versión que conocía el cliente, con su estado y su ETag actuales.
+   */
+  const sendUserConflict = (res, current) => {
+    res.set("ETag", etagFor(current));
+    return res.status(412).json({
+      success: false,
+      message: "El usuario fue modificado por otra persona. Revise la versión actual y vuelva a aplicar los cambios",
+      user: current,
+    });
+  };
+
+  /**
+   * Prepara los campos modificables de un usuario para guardarlos: descarta el resto y,
+   * si se cambia la contraseña, la reemplaza por su hash de argon2.
+   * @param {object} data - Campos recibidos.
+   * @returns {Promise<object>} Campos listos para la actualización.
+   */
+  const toUserUpdate = async (data) => {
+    const update = Object.fromEntries(USER_MUTABLE_FIELDS.filter((field) => field in data).map((field) => [field, data[field]]));
+    if (update.password !== undefined) {
+      update.password = await hash(update.password);
+    }
+    return update;
+  };
+
   /**
    * Actualiza los datos de un usuario.
    * Se asume que el validador adminUpdateUserValidator o updateUserValidator ya validó:
    * - La validez del token JWT.
    * - El ID del usuario.
-   * - Que los datos recibidos son correctos.
+   * - Que los datos recibidos son correctos y solo incluyen campos de USER_MUTABLE_FIELDS.
+   * La contraseña nunca se guarda en texto plano: se reemplaza por su hash de argon2. Si se cambia, se cierran
+   * todas las sesiones del usuario.
+   * Si se envía la cabecera If-Match con el ETag obtenido al consultar el usuario, la actualización solo se aplica
+   * si nadie lo modificó desde entonces; de lo contrario se responde 412 con el estado actual.
    */
   export const updateUser = async (req, res) => {
     try {
-      const { uid } = req.params;
-      const data = req.body;
-      const user = await User.findByIdAndUpdate(uid, data, { new: true });
+      // En PUT /updateUser (sin ":uid") se actualiza el usuario autenticado
+      const uid = req.params.uid ?? req.usuario._id;
+      const data = await toUserUpdate(req.body);
+      const user = await User.findOneAndUpdate(versionedFilter(uid, req), data, { new: true, runValidators: true });
       if (!user) {
+        const current = await User.findById(uid);
+        if (current) {
+          return sendUserConflict(res, current);
+        }
         return res.status(404).json({
           success: false,
           message: "Usuario no encontrado para actualizar",
         });
       }
+      if (data.password !== undefined) {
+        await revokeUserSessions(user._id, "password_changed");
+      }
+      res.set("ETag", etagFor(user));
       return res.status(200).json({
         success: true,
         message: "Usuario actualizado",
@@ -129,3 +201,209 @@ export const getUserById = async (req, res) => {
     }
   };
 
+  /**
+   * Actualiza parcialmente un usuario con JSON Merge Patch o JSON Patch.
+   * El parche solo puede tocar los campos de USER_MUTABLE_FIELDS ("roles" y "status" quedan fuera); los valores
+   * resultantes se validan con las mismas reglas del PUT y una nueva contraseña se guarda como hash de argon2
+   * (y cierra todas las sesiones del usuario).
+   * La contraseña actual no se expone: en el documento sobre el que se aplica el parche vale null, así que
+   * se cambia con "replace" (o "add") sobre "/password" o con { "password": "..." } en un Merge Patch.
+   * En PATCH /updateUser (sin ":uid") se actualiza el usuario autenticado, que no puede cambiar así su contraseña.
+   */
+  export const patchUser = async (req, res) => {
+    try {
+      const uid = req.params.uid ?? req.usuario._id;
+
+      const user = await User.findById(uid);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "Usuario no encontrado para actualizar",
+        });
+      }
+      if (!matchesIfMatch(req, user)) {
+        return sendUserConflict(res, user);
+      }
+
+      const current = Object.fromEntries(USER_MUTABLE_FIELDS.map((field) => [field, field === "password" ? null : user[field] ?? null]));
+      let changes;
+      try {
+        changes = resolvePatch(req, current, USER_MUTABLE_FIELDS);
+      } catch (err) {
+        if (!err.status) throw err;
+        return res.status(err.status).json({
+          success: false,
+          message: err.message,
+        });
+      }
+
+      // Todos los campos modificables del usuario son obligatorios
+      const removed = changes.unset.filter((field) => field !== "password");
+      if (removed.length) {
+        return res.status(400).json({
+          success: false,
+          errors: removed.map((field) => ({ type: "field", path: field, location: "body", msg: `El campo ${field} es obligatorio y no puede eliminarse` })),
+        });
+      }
+
+      // La contraseña propia se cambia con PUT /auth/password, que exige la actual
+      if (!req.params.uid && "password" in changes.set) {
+        return res.status(400).json({
+          success: false,
+          errors: [{ type: "field", path: "password", location: "body", msg: OWN_PASSWORD_MESSAGE }],
+        });
+      }
+
+      const { data, errors } = await validatePatchedFields(userUpdateRules, req, changes.set);
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          errors,
+        });
+      }
+
+      if (!Object.keys(data).length) {
+        res.set("ETag", etagFor(user));
+        return res.status(200).json({
+          success: true,
+          message: "El parche no modificó el usuario",
+          user,
+        });
+      }
+
+      const updated = await User.findOneAndUpdate(currentVersionFilter(user), await toUserUpdate(data), { new: true, runValidators: true });
+      if (!updated) {
+        const latest = await User.findById(uid);
+        if (!latest) {
+          return res.status(404).json({
+            success: false,
+            message: "Usuario no encontrado para actualizar",
+          });
+        }
+        return sendUserConflict(res, latest);
+      }
+      if (data.password !== undefined) {
+        await revokeUserSessions(updated._id, "password_changed");
+      }
+
+      res.set("ETag", etagFor(updated));
+      return res.status(200).json({
+        success: true,
+        message: "Usuario actualizado",
+        user: updated,
+      });
+    } catch (err) {
+      return res.status(500).json({
+        success: false,
+        message: "Error al actualizar el usuario",
+        error: err.message,
+      });
+    }
+  };
+
+  /**
+   * Asigna los roles de un usuario, reemplazando los que tenía.
+   * Se asume que el validador assignUserRolesValidator ya verificó que los roles existen y que no se
+   * quita el rol ADMIN al último administrador activo. Los permisos se consultan en cada solicitud,
+   * así que el cambio se aplica de inmediato a las sesiones abiertas del usuario.
+   */
+  export const assignUserRoles = async (req, res) => {
+    try {
+      const { uid } = req.params;
+      const user = await User.findOneAndUpdate(versionedFilter(uid, req), { roles: req.body.roles }, { new: true, runValidators: true });
+      if (!user) {
+        const current = await User.findById(uid);
+        if (current) {
+          return sendUserConflict(res, current);
+        }
+        return res.status(404).json({
+          success: false,
+          message: "Usuario no encontrado",
+        });
+      }
+      res.set("ETag", etagFor(user));
+      return res.status(200).json({
+        success: true,
+        message: "Roles del usuario actualizados",
+        user,
+      });
+    } catch (err) {
+      return res.status(500).json({
+        success: false,
+        message: "Error al asignar los roles del usuario",
+        error: err.message,
+      });
+    }
+  };
+
+  /**
+   * Obtiene el estado de bloqueo de un usuario y sus inicios de sesión fallidos más recientes.
+   * Se asume que el validador getUserLoginAttemptsValidator ya verificó el ID y el parámetro "limite".
+   */
+  export const getUserLoginAttempts = async (req, res) => {
+    try {
+      const { uid } = req.params;
+      const { limite = 20 } = req.query;
+      const [lock, attempts] = await Promise.all([
+        getAccountLock(uid),
+        LoginAttempt.find({ user: uid }).sort({ createdAt: -1 }).limit(Number(limite)),
+      ]);
+      return res.status(200).json({
+        success: true,
+        lock,
+        attempts,
+      });
+    } catch (err) {
+      return res.status(500).json({
+        success: false,
+        message: "Error al obtener los intentos de inicio de sesión",
+        error: err.message,
+      });
+    }
+  };
+
+  /**
+   * Desbloquea la cuenta de un usuario: reinicia su contador de inicios de sesión fallidos, de modo que
+   * puede volver a intentarlo de inmediato. Los intentos ya registrados se conservan en la auditoría.
+   */
+  export const unlockUser = async (req, res) => {
+    try {
+      const unlocked = await unlockAccount(req.params.uid);
+      return res.status(200).json({
+        success: true,
+        message: unlocked ? "Cuenta desbloqueada" : "La cuenta no tenía intentos fallidos registrados",
+        unlocked,
+      });
+    } catch (err) {
+      return res.status(500).json({
+        success: false,
+        message: "Error al desbloquear la cuenta",
+        error: err.message,
+      });
+    }
+  };
+
+  /**
+   * Restablece la verificación en dos pasos de un usuario (por ejemplo, si perdió su teléfono y sus códigos de
+   * recuperación): descarta el secreto y los códigos y cierra todas sus sesiones. Si su rol la exige, deberá
+   * activarla de nuevo en su próximo inicio de sesión.
+   */
+  export const resetUserTwoFactor = async (req, res) => {
+    try {
+      const { uid } = req.params;
+      const reset = await resetTwoFactor(uid);
+      const sessions = await revokeUserSessions(uid, "two_factor_reset");
+      return res.status(200).json({
+        success: true,
+        message: reset ? "Verificación en dos pasos restablecida" : "El usuario no tenía activa la verificación en dos pasos",
+        reset,
+        sessionsClosed: sessions,
+      });
+    } catch (err) {
+      return res.status(500).json({
+        success: false,
+        message: "Error al restablecer la verificación en dos pasos",
+        error: err.message,
+      });
+    }
+  };
@@ -1,4 +1,5 @@
 import { Schema, model } from 'mongoose';
+import { versionedUpdates } from '../helpers/versioning.js';
 
 const userSchema = new Schema({
     name:{
@@ -31,26 +32,74 @@ const userSchema = new Schema({
         maxLength: 8,
         required: true
     },
-    role:{
-        type: String,
-        required: true,
-        enum: ["ADMIN"]
+    roles:{
+        type: [String], // Nombres de roles del catálogo (Role); los permisos del usuario son la unión de los de sus roles
+        validate: {
+            validator: (roles) => roles.length > 0,
+            message: "El usuario debe tener al menos un rol"
+        }
     },
     status:{
         type: Boolean,
         default: true
+    },
+    // Verificación en dos pasos con TOTP (ver helpers/two-factor.js)
+    twoFactor:{
+        enabled:{
+            type: Boolean,
+            default: false
+        },
+        secret:{
+            type: String, // Secreto TOTP cifrado con AES-256-GCM
+            default: null
+        },
+        pendingSecret:{
+            type: String, // Secreto cifrado generado al iniciar la activación, hasta confirmarlo con un código
+            default: null
+        },
+        lastUsedStep:{
+            type: Number, // Último intervalo de 30 s cuyo código se aceptó: un código no se usa dos veces
+            default: 0
+        },
+        recoveryCodes:{
+            type: [String], // SHA-256 de los códigos de recuperación sin usar
+            default: []
+        },
+        enabledAt:{
+            type: Date,
+            default: null
+        }
     }
 },
 {
-    versionKey: false,
+    // "__v" se conserva como versión del documento para el control de concurrencia (ETag / If-Match)
     timeStamps: true
 })
 
+// Cada actualización incrementa la versión "__v"
+userSchema.plugin(versionedUpdates)
+
+// Usuarios con un rol (roles en uso, administradores restantes)
+userSchema.index({ roles: 1 })
+
 userSchema.methods.toJSON = function(){
-    const {password, _id, ...usuario} = this.toObject()
+    const {password, _id, twoFactor, ...usuario} = this.toObject()
     usuario.uid = _id
+    // Del segundo factor solo se expone su estado, nunca el secreto ni los códigos
+    usuario.twoFactor = {
+        enabled: Boolean(twoFactor?.enabled),
+        enabledAt: twoFactor?.enabledAt ?? null,
+        recoveryCodesLeft: twoFactor?.recoveryCodes?.length ?? 0
+    }
     return usuario
 }
 
 
+/**
+ * Campos que los clientes pueden modificar con PUT y PATCH.
+ * "roles" y "status" no se modifican por esta vía (los roles se asignan con PUT /user/:uid/roles);
+ * "password" se guarda siempre como hash de argon2.
+ */
+export const USER_MUTABLE_FIELDS = ["name", "surname", "username", "email", "phone", "password"]
+
 export default model("User", userSchema)
\ No newline at end of file
@@ -1,6 +1,6 @@
 import { Router } from "express";
-import { updateUser, getUserById, getUsers } from "./user.controller.js";
-import { adminUpdateUserValidator, updateUserValidator, getUserByIdValidator } from "../middlewares/user-validators.js";
+import { updateUser, getUserById, getUsers, patchUser, assignUserRoles, getUserLoginAttempts, unlockUser, resetUserTwoFactor } from "./user.controller.js";
+import { adminUpdateUserValidator, updateUserValidator, getUserByIdValidator, adminPatchUserValidator, patchUserValidator, getUsersValidator, assignUserRolesValidator, getUserLoginAttemptsValidator, unlockUserValidator, resetUserTwoFactorValidator } from "../middlewares/user-validators.js";
 
 const router = Router();
 
@@ -30,11 +30,25 @@ router.get("/findUser/:uid", getUserByIdValidator, getUserById)
  *   get:
  *     summary: Obtiene todos los usuarios
  *     tags: [User]
+ *     parameters:
+ *       - in: query
+ *         name: limite
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: desde
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Valor de "nextCursor" o "prevCursor" de una respuesta anterior
  *     responses:
  *       200:
- *         description: Lista de usuarios
+ *         description: Lista de usuarios; la cabecera Link incluye los enlaces a las páginas vecinas
  */
-router.get("/", getUsers)
+router.get("/", getUsersValidator, getUsers)
 
 /**
  * @swagger
@@ -48,6 +62,12 @@ router.get("/", getUsers)
  *         required: true
  *         schema:
  *           type: string
+ *       - in: header
+ *         name: If-Match
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: ETag recibido al consultar el usuario; si ya no es la versión actual, no se actualiza
  *     requestBody:
  *       required: true
  *       content:
@@ -64,6 +84,8 @@ router.get("/", getUsers)
  *         description: Usuario actualizado
  *       400:
  *         description: Error en la solicitud
+ *       412:
+ *         description: El usuario fue modificado por otra persona; incluye el estado actual
  */
 router.put("/updateUser/:uid", adminUpdateUserValidator, updateUser);
 
@@ -92,4 +114,180 @@ router.put("/updateUser/:uid", adminUpdateUserValidator, updateUser);
  */
 router.put("/updateUser", updateUserValidator, updateUser);
 
+/**
+ * @swagger
+ * /updateUser/{uid}:
+ *   patch:
+ *     summary: Actualiza parcialmente un usuario por ID con JSON Merge Patch o JSON Patch
+ *     description: Solo pueden modificarse name, surname, username, email, phone y password (que se guarda con argon2).
+ *     tags: [User]
+ *     parameters:
+ *       - in: path
+ *         name: uid
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: If-Match
+ *         required: false
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/merge-patch+json:
+ *           schema:
+ *             type: object
+ *         application/json-patch+json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               type: object
+ *     responses:
+ *       200:
+ *         description: Usuario actualizado
+ *       400:
+ *         description: Parche inválido, campos no modificables o valores que no pasan la validación
+ *       409:
+ *         description: Una operación "test" del parche no se cumple
+ *       412:
+ *         description: El usuario fue modificado por otra persona; incluye el estado actual
+ */
+router.patch("/updateUser/:uid", adminPatchUserValidator, patchUser);
+
+/**
+ * @swagger
+ * /updateUser:
+ *   patch:
+ *     summary: Actualiza parcialmente el usuario autenticado con JSON Merge Patch o JSON Patch
+ *     tags: [User]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/merge-patch+json:
+ *           schema:
+ *             type: object
+ *         application/json-patch+json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               type: object
+ *     responses:
+ *       200:
+ *         description: Usuario actualizado
+ *       400:
+ *         description: Error en la solicitud
+ */
+router.patch("/updateUser", patchUserValidator, patchUser);
+
+/**
+ * @swagger
+ * /{uid}/roles:
+ *   put:
+ *     summary: Asigna los roles de un usuario (Permiso role:manage)
+ *     description: Reemplaza los roles del usuario. Siempre debe quedar al menos un usuario activo con el rol ADMIN.
+ *     tags: [User]
+ *     parameters:
+ *       - in: path
+ *         name: uid
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: If-Match
+ *         required: false
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               roles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [COMPANY_MANAGER, EVALUATOR]
+ *     responses:
+ *       200:
+ *         description: Roles asignados
+ *       400:
+ *         description: Roles inexistentes o se quitaría el rol ADMIN al último administrador
+ *       403:
+ *         description: El usuario autenticado no tiene el permiso role:manage
+ *       412:
+ *         description: El usuario fue modificado por otra persona; incluye el estado actual
+ */
+router.put("/:uid/roles", assignUserRolesValidator, assignUserRoles);
+
+/**
+ * @swagger
+ * /{uid}/login-attempts:
+ *   get:
+ *     summary: Consulta el bloqueo y los inicios de sesión fallidos de un usuario (Permiso user:read)
+ *     description: Cada intento incluye el email o username enviado, la IP, el navegador y el motivo del fallo.
+ *     tags: [User]
+ *     parameters:
+ *       - in: path
+ *         name: uid
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limite
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Estado del bloqueo ("lock") e intentos fallidos más recientes ("attempts")
+ *       400:
+ *         description: Error en la solicitud
+ */
+router.get("/:uid/login-attempts", getUserLoginAttemptsValidator, getUserLoginAttempts);
+
+/**
+ * @swagger
+ * /{uid}/unlock:
+ *   post:
+ *     summary: Desbloquea la cuenta de un usuario bloqueada por inicios de sesión fallidos (Permiso user:manage)
+ *     tags: [User]
+ *     parameters:
+ *       - in: path
+ *         name: uid
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Contador de intentos fallidos reiniciado
+ *       400:
+ *         description: Error en la solicitud
+ */
+router.post("/:uid/unlock", unlockUserValidator, unlockUser);
+
+/**
+ * @swagger
+ * /{uid}/2fa/reset:
+ *   post:
+ *     summary: Restablece la verificación en dos pasos de un usuario (Permiso user:manage)
+ *     description: Descarta el secreto y los códigos de recuperación y cierra todas las sesiones del usuario. Si su rol exige la verificación en dos pasos, deberá activarla de nuevo al iniciar sesión.
+ *     tags: [User]
+ *     parameters:
+ *       - in: path
+ *         name: uid
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Verificación en dos pasos restablecida
+ *       400:
+ *         description: Error en la solicitud
+ */
+router.post("/:uid/2fa/reset", resetUserTwoFactorValidator, resetUserTwoFactor);
+
 export default router;
\ No newline at end of file